@@ -0,0 +1,285 @@
+-- =====================================================================================
+-- FAVORITES DEMO - TAGS
+-- =====================================================================================
+-- Schema: FavoritesDemo
+-- Purpose: Let users tag their favorites (ADD_TAG / REMOVE_TAG / RENAME_TAG in the store)
+-- Run this file after 01_create_stored_procedures.sql
+--
+-- Tables:
+--   FavoritesDemo.Tags              one row per user and tag name
+--   FavoritesDemo.UserFavoriteTags  links active UserFavorites rows to tags
+--
+-- Tag names arrive trimmed and lower-cased from the API (see tagsController.js).
+-- =====================================================================================
+
+USE TestNet_001;
+GO
+
+-- =====================================================================================
+-- 1. TABLES
+-- =====================================================================================
+IF OBJECT_ID('FavoritesDemo.Tags', 'U') IS NULL
+BEGIN
+    CREATE TABLE FavoritesDemo.Tags (
+        TagId INT IDENTITY(1,1) NOT NULL CONSTRAINT PK_Tags PRIMARY KEY,
+        UserId INT NOT NULL,
+        Name NVARCHAR(50) NOT NULL,
+        CreatedDate DATETIME2 NOT NULL CONSTRAINT DF_Tags_CreatedDate DEFAULT GETUTCDATE(),
+        CONSTRAINT UQ_Tags_UserId_Name UNIQUE (UserId, Name)
+    );
+    PRINT 'Created FavoritesDemo.Tags';
+END
+GO
+
+IF OBJECT_ID('FavoritesDemo.UserFavoriteTags', 'U') IS NULL
+BEGIN
+    CREATE TABLE FavoritesDemo.UserFavoriteTags (
+        UserFavoriteId INT NOT NULL,
+        TagId INT NOT NULL,
+        CreatedDate DATETIME2 NOT NULL CONSTRAINT DF_UserFavoriteTags_CreatedDate DEFAULT GETUTCDATE(),
+        CONSTRAINT PK_UserFavoriteTags PRIMARY KEY (UserFavoriteId, TagId),
+        CONSTRAINT FK_UserFavoriteTags_UserFavorites FOREIGN KEY (UserFavoriteId)
+            REFERENCES FavoritesDemo.UserFavorites (UserFavoriteId),
+        CONSTRAINT FK_UserFavoriteTags_Tags FOREIGN KEY (TagId)
+            REFERENCES FavoritesDemo.Tags (TagId) ON DELETE CASCADE
+    );
+    CREATE INDEX IX_UserFavoriteTags_TagId ON FavoritesDemo.UserFavoriteTags (TagId);
+    PRINT 'Created FavoritesDemo.UserFavoriteTags';
+END
+GO
+
+-- =====================================================================================
+-- 2. GET USER FAVORITES (now with a comma-separated Tags column)
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_GetUserFavorites
+    @UserId INT = 1
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    SELECT
+        uf.UserFavoriteId,
+        r.ResourceId,
+        r.Url,
+        COALESCE(uf.UserDisplayName, r.DisplayName) AS name,  -- User override or default
+        r.Description,
+        r.FaviconUrl,
+        uf.CreatedDate AS FavoritedDate,
+        uf.LastAccessedDate,
+        uf.AccessCount,
+        uf.UserNotes,
+        uf.SortOrder,
+        (
+            SELECT STRING_AGG(t.Name, ',') WITHIN GROUP (ORDER BY uft.CreatedDate, t.Name)
+            FROM FavoritesDemo.UserFavoriteTags uft
+            INNER JOIN FavoritesDemo.Tags t ON uft.TagId = t.TagId
+            WHERE uft.UserFavoriteId = uf.UserFavoriteId
+        ) AS Tags
+    FROM FavoritesDemo.UserFavorites uf
+    INNER JOIN FavoritesDemo.Resources r ON uf.ResourceId = r.ResourceId
+    WHERE uf.UserId = @UserId
+        AND uf.IsActive = 1
+        AND r.IsActive = 1
+    ORDER BY
+        COALESCE(uf.SortOrder, 999999),  -- Custom order first
+        uf.CreatedDate DESC;             -- Then by date added
+END;
+GO
+
+-- =====================================================================================
+-- 3. GET USER TAGS (tags in use, with how many active favorites carry them)
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_GetUserTags
+    @UserId INT = 1
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    SELECT
+        t.TagId,
+        t.Name,
+        COUNT(uf.UserFavoriteId) AS FavoriteCount
+    FROM FavoritesDemo.Tags t
+    INNER JOIN FavoritesDemo.UserFavoriteTags uft ON uft.TagId = t.TagId
+    INNER JOIN FavoritesDemo.UserFavorites uf ON uf.UserFavoriteId = uft.UserFavoriteId
+        AND uf.IsActive = 1
+    WHERE t.UserId = @UserId
+    GROUP BY t.TagId, t.Name
+    ORDER BY t.Name;
+END;
+GO
+
+-- =====================================================================================
+-- 4. ADD TAG TO FAVORITE (replaces favoritesStore.addTag)
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_AddFavoriteTag
+    @UserId INT = 1,
+    @Url NVARCHAR(500),
+    @Tag NVARCHAR(50)
+AS
+BEGIN
+    SET NOCOUNT ON;
+    BEGIN TRY
+        BEGIN TRANSACTION;
+
+        DECLARE @UserFavoriteId INT;
+        DECLARE @TagId INT;
+        DECLARE @Message NVARCHAR(255);
+
+        -- Find the active favorite
+        SELECT @UserFavoriteId = uf.UserFavoriteId
+        FROM FavoritesDemo.UserFavorites uf
+        INNER JOIN FavoritesDemo.Resources r ON uf.ResourceId = r.ResourceId
+        WHERE uf.UserId = @UserId AND r.Url = @Url AND uf.IsActive = 1 AND r.IsActive = 1;
+
+        IF @UserFavoriteId IS NULL
+        BEGIN
+            SET @Message = 'URL is not in favorites';
+            SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+            ROLLBACK TRANSACTION;
+            RETURN;
+        END
+
+        -- Create the tag on first use
+        SELECT @TagId = TagId FROM FavoritesDemo.Tags WHERE UserId = @UserId AND Name = @Tag;
+        IF @TagId IS NULL
+        BEGIN
+            INSERT INTO FavoritesDemo.Tags (UserId, Name) VALUES (@UserId, @Tag);
+            SET @TagId = SCOPE_IDENTITY();
+        END
+
+        IF EXISTS (SELECT 1 FROM FavoritesDemo.UserFavoriteTags
+                   WHERE UserFavoriteId = @UserFavoriteId AND TagId = @TagId)
+        BEGIN
+            SET @Message = '"' + @Url + '" is already tagged "' + @Tag + '"';
+            SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+            ROLLBACK TRANSACTION;
+            RETURN;
+        END
+
+        INSERT INTO FavoritesDemo.UserFavoriteTags (UserFavoriteId, TagId)
+        VALUES (@UserFavoriteId, @TagId);
+
+        SET @Message = 'Tagged "' + @Url + '" with "' + @Tag + '"';
+        SELECT @Message AS Message, CAST(1 AS BIT) AS Success, @TagId AS TagId;
+
+        COMMIT TRANSACTION;
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        SELECT @ErrorMessage AS Message, CAST(0 AS BIT) AS Success;
+    END CATCH
+END;
+GO
+
+-- =====================================================================================
+-- 5. REMOVE TAG FROM FAVORITE (replaces favoritesStore.removeTag)
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_RemoveFavoriteTag
+    @UserId INT = 1,
+    @Url NVARCHAR(500),
+    @Tag NVARCHAR(50)
+AS
+BEGIN
+    SET NOCOUNT ON;
+    BEGIN TRY
+        DECLARE @Message NVARCHAR(255);
+
+        DELETE uft
+        FROM FavoritesDemo.UserFavoriteTags uft
+        INNER JOIN FavoritesDemo.Tags t ON uft.TagId = t.TagId
+        INNER JOIN FavoritesDemo.UserFavorites uf ON uft.UserFavoriteId = uf.UserFavoriteId
+        INNER JOIN FavoritesDemo.Resources r ON uf.ResourceId = r.ResourceId
+        WHERE t.UserId = @UserId AND t.Name = @Tag
+            AND uf.UserId = @UserId AND uf.IsActive = 1 AND r.Url = @Url;
+
+        IF @@ROWCOUNT = 0
+        BEGIN
+            SET @Message = '"' + @Url + '" is not tagged "' + @Tag + '"';
+            SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+            RETURN;
+        END
+
+        SET @Message = 'Removed tag "' + @Tag + '" from "' + @Url + '"';
+        SELECT @Message AS Message, CAST(1 AS BIT) AS Success;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        SELECT @ErrorMessage AS Message, CAST(0 AS BIT) AS Success;
+    END CATCH
+END;
+GO
+
+-- =====================================================================================
+-- 6. RENAME TAG (replaces favoritesStore.renameTag; merges into an existing tag)
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_RenameTag
+    @UserId INT = 1,
+    @FromTag NVARCHAR(50),
+    @ToTag NVARCHAR(50)
+AS
+BEGIN
+    SET NOCOUNT ON;
+    BEGIN TRY
+        BEGIN TRANSACTION;
+
+        DECLARE @FromTagId INT;
+        DECLARE @ToTagId INT;
+        DECLARE @Count INT;
+        DECLARE @Message NVARCHAR(255);
+
+        SELECT @FromTagId = TagId FROM FavoritesDemo.Tags WHERE UserId = @UserId AND Name = @FromTag;
+        SELECT @ToTagId = TagId FROM FavoritesDemo.Tags WHERE UserId = @UserId AND Name = @ToTag;
+
+        -- Only active favorites count, like in the store
+        SELECT @Count = COUNT(*)
+        FROM FavoritesDemo.UserFavoriteTags uft
+        INNER JOIN FavoritesDemo.UserFavorites uf ON uft.UserFavoriteId = uf.UserFavoriteId
+        WHERE uft.TagId = @FromTagId AND uf.IsActive = 1;
+
+        IF @FromTagId IS NULL OR @Count = 0 OR @FromTag = @ToTag
+        BEGIN
+            SET @Message = 'No favorites are tagged "' + @FromTag + '"';
+            SELECT @Message AS Message, CAST(0 AS BIT) AS Success, 0 AS RenamedCount;
+            ROLLBACK TRANSACTION;
+            RETURN;
+        END
+
+        IF @ToTagId IS NULL
+        BEGIN
+            -- Plain rename
+            UPDATE FavoritesDemo.Tags SET Name = @ToTag WHERE TagId = @FromTagId;
+        END
+        ELSE
+        BEGIN
+            -- Merge: move links that the target tag does not have yet, drop the rest
+            UPDATE uft
+            SET TagId = @ToTagId
+            FROM FavoritesDemo.UserFavoriteTags uft
+            WHERE uft.TagId = @FromTagId
+                AND NOT EXISTS (SELECT 1 FROM FavoritesDemo.UserFavoriteTags other
+                                WHERE other.UserFavoriteId = uft.UserFavoriteId AND other.TagId = @ToTagId);
+
+            DELETE FROM FavoritesDemo.Tags WHERE TagId = @FromTagId;  -- Cascades to leftover links
+        END
+
+        SET @Message = 'Renamed tag "' + @FromTag + '" to "' + @ToTag + '" (' + CAST(@Count AS VARCHAR) + ' favorites)';
+        SELECT @Message AS Message, CAST(1 AS BIT) AS Success, @Count AS RenamedCount;
+
+        COMMIT TRANSACTION;
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        SELECT @ErrorMessage AS Message, CAST(0 AS BIT) AS Success, 0 AS RenamedCount;
+    END CATCH
+END;
+GO
+
+PRINT 'Tag tables and stored procedures created successfully!';
+PRINT 'You can now test them with:';
+PRINT '  EXEC FavoritesDemo.sp_AddFavoriteTag @Url = ''https://github.com'', @Tag = ''dev'';';
+PRINT '  EXEC FavoritesDemo.sp_GetUserTags;';
+PRINT '  EXEC FavoritesDemo.sp_RenameTag @FromTag = ''dev'', @ToTag = ''code'';';
@@ -0,0 +1,361 @@
+-- =====================================================================================
+-- FAVORITES DEMO - COLLECTIONS
+-- =====================================================================================
+-- Schema: FavoritesDemo
+-- Purpose: Nested collections (folders) for favorites (CREATE_COLLECTION, RENAME_COLLECTION,
+--          MOVE_COLLECTION, DELETE_COLLECTION and MOVE_TO_COLLECTION in the store)
+-- Run this file after 04_create_tags.sql (sp_GetUserFavorites keeps its Tags column)
+--
+-- Tables:
+--   FavoritesDemo.Collections       one row per collection; ParentCollectionId nests them
+--   FavoritesDemo.UserFavorites     gains a nullable CollectionId (NULL = top level)
+--
+-- Collection ids are generated by the client, so undo and saved history can recreate
+-- a deleted collection under the same id.
+-- =====================================================================================
+
+USE TestNet_001;
+GO
+
+-- =====================================================================================
+-- 1. TABLES
+-- =====================================================================================
+IF OBJECT_ID('FavoritesDemo.Collections', 'U') IS NULL
+BEGIN
+    CREATE TABLE FavoritesDemo.Collections (
+        CollectionId NVARCHAR(64) NOT NULL CONSTRAINT PK_Collections PRIMARY KEY,
+        UserId INT NOT NULL,
+        Name NVARCHAR(100) NOT NULL,
+        ParentCollectionId NVARCHAR(64) NULL,
+        CreatedDate DATETIME2 NOT NULL CONSTRAINT DF_Collections_CreatedDate DEFAULT GETUTCDATE(),
+        CONSTRAINT FK_Collections_Parent FOREIGN KEY (ParentCollectionId)
+            REFERENCES FavoritesDemo.Collections (CollectionId)
+    );
+    CREATE INDEX IX_Collections_UserId_Parent ON FavoritesDemo.Collections (UserId, ParentCollectionId);
+    PRINT 'Created FavoritesDemo.Collections';
+END
+GO
+
+IF COL_LENGTH('FavoritesDemo.UserFavorites', 'CollectionId') IS NULL
+BEGIN
+    ALTER TABLE FavoritesDemo.UserFavorites
+        ADD CollectionId NVARCHAR(64) NULL
+            CONSTRAINT FK_UserFavorites_Collections FOREIGN KEY REFERENCES FavoritesDemo.Collections (CollectionId);
+    PRINT 'Added FavoritesDemo.UserFavorites.CollectionId';
+END
+GO
+
+-- =====================================================================================
+-- 2. GET USER FAVORITES (now with CollectionId)
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_GetUserFavorites
+    @UserId INT = 1
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    SELECT
+        uf.UserFavoriteId,
+        r.ResourceId,
+        r.Url,
+        COALESCE(uf.UserDisplayName, r.DisplayName) AS name,  -- User override or default
+        r.Description,
+        r.FaviconUrl,
+        uf.CreatedDate AS FavoritedDate,
+        uf.LastAccessedDate,
+        uf.AccessCount,
+        uf.UserNotes,
+        uf.SortOrder,
+        uf.CollectionId,
+        (
+            SELECT STRING_AGG(t.Name, ',') WITHIN GROUP (ORDER BY uft.CreatedDate, t.Name)
+            FROM FavoritesDemo.UserFavoriteTags uft
+            INNER JOIN FavoritesDemo.Tags t ON uft.TagId = t.TagId
+            WHERE uft.UserFavoriteId = uf.UserFavoriteId
+        ) AS Tags
+    FROM FavoritesDemo.UserFavorites uf
+    INNER JOIN FavoritesDemo.Resources r ON uf.ResourceId = r.ResourceId
+    WHERE uf.UserId = @UserId
+        AND uf.IsActive = 1
+        AND r.IsActive = 1
+    ORDER BY
+        COALESCE(uf.SortOrder, 999999),  -- Custom order first
+        uf.CreatedDate DESC;             -- Then by date added
+END;
+GO
+
+-- =====================================================================================
+-- 3. GET USER COLLECTIONS (flat list; ParentCollectionId links the tree)
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_GetUserCollections
+    @UserId INT = 1
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    SELECT
+        c.CollectionId,
+        c.Name,
+        c.ParentCollectionId,
+        c.CreatedDate
+    FROM FavoritesDemo.Collections c
+    WHERE c.UserId = @UserId
+    ORDER BY c.CreatedDate, c.CollectionId;
+END;
+GO
+
+-- =====================================================================================
+-- 4. CREATE COLLECTION (replaces favoritesStore.createCollection)
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_CreateCollection
+    @UserId INT = 1,
+    @CollectionId NVARCHAR(64),
+    @Name NVARCHAR(100),
+    @ParentCollectionId NVARCHAR(64) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+    BEGIN TRY
+        DECLARE @Message NVARCHAR(255);
+
+        IF EXISTS (SELECT 1 FROM FavoritesDemo.Collections WHERE CollectionId = @CollectionId)
+        BEGIN
+            SET @Message = 'Collection already exists: ' + @CollectionId;
+            SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+            RETURN;
+        END
+
+        IF @ParentCollectionId IS NOT NULL AND NOT EXISTS (
+            SELECT 1 FROM FavoritesDemo.Collections
+            WHERE CollectionId = @ParentCollectionId AND UserId = @UserId)
+        BEGIN
+            SET @Message = 'Unknown parent collection: ' + @ParentCollectionId;
+            SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+            RETURN;
+        END
+
+        INSERT INTO FavoritesDemo.Collections (CollectionId, UserId, Name, ParentCollectionId)
+        VALUES (@CollectionId, @UserId, @Name, @ParentCollectionId);
+
+        SET @Message = 'Created collection "' + @Name + '"';
+        SELECT @Message AS Message, CAST(1 AS BIT) AS Success;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        SELECT @ErrorMessage AS Message, CAST(0 AS BIT) AS Success;
+    END CATCH
+END;
+GO
+
+-- =====================================================================================
+-- 5. RENAME COLLECTION (replaces favoritesStore.renameCollection)
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_RenameCollection
+    @UserId INT = 1,
+    @CollectionId NVARCHAR(64),
+    @Name NVARCHAR(100)
+AS
+BEGIN
+    SET NOCOUNT ON;
+    BEGIN TRY
+        DECLARE @Message NVARCHAR(255);
+
+        UPDATE FavoritesDemo.Collections
+        SET Name = @Name
+        WHERE CollectionId = @CollectionId AND UserId = @UserId AND Name <> @Name;
+
+        IF @@ROWCOUNT = 0
+        BEGIN
+            SET @Message = 'Collection not found or already named "' + @Name + '"';
+            SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+            RETURN;
+        END
+
+        SET @Message = 'Renamed collection to "' + @Name + '"';
+        SELECT @Message AS Message, CAST(1 AS BIT) AS Success;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        SELECT @ErrorMessage AS Message, CAST(0 AS BIT) AS Success;
+    END CATCH
+END;
+GO
+
+-- =====================================================================================
+-- 6. MOVE COLLECTION (replaces favoritesStore.moveCollection; NULL parent = top level)
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_MoveCollection
+    @UserId INT = 1,
+    @CollectionId NVARCHAR(64),
+    @ParentCollectionId NVARCHAR(64) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+    BEGIN TRY
+        DECLARE @Message NVARCHAR(255);
+
+        IF NOT EXISTS (SELECT 1 FROM FavoritesDemo.Collections
+                       WHERE CollectionId = @CollectionId AND UserId = @UserId)
+        BEGIN
+            SET @Message = 'Unknown collection: ' + @CollectionId;
+            SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+            RETURN;
+        END
+
+        IF @ParentCollectionId IS NOT NULL
+        BEGIN
+            IF NOT EXISTS (SELECT 1 FROM FavoritesDemo.Collections
+                           WHERE CollectionId = @ParentCollectionId AND UserId = @UserId)
+            BEGIN
+                SET @Message = 'Unknown parent collection: ' + @ParentCollectionId;
+                SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+                RETURN;
+            END
+
+            -- The new parent must not be the collection itself or one of its descendants
+            ;WITH Subtree AS (
+                SELECT CollectionId FROM FavoritesDemo.Collections WHERE CollectionId = @CollectionId
+                UNION ALL
+                SELECT c.CollectionId
+                FROM FavoritesDemo.Collections c
+                INNER JOIN Subtree s ON c.ParentCollectionId = s.CollectionId
+            )
+            SELECT @Message = 'Cannot move a collection into itself or one of its descendants'
+            FROM Subtree WHERE CollectionId = @ParentCollectionId;
+
+            IF @Message IS NOT NULL
+            BEGIN
+                SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+                RETURN;
+            END
+        END
+
+        UPDATE FavoritesDemo.Collections
+        SET ParentCollectionId = @ParentCollectionId
+        WHERE CollectionId = @CollectionId
+            AND ISNULL(ParentCollectionId, N'') <> ISNULL(@ParentCollectionId, N'');
+
+        IF @@ROWCOUNT = 0
+        BEGIN
+            SET @Message = 'Collection is already there';
+            SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+            RETURN;
+        END
+
+        SET @Message = 'Moved collection ' + @CollectionId;
+        SELECT @Message AS Message, CAST(1 AS BIT) AS Success;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        SELECT @ErrorMessage AS Message, CAST(0 AS BIT) AS Success;
+    END CATCH
+END;
+GO
+
+-- =====================================================================================
+-- 7. DELETE COLLECTION (replaces favoritesStore.deleteCollection)
+-- =====================================================================================
+-- The store deletes a collection with its children by first removing the favorites
+-- and deleting the child collections; anything still inside moves up to the parent.
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_DeleteCollection
+    @UserId INT = 1,
+    @CollectionId NVARCHAR(64)
+AS
+BEGIN
+    SET NOCOUNT ON;
+    BEGIN TRY
+        BEGIN TRANSACTION;
+
+        DECLARE @ParentCollectionId NVARCHAR(64);
+        DECLARE @Message NVARCHAR(255);
+
+        SELECT @ParentCollectionId = ParentCollectionId
+        FROM FavoritesDemo.Collections
+        WHERE CollectionId = @CollectionId AND UserId = @UserId;
+
+        IF @@ROWCOUNT = 0
+        BEGIN
+            SET @Message = 'Unknown collection: ' + @CollectionId;
+            SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+            ROLLBACK TRANSACTION;
+            RETURN;
+        END
+
+        UPDATE FavoritesDemo.UserFavorites
+        SET CollectionId = @ParentCollectionId
+        WHERE CollectionId = @CollectionId;
+
+        UPDATE FavoritesDemo.Collections
+        SET ParentCollectionId = @ParentCollectionId
+        WHERE ParentCollectionId = @CollectionId;
+
+        DELETE FROM FavoritesDemo.Collections WHERE CollectionId = @CollectionId;
+
+        SET @Message = 'Deleted collection ' + @CollectionId;
+        SELECT @Message AS Message, CAST(1 AS BIT) AS Success;
+
+        COMMIT TRANSACTION;
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        SELECT @ErrorMessage AS Message, CAST(0 AS BIT) AS Success;
+    END CATCH
+END;
+GO
+
+-- =====================================================================================
+-- 8. MOVE FAVORITE TO COLLECTION (replaces favoritesStore.moveToCollection)
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_MoveFavoriteToCollection
+    @UserId INT = 1,
+    @Url NVARCHAR(500),
+    @CollectionId NVARCHAR(64) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+    BEGIN TRY
+        DECLARE @Message NVARCHAR(255);
+
+        IF @CollectionId IS NOT NULL AND NOT EXISTS (
+            SELECT 1 FROM FavoritesDemo.Collections
+            WHERE CollectionId = @CollectionId AND UserId = @UserId)
+        BEGIN
+            SET @Message = 'Unknown collection: ' + @CollectionId;
+            SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+            RETURN;
+        END
+
+        UPDATE uf
+        SET CollectionId = @CollectionId
+        FROM FavoritesDemo.UserFavorites uf
+        INNER JOIN FavoritesDemo.Resources r ON uf.ResourceId = r.ResourceId
+        WHERE uf.UserId = @UserId AND uf.IsActive = 1 AND r.Url = @Url
+            AND ISNULL(uf.CollectionId, N'') <> ISNULL(@CollectionId, N'');
+
+        IF @@ROWCOUNT = 0
+        BEGIN
+            SET @Message = '"' + @Url + '" is not in favorites or already there';
+            SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+            RETURN;
+        END
+
+        SET @Message = 'Moved "' + @Url + '" to ' + ISNULL(@CollectionId, 'the top level');
+        SELECT @Message AS Message, CAST(1 AS BIT) AS Success;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        SELECT @ErrorMessage AS Message, CAST(0 AS BIT) AS Success;
+    END CATCH
+END;
+GO
+
+PRINT 'Collection table and stored procedures created successfully!';
+PRINT 'You can now test them with:';
+PRINT '  EXEC FavoritesDemo.sp_CreateCollection @CollectionId = ''col-work'', @Name = ''Work'';';
+PRINT '  EXEC FavoritesDemo.sp_MoveFavoriteToCollection @Url = ''https://github.com'', @CollectionId = ''col-work'';';
+PRINT '  EXEC FavoritesDemo.sp_GetUserCollections;';
@@ -0,0 +1,66 @@
+-- =====================================================================================
+-- FAVORITES DEMO - MANUAL ORDER
+-- =====================================================================================
+-- Schema: FavoritesDemo
+-- Purpose: Let the client set UserFavorites.SortOrder (MOVE_FAVORITE in the store).
+--          sp_GetUserFavorites already orders by SortOrder, so nothing else changes.
+-- Run this file after 05_create_collections.sql
+--
+-- The client sends the favorites in their new order as a JSON array of URLs; each one
+-- gets SortOrder = @StartIndex + its position. Favorites not in the list keep theirs.
+-- =====================================================================================
+
+USE TestNet_001;
+GO
+
+-- =====================================================================================
+-- 1. REORDER FAVORITES
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_ReorderFavorites
+    @UserId INT = 1,
+    @Urls NVARCHAR(MAX),
+    @StartIndex INT = 0
+AS
+BEGIN
+    SET NOCOUNT ON;
+    BEGIN TRY
+        DECLARE @Message NVARCHAR(255);
+        DECLARE @Updated INT;
+
+        IF ISJSON(@Urls) = 0
+        BEGIN
+            SELECT 'Urls must be a JSON array' AS Message, CAST(0 AS BIT) AS Success;
+            RETURN;
+        END
+
+        -- OPENJSON numbers array elements from 0 in [key]
+        UPDATE uf
+        SET SortOrder = @StartIndex + CAST(o.[key] AS INT)
+        FROM FavoritesDemo.UserFavorites uf
+        INNER JOIN FavoritesDemo.Resources r ON uf.ResourceId = r.ResourceId
+        INNER JOIN OPENJSON(@Urls) o ON r.Url = o.[value]
+        WHERE uf.UserId = @UserId AND uf.IsActive = 1
+            AND ISNULL(uf.SortOrder, -1) <> @StartIndex + CAST(o.[key] AS INT);
+        SET @Updated = @@ROWCOUNT;
+
+        IF @Updated = 0
+        BEGIN
+            SELECT 'Order unchanged' AS Message, CAST(0 AS BIT) AS Success;
+            RETURN;
+        END
+
+        SET @Message = 'Reordered ' + CAST(@Updated AS NVARCHAR(10)) + ' favorites';
+        SELECT @Message AS Message, CAST(1 AS BIT) AS Success;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        SELECT @ErrorMessage AS Message, CAST(0 AS BIT) AS Success;
+    END CATCH
+END;
+GO
+
+PRINT 'Favorite order stored procedure created successfully!';
+PRINT 'You can now test it with:';
+PRINT '  EXEC FavoritesDemo.sp_ReorderFavorites @Urls = N''["https://github.com", "https://stackoverflow.com"]'';';
+PRINT '  EXEC FavoritesDemo.sp_GetUserFavorites;';
@@ -0,0 +1,113 @@
+-- =====================================================================================
+-- FAVORITES DEMO - EDIT DISPLAY NAMES AND NOTES
+-- =====================================================================================
+-- Schema: FavoritesDemo
+-- Purpose: Edit a favorite's display name and notes after it was added
+--          (UPDATE_FAVORITE in the store). sp_AddFavorite already stores both on insert.
+-- Run this file after 06_create_favorite_order.sql
+--
+-- Only the fields whose @Set... flag is 1 change, so the client can edit one field
+-- or clear one (NULL) without touching the other. A cleared display name falls back
+-- to the resource's own name, which sp_GetUserFavorites now returns in its own column
+-- (DefaultDisplayName) so the client never mistakes it for a name the user set.
+-- =====================================================================================
+
+USE TestNet_001;
+GO
+
+-- =====================================================================================
+-- 1. UPDATE FAVORITE
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_UpdateFavorite
+    @UserId INT = 1,
+    @Url NVARCHAR(500),
+    @DisplayName NVARCHAR(200) = NULL,
+    @UserNotes NVARCHAR(1000) = NULL,
+    @SetDisplayName BIT = 0,
+    @SetNotes BIT = 0
+AS
+BEGIN
+    SET NOCOUNT ON;
+    BEGIN TRY
+        DECLARE @Message NVARCHAR(255);
+
+        IF @SetDisplayName = 0 AND @SetNotes = 0
+        BEGIN
+            SELECT 'Nothing to update' AS Message, CAST(0 AS BIT) AS Success;
+            RETURN;
+        END
+
+        UPDATE uf
+        SET UserDisplayName = CASE WHEN @SetDisplayName = 1 THEN @DisplayName ELSE uf.UserDisplayName END,
+            UserNotes = CASE WHEN @SetNotes = 1 THEN @UserNotes ELSE uf.UserNotes END
+        FROM FavoritesDemo.UserFavorites uf
+        INNER JOIN FavoritesDemo.Resources r ON uf.ResourceId = r.ResourceId
+        WHERE uf.UserId = @UserId AND uf.IsActive = 1 AND r.Url = @Url
+            AND (
+                (@SetDisplayName = 1 AND ISNULL(uf.UserDisplayName, N'') <> ISNULL(@DisplayName, N''))
+                OR (@SetNotes = 1 AND ISNULL(uf.UserNotes, N'') <> ISNULL(@UserNotes, N''))
+            );
+
+        IF @@ROWCOUNT = 0
+        BEGIN
+            SET @Message = '"' + @Url + '" is not in favorites or already up to date';
+            SELECT @Message AS Message, CAST(0 AS BIT) AS Success;
+            RETURN;
+        END
+
+        SET @Message = 'Updated "' + @Url + '"';
+        SELECT @Message AS Message, CAST(1 AS BIT) AS Success;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        SELECT @ErrorMessage AS Message, CAST(0 AS BIT) AS Success;
+    END CATCH
+END;
+GO
+
+-- =====================================================================================
+-- 2. GET USER FAVORITES (user and default display names apart)
+-- =====================================================================================
+CREATE OR ALTER PROCEDURE FavoritesDemo.sp_GetUserFavorites
+    @UserId INT = 1
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    SELECT
+        uf.UserFavoriteId,
+        r.ResourceId,
+        r.Url,
+        COALESCE(uf.UserDisplayName, r.DisplayName) AS name,  -- User override or default
+        uf.UserDisplayName,                                   -- NULL = no name set by the user
+        r.DisplayName AS DefaultDisplayName,
+        r.Description,
+        r.FaviconUrl,
+        uf.CreatedDate AS FavoritedDate,
+        uf.LastAccessedDate,
+        uf.AccessCount,
+        uf.UserNotes,
+        uf.SortOrder,
+        uf.CollectionId,
+        (
+            SELECT STRING_AGG(t.Name, ',') WITHIN GROUP (ORDER BY uft.CreatedDate, t.Name)
+            FROM FavoritesDemo.UserFavoriteTags uft
+            INNER JOIN FavoritesDemo.Tags t ON uft.TagId = t.TagId
+            WHERE uft.UserFavoriteId = uf.UserFavoriteId
+        ) AS Tags
+    FROM FavoritesDemo.UserFavorites uf
+    INNER JOIN FavoritesDemo.Resources r ON uf.ResourceId = r.ResourceId
+    WHERE uf.UserId = @UserId
+        AND uf.IsActive = 1
+        AND r.IsActive = 1
+    ORDER BY
+        COALESCE(uf.SortOrder, 999999),  -- Custom order first
+        uf.CreatedDate DESC;             -- Then by date added
+END;
+GO
+
+PRINT 'Update favorite stored procedure created successfully!';
+PRINT 'You can now test it with:';
+PRINT '  EXEC FavoritesDemo.sp_UpdateFavorite @Url = ''https://github.com'', @DisplayName = ''GitHub (work)'', @SetDisplayName = 1;';
+PRINT '  EXEC FavoritesDemo.sp_GetUserFavorites;';
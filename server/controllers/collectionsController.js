@@ -0,0 +1,92 @@
+import { executeStoredProcedure } from '../services/dbService.js';
+
+// Collection ids are chosen by the client (so undo can recreate a collection under
+// the same id); names are trimmed like the client store does
+const readId = (value) => (typeof value === 'string' ? value.trim() : '');
+const readName = (value) => (typeof value === 'string' ? value.trim() : '');
+const readParentId = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+export async function getUserCollections(req, res) {
+  try {
+    const userId = parseInt(req.query.userId) || 1;
+    const results = await executeStoredProcedure('FavoritesDemo.sp_GetUserCollections', { userId });
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export async function createCollection(req, res) {
+  try {
+    const collectionId = readId(req.body && req.body.id);
+    const name = readName(req.body && req.body.name);
+    const parentId = readParentId(req.body && req.body.parentId);
+    const userId = req.body && req.body.userId ? parseInt(req.body.userId) : 1;
+    if (!collectionId || !name) {
+      return res.status(400).json({ error: 'Collection id and name are required' });
+    }
+    const results = await executeStoredProcedure('FavoritesDemo.sp_CreateCollection', { userId, collectionId, name, parentId });
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export async function renameCollection(req, res) {
+  try {
+    const collectionId = readId(req.params.id);
+    const name = readName(req.body && req.body.name);
+    const userId = req.body && req.body.userId ? parseInt(req.body.userId) : 1;
+    if (!collectionId || !name) {
+      return res.status(400).json({ error: 'Collection id and name are required' });
+    }
+    const results = await executeStoredProcedure('FavoritesDemo.sp_RenameCollection', { userId, collectionId, name });
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export async function moveCollection(req, res) {
+  try {
+    const collectionId = readId(req.params.id);
+    const parentId = readParentId(req.body && req.body.parentId);
+    const userId = req.body && req.body.userId ? parseInt(req.body.userId) : 1;
+    if (!collectionId) {
+      return res.status(400).json({ error: 'Collection id is required' });
+    }
+    const results = await executeStoredProcedure('FavoritesDemo.sp_MoveCollection', { userId, collectionId, parentId });
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export async function deleteCollection(req, res) {
+  try {
+    const collectionId = readId(req.params.id);
+    const userId = req.body && req.body.userId ? parseInt(req.body.userId) : 1;
+    if (!collectionId) {
+      return res.status(400).json({ error: 'Collection id is required' });
+    }
+    const results = await executeStoredProcedure('FavoritesDemo.sp_DeleteCollection', { userId, collectionId });
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export async function moveFavoriteToCollection(req, res) {
+  try {
+    const { url } = req.body || {};
+    const collectionId = readParentId(req.body && req.body.collectionId);
+    const userId = req.body && req.body.userId ? parseInt(req.body.userId) : 1;
+    if (!url || typeof url !== 'string' || !url.trim()) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+    const results = await executeStoredProcedure('FavoritesDemo.sp_MoveFavoriteToCollection', { userId, url, collectionId });
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
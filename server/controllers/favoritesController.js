@@ -68,3 +68,54 @@ export async function clearAllFavorites(req, res) {
     res.status(500).json({ error: error.message });
   }
 }
+
+export async function reorderFavorites(req, res) {
+  try {
+    const { urls } = req.body || {};
+    const startIndex = req.body && req.body.startIndex !== undefined ? parseInt(req.body.startIndex) : 0;
+    const userId = req.body && req.body.userId ? parseInt(req.body.userId) : 1;
+    if (!Array.isArray(urls) || urls.length === 0 || !urls.every(url => typeof url === 'string' && url.trim())) {
+      return res.status(400).json({ error: 'urls must be a non-empty array of URLs' });
+    }
+    if (!Number.isInteger(startIndex) || startIndex < 0) {
+      return res.status(400).json({ error: 'startIndex must be a non-negative integer' });
+    }
+    // The procedure reads the order from a JSON array (position = array index)
+    const results = await executeStoredProcedure('FavoritesDemo.sp_ReorderFavorites', {
+      userId,
+      urls: JSON.stringify(urls),
+      startIndex
+    });
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export async function updateFavorite(req, res) {
+  try {
+    const body = req.body || {};
+    const { url } = body;
+    const userId = body.userId ? parseInt(body.userId) : 1;
+    if (!url || typeof url !== 'string' || !url.trim()) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+    // Only the fields present in the body change; null clears a field
+    const setDisplayName = Object.prototype.hasOwnProperty.call(body, 'displayName');
+    const setNotes = Object.prototype.hasOwnProperty.call(body, 'userNotes');
+    if (!setDisplayName && !setNotes) {
+      return res.status(400).json({ error: 'displayName or userNotes is required' });
+    }
+    const results = await executeStoredProcedure('FavoritesDemo.sp_UpdateFavorite', {
+      userId,
+      url,
+      displayName: setDisplayName ? body.displayName : null,
+      userNotes: setNotes ? body.userNotes : null,
+      setDisplayName,
+      setNotes
+    });
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
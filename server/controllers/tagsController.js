@@ -0,0 +1,66 @@
+import { executeStoredProcedure } from '../services/dbService.js';
+
+// Tags are stored trimmed and lower-cased, like the client store does; commas are
+// rejected because sp_GetUserFavorites returns a favorite's tags comma-joined
+const normalizeTag = (tag) => (typeof tag === 'string' ? tag.trim().toLowerCase() : '');
+
+export async function getUserTags(req, res) {
+  try {
+    const userId = parseInt(req.query.userId) || 1;
+    const results = await executeStoredProcedure('FavoritesDemo.sp_GetUserTags', { userId });
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export async function addFavoriteTag(req, res) {
+  try {
+    const { url } = req.body || {};
+    const tag = normalizeTag(req.body && req.body.tag);
+    const userId = req.body && req.body.userId ? parseInt(req.body.userId) : 1;
+    if (!url || typeof url !== 'string' || !url.trim()) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+    if (!tag || tag.includes(',')) {
+      return res.status(400).json({ error: 'Tag is required and cannot contain commas' });
+    }
+    const results = await executeStoredProcedure('FavoritesDemo.sp_AddFavoriteTag', { userId, url, tag });
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export async function removeFavoriteTag(req, res) {
+  try {
+    const { url } = req.body || {};
+    const tag = normalizeTag(req.body && req.body.tag);
+    const userId = req.body && req.body.userId ? parseInt(req.body.userId) : 1;
+    if (!url || typeof url !== 'string' || !url.trim()) {
+      return res.status(400).json({ error: 'URL is required' });
+    }
+    if (!tag || tag.includes(',')) {
+      return res.status(400).json({ error: 'Tag is required and cannot contain commas' });
+    }
+    const results = await executeStoredProcedure('FavoritesDemo.sp_RemoveFavoriteTag', { userId, url, tag });
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+export async function renameTag(req, res) {
+  try {
+    const from = normalizeTag(req.body && req.body.from);
+    const to = normalizeTag(req.body && req.body.to);
+    const userId = req.body && req.body.userId ? parseInt(req.body.userId) : 1;
+    if (!from || !to || to.includes(',')) {
+      return res.status(400).json({ error: 'Both "from" and "to" tags are required, without commas' });
+    }
+    const results = await executeStoredProcedure('FavoritesDemo.sp_RenameTag', { userId, fromTag: from, toTag: to });
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
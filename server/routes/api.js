@@ -6,8 +6,24 @@ import {
   getUserFavorites,
   addFavorite,
   removeFavorite,
-  clearAllFavorites
+  clearAllFavorites,
+  reorderFavorites,
+  updateFavorite
 } from '../controllers/favoritesController.js';
+import {
+  getUserTags,
+  addFavoriteTag,
+  removeFavoriteTag,
+  renameTag
+} from '../controllers/tagsController.js';
+import {
+  getUserCollections,
+  createCollection,
+  renameCollection,
+  moveCollection,
+  deleteCollection,
+  moveFavoriteToCollection
+} from '../controllers/collectionsController.js';
 
 const router = Router();
 
@@ -24,6 +40,22 @@ router.get('/frequently-visited', getFrequentlyVisited);
 router.get('/favorites', getUserFavorites);
 router.post('/favorites', addFavorite);
 router.delete('/favorites', removeFavorite);
+router.patch('/favorites', updateFavorite);
 router.delete('/favorites/all', clearAllFavorites);
+router.put('/favorites/order', reorderFavorites);
+
+// Tags
+router.get('/tags', getUserTags);
+router.put('/tags', renameTag);
+router.post('/favorites/tags', addFavoriteTag);
+router.delete('/favorites/tags', removeFavoriteTag);
+
+// Collections
+router.get('/collections', getUserCollections);
+router.post('/collections', createCollection);
+router.put('/collections/:id', renameCollection);
+router.put('/collections/:id/parent', moveCollection);
+router.delete('/collections/:id', deleteCollection);
+router.put('/favorites/collection', moveFavoriteToCollection);
 
 export default router;
@@ -77,6 +77,50 @@ export async function executeStoredProcedure(procedureName, parameters = {}) {
       case 'FavoritesDemo.sp_GetFavoritesCount':
         if (parameters.userId) request.input('UserId', sql.Int, parameters.userId);
         break;
+      case 'FavoritesDemo.sp_GetUserTags':
+        if (parameters.userId) request.input('UserId', sql.Int, parameters.userId);
+        break;
+      case 'FavoritesDemo.sp_AddFavoriteTag':
+      case 'FavoritesDemo.sp_RemoveFavoriteTag':
+        if (parameters.userId) request.input('UserId', sql.Int, parameters.userId);
+        if (parameters.url) request.input('Url', sql.NVarChar(500), parameters.url);
+        if (parameters.tag) request.input('Tag', sql.NVarChar(50), parameters.tag);
+        break;
+      case 'FavoritesDemo.sp_RenameTag':
+        if (parameters.userId) request.input('UserId', sql.Int, parameters.userId);
+        if (parameters.fromTag) request.input('FromTag', sql.NVarChar(50), parameters.fromTag);
+        if (parameters.toTag) request.input('ToTag', sql.NVarChar(50), parameters.toTag);
+        break;
+      case 'FavoritesDemo.sp_GetUserCollections':
+        if (parameters.userId) request.input('UserId', sql.Int, parameters.userId);
+        break;
+      case 'FavoritesDemo.sp_CreateCollection':
+      case 'FavoritesDemo.sp_RenameCollection':
+      case 'FavoritesDemo.sp_MoveCollection':
+      case 'FavoritesDemo.sp_DeleteCollection':
+        if (parameters.userId) request.input('UserId', sql.Int, parameters.userId);
+        if (parameters.collectionId) request.input('CollectionId', sql.NVarChar(64), parameters.collectionId);
+        if (parameters.name) request.input('Name', sql.NVarChar(100), parameters.name);
+        if (parameters.parentId) request.input('ParentCollectionId', sql.NVarChar(64), parameters.parentId);
+        break;
+      case 'FavoritesDemo.sp_MoveFavoriteToCollection':
+        if (parameters.userId) request.input('UserId', sql.Int, parameters.userId);
+        if (parameters.url) request.input('Url', sql.NVarChar(500), parameters.url);
+        if (parameters.collectionId) request.input('CollectionId', sql.NVarChar(64), parameters.collectionId);
+        break;
+      case 'FavoritesDemo.sp_UpdateFavorite':
+        if (parameters.userId) request.input('UserId', sql.Int, parameters.userId);
+        if (parameters.url) request.input('Url', sql.NVarChar(500), parameters.url);
+        if (parameters.displayName) request.input('DisplayName', sql.NVarChar(200), parameters.displayName);
+        if (parameters.userNotes) request.input('UserNotes', sql.NVarChar(1000), parameters.userNotes);
+        request.input('SetDisplayName', sql.Bit, Boolean(parameters.setDisplayName));
+        request.input('SetNotes', sql.Bit, Boolean(parameters.setNotes));
+        break;
+      case 'FavoritesDemo.sp_ReorderFavorites':
+        if (parameters.userId) request.input('UserId', sql.Int, parameters.userId);
+        if (parameters.urls) request.input('Urls', sql.NVarChar(sql.MAX), parameters.urls);
+        if (parameters.startIndex !== undefined) request.input('StartIndex', sql.Int, parameters.startIndex);
+        break;
     }
 
     const result = await request.execute(procedureName);
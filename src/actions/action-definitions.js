@@ -11,33 +11,91 @@
  * - Encapsulate operation logic and undo logic
  * - Provide action metadata (type, description)
  * - Maintain action parameter validation
- * - Persist changes to database via database service
+ * - Group several steps into one composite (transaction) command
+ * - Edit a favorite's display name and notes
+ * - Tag favorites, untag them and rename a tag across all favorites
+ * - Create, rename, move and delete nested collections, and move favorites
+ *   between them
+ * - Move a favorite to another place in the manual order (sortOrder)
+ * - Serialize actions (toJSON) and rehydrate them for persisted history
+ * - Persist changes through an injected persistence adapter
+ * - Describe persistence operations and local changes; the configured
+ *   consistency policy (strict, best-effort, optimistic) decides how they combine
  * 
  * Design Principles:
  * - Command Pattern: Each action is a complete command object
  * - Reversibility: Every action can be undone
  * - Encapsulation: Action logic is self-contained
  * - Metadata: Actions provide descriptive information
- * - Database Integration: All actions persist to database
+ * - Pluggable Persistence: Actions receive their adapter, never import one
+ * - Reported Outcomes: execute()/undo() return the policy's report ({ success, ... })
  */
 
-// Import database service functions for persistence
-import { 
-  addFavorite as dbAddFavorite, 
-  removeFavorite as dbRemoveFavorite, 
-  clearAllFavorites as dbClearAllFavorites 
-} from '../database-service.js';
+import { assertPersistenceAdapter } from '../persistence/persistence-adapter.js';
+import {
+  createFavoriteRecord,
+  createCollectionRecord,
+  normalizeFavoriteText,
+  normalizeTag,
+  normalizeCollectionName,
+  getManualOrder
+} from '../store/state-store.js';
+import { createSnapshotHolder, restoreSnapshotHolder, estimateRecordBytes } from '../store/snapshots.js';
+import { runWithPolicy } from './consistency-policies.js';
+
+/**
+ * Resolve the persistence adapter an action was given
+ * Actions never import a storage backend; the store injects one.
+ * @param {Object} context - Action context ({ persistence })
+ * @returns {Object} Validated persistence adapter
+ */
+const getPersistence = (context = {}) => assertPersistenceAdapter(context.persistence);
+
+/**
+ * Split an action subject into URL and record details
+ * @param {string|Object} favorite - URL string or { url, displayName, notes, ... }
+ * @returns {{ url: string, details: Object }} URL and remaining record fields
+ */
+const toUrlAndDetails = (favorite) => {
+  if (favorite && typeof favorite === 'object') {
+    const { url, ...details } = favorite;
+    return { url, details };
+  }
+  return { url: favorite, details: {} };
+};
+
+/**
+ * Build the JSON form shared by every action type.
+ * rehydrateAction() turns it back into a working command.
+ * @param {Object} action - Action being serialized
+ * @param {Object} params - Parameters for createAction()
+ * @param {*} undoData - Data captured at execute time that undo needs
+ * @returns {Object} { type, params, undoData, description, timestamp }
+ */
+const serializeAction = (action, params, undoData = null) => ({
+  type: action.type,
+  params,
+  undoData,
+  description: action.description,
+  timestamp: action.timestamp
+});
 
 /**
  * Creates an "Add Favorite" action
- * @param {string} url - The URL to add
+ * @param {string|Object} favorite - The URL to add, or a record { url, displayName, notes }
  * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context
+ * @param {Object} context.persistence - Persistence adapter to write through
+ * @param {Object} [context.outbox] - Outbox for changes that cannot be saved yet
+ * @param {string|Object} [context.consistency] - Consistency policy (default 'best-effort')
  * @returns {Object} Command object with execute/undo methods
  */
-export const createAddFavoriteAction = (url, stateStore) => {
+export const createAddFavoriteAction = (favorite, stateStore, context = {}) => {
+  const { url, details } = toUrlAndDetails(favorite);
   if (!url?.length || typeof url !== 'string') {
     throw new Error('URL must be a non-empty string');
   }
+  getPersistence(context);
   
   return {
     type: 'ADD_FAVORITE',
@@ -45,52 +103,39 @@ export const createAddFavoriteAction = (url, stateStore) => {
     description: `Add "${url}" to favorites`,
     timestamp: new Date().toISOString(),
     
+    // Checked when the command reaches the front of the queue
+    canExecute() {
+      return !stateStore.has(url);
+    },
+    
     async execute() {
-      try {
-        // First add to database
-        const dbSuccess = await dbAddFavorite(url);
-        
-        if (dbSuccess) {
-          // If database operation succeeded, update local state
-          const stateSuccess = stateStore.add(url);
-          console.log(`✅ Added "${url}" to favorites (database + local state)`);
-          return stateSuccess;
-        } else {
-          console.log(`ℹ️ "${url}" already exists in database`);
-          // Even if already in DB, ensure it's in local state
-          return stateStore.add(url);
-        }
-      } catch (error) {
-        console.error(`❌ Failed to add "${url}" to database:`, error.message);
-        // Fallback to local state only
-        const stateSuccess = stateStore.add(url);
-        console.log(`⚠️ Added "${url}" to local state only (database unavailable)`);
-        return stateSuccess;
-      }
+      return runWithPolicy(context, {
+        operations: [{ type: 'add', url, details }],
+        label: this.description,
+        apply: () => stateStore.add(url, details),
+        revert: () => stateStore.remove(url),
+        message: `Added "${url}" to favorites`
+      });
     },
     
     async undo() {
-      try {
-        // Remove from database
-        const dbSuccess = await dbRemoveFavorite(url);
-        
-        if (dbSuccess) {
-          // If database operation succeeded, update local state
-          const stateSuccess = stateStore.remove(url);
-          console.log(`✅ Removed "${url}" from favorites (undo - database + local state)`);
-          return stateSuccess;
-        } else {
-          console.log(`ℹ️ "${url}" was not in database (undo)`);
-          // Still remove from local state
-          return stateStore.remove(url);
-        }
-      } catch (error) {
-        console.error(`❌ Failed to remove "${url}" from database (undo):`, error.message);
-        // Fallback to local state only
-        const stateSuccess = stateStore.remove(url);
-        console.log(`⚠️ Removed "${url}" from local state only (undo - database unavailable)`);
-        return stateSuccess;
-      }
+      return runWithPolicy(context, {
+        operations: [{ type: 'remove', url }],
+        label: `Undo: ${this.description}`,
+        apply: () => stateStore.remove(url),
+        revert: () => stateStore.add(url, details),
+        message: `Removed "${url}" from favorites (undo)`
+      });
+    },
+    
+    // Approximate memory this history entry keeps alive (bounded history)
+    estimateSize() {
+      return estimateRecordBytes({ url, ...details });
+    },
+    
+    // Persisted history (see rehydrateAction)
+    toJSON() {
+      return serializeAction(this, { url, details });
     },
     
     // Metadata for debugging/logging
@@ -109,12 +154,19 @@ export const createAddFavoriteAction = (url, stateStore) => {
  * Creates a "Remove Favorite" action
  * @param {string} url - The URL to remove
  * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context
+ * @param {Object} context.persistence - Persistence adapter to write through
+ * @param {Object} [context.outbox] - Outbox for changes that cannot be saved yet
+ * @param {string|Object} [context.consistency] - Consistency policy (default 'best-effort')
  * @returns {Object} Command object with execute/undo methods
  */
-export const createRemoveFavoriteAction = (url, stateStore) => {
+export const createRemoveFavoriteAction = (url, stateStore, context = {}) => {
   if (!url?.length || typeof url !== 'string') {
     throw new Error('URL must be a non-empty string');
   }
+  getPersistence(context);
+  
+  let removedRecord = null; // Full record captured at execute time for undo
   
   return {
     type: 'REMOVE_FAVORITE',
@@ -122,52 +174,45 @@ export const createRemoveFavoriteAction = (url, stateStore) => {
     description: `Remove "${url}" from favorites`,
     timestamp: new Date().toISOString(),
     
+    canExecute() {
+      return stateStore.has(url);
+    },
+    
     async execute() {
-      try {
-        // First remove from database
-        const dbSuccess = await dbRemoveFavorite(url);
-        
-        if (dbSuccess) {
-          // If database operation succeeded, update local state
-          const stateSuccess = stateStore.remove(url);
-          console.log(`✅ Removed "${url}" from favorites (database + local state)`);
-          return stateSuccess;
-        } else {
-          console.log(`ℹ️ "${url}" was not in database`);
-          // Still remove from local state if it exists there
-          return stateStore.remove(url);
-        }
-      } catch (error) {
-        console.error(`❌ Failed to remove "${url}" from database:`, error.message);
-        // Fallback to local state only
-        const stateSuccess = stateStore.remove(url);
-        console.log(`⚠️ Removed "${url}" from local state only (database unavailable)`);
-        return stateSuccess;
-      }
+      // Capture the full record before removing it (for undo)
+      removedRecord = stateStore.get(url);
+      
+      return runWithPolicy(context, {
+        operations: [{ type: 'remove', url }],
+        label: this.description,
+        apply: () => stateStore.remove(url),
+        revert: () => stateStore.add(url, removedRecord || {}),
+        message: `Removed "${url}" from favorites`
+      });
     },
     
     async undo() {
-      try {
-        // Add back to database
-        const dbSuccess = await dbAddFavorite(url);
-        
-        if (dbSuccess) {
-          // If database operation succeeded, update local state
-          const stateSuccess = stateStore.add(url);
-          console.log(`✅ Added "${url}" back to favorites (undo - database + local state)`);
-          return stateSuccess;
-        } else {
-          console.log(`ℹ️ "${url}" already exists in database (undo)`);
-          // Still add to local state
-          return stateStore.add(url);
-        }
-      } catch (error) {
-        console.error(`❌ Failed to add "${url}" back to database (undo):`, error.message);
-        // Fallback to local state only
-        const stateSuccess = stateStore.add(url);
-        console.log(`⚠️ Added "${url}" to local state only (undo - database unavailable)`);
-        return stateSuccess;
-      }
+      // Restore the record as it was, including its name, notes and dates
+      const details = removedRecord || {};
+      return runWithPolicy(context, {
+        operations: [{ type: 'add', url, details }],
+        label: `Undo: ${this.description}`,
+        apply: () => stateStore.add(url, details),
+        revert: () => stateStore.remove(url),
+        message: `Added "${url}" back to favorites (undo)`
+      });
+    },
+    
+    estimateSize() {
+      return estimateRecordBytes(removedRecord || { url });
+    },
+    
+    toJSON() {
+      return serializeAction(this, { url }, { removedRecord });
+    },
+    
+    loadUndoData(data) {
+      removedRecord = data?.removedRecord ?? null;
     },
     
     getMetadata() {
@@ -184,12 +229,18 @@ export const createRemoveFavoriteAction = (url, stateStore) => {
 /**
  * Creates a "Clear All Favorites" action
  * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context
+ * @param {Object} context.persistence - Persistence adapter to write through
+ * @param {Object} [context.outbox] - Outbox for changes that cannot be saved yet
+ * @param {string|Object} [context.consistency] - Consistency policy (default 'best-effort')
  * @returns {Object} Command object with execute/undo methods
  */
-export const createClearAllAction = (stateStore) => {
+export const createClearAllAction = (stateStore, context = {}) => {
+  getPersistence(context);
+  
   // Capture current state for undo
   const currentCount = stateStore.getCount();
-  let previousState = null;
+  let previousState = null; // Snapshot holder, compacted when history runs low on memory
   
   return {
     type: 'CLEAR_ALL',
@@ -197,62 +248,62 @@ export const createClearAllAction = (stateStore) => {
     timestamp: new Date().toISOString(),
     affectedCount: currentCount,
     
+    canExecute() {
+      return !stateStore.isEmpty();
+    },
+    
     async execute() {
-      try {
-        // Capture state before clearing (for undo)
-        previousState = stateStore.getAll();
-        
-        // First clear from database
-        const dbSuccess = await dbClearAllFavorites();
-        
-        if (dbSuccess) {
-          // If database operation succeeded, clear local state
-          const stateSuccess = stateStore.clear();
-          console.log(`✅ Cleared all favorites (database + local state)`);
-          return stateSuccess;
-        } else {
-          console.log(`ℹ️ No favorites to clear in database`);
-          // Still clear local state
-          return stateStore.clear();
-        }
-      } catch (error) {
-        console.error(`❌ Failed to clear favorites from database:`, error.message);
-        // Fallback to local state only
-        const stateSuccess = stateStore.clear();
-        console.log(`⚠️ Cleared local state only (database unavailable)`);
-        return stateSuccess;
-      }
+      // Capture full records before clearing (for undo); earlier queued
+      // commands may have changed the count since this action was created
+      const records = stateStore.getAll();
+      previousState = createSnapshotHolder(records);
+      this.affectedCount = records.size;
+      this.description = `Clear all ${records.size} favorites`;
+      
+      return runWithPolicy(context, {
+        operations: [{ type: 'clear' }],
+        label: this.description,
+        apply: () => stateStore.clear(),
+        revert: () => stateStore.restore(records),
+        message: 'Cleared all favorites'
+      });
     },
     
     async undo() {
-      if (previousState) {
-        try {
-          // Re-add all items to database
-          const addPromises = previousState.map(url => dbAddFavorite(url));
-          const results = await Promise.allSettled(addPromises);
-          
-          // Count successes
-          const successes = results.filter(r => r.status === 'fulfilled' && r.value === true).length;
-          
-          if (successes > 0) {
-            // Restore local state
-            stateStore.restore(previousState);
-            console.log(`✅ Restored ${successes}/${previousState.size} favorites (undo - database + local state)`);
-            return true;
-          } else {
-            console.log(`ℹ️ Could not restore to database, restoring local state only`);
-            stateStore.restore(previousState);
-            return true;
-          }
-        } catch (error) {
-          console.error(`❌ Failed to restore favorites to database (undo):`, error.message);
-          // Fallback to local state only
-          stateStore.restore(previousState);
-          console.log(`⚠️ Restored local state only (undo - database unavailable)`);
-          return true;
-        }
+      if (!previousState) {
+        return false;
       }
-      return false;
+      
+      // Re-add all records in one batch, keeping their names and notes
+      const records = previousState.get();
+      return runWithPolicy(context, {
+        operations: Array.from(records.values(), record => ({ type: 'add', url: record.url, details: record })),
+        label: `Undo: ${this.description}`,
+        apply: () => stateStore.restore(records),
+        revert: () => stateStore.clear(),
+        message: `Restored ${records.size} favorites (undo)`
+      });
+    },
+    
+    estimateSize() {
+      return previousState ? previousState.estimateSize() : 0;
+    },
+    
+    // Pack the snapshot into one string; undo still works
+    compact() {
+      return previousState ? previousState.compact() : false;
+    },
+    
+    toJSON() {
+      return serializeAction(this, {}, {
+        affectedCount: this.affectedCount,
+        previousState: previousState ? previousState.toJSON() : null
+      });
+    },
+    
+    loadUndoData(data) {
+      previousState = data?.previousState ? restoreSnapshotHolder(data.previousState) : null;
+      this.affectedCount = data?.affectedCount ?? previousState?.size ?? 0;
     },
     
     getMetadata() {
@@ -267,158 +318,1345 @@ export const createClearAllAction = (stateStore) => {
 };
 
 /**
- * Creates a "Bulk Add" action for adding multiple URLs at once
- * @param {string[]} urls - Array of URLs to add
+ * Validate an action's URL
+ * @param {*} url - Value to validate
+ */
+const assertActionUrl = (url) => {
+  if (!url?.length || typeof url !== 'string') {
+    throw new Error('URL must be a non-empty string');
+  }
+};
+
+/**
+ * Creates an "Update Favorite" action: edits the display name and/or notes.
+ * Fields left out keep their value; null or a blank string clears one.
+ * @param {string} url - Favorite URL
+ * @param {{ displayName?: string|null, notes?: string|null }} fields - Fields to set
  * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context ({ persistence, outbox, consistency })
  * @returns {Object} Command object with execute/undo methods
  */
-export const createBulkAddAction = (urls, stateStore) => {
-  if (!Array.isArray(urls) || urls.length === 0) {
-    throw new Error('URLs must be a non-empty array');
+export const createUpdateFavoriteAction = (url, fields, stateStore, context = {}) => {
+  assertActionUrl(url);
+  const names = Object.keys(fields || {});
+  if (names.length === 0) {
+    throw new Error('No fields to update (expected displayName and/or notes)');
   }
+  const next = Object.fromEntries(names.map(field => [field, normalizeFavoriteText(field, fields[field])]));
+  getPersistence(context);
   
-  // Validate all URLs
-  const validUrls = urls.filter(url => url?.length && typeof url === 'string');
-  if (validUrls.length === 0) {
-    throw new Error('No valid URLs provided');
-  }
+  let previous; // Previous values of the edited fields, captured at execute time (undefined = not executed)
   
-  const addedUrls = []; // Track what was actually added for undo
+  const setFields = (values) => () => stateStore.update(url, values);
   
   return {
-    type: 'BULK_ADD',
-    urls: validUrls,
-    description: `Add ${validUrls.length} URLs to favorites`,
+    type: 'UPDATE_FAVORITE',
+    url,
+    fields: next,
+    description: `Edit ${names.join(' and ')} of "${url}"`,
     timestamp: new Date().toISOString(),
     
+    canExecute() {
+      const record = stateStore.get(url);
+      return record !== null && names.some(field => record[field] !== next[field]);
+    },
+    
     async execute() {
-      addedUrls.length = 0; // Reset tracking
-      
-      try {
-        // Add all URLs to database in parallel
-        const dbPromises = validUrls.map(url => dbAddFavorite(url));
-        const dbResults = await Promise.allSettled(dbPromises);
-        
-        let dbSuccessCount = 0;
-        
-        // Process results and update local state
-        validUrls.forEach((url, index) => {
-          const dbResult = dbResults[index];
-          const dbSuccess = dbResult.status === 'fulfilled' && dbResult.value === true;
-          
-          if (dbSuccess) {
-            dbSuccessCount++;
-          }
-          
-          // Add to local state regardless (for consistency)
-          const wasAdded = stateStore.add(url);
-          if (wasAdded) {
-            addedUrls.push(url);
-          }
-        });
-        
-        console.log(`✅ Bulk added ${dbSuccessCount}/${validUrls.length} URLs to database, ${addedUrls.length} to local state`);
-        return addedUrls.length > 0;
-        
-      } catch (error) {
-        console.error(`❌ Failed to bulk add to database:`, error.message);
-        
-        // Fallback to local state only
-        validUrls.forEach(url => {
-          const wasAdded = stateStore.add(url);
-          if (wasAdded) {
-            addedUrls.push(url);
-          }
-        });
-        
-        console.log(`⚠️ Bulk added ${addedUrls.length} URLs to local state only (database unavailable)`);
-        return addedUrls.length > 0;
-      }
+      const record = stateStore.get(url);
+      previous = Object.fromEntries(names.map(field => [field, record[field]]));
+      
+      return runWithPolicy(context, {
+        operations: [{ type: 'update', url, fields: next }],
+        label: this.description,
+        apply: setFields(next),
+        revert: setFields(previous),
+        message: `Updated "${url}"`
+      });
     },
     
     async undo() {
-      if (addedUrls.length === 0) {
+      if (previous === undefined) {
         return false;
       }
       
-      try {
-        // Remove all added URLs from database
-        const dbPromises = addedUrls.map(url => dbRemoveFavorite(url));
-        const dbResults = await Promise.allSettled(dbPromises);
-        
-        const dbSuccessCount = dbResults.filter(r => r.status === 'fulfilled' && r.value === true).length;
-        
-        // Remove from local state
-        let removedCount = 0;
-        addedUrls.forEach(url => {
-          const wasRemoved = stateStore.remove(url);
-          if (wasRemoved) {
-            removedCount++;
-          }
-        });
-        
-        addedUrls.length = 0; // Clear tracking
-        
-        console.log(`✅ Bulk removed ${dbSuccessCount}/${addedUrls.length} URLs from database (undo)`);
-        return removedCount > 0;
-        
-      } catch (error) {
-        console.error(`❌ Failed to bulk remove from database (undo):`, error.message);
-        
-        // Fallback to local state only
-        let removedCount = 0;
-        addedUrls.forEach(url => {
-          const wasRemoved = stateStore.remove(url);
-          if (wasRemoved) {
-            removedCount++;
-          }
-        });
-        
-        addedUrls.length = 0; // Clear tracking
-        
-        console.log(`⚠️ Bulk removed ${removedCount} URLs from local state only (undo - database unavailable)`);
-        return removedCount > 0;
-      }
+      return runWithPolicy(context, {
+        operations: [{ type: 'update', url, fields: previous }],
+        label: `Undo: ${this.description}`,
+        apply: setFields(previous),
+        revert: setFields(next),
+        message: `Restored ${names.join(' and ')} of "${url}" (undo)`
+      });
+    },
+    
+    estimateSize() {
+      return estimateRecordBytes({ url, ...next }) + (previous ? estimateRecordBytes(previous) : 0);
+    },
+    
+    toJSON() {
+      return serializeAction(this, { url, fields: next }, previous === undefined ? null : { previous });
+    },
+    
+    loadUndoData(data) {
+      previous = data ? data.previous : undefined;
     },
     
     getMetadata() {
       return {
         type: this.type,
-        urlCount: this.urls.length,
+        url: this.url,
+        fields: { ...this.fields },
         description: this.description,
-        timestamp: this.timestamp,
-        addedCount: addedUrls.length
+        timestamp: this.timestamp
       };
     }
   };
 };
 
 /**
- * Action factory - creates actions based on type and parameters
- * @param {string} actionType - The type of action to create
- * @param {Object} params - Parameters for the action
+ * Creates an "Add Tag" action
+ * @param {string} url - The favorite to tag
+ * @param {string} tag - Tag to add (normalized: trimmed, lower-cased)
  * @param {Object} stateStore - The state store to operate on
- * @returns {Object} The created action command
+ * @param {Object} context - Action context ({ persistence, outbox, consistency })
+ * @returns {Object} Command object with execute/undo methods
  */
-export const createAction = (actionType, params, stateStore) => {
-  switch (actionType) {
-    case 'ADD_FAVORITE':
-      return createAddFavoriteAction(params.url, stateStore);
+export const createAddTagAction = (url, tag, stateStore, context = {}) => {
+  assertActionUrl(url);
+  const normalizedTag = normalizeTag(tag);
+  getPersistence(context);
+  
+  const tagsOf = () => stateStore.get(url)?.tags || [];
+  const addTag = () => stateStore.update(url, { tags: [...tagsOf(), normalizedTag] });
+  const removeTag = () => stateStore.update(url, { tags: tagsOf().filter(existing => existing !== normalizedTag) });
+  
+  return {
+    type: 'ADD_TAG',
+    url,
+    tag: normalizedTag,
+    description: `Tag "${url}" with "${normalizedTag}"`,
+    timestamp: new Date().toISOString(),
+    
+    canExecute() {
+      return stateStore.has(url) && !tagsOf().includes(normalizedTag);
+    },
+    
+    async execute() {
+      return runWithPolicy(context, {
+        operations: [{ type: 'tag', url, tag: normalizedTag }],
+        label: this.description,
+        apply: addTag,
+        revert: removeTag,
+        message: `Tagged "${url}" with "${normalizedTag}"`
+      });
+    },
+    
+    async undo() {
+      return runWithPolicy(context, {
+        operations: [{ type: 'untag', url, tag: normalizedTag }],
+        label: `Undo: ${this.description}`,
+        apply: removeTag,
+        revert: addTag,
+        message: `Removed tag "${normalizedTag}" from "${url}" (undo)`
+      });
+    },
+    
+    estimateSize() {
+      return estimateRecordBytes({ url, tags: [normalizedTag] });
+    },
+    
+    toJSON() {
+      return serializeAction(this, { url, tag: normalizedTag });
+    },
+    
+    getMetadata() {
+      return {
+        type: this.type,
+        url: this.url,
+        tag: this.tag,
+        description: this.description,
+        timestamp: this.timestamp
+      };
+    }
+  };
+};
+
+/**
+ * Creates a "Remove Tag" action
+ * @param {string} url - The favorite to untag
+ * @param {string} tag - Tag to remove (normalized: trimmed, lower-cased)
+ * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context ({ persistence, outbox, consistency })
+ * @returns {Object} Command object with execute/undo methods
+ */
+export const createRemoveTagAction = (url, tag, stateStore, context = {}) => {
+  assertActionUrl(url);
+  const normalizedTag = normalizeTag(tag);
+  getPersistence(context);
+  
+  let position = null; // Where the tag was, so undo puts it back in place
+  
+  const tagsOf = () => stateStore.get(url)?.tags || [];
+  const removeTag = () => stateStore.update(url, { tags: tagsOf().filter(existing => existing !== normalizedTag) });
+  const restoreTag = () => {
+    const tags = tagsOf();
+    tags.splice(Math.min(position ?? tags.length, tags.length), 0, normalizedTag);
+    return stateStore.update(url, { tags });
+  };
+  
+  return {
+    type: 'REMOVE_TAG',
+    url,
+    tag: normalizedTag,
+    description: `Remove tag "${normalizedTag}" from "${url}"`,
+    timestamp: new Date().toISOString(),
+    
+    canExecute() {
+      return tagsOf().includes(normalizedTag);
+    },
+    
+    async execute() {
+      position = tagsOf().indexOf(normalizedTag);
       
-    case 'REMOVE_FAVORITE':
-      return createRemoveFavoriteAction(params.url, stateStore);
+      return runWithPolicy(context, {
+        operations: [{ type: 'untag', url, tag: normalizedTag }],
+        label: this.description,
+        apply: removeTag,
+        revert: restoreTag,
+        message: `Removed tag "${normalizedTag}" from "${url}"`
+      });
+    },
+    
+    async undo() {
+      return runWithPolicy(context, {
+        operations: [{ type: 'tag', url, tag: normalizedTag }],
+        label: `Undo: ${this.description}`,
+        apply: restoreTag,
+        revert: removeTag,
+        message: `Tagged "${url}" with "${normalizedTag}" again (undo)`
+      });
+    },
+    
+    estimateSize() {
+      return estimateRecordBytes({ url, tags: [normalizedTag] });
+    },
+    
+    toJSON() {
+      return serializeAction(this, { url, tag: normalizedTag }, { position });
+    },
+    
+    loadUndoData(data) {
+      position = data?.position ?? null;
+    },
+    
+    getMetadata() {
+      return {
+        type: this.type,
+        url: this.url,
+        tag: this.tag,
+        description: this.description,
+        timestamp: this.timestamp
+      };
+    }
+  };
+};
+
+/**
+ * Creates a "Rename Tag" action: every favorite carrying `from` carries `to`
+ * instead. Favorites that already had `to` simply lose `from` (tags merge).
+ * @param {string} from - Tag to rename
+ * @param {string} to - New tag name
+ * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context ({ persistence, outbox, consistency })
+ * @returns {Object} Command object with execute/undo methods
+ */
+export const createRenameTagAction = (from, to, stateStore, context = {}) => {
+  const fromTag = normalizeTag(from);
+  const toTag = normalizeTag(to);
+  getPersistence(context);
+  
+  // Captured at execute time for undo: tags per affected URL, and whether
+  // any favorite already carried the new name (then a reverse rename would
+  // also rename those, so undo untags URL by URL instead)
+  let affected = null; // [{ url, tags }]
+  let merged = false;
+  
+  const renamed = (tags) => Array.from(new Set(tags.map(tag => (tag === fromTag ? toTag : tag))));
+  const applyTags = (pick) => {
+    affected.forEach(entry => stateStore.update(entry.url, { tags: pick(entry.tags) }));
+    return affected.length > 0;
+  };
+  
+  return {
+    type: 'RENAME_TAG',
+    from: fromTag,
+    to: toTag,
+    description: `Rename tag "${fromTag}" to "${toTag}"`,
+    timestamp: new Date().toISOString(),
+    
+    canExecute() {
+      return fromTag !== toTag && stateStore.getUrlsByTag(fromTag).length > 0;
+    },
+    
+    async execute() {
+      affected = stateStore.getUrlsByTag(fromTag).map(url => ({ url, tags: stateStore.get(url).tags }));
+      merged = stateStore.getUrlsByTag(toTag).length > 0;
       
-    case 'CLEAR_ALL':
-      return createClearAllAction(stateStore);
+      return runWithPolicy(context, {
+        operations: [{ type: 'renameTag', from: fromTag, to: toTag }],
+        label: this.description,
+        apply: () => applyTags(renamed),
+        revert: () => applyTags(tags => tags),
+        message: () => `Renamed tag "${fromTag}" to "${toTag}" on ${affected.length} favorites`
+      });
+    },
+    
+    async undo() {
+      if (!affected) {
+        return false;
+      }
       
-    case 'BULK_ADD':
-      return createBulkAddAction(params.urls, stateStore);
+      const operations = merged
+        ? affected.flatMap(({ url, tags }) => [
+          ...(tags.includes(toTag) ? [] : [{ type: 'untag', url, tag: toTag }]),
+          { type: 'tag', url, tag: fromTag }
+        ])
+        : [{ type: 'renameTag', from: toTag, to: fromTag }];
       
-    default:
-      throw new Error(`Unknown action type: ${actionType}`);
+      return runWithPolicy(context, {
+        operations,
+        label: `Undo: ${this.description}`,
+        apply: () => applyTags(tags => tags),
+        revert: () => applyTags(renamed),
+        message: `Renamed tag "${toTag}" back to "${fromTag}" (undo)`
+      });
+    },
+    
+    estimateSize() {
+      return (affected || []).reduce((bytes, entry) => bytes + estimateRecordBytes(entry), 0);
+    },
+    
+    toJSON() {
+      return serializeAction(this, { from: fromTag, to: toTag }, affected ? { affected, merged } : null);
+    },
+    
+    loadUndoData(data) {
+      affected = data?.affected ?? null;
+      merged = Boolean(data?.merged);
+    },
+    
+    getMetadata() {
+      return {
+        type: this.type,
+        from: this.from,
+        to: this.to,
+        description: this.description,
+        timestamp: this.timestamp,
+        affectedCount: affected ? affected.length : 0
+      };
+    }
+  };
+};
+
+/**
+ * Validate an action's collection id
+ * @param {*} id - Value to validate
+ */
+const assertCollectionId = (id) => {
+  if (!id?.length || typeof id !== 'string') {
+    throw new Error('Collection id must be a non-empty string');
   }
 };
 
+/**
+ * Creates a "Create Collection" action
+ * @param {Object} collection - { id, name, parentId?, createdAt? } (the store generates the id)
+ * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context ({ persistence, outbox, consistency })
+ * @returns {Object} Command object with execute/undo methods
+ */
+export const createCreateCollectionAction = (collection, stateStore, context = {}) => {
+  const record = createCollectionRecord(collection?.id, collection);
+  const { id, name, parentId } = record;
+  getPersistence(context);
+  
+  return {
+    type: 'CREATE_COLLECTION',
+    collectionId: id,
+    description: `Create collection "${name}"`,
+    timestamp: new Date().toISOString(),
+    
+    canExecute() {
+      return !stateStore.hasCollection(id) && (parentId === null || stateStore.hasCollection(parentId));
+    },
+    
+    async execute() {
+      return runWithPolicy(context, {
+        operations: [{ type: 'createCollection', collection: record }],
+        label: this.description,
+        apply: () => stateStore.addCollection(id, record),
+        revert: () => stateStore.removeCollection(id),
+        message: `Created collection "${name}"`
+      });
+    },
+    
+    async undo() {
+      return runWithPolicy(context, {
+        operations: [{ type: 'deleteCollection', id }],
+        label: `Undo: ${this.description}`,
+        apply: () => stateStore.removeCollection(id),
+        revert: () => stateStore.addCollection(id, record),
+        message: `Deleted collection "${name}" (undo)`
+      });
+    },
+    
+    estimateSize() {
+      return estimateRecordBytes({ url: id, displayName: name });
+    },
+    
+    toJSON() {
+      return serializeAction(this, record);
+    },
+    
+    getMetadata() {
+      return {
+        type: this.type,
+        collectionId: id,
+        description: this.description,
+        timestamp: this.timestamp
+      };
+    }
+  };
+};
+
+/**
+ * Creates a "Rename Collection" action
+ * @param {string} id - Collection to rename
+ * @param {string} name - New name (trimmed)
+ * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context ({ persistence, outbox, consistency })
+ * @returns {Object} Command object with execute/undo methods
+ */
+export const createRenameCollectionAction = (id, name, stateStore, context = {}) => {
+  assertCollectionId(id);
+  const newName = normalizeCollectionName(name);
+  getPersistence(context);
+  
+  let previousName = null; // Captured at execute time for undo
+  
+  const rename = (to) => () => stateStore.updateCollection(id, { name: to });
+  
+  return {
+    type: 'RENAME_COLLECTION',
+    collectionId: id,
+    description: `Rename collection "${stateStore.getCollection(id)?.name ?? id}" to "${newName}"`,
+    timestamp: new Date().toISOString(),
+    
+    canExecute() {
+      const collection = stateStore.getCollection(id);
+      return collection !== null && collection.name !== newName;
+    },
+    
+    async execute() {
+      previousName = stateStore.getCollection(id).name;
+      
+      return runWithPolicy(context, {
+        operations: [{ type: 'renameCollection', id, name: newName }],
+        label: this.description,
+        apply: rename(newName),
+        revert: rename(previousName),
+        message: `Renamed collection "${previousName}" to "${newName}"`
+      });
+    },
+    
+    async undo() {
+      if (previousName === null) {
+        return false;
+      }
+      
+      return runWithPolicy(context, {
+        operations: [{ type: 'renameCollection', id, name: previousName }],
+        label: `Undo: ${this.description}`,
+        apply: rename(previousName),
+        revert: rename(newName),
+        message: `Renamed collection "${newName}" back to "${previousName}" (undo)`
+      });
+    },
+    
+    estimateSize() {
+      return estimateRecordBytes({ url: id, displayName: newName, notes: previousName });
+    },
+    
+    toJSON() {
+      return serializeAction(this, { id, name: newName }, { previousName });
+    },
+    
+    loadUndoData(data) {
+      previousName = data?.previousName ?? null;
+    },
+    
+    getMetadata() {
+      return {
+        type: this.type,
+        collectionId: id,
+        description: this.description,
+        timestamp: this.timestamp
+      };
+    }
+  };
+};
+
+/**
+ * Creates a "Move Collection" action: the collection (with everything in
+ * it) gets a new parent
+ * @param {string} id - Collection to move
+ * @param {string|null} parentId - New parent (null = top level)
+ * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context ({ persistence, outbox, consistency })
+ * @returns {Object} Command object with execute/undo methods
+ */
+export const createMoveCollectionAction = (id, parentId, stateStore, context = {}) => {
+  assertCollectionId(id);
+  const targetId = parentId ?? null;
+  if (targetId !== null) {
+    assertCollectionId(targetId);
+  }
+  getPersistence(context);
+  
+  let previousParentId; // Captured at execute time for undo (undefined = not executed)
+  
+  const moveTo = (to) => () => stateStore.updateCollection(id, { parentId: to });
+  
+  return {
+    type: 'MOVE_COLLECTION',
+    collectionId: id,
+    description: `Move collection "${stateStore.getCollection(id)?.name ?? id}"`,
+    timestamp: new Date().toISOString(),
+    
+    // Also false for moves into the collection's own subtree
+    canExecute() {
+      const collection = stateStore.getCollection(id);
+      if (!collection || collection.parentId === targetId) {
+        return false;
+      }
+      return targetId === null ||
+        (stateStore.hasCollection(targetId) && !stateStore.getCollectionSubtree(id).includes(targetId));
+    },
+    
+    async execute() {
+      previousParentId = stateStore.getCollection(id).parentId;
+      
+      return runWithPolicy(context, {
+        operations: [{ type: 'moveCollection', id, parentId: targetId }],
+        label: this.description,
+        apply: moveTo(targetId),
+        revert: moveTo(previousParentId),
+        message: `Moved collection "${id}" to ${targetId ?? 'the top level'}`
+      });
+    },
+    
+    async undo() {
+      if (previousParentId === undefined) {
+        return false;
+      }
+      
+      return runWithPolicy(context, {
+        operations: [{ type: 'moveCollection', id, parentId: previousParentId }],
+        label: `Undo: ${this.description}`,
+        apply: moveTo(previousParentId),
+        revert: moveTo(targetId),
+        message: `Moved collection "${id}" back to ${previousParentId ?? 'the top level'} (undo)`
+      });
+    },
+    
+    estimateSize() {
+      return estimateRecordBytes({ url: id, collectionId: targetId });
+    },
+    
+    toJSON() {
+      return serializeAction(this, { id, parentId: targetId },
+        previousParentId === undefined ? null : { previousParentId });
+    },
+    
+    loadUndoData(data) {
+      previousParentId = data ? data.previousParentId ?? null : undefined;
+    },
+    
+    getMetadata() {
+      return {
+        type: this.type,
+        collectionId: id,
+        parentId: targetId,
+        description: this.description,
+        timestamp: this.timestamp
+      };
+    }
+  };
+};
+
+/**
+ * Creates a "Delete Collection" action: the collection, every collection
+ * below it and all favorites inside them are removed as one step. Undo
+ * recreates the collections under their ids and restores the favorites.
+ * @param {string} id - Collection to delete
+ * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context ({ persistence, outbox, consistency })
+ * @returns {Object} Command object with execute/undo methods
+ */
+export const createDeleteCollectionAction = (id, stateStore, context = {}) => {
+  assertCollectionId(id);
+  getPersistence(context);
+  
+  // Captured at execute time for undo: the collections (parents first) and
+  // the favorites inside them, in a snapshot holder that bounded history can compact
+  let removedCollections = null;
+  let removedRecords = null;
+  
+  const removeAll = (collections, records) => {
+    records.forEach((record, url) => stateStore.remove(url));
+    [...collections].reverse().forEach(collection => stateStore.removeCollection(collection.id));
+    return true;
+  };
+  const restoreAll = (collections, records) => {
+    collections.forEach(collection => stateStore.addCollection(collection.id, collection));
+    records.forEach((record, url) => stateStore.add(url, record));
+    return true;
+  };
+  const removeOperations = (collections, records) => [
+    ...Array.from(records.keys(), url => ({ type: 'remove', url })),
+    ...[...collections].reverse().map(collection => ({ type: 'deleteCollection', id: collection.id }))
+  ];
+  const restoreOperations = (collections, records) => [
+    ...collections.map(collection => ({ type: 'createCollection', collection })),
+    ...Array.from(records.values(), record => ({ type: 'add', url: record.url, details: record }))
+  ];
+  
+  return {
+    type: 'DELETE_COLLECTION',
+    collectionId: id,
+    description: `Delete collection "${stateStore.getCollection(id)?.name ?? id}"`,
+    timestamp: new Date().toISOString(),
+    affectedCount: 0,
+    
+    canExecute() {
+      return stateStore.hasCollection(id);
+    },
+    
+    async execute() {
+      const collections = stateStore.getCollectionSubtree(id).map(collectionId => stateStore.getCollection(collectionId));
+      const records = new Map(collections
+        .flatMap(collection => stateStore.getUrlsInCollection(collection.id))
+        .map(url => [url, stateStore.get(url)]));
+      removedCollections = collections;
+      removedRecords = createSnapshotHolder(records);
+      this.affectedCount = records.size;
+      this.description = `Delete collection "${collections[0].name}"`;
+      
+      return runWithPolicy(context, {
+        operations: removeOperations(collections, records),
+        compensation: restoreOperations(collections, records),
+        label: this.description,
+        apply: () => removeAll(collections, records),
+        revert: () => restoreAll(collections, records),
+        message: `Deleted collection "${collections[0].name}" with ${collections.length - 1} sub-collections and ${records.size} favorites`
+      });
+    },
+    
+    async undo() {
+      if (!removedCollections) {
+        return false;
+      }
+      
+      const collections = removedCollections;
+      const records = removedRecords.get();
+      return runWithPolicy(context, {
+        operations: restoreOperations(collections, records),
+        compensation: removeOperations(collections, records),
+        label: `Undo: ${this.description}`,
+        apply: () => restoreAll(collections, records),
+        revert: () => removeAll(collections, records),
+        message: `Restored collection "${collections[0].name}" and ${records.size} favorites (undo)`
+      });
+    },
+    
+    estimateSize() {
+      const collectionBytes = (removedCollections || [])
+        .reduce((bytes, collection) => bytes + estimateRecordBytes({ url: collection.id, displayName: collection.name }), 0);
+      return collectionBytes + (removedRecords ? removedRecords.estimateSize() : 0);
+    },
+    
+    compact() {
+      return removedRecords ? removedRecords.compact() : false;
+    },
+    
+    toJSON() {
+      return serializeAction(this, { id }, removedCollections ? {
+        collections: removedCollections,
+        records: removedRecords.toJSON()
+      } : null);
+    },
+    
+    loadUndoData(data) {
+      removedCollections = data?.collections ?? null;
+      removedRecords = data?.records ? restoreSnapshotHolder(data.records) : null;
+      this.affectedCount = removedRecords?.size ?? 0;
+    },
+    
+    getMetadata() {
+      return {
+        type: this.type,
+        collectionId: id,
+        description: this.description,
+        timestamp: this.timestamp,
+        affectedCount: this.affectedCount
+      };
+    }
+  };
+};
+
+/**
+ * Creates a "Move To Collection" action for one favorite
+ * @param {string} url - The favorite to move
+ * @param {string|null} collectionId - Target collection (null = top level)
+ * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context ({ persistence, outbox, consistency })
+ * @returns {Object} Command object with execute/undo methods
+ */
+export const createMoveToCollectionAction = (url, collectionId, stateStore, context = {}) => {
+  assertActionUrl(url);
+  const targetId = collectionId ?? null;
+  if (targetId !== null) {
+    assertCollectionId(targetId);
+  }
+  getPersistence(context);
+  
+  let previousCollectionId; // Captured at execute time for undo (undefined = not executed)
+  
+  const moveTo = (to) => () => stateStore.update(url, { collectionId: to });
+  const nameOf = (id) => (id === null ? 'the top level' : `"${stateStore.getCollection(id)?.name ?? id}"`);
+  
+  return {
+    type: 'MOVE_TO_COLLECTION',
+    url,
+    collectionId: targetId,
+    description: `Move "${url}" to ${nameOf(targetId)}`,
+    timestamp: new Date().toISOString(),
+    
+    canExecute() {
+      const record = stateStore.get(url);
+      return record !== null && record.collectionId !== targetId &&
+        (targetId === null || stateStore.hasCollection(targetId));
+    },
+    
+    async execute() {
+      previousCollectionId = stateStore.get(url).collectionId;
+      
+      return runWithPolicy(context, {
+        operations: [{ type: 'moveToCollection', url, collectionId: targetId }],
+        label: this.description,
+        apply: moveTo(targetId),
+        revert: moveTo(previousCollectionId),
+        message: `Moved "${url}" to ${nameOf(targetId)}`
+      });
+    },
+    
+    async undo() {
+      if (previousCollectionId === undefined) {
+        return false;
+      }
+      
+      return runWithPolicy(context, {
+        operations: [{ type: 'moveToCollection', url, collectionId: previousCollectionId }],
+        label: `Undo: ${this.description}`,
+        apply: moveTo(previousCollectionId),
+        revert: moveTo(targetId),
+        message: `Moved "${url}" back to ${nameOf(previousCollectionId)} (undo)`
+      });
+    },
+    
+    estimateSize() {
+      return estimateRecordBytes({ url, collectionId: targetId });
+    },
+    
+    toJSON() {
+      return serializeAction(this, { url, collectionId: targetId },
+        previousCollectionId === undefined ? null : { previousCollectionId });
+    },
+    
+    loadUndoData(data) {
+      previousCollectionId = data ? data.previousCollectionId ?? null : undefined;
+    },
+    
+    getMetadata() {
+      return {
+        type: this.type,
+        url: this.url,
+        collectionId: this.collectionId,
+        description: this.description,
+        timestamp: this.timestamp
+      };
+    }
+  };
+};
+
+/**
+ * Creates a "Move Favorite" action: puts a favorite at another place in the
+ * manual order. Every favorite is renumbered (sortOrder = position), so the
+ * order stays dense and one reorder operation persists it. Undo puts back
+ * the previous sortOrder values (and persists the previous order).
+ * @param {string} url - Favorite URL
+ * @param {number} toIndex - New position in the manual order (0 = first;
+ *   past the end = last)
+ * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context ({ persistence, outbox, consistency })
+ * @returns {Object} Command object with execute/undo methods
+ */
+export const createMoveFavoriteAction = (url, toIndex, stateStore, context = {}) => {
+  assertActionUrl(url);
+  if (!Number.isInteger(toIndex) || toIndex < 0) {
+    throw new Error('toIndex must be a non-negative integer');
+  }
+  getPersistence(context);
+  
+  let previous; // [{ url, sortOrder }] in state order, captured at execute time (undefined = not executed)
+  
+  /**
+   * Manual order with the favorite moved to toIndex (clamped to the end)
+   * @returns {string[]} URLs
+   */
+  const nextOrder = () => {
+    const order = stateStore.getOrderedUrls().filter(other => other !== url);
+    order.splice(Math.min(toIndex, order.length), 0, url);
+    return order;
+  };
+  
+  const applyOrder = (order) => () => {
+    order.forEach((other, position) => {
+      if (stateStore.has(other)) stateStore.update(other, { sortOrder: position });
+    });
+    return true;
+  };
+  
+  /**
+   * Put back the sortOrder values captured at execute time (only when the
+   * backend never saw the move, so it still holds them)
+   * @returns {boolean} True
+   */
+  const restorePrevious = () => {
+    previous.forEach(entry => {
+      if (stateStore.has(entry.url)) stateStore.update(entry.url, { sortOrder: entry.sortOrder });
+    });
+    return true;
+  };
+  
+  return {
+    type: 'MOVE_FAVORITE',
+    url,
+    toIndex,
+    description: `Move "${url}" to position ${toIndex + 1}`,
+    timestamp: new Date().toISOString(),
+    
+    canExecute() {
+      if (!stateStore.has(url)) return false;
+      const order = stateStore.getOrderedUrls();
+      return order.indexOf(url) !== Math.min(toIndex, order.length - 1);
+    },
+    
+    async execute() {
+      previous = stateStore.getAllRecords().map(record => ({ url: record.url, sortOrder: record.sortOrder }));
+      const order = nextOrder();
+      
+      return runWithPolicy(context, {
+        operations: [{ type: 'reorder', urls: order }],
+        label: this.description,
+        apply: applyOrder(order),
+        revert: restorePrevious,
+        message: `Moved "${url}" to position ${order.indexOf(url) + 1}`
+      });
+    },
+    
+    async undo() {
+      if (previous === undefined) {
+        return false;
+      }
+      const movedOrder = stateStore.getOrderedUrls();
+      // The backend renumbers the whole order, so the state takes the same dense values
+      const restoredOrder = getManualOrder(previous);
+      
+      return runWithPolicy(context, {
+        operations: [{ type: 'reorder', urls: restoredOrder }],
+        label: `Undo: ${this.description}`,
+        apply: applyOrder(restoredOrder),
+        revert: applyOrder(movedOrder),
+        message: `Moved "${url}" back (undo)`
+      });
+    },
+    
+    estimateSize() {
+      return (previous || [{ url }]).reduce((bytes, entry) => bytes + estimateRecordBytes(entry), 0);
+    },
+    
+    toJSON() {
+      return serializeAction(this, { url, toIndex }, previous === undefined ? null : { previous });
+    },
+    
+    loadUndoData(data) {
+      previous = data ? data.previous : undefined;
+    },
+    
+    getMetadata() {
+      return {
+        type: this.type,
+        url: this.url,
+        toIndex: this.toIndex,
+        description: this.description,
+        timestamp: this.timestamp
+      };
+    }
+  };
+};
+
+/**
+ * Step types a transaction can contain, and the action each one mirrors
+ */
+const TRANSACTION_STEP_TYPES = {
+  add: 'ADD_FAVORITE',
+  remove: 'REMOVE_FAVORITE',
+  clear: 'CLEAR_ALL'
+};
+
+/**
+ * Validate and copy a transaction step
+ * @param {Object} step - { type: 'add'|'remove'|'clear', url?, details? }
+ * @returns {Object} Normalized step
+ */
+const normalizeStep = (step) => {
+  if (!TRANSACTION_STEP_TYPES[step?.type]) {
+    throw new Error(`Unknown transaction step: ${step?.type}`);
+  }
+  if (step.type === 'clear') {
+    return { type: 'clear' };
+  }
+  if (!step.url?.length || typeof step.url !== 'string') {
+    throw new Error('URL must be a non-empty string');
+  }
+  return step.type === 'add'
+    ? { type: 'add', url: step.url, details: { ...step.details } }
+    : { type: 'remove', url: step.url };
+};
+
+/**
+ * Apply steps to a copy of the state, never touching the real store
+ * @param {Map<string, Object>} snapshot - Starting state (URL -> record)
+ * @param {Object[]} steps - Normalized steps
+ * @returns {Map<string, Object>} Resulting state
+ */
+export const simulateTransaction = (snapshot, steps) => {
+  const next = new Map(snapshot);
+  steps.forEach(step => {
+    if (step.type === 'add' && !next.has(step.url)) {
+      next.set(step.url, createFavoriteRecord(step.url, step.details));
+    } else if (step.type === 'remove') {
+      next.delete(step.url);
+    } else if (step.type === 'clear') {
+      next.clear();
+    }
+  });
+  return next;
+};
+
+/**
+ * Persistence operations that turn one state into another (exported for
+ * callers that need compensation for a batch, e.g. history jumps). Records
+ * present on both sides get tag/untag operations for their tag differences
+ * and a moveToCollection operation when their collection differs.
+ * @param {Map<string, Object>} from - Current state
+ * @param {Map<string, Object>} to - Desired state
+ * @param {boolean} [useClear] - Start with a clear (keeps backend-only rows from surviving a clear)
+ * @returns {Object[]} Operations for persistence.batch()
+ */
+export const diffOperations = (from, to, useClear = false) => {
+  const operations = [];
+  if (useClear) {
+    operations.push({ type: 'clear' });
+  } else {
+    from.forEach((record, url) => {
+      if (!to.has(url)) operations.push({ type: 'remove', url });
+    });
+  }
+  to.forEach((record, url) => {
+    if (useClear || !from.has(url)) {
+      operations.push({ type: 'add', url, details: record });
+      return;
+    }
+    const previous = from.get(url);
+    const edited = ['displayName', 'notes'].filter(field => (previous[field] ?? null) !== (record[field] ?? null));
+    if (edited.length > 0) {
+      operations.push({ type: 'update', url, fields: Object.fromEntries(edited.map(field => [field, record[field] ?? null])) });
+    }
+    const before = previous.tags || [];
+    const after = record.tags || [];
+    before.filter(tag => !after.includes(tag)).forEach(tag => operations.push({ type: 'untag', url, tag }));
+    after.filter(tag => !before.includes(tag)).forEach(tag => operations.push({ type: 'tag', url, tag }));
+    if ((previous.collectionId ?? null) !== (record.collectionId ?? null)) {
+      operations.push({ type: 'moveToCollection', url, collectionId: record.collectionId ?? null });
+    }
+  });
+  // One reorder restores the manual order once any kept favorite's place changed
+  const reordered = Array.from(to.keys()).some(url => from.has(url) &&
+    (from.get(url).sortOrder ?? null) !== (to.get(url).sortOrder ?? null));
+  if (!useClear && reordered) {
+    operations.push({ type: 'reorder', urls: getManualOrder(to.values()) });
+  }
+  return operations;
+};
+
+/**
+ * Persistence operations that turn one set of collections into another.
+ * Split in two so favorites can be moved in between: `setup` creates,
+ * renames and moves collections (parents first) before favorites move in,
+ * `teardown` deletes collections (children first) after they moved out.
+ * @param {Map<string, Object>} from - Current collections (id -> collection)
+ * @param {Map<string, Object>} to - Desired collections
+ * @returns {{ setup: Object[], teardown: Object[] }} Operations for persistence.batch()
+ */
+export const diffCollectionOperations = (from, to) => {
+  const depthOf = (collections, id) => {
+    let depth = 0;
+    let parentId = collections.get(id)?.parentId ?? null;
+    while (parentId !== null && depth < collections.size) { // The size bound guards against cycles
+      depth++;
+      parentId = collections.get(parentId)?.parentId ?? null;
+    }
+    return depth;
+  };
+  const byDepth = (collections, ids, direction) => ids
+    .map(id => [id, depthOf(collections, id)])
+    .sort((a, b) => (a[1] - b[1]) * direction)
+    .map(([id]) => id);
+  
+  const setup = [];
+  byDepth(to, Array.from(to.keys()), 1).forEach(id => {
+    const collection = to.get(id);
+    const previous = from.get(id);
+    if (!previous) {
+      setup.push({ type: 'createCollection', collection });
+      return;
+    }
+    if (previous.name !== collection.name) {
+      setup.push({ type: 'renameCollection', id, name: collection.name });
+    }
+    if (previous.parentId !== collection.parentId) {
+      setup.push({ type: 'moveCollection', id, parentId: collection.parentId });
+    }
+  });
+  const removed = Array.from(from.keys()).filter(id => !to.has(id));
+  const teardown = byDepth(from, removed, -1).map(id => ({ type: 'deleteCollection', id }));
+  return { setup, teardown };
+};
+
+/**
+ * Creates a composite "Transaction" action from several steps.
+ * 
+ * The steps run as one unit: the resulting state is computed on a copy and
+ * swapped in with a single restore(), persistence receives one batch, and
+ * undo/redo treat the whole group as one history entry.
+ * 
+ * @param {Object[]} steps - [{ type: 'add', url, details }, { type: 'remove', url }, { type: 'clear' }]
+ * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context ({ persistence, outbox, consistency })
+ * @param {Object} [options]
+ * @param {string} [options.type='TRANSACTION'] - Action type reported in history
+ * @param {string} [options.description] - History description
+ * @param {Object} [options.params] - createAction() params to serialize instead of the steps
+ * @returns {Object} Command object with execute/undo methods
+ */
+export const createTransactionAction = (steps, stateStore, context = {}, options = {}) => {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('A transaction needs at least one step');
+  }
+  getPersistence(context);
+  
+  const normalizedSteps = steps.map(normalizeStep);
+  const hasClear = normalizedSteps.some(step => step.type === 'clear');
+  
+  // Only the difference is kept for undo (not whole before/after states),
+  // in snapshot holders that bounded history can compact
+  let added = null;   // Records the transaction added
+  let removed = null; // Records the transaction removed
+  
+  /**
+   * Records present in one state but not the other
+   * @param {Map<string, Object>} source - State to take records from
+   * @param {Map<string, Object>} other - State to compare against
+   * @returns {Map<string, Object>} Missing records
+   */
+  const missingFrom = (source, other) => new Map(
+    Array.from(source).filter(([url]) => !other.has(url))
+  );
+  
+  return {
+    type: options.type || 'TRANSACTION',
+    description: options.description || `Transaction (${normalizedSteps.length} steps)`,
+    timestamp: new Date().toISOString(),
+    steps: normalizedSteps,
+    
+    async execute() {
+      const before = stateStore.getAll();
+      const after = simulateTransaction(before, normalizedSteps);
+      
+      const forward = diffOperations(before, after, hasClear && before.size > 0);
+      if (forward.length === 0) {
+        return false; // Nothing would change
+      }
+      
+      added = createSnapshotHolder(missingFrom(after, before));
+      removed = createSnapshotHolder(missingFrom(before, after));
+      
+      return runWithPolicy(context, {
+        operations: forward,
+        // Undo whatever part of the batch reached the backend before a failure
+        compensation: diffOperations(after, before),
+        label: this.description,
+        apply: () => {
+          stateStore.restore(after);
+          return true;
+        },
+        revert: () => stateStore.restore(before),
+        message: `${this.description} - ${added.size} added, ${removed.size} removed`
+      });
+    },
+    
+    async undo() {
+      if (!added) {
+        return false;
+      }
+      
+      // Rebuild the earlier state from the current one and the stored difference
+      const current = stateStore.getAll();
+      const addedRecords = added.get();
+      const removedRecords = removed.get();
+      const target = missingFrom(current, addedRecords);
+      removedRecords.forEach((record, url) => target.set(url, record));
+      
+      return runWithPolicy(context, {
+        operations: diffOperations(current, target),
+        compensation: diffOperations(target, current),
+        label: `Undo: ${this.description}`,
+        apply: () => {
+          stateStore.restore(target);
+          return true;
+        },
+        revert: () => stateStore.restore(current),
+        message: `Reverted ${this.description} (undo)`
+      });
+    },
+    
+    estimateSize() {
+      const stepBytes = normalizedSteps.reduce((bytes, step) => bytes + estimateRecordBytes(step), 0);
+      return stepBytes + (added ? added.estimateSize() + removed.estimateSize() : 0);
+    },
+    
+    compact() {
+      if (!added) {
+        return false;
+      }
+      const packedAdded = added.compact();
+      const packedRemoved = removed.compact();
+      return packedAdded || packedRemoved;
+    },
+    
+    toJSON() {
+      return serializeAction(this, options.params || { steps: normalizedSteps, description: this.description }, {
+        added: added ? added.toJSON() : null,
+        removed: removed ? removed.toJSON() : null
+      });
+    },
+    
+    loadUndoData(data) {
+      added = data?.added ? restoreSnapshotHolder(data.added) : null;
+      removed = data?.removed ? restoreSnapshotHolder(data.removed) : null;
+    },
+    
+    getMetadata() {
+      return {
+        type: this.type,
+        description: this.description,
+        timestamp: this.timestamp,
+        addedCount: added ? added.size : 0,
+        removedCount: removed ? removed.size : 0,
+        children: normalizedSteps.map(step => ({
+          type: TRANSACTION_STEP_TYPES[step.type],
+          url: step.url || null,
+          description: step.type === 'clear'
+            ? 'Clear all favorites'
+            : `${step.type === 'add' ? 'Add' : 'Remove'} "${step.url}"`
+        }))
+      };
+    }
+  };
+};
+
+/**
+ * Creates a "Bulk Add" action for adding multiple URLs at once.
+ * A transaction of add steps: one batch call, one undo step.
+ * @param {string[]} urls - Array of URLs to add
+ * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context
+ * @param {Object} context.persistence - Persistence adapter to write through
+ * @param {Object} [context.outbox] - Outbox for changes that cannot be saved yet
+ * @param {string|Object} [context.consistency] - Consistency policy (default 'best-effort')
+ * @returns {Object} Command object with execute/undo methods
+ */
+export const createBulkAddAction = (urls, stateStore, context = {}) => {
+  if (!Array.isArray(urls) || urls.length === 0) {
+    throw new Error('URLs must be a non-empty array');
+  }
+  
+  // Validate all URLs
+  const validUrls = urls.filter(url => url?.length && typeof url === 'string');
+  if (validUrls.length === 0) {
+    throw new Error('No valid URLs provided');
+  }
+  
+  const action = createTransactionAction(
+    validUrls.map(url => ({ type: 'add', url })),
+    stateStore,
+    context,
+    { type: 'BULK_ADD', description: `Add ${validUrls.length} URLs to favorites`, params: { urls: validUrls } }
+  );
+  action.urls = validUrls;
+  return action;
+};
+
+/**
+ * Coalescing rule for the command queue: a pending action on a URL makes a
+ * later action of the same type on the same URL redundant (adding or removing
+ * the same favorite twice, or the same tag twice). Edits of one favorite keep
+ * their order. Tag actions on different tags are unrelated; moves of one
+ * favorite to different collections keep their order. Bulk, clear, rename,
+ * collection and order moves act as barriers (a move renumbers every
+ * favorite).
+ * @param {Object} queuedAction - Action waiting in the queue
+ * @param {Object} incomingAction - Action being submitted
+ * @returns {string|null} 'drop-incoming', 'barrier' or null (unrelated)
+ */
+export const coalesceFavoriteActions = (queuedAction, incomingAction) => {
+  if (!queuedAction?.url || !incomingAction?.url ||
+      queuedAction.type === 'MOVE_FAVORITE' || incomingAction.type === 'MOVE_FAVORITE') {
+    return 'barrier';
+  }
+  if (queuedAction.url !== incomingAction.url) {
+    return null;
+  }
+  if (queuedAction.tag && incomingAction.tag && queuedAction.tag !== incomingAction.tag) {
+    return null;
+  }
+  if (queuedAction.collectionId !== incomingAction.collectionId || incomingAction.type === 'UPDATE_FAVORITE') {
+    return 'barrier';
+  }
+  return queuedAction.type === incomingAction.type ? 'drop-incoming' : 'barrier';
+};
+
+/**
+ * Action factory - creates actions based on type and parameters
+ * @param {string} actionType - The type of action to create
+ * @param {Object} params - Parameters for the action
+ * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context ({ persistence, outbox, consistency })
+ * @returns {Object} The created action command
+ */
+export const createAction = (actionType, params, stateStore, context = {}) => {
+  switch (actionType) {
+    case 'ADD_FAVORITE':
+      return createAddFavoriteAction({ ...params.details, url: params.url }, stateStore, context);
+      
+    case 'REMOVE_FAVORITE':
+      return createRemoveFavoriteAction(params.url, stateStore, context);
+      
+    case 'CLEAR_ALL':
+      return createClearAllAction(stateStore, context);
+      
+    case 'BULK_ADD':
+      return createBulkAddAction(params.urls, stateStore, context);
+      
+    case 'TRANSACTION':
+      return createTransactionAction(params.steps, stateStore, context, params);
+      
+    case 'UPDATE_FAVORITE':
+      return createUpdateFavoriteAction(params.url, params.fields, stateStore, context);
+      
+    case 'ADD_TAG':
+      return createAddTagAction(params.url, params.tag, stateStore, context);
+      
+    case 'REMOVE_TAG':
+      return createRemoveTagAction(params.url, params.tag, stateStore, context);
+      
+    case 'RENAME_TAG':
+      return createRenameTagAction(params.from, params.to, stateStore, context);
+      
+    case 'CREATE_COLLECTION':
+      return createCreateCollectionAction(params, stateStore, context);
+      
+    case 'RENAME_COLLECTION':
+      return createRenameCollectionAction(params.id, params.name, stateStore, context);
+      
+    case 'MOVE_COLLECTION':
+      return createMoveCollectionAction(params.id, params.parentId, stateStore, context);
+      
+    case 'DELETE_COLLECTION':
+      return createDeleteCollectionAction(params.id, stateStore, context);
+      
+    case 'MOVE_TO_COLLECTION':
+      return createMoveToCollectionAction(params.url, params.collectionId, stateStore, context);
+      
+    case 'MOVE_FAVORITE':
+      return createMoveFavoriteAction(params.url, params.toIndex, stateStore, context);
+      
+    default:
+      throw new Error(`Unknown action type: ${actionType}`);
+  }
+};
+
+/**
+ * Attach metadata (e.g. from middleware) to a command. It is reported by
+ * getMetadata() as `meta` and saved with the history entry.
+ * @param {Object} action - Command to annotate
+ * @param {Object} meta - Plain metadata; nothing is attached when empty
+ * @returns {Object} The same command
+ */
+export const withActionMeta = (action, meta) => {
+  if (!meta || Object.keys(meta).length === 0) {
+    return action;
+  }
+  const getMetadata = action.getMetadata;
+  const toJSON = action.toJSON;
+  action.meta = { ...meta };
+  action.getMetadata = () => ({ ...getMetadata.call(action), meta: action.meta });
+  action.toJSON = () => ({ ...toJSON.call(action), meta: action.meta });
+  return action;
+};
+
+/**
+ * Rehydrator - turns an action's toJSON() output back into a command
+ * that can be undone/redone (e.g. history restored after a reload)
+ * @param {Object} json - Serialized action ({ type, params, undoData, description, timestamp })
+ * @param {Object} stateStore - The state store to operate on
+ * @param {Object} context - Action context ({ persistence, outbox, consistency })
+ * @returns {Object} The rehydrated action command
+ */
+export const rehydrateAction = (json, stateStore, context = {}) => {
+  if (!json || typeof json.type !== 'string') {
+    throw new Error('Serialized action must have a type');
+  }
+  
+  const action = createAction(json.type, json.params || {}, stateStore, context);
+  if (json.description) action.description = json.description;
+  if (json.timestamp) action.timestamp = json.timestamp;
+  action.loadUndoData?.(json.undoData ?? null);
+  
+  return withActionMeta(action, json.meta);
+};
+
 /**
  * Get all available action types
  * @returns {string[]} Array of action type strings
@@ -427,7 +1665,18 @@ export const getAvailableActionTypes = () => [
   'ADD_FAVORITE',
   'REMOVE_FAVORITE',
   'CLEAR_ALL',
-  'BULK_ADD'
+  'BULK_ADD',
+  'TRANSACTION',
+  'UPDATE_FAVORITE',
+  'ADD_TAG',
+  'REMOVE_TAG',
+  'RENAME_TAG',
+  'CREATE_COLLECTION',
+  'RENAME_COLLECTION',
+  'MOVE_COLLECTION',
+  'DELETE_COLLECTION',
+  'MOVE_TO_COLLECTION',
+  'MOVE_FAVORITE'
 ];
 
 
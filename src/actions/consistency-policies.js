@@ -0,0 +1,269 @@
+/**
+ * =============================================================================
+ * CONSISTENCY POLICIES - HOW ACTIONS COMBINE PERSISTENCE AND LOCAL STATE
+ * =============================================================================
+ * 
+ * Every action has two halves: persistence operations for the backend and a
+ * local state change. A consistency policy decides the order in which they
+ * run and what happens when the backend fails.
+ * 
+ * Modes:
+ * - strict:      Persist first; if that fails the action fails and local
+ *                state is left unchanged.
+ * - best-effort: Persist first (or queue in the outbox); always apply the
+ *                local change. This is the original behaviour.
+ * - optimistic:  Apply the local change first and notify observers; if the
+ *                server rejects the write, roll back and notify again.
+ * 
+ * Every policy returns a report ({ success, changed, status, error, ... }).
+ * success says whether the policy's guarantees held; changed says whether
+ * local state moved. The command manager only records an action in history
+ * when the policy reports success and something changed.
+ * 
+ * Design Principles:
+ * - Strategy Pattern: Actions describe *what* to do, policies decide *how*
+ * - Explicit Outcomes: Failures are reported, never silently swallowed
+ */
+
+import { applyOperation } from '../persistence/persistence-adapter.js';
+
+/**
+ * Supported consistency modes
+ */
+export const CONSISTENCY_MODES = ['strict', 'best-effort', 'optimistic'];
+
+// =============================================================================
+// PERSISTENCE HELPERS
+// =============================================================================
+
+/**
+ * Write operations straight to the persistence adapter
+ * @param {Object} persistence - Persistence adapter
+ * @param {Object[]} operations - Persistence operations ({ type, url?, details? })
+ * @returns {Promise<boolean[]>} Per-operation results
+ */
+const writeOperations = async (persistence, operations) => {
+  if (operations.length === 0) {
+    return [];
+  }
+  return operations.length === 1
+    ? [await applyOperation(persistence, operations[0])]
+    : persistence.batch(operations);
+};
+
+/**
+ * Write operations through the persistence adapter, or queue them.
+ * 
+ * - If the outbox already holds unsaved changes, new operations are queued
+ *   behind them so they can never overtake older changes.
+ * - If the backend is unreachable and an outbox is configured, operations
+ *   are queued for replay instead of being dropped.
+ * - Without an outbox a failure is reported and the caller decides.
+ * 
+ * @param {Object} context - Action context ({ persistence, outbox })
+ * @param {Object[]} operations - Persistence operations
+ * @param {string} label - Human-readable description for the outbox
+ * @returns {Promise<Object>} { status: 'persisted'|'queued'|'failed', results, error? }
+ */
+const persistOperations = async (context, operations, label) => {
+  const { persistence, outbox } = context;
+
+  if (operations.length === 0) {
+    return { status: 'persisted', results: [] };
+  }
+
+  if (outbox?.hasPending()) {
+    await outbox.enqueue(operations, { label });
+    return { status: 'queued', results: [] };
+  }
+
+  try {
+    return { status: 'persisted', results: await writeOperations(persistence, operations) };
+  } catch (error) {
+    if (outbox) {
+      await outbox.enqueue(operations, { label });
+      return { status: 'queued', results: [], error };
+    }
+    return { status: 'failed', results: [], error };
+  }
+};
+
+/**
+ * Log the outcome of a persistence attempt in the demo's console style
+ * @param {Object} outcome - Result of persistOperations()
+ * @param {string} message - What happened locally, e.g. 'Added "x" to favorites'
+ */
+const logPersistOutcome = (outcome, message) => {
+  if (outcome.status === 'queued') {
+    console.log(`⚠️ ${message} (local state - queued for sync)`);
+  } else if (outcome.status === 'failed') {
+    console.error(`❌ Persistence failed: ${outcome.error.message}`);
+    console.log(`⚠️ ${message} (local state only - database unavailable)`);
+  } else if (outcome.results.some(Boolean)) {
+    console.log(`✅ ${message} (database + local state)`);
+  } else {
+    console.log(`ℹ️ ${message} (local state - database already up to date)`);
+  }
+};
+
+/**
+ * Best-effort cleanup after a failed write: a sequential batch may have
+ * applied some operations before failing, so send the step's inverse
+ * operations. They are idempotent (removing a missing favorite or adding an
+ * existing one is a no-op), so it does not matter how far the batch got.
+ * @param {Object} context - Action context
+ * @param {Object} step - Action step with optional compensation operations
+ */
+const compensate = async (context, step) => {
+  if (!step.compensation?.length) {
+    return;
+  }
+  try {
+    await writeOperations(context.persistence, step.compensation);
+  } catch (error) {
+    console.error(`⚠️ Could not compensate partial write for ${step.label}: ${error.message}`);
+  }
+};
+
+/**
+ * Resolve a step's log message (functions are evaluated after apply())
+ * @param {Object} step - Action step
+ * @returns {string} Message
+ */
+const describeStep = (step) => (typeof step.message === 'function' ? step.message() : step.message);
+
+// =============================================================================
+// POLICIES
+// =============================================================================
+
+/**
+ * Strict: the backend must accept the change before local state moves
+ */
+const strictPolicy = {
+  name: 'strict',
+
+  async run(step, context) {
+    const { operations, label, apply } = step;
+
+    // Queued changes must reach the backend before anything new can
+    if (context.outbox?.hasPending()) {
+      await context.outbox.replay();
+      if (context.outbox.hasPending()) {
+        const error = new Error('Earlier changes are still waiting to be saved');
+        console.error(`❌ ${label} failed - state unchanged (strict): ${error.message}`);
+        return { success: false, changed: false, status: 'failed', results: [], error };
+      }
+    }
+
+    let results;
+    try {
+      results = await writeOperations(context.persistence, operations);
+    } catch (error) {
+      await compensate(context, step);
+      console.error(`❌ ${label} failed - state unchanged (strict): ${error.message}`);
+      return { success: false, changed: false, status: 'failed', results: [], error };
+    }
+
+    const changed = apply() !== false;
+    logPersistOutcome({ status: 'persisted', results }, describeStep(step));
+    return { success: true, changed, status: 'persisted', results };
+  }
+};
+
+/**
+ * Best-effort: persist (or queue) and always apply the local change
+ */
+const bestEffortPolicy = {
+  name: 'best-effort',
+
+  async run(step, context) {
+    const { operations, label, apply } = step;
+
+    const outcome = await persistOperations(context, operations, label);
+
+    // Update local state whether or not the backend was reachable
+    const changed = apply() !== false;
+    logPersistOutcome(outcome, describeStep(step));
+    return { success: true, changed, ...outcome };
+  }
+};
+
+/**
+ * Optimistic: apply locally first, roll back if the server rejects the write
+ */
+const optimisticPolicy = {
+  name: 'optimistic',
+
+  async run(step, context) {
+    const { operations, label, apply, revert } = step;
+
+    const changed = apply() !== false;
+    if (changed) {
+      // Show the change right away; the write happens in the background
+      context.notifyObservers?.();
+    }
+
+    const outcome = await persistOperations(context, operations, label);
+    if (outcome.status !== 'failed') {
+      logPersistOutcome(outcome, describeStep(step));
+      return { success: true, changed, ...outcome };
+    }
+
+    await compensate(context, step);
+    if (changed) {
+      revert();
+      context.notifyObservers?.();
+    }
+    console.error(`↩️ ${label} rolled back (optimistic): ${outcome.error.message}`);
+    return { success: false, changed: false, rolledBack: changed, ...outcome };
+  }
+};
+
+const POLICIES = {
+  strict: strictPolicy,
+  'best-effort': bestEffortPolicy,
+  optimistic: optimisticPolicy
+};
+
+/**
+ * Look up a consistency policy
+ * @param {string|Object} mode - Mode name, or a custom policy ({ name, run })
+ * @returns {Object} Policy with run(step, context)
+ */
+export const createConsistencyPolicy = (mode = 'best-effort') => {
+  if (mode && typeof mode === 'object' && typeof mode.run === 'function') {
+    return mode;
+  }
+  const policy = POLICIES[mode];
+  if (!policy) {
+    throw new Error(`Unknown consistency mode: ${mode} (expected ${CONSISTENCY_MODES.join(', ')})`);
+  }
+  return policy;
+};
+
+/**
+ * Run one action step through the context's consistency policy.
+ * Reports that carry an error (failed, queued after a failure, rolled back)
+ * are passed to context.onPersistenceError as well.
+ * @param {Object} context - Action context ({ persistence, outbox, consistency, notifyObservers,
+ *   onPersistenceError })
+ * @param {Object} step
+ * @param {Object[]} step.operations - Persistence operations
+ * @param {string} step.label - Description used in logs and the outbox
+ * @param {Function} step.apply - Applies the local change, returns false if nothing changed
+ * @param {Function} step.revert - Reverses apply() (optimistic rollback)
+ * @param {Object[]} [step.compensation] - Inverse operations sent if a batch fails part-way
+ * @param {string|Function} step.message - Log message describing the local change
+ * @returns {Promise<Object>} Policy report ({ success, changed, status, results, error?, rolledBack? })
+ */
+export const runWithPolicy = async (context, step) => {
+  const report = await createConsistencyPolicy(context.consistency).run(step, context);
+  if (report.error) {
+    context.onPersistenceError?.(report.error, {
+      label: step.label,
+      status: report.status,
+      rolledBack: report.rolledBack === true
+    });
+  }
+  return report;
+};
@@ -0,0 +1,108 @@
+/**
+ * =============================================================================
+ * ACTION MIDDLEWARE - HOOKS BETWEEN PUBLIC CALLS AND THE COMMAND MANAGER
+ * =============================================================================
+ * 
+ * createFavoritesStore({ middleware: [...] }) runs every new action through
+ * a pipeline before it becomes a command. A middleware is
+ * 
+ *   async (ctx, next) => result
+ * 
+ * where ctx describes the action before it is created:
+ * 
+ *   ctx.type        'ADD_FAVORITE', 'REMOVE_FAVORITE', 'CLEAR_ALL', 'BULK_ADD', 'TRANSACTION', 'UPDATE_FAVORITE',
+ *                   'ADD_TAG', 'REMOVE_TAG', 'RENAME_TAG', 'CREATE_COLLECTION', 'RENAME_COLLECTION',
+ *                   'MOVE_COLLECTION', 'DELETE_COLLECTION', 'MOVE_TO_COLLECTION', 'MOVE_FAVORITE'
+ *   ctx.params      createAction() parameters ({ url, details }, { url }, { urls }, { steps, description },
+ *                   { url, fields }, { url, tag }, { from, to }, { id, name, parentId }, { id, name },
+ *                   { id, parentId }, { id }, { url, collectionId }, { url, toIndex })
+ *   ctx.meta        metadata kept with the command (history entries show it as `meta`)
+ *   ctx.getState()  current favorites (URL -> record)
+ *   ctx.reject(reason)  veto the action (returns false: `return ctx.reject('...')`)
+ * 
+ * and, once next() resolved, ctx.action (the command) and ctx.result.
+ * 
+ * A middleware can:
+ * - normalize: change ctx.params before calling next()
+ * - veto: return ctx.reject(reason) (or return without calling next())
+ * - enrich: add fields to ctx.meta
+ * - observe: await next() and look at ctx.result / ctx.rejection
+ * 
+ * Undo and redo replay existing commands, so they do not pass through the
+ * pipeline.
+ * 
+ * Design Principles:
+ * - Onion model: each middleware wraps the ones after it (like Koa)
+ * - Explicit veto: rejections resolve to false with a reason, errors still throw
+ */
+
+/**
+ * Compose middleware into one function
+ * @param {Function[]} middleware - async (ctx, next) => result, outermost first
+ * @returns {Function} (ctx, final) => Promise, where final is the innermost step
+ */
+export const composeMiddleware = (middleware = []) => {
+  if (!Array.isArray(middleware)) {
+    throw new Error('Middleware must be an array of functions');
+  }
+  middleware.forEach((fn, index) => {
+    if (typeof fn !== 'function') {
+      throw new Error(`Middleware at index ${index} must be a function`);
+    }
+  });
+
+  return (ctx, final) => {
+    let lastIndex = -1;
+
+    const dispatch = (index) => {
+      if (index <= lastIndex) {
+        return Promise.reject(new Error('next() called more than once'));
+      }
+      lastIndex = index;
+      const fn = index === middleware.length ? final : middleware[index];
+      try {
+        return Promise.resolve(fn(ctx, () => dispatch(index + 1)));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    };
+
+    return dispatch(0);
+  };
+};
+
+/**
+ * Create the context a middleware chain works on
+ * @param {string} type - Action type
+ * @param {Object} params - createAction() parameters (copied)
+ * @param {Object} [options]
+ * @param {Function} [options.getState] - () => current state
+ * @returns {Object} Middleware context
+ */
+export const createMiddlewareContext = (type, params, options = {}) => {
+  const { getState = () => new Map() } = options;
+
+  const ctx = {
+    params: { ...params },
+    meta: {},
+    action: null,
+    result: undefined,
+    rejection: null,
+
+    getState,
+
+    /**
+     * Veto the action
+     * @param {string} [reason] - Shown to the caller ('action:rejected' event)
+     * @returns {boolean} false, so a middleware can `return ctx.reject(reason)`
+     */
+    reject(reason = 'Rejected by middleware') {
+      ctx.rejection = { reason };
+      return false;
+    }
+  };
+  // The type selects the action creator; changing it would change what the caller asked for
+  Object.defineProperty(ctx, 'type', { value: type, enumerable: true });
+
+  return ctx;
+};
@@ -8,30 +8,115 @@
  * 
  * Responsibilities:
  * - Execute actions and track them in history
- * - Provide undo/redo functionality
+ * - Provide undo/redo functionality, including jumps to any history position
  * - Manage action history and navigation
  * - Handle command execution errors
+ * - Serialize execute/undo/redo through a single FIFO queue
+ * - Keep history bounded by entry count and approximate memory
+ * - Export/import history as JSON and keep it in an optional storage backend
+ * - Optionally keep redo branches as an undo tree instead of discarding them
  * 
  * Design Principles:
  * - Command Pattern: Actions are executed through this manager
  * - History Management: Maintains reversible action history
  * - Error Handling: Graceful handling of command failures
  * - State Integrity: Ensures consistent state after operations
+ * - Policy Aware: Only records actions whose consistency policy reports success
  */
 
+/**
+ * Check whether an action returned a consistency policy report
+ * ({ success, changed, ... }) rather than a plain boolean
+ * @param {*} result - Value returned by execute()/undo()
+ * @returns {boolean} True for report objects
+ */
+const isPolicyReport = (result) => (
+  result !== null && typeof result === 'object' && typeof result.success === 'boolean'
+);
+
+/**
+ * Decide whether an executed action belongs in history
+ * - Policy reports: only when the policy succeeded and state changed
+ * - Plain results: anything except false (original contract)
+ * @param {*} result - Value returned by execute()
+ * @returns {boolean} True if the action should be recorded
+ */
+const shouldRecord = (result) => (
+  isPolicyReport(result) ? result.success && result.changed !== false : result !== false
+);
+
+/**
+ * Default history limits: generous for interactive use, but bounded so a
+ * long-lived tab or Node process cannot grow without limit
+ */
+export const DEFAULT_HISTORY_LIMITS = {
+  maxEntries: 1000,
+  maxSnapshotBytes: 8 * 1024 * 1024
+};
+
+/**
+ * Approximate memory an action keeps alive (actions may implement estimateSize)
+ * @param {Object} action - History entry
+ * @returns {number} Bytes
+ */
+const measureAction = (action) => (
+  typeof action.estimateSize === 'function' ? action.estimateSize() : 0
+);
+
+/**
+ * History modes
+ * - linear: a new action after undo discards the redo entries (classic undo/redo)
+ * - tree: the redo entries stay in the history as an alternate branch
+ */
+export const HISTORY_MODES = ['linear', 'tree'];
+
 /**
  * Creates a command manager for handling action execution and history
  * 
+ * @param {Object} [options]
+ * @param {Function} [options.coalesce] - (queuedAction, incomingAction) => 'drop-incoming' |
+ *   'barrier' | null. Lets redundant commands be skipped while they wait in the queue.
+ * @param {number} [options.maxEntries=1000] - Oldest entries are evicted beyond this count
+ * @param {number} [options.maxSnapshotBytes=8MB] - Approximate memory budget for history;
+ *   old snapshots are compacted first, then the oldest entries are evicted
+ * @param {Function} [options.rehydrate] - (json) => action; turns exported entries back into
+ *   commands (required for importHistory/loadHistory)
+ * @param {Object} [options.storage] - History storage ({ load, save }); history is saved
+ *   after every change and can be restored with loadHistory()
+ * @param {string} [options.mode='linear'] - 'linear' or 'tree' (keep redo branches, see
+ *   getHistoryTree() and switchBranch())
+ * @param {Function} [options.onApplied] - ({ kind, action }) => void, called inside the queue
+ *   right after a command changed state: kind 'execute', 'undo' or 'redo' with its action,
+ *   or once per jump with kind 'goto' and { fromIndex, toIndex } (action null)
  * @returns {Object} Command manager with execution and history methods
  */
-export const createCommandManager = () => {
+export const createCommandManager = (options = {}) => {
+  const {
+    coalesce = null,
+    maxEntries = DEFAULT_HISTORY_LIMITS.maxEntries,
+    maxSnapshotBytes = DEFAULT_HISTORY_LIMITS.maxSnapshotBytes,
+    rehydrate = null,
+    storage = null,
+    mode = 'linear',
+    onApplied = null
+  } = options;
+  
+  if (!(maxEntries >= 1) || !(maxSnapshotBytes >= 0)) {
+    throw new Error('maxEntries must be at least 1 and maxSnapshotBytes must not be negative');
+  }
+  if (!HISTORY_MODES.includes(mode)) {
+    throw new Error(`Unknown history mode: ${mode} (expected ${HISTORY_MODES.join(', ')})`);
+  }
+  const treeMode = mode === 'tree';
+  
   // ==========================================================================
   // PRIVATE STATE
   // ==========================================================================
   
   /**
    * History of executed actions
-   * Each item is a command object with execute/undo methods
+   * Each item is a command object with execute/undo methods.
+   * In tree mode this is the active path: root -> activeChild -> ... -> leaf.
    */
   const actionHistory = [];
   
@@ -40,104 +125,884 @@ export const createCommandManager = () => {
    * -1 means no actions have been executed
    */
   let currentHistoryIndex = -1;
+  
+  /**
+   * FIFO queue of commands waiting to run
+   * Task: { kind: 'execute'|'undo'|'redo'|'goto'|'import', action, run, resolve, reject }
+   */
+  const commandQueue = [];
+  let isProcessing = false;
+  const idleWaiters = [];
+  let coalescedCount = 0;
+  
+  /**
+   * Command whose action is running right now ({ kind, action }), and how many
+   * jumps are in progress (single steps of a jump are not announced)
+   */
+  let activeCommand = null;
+  let navigationDepth = 0;
+  
+  /**
+   * Memory accounting for bounded history
+   * entrySizes caches each entry's estimate so limits stay O(1) per command
+   */
+  const entrySizes = new WeakMap();
+  let heldBytes = 0;
+  let evictedCount = 0;
+  let compactedCount = 0;
+  
+  /**
+   * Saves to the history storage run one after another
+   */
+  let saveChain = Promise.resolve();
+  
+  /**
+   * Undo tree (tree mode only)
+   * Node: { id, action, parent, children, activeChild }. The root has no action
+   * and stands for the state before the first entry. activeChild is the branch
+   * redo follows.
+   */
+  const treeRoot = { id: 0, action: null, parent: null, children: [], activeChild: null };
+  const nodeOf = new WeakMap();
+  let nextNodeId = 1;
+  let nodeCount = 0;
 
   // ==========================================================================
-  // COMMAND EXECUTION
+  // UNDO TREE
   // ==========================================================================
   
-  return {
-    /**
-     * Execute an action and add it to history
-     * @param {Object} action - Command object with execute/undo methods
-     * @returns {Promise<boolean>} True if executed successfully
-     */
-    async executeAction(action) {
-      if (!action || typeof action.execute !== 'function') {
-        throw new Error('Action must have an execute method');
+  /**
+   * Get the node at the current history position (the root before the first entry)
+   * @returns {Object} Tree node
+   */
+  const currentNode = () => (
+    currentHistoryIndex >= 0 ? nodeOf.get(actionHistory[currentHistoryIndex]) : treeRoot
+  );
+  
+  /**
+   * Rebuild actionHistory from the activeChild pointers
+   */
+  const rebuildPath = () => {
+    actionHistory.length = 0;
+    for (let node = treeRoot.activeChild; node; node = node.activeChild) {
+      actionHistory.push(node.action);
+    }
+  };
+  
+  /**
+   * Visit every node below the root, parents before children
+   * @param {Function} visit - (node) => void
+   * @param {Object} [from] - Subtree to walk (defaults to the whole tree)
+   */
+  const forEachNode = (visit, from = treeRoot) => {
+    const stack = [...from.children].reverse();
+    if (from !== treeRoot) {
+      stack.push(from);
+    }
+    while (stack.length > 0) {
+      const node = stack.pop();
+      visit(node);
+      for (let i = node.children.length - 1; i >= 0; i--) {
+        stack.push(node.children[i]);
+      }
+    }
+  };
+  
+  /**
+   * Create a node under a parent and make it the branch redo follows
+   * @param {Object} parent - Parent node
+   * @param {Object} action - History entry
+   * @param {number} [id] - Node id (imports keep their ids)
+   * @returns {Object} New node
+   */
+  const attachNode = (parent, action, id = nextNodeId) => {
+    const node = { id, action, parent, children: [], activeChild: null };
+    nextNodeId = Math.max(nextNodeId, id + 1);
+    parent.children.push(node);
+    parent.activeChild = node;
+    nodeOf.set(action, node);
+    nodeCount++;
+    return node;
+  };
+  
+  /**
+   * Remove a node and everything below it
+   * @param {Object} node - Subtree root
+   * @returns {number} Number of entries removed
+   */
+  const removeSubtree = (node) => {
+    const { parent } = node;
+    parent.children.splice(parent.children.indexOf(node), 1);
+    if (parent.activeChild === node) {
+      parent.activeChild = parent.children[parent.children.length - 1] || null;
+    }
+    
+    let removed = 0;
+    forEachNode(descendant => {
+      untrackSize(descendant.action);
+      removed++;
+    }, node);
+    nodeCount -= removed;
+    return removed;
+  };
+  
+  /**
+   * Drop the whole tree
+   */
+  const resetTree = () => {
+    forEachNode(node => untrackSize(node.action));
+    treeRoot.children.length = 0;
+    treeRoot.activeChild = null;
+    nodeCount = 0;
+  };
+  
+  /**
+   * Find a node by id (0 is the root)
+   * @param {number} nodeId - Node id
+   * @returns {Object|null} Tree node
+   */
+  const findNode = (nodeId) => {
+    if (nodeId === 0) return treeRoot;
+    let found = null;
+    forEachNode(node => {
+      if (node.id === nodeId) found = node;
+    });
+    return found;
+  };
+  
+  /**
+   * Evict one entry from the tree. Alternate branches hanging off the root go
+   * first; then the oldest entry on the active path is dropped and its
+   * children move up to the root. If everything is undone, the furthest redo
+   * entry goes instead, like in linear mode.
+   */
+  const evictFromTree = () => {
+    const inactive = treeRoot.children.find(child => child !== treeRoot.activeChild);
+    if (inactive) {
+      evictedCount += removeSubtree(inactive);
+    } else if (currentHistoryIndex >= 0) {
+      const oldest = treeRoot.activeChild;
+      oldest.children.forEach(child => {
+        child.parent = treeRoot;
+      });
+      treeRoot.children.splice(0, 1, ...oldest.children);
+      treeRoot.activeChild = oldest.activeChild;
+      untrackSize(oldest.action);
+      nodeCount--;
+      evictedCount++;
+      currentHistoryIndex--;
+    } else {
+      let leaf = treeRoot.activeChild;
+      while (leaf.activeChild) {
+        leaf = leaf.activeChild;
+      }
+      evictedCount += removeSubtree(leaf);
+    }
+    rebuildPath();
+  };
+  
+  /**
+   * Describe a node for getHistoryTree(). Composite commands report their
+   * metadata `children` as `steps`, since `children` holds the tree.
+   * @param {Object} node - { id, action, children }
+   * @param {Function} status - (node) => { isCurrentPosition, isExecuted, isOnActivePath }
+   * @returns {Object} Plain node description with nested children
+   */
+  const describeNode = (node, status) => {
+    const { children: steps, ...metadata } = node.action
+      ? node.action.getMetadata?.() || {
+        type: node.action.type || 'UNKNOWN',
+        description: node.action.description || 'No description'
       }
+      : { type: 'ROOT', description: 'Initial state' };
+    
+    return {
+      ...metadata,
+      ...(steps ? { steps } : {}),
+      id: node.id,
+      ...status(node),
+      children: node.children.map(child => describeNode(child, status))
+    };
+  };
+
+  // ==========================================================================
+  // BOUNDED HISTORY
+  // ==========================================================================
+  
+  /**
+   * (Re)measure an entry and update the running total
+   * @param {Object} action - History entry
+   */
+  const trackSize = (action) => {
+    const size = measureAction(action);
+    heldBytes += size - (entrySizes.get(action) || 0);
+    entrySizes.set(action, size);
+  };
+  
+  /**
+   * Forget an entry's size (it left the history)
+   * @param {Object} action - History entry
+   */
+  const untrackSize = (action) => {
+    heldBytes -= entrySizes.get(action) || 0;
+    entrySizes.delete(action);
+  };
+  
+  /**
+   * Evict one entry. The oldest undoable entry goes first; if everything is
+   * undone, the furthest redo entry goes instead so redo order stays intact.
+   */
+  const evictOne = () => {
+    if (treeMode) {
+      evictFromTree();
+      return;
+    }
+    const action = currentHistoryIndex >= 0 ? actionHistory.shift() : actionHistory.pop();
+    if (currentHistoryIndex >= 0) {
+      currentHistoryIndex--;
+    }
+    untrackSize(action);
+    evictedCount++;
+  };
+  
+  /**
+   * Count every entry held (in tree mode, including alternate branches)
+   * @returns {number} Entry count
+   */
+  const entryCount = () => (treeMode ? nodeCount : actionHistory.length);
+  
+  /**
+   * Every entry held, oldest first
+   * @returns {Object[]} History entries
+   */
+  const allEntries = () => {
+    if (!treeMode) return actionHistory;
+    const nodes = [];
+    forEachNode(node => nodes.push(node));
+    return nodes.sort((a, b) => a.id - b.id).map(node => node.action);
+  };
+  
+  /**
+   * Apply maxEntries and maxSnapshotBytes after history changed
+   */
+  const enforceLimits = () => {
+    while (entryCount() > maxEntries) {
+      evictOne();
+    }
+    
+    // Compact old snapshots first (oldest first); undo keeps working
+    if (heldBytes > maxSnapshotBytes) {
+      for (const action of allEntries()) {
+        if (heldBytes <= maxSnapshotBytes) break;
+        if (typeof action.compact === 'function' && action.compact()) {
+          compactedCount++;
+          trackSize(action);
+        }
+      }
+    }
+    
+    // Still over budget: drop the oldest entries
+    while (heldBytes > maxSnapshotBytes && entryCount() > 0) {
+      evictOne();
+    }
+  };
+
+  // ==========================================================================
+  // HISTORY SERIALIZATION
+  // ==========================================================================
+  
+  /**
+   * Serialize one history entry
+   * @param {Object} action - History entry
+   * @returns {Object} Plain JSON
+   */
+  const serializeEntry = (action) => {
+    if (typeof action.toJSON !== 'function') {
+      throw new Error(`Action ${action.type || 'UNKNOWN'} is not serializable`);
+    }
+    return action.toJSON();
+  };
+  
+  /**
+   * Serialize the whole history. In tree mode, `entries` is the active path
+   * (so linear managers can still read it) and `tree` adds the alternate
+   * branches: { pathIds, branches: [{ id, parentId, active, entry }] }.
+   * @returns {Object} { version, currentIndex, entries, tree? }
+   */
+  const serializeHistory = () => {
+    const data = {
+      version: 1,
+      currentIndex: currentHistoryIndex,
+      entries: actionHistory.map(serializeEntry)
+    };
+    
+    if (treeMode) {
+      const pathNodes = new Set(actionHistory.map(action => nodeOf.get(action)));
+      const branches = [];
+      forEachNode(node => {
+        if (!pathNodes.has(node)) {
+          branches.push({
+            id: node.id,
+            parentId: node.parent.id,
+            active: node.parent.activeChild === node,
+            entry: serializeEntry(node.action)
+          });
+        }
+      });
+      data.tree = { pathIds: [...pathNodes].map(node => node.id), branches };
+    }
+    
+    return data;
+  };
+  
+  /**
+   * Save history to the storage backend (if any) after a change
+   */
+  const persistHistory = () => {
+    if (!storage) return;
+    saveChain = saveChain
+      .then(() => storage.save(serializeHistory()))
+      .catch(error => console.error('Failed to save action history:', error.message));
+  };
+  
+  /**
+   * Replace the history with exported data
+   * @param {Object} data - Output of exportHistory()
+   * @returns {number} Number of entries imported
+   */
+  const replaceHistory = (data) => {
+    if (!data || data.version !== 1 || !Array.isArray(data.entries)) {
+      throw new Error('History data must come from exportHistory() (version 1)');
+    }
+    if (typeof rehydrate !== 'function') {
+      throw new Error('Importing history requires a rehydrate option');
+    }
+    
+    // Rehydrate everything before touching the current history
+    const actions = data.entries.map(entry => rehydrate(entry));
+    const index = Math.min(Math.max(Number(data.currentIndex), -1), actions.length - 1);
+    const tree = treeMode && data.tree && Array.isArray(data.tree.branches) ? data.tree : null;
+    const branches = tree ? tree.branches.map(branch => ({ ...branch, action: rehydrate(branch.entry) })) : [];
+    
+    if (treeMode) {
+      resetTree();
+      const nodesById = new Map([[0, treeRoot]]);
+      let parent = treeRoot;
+      actions.forEach((action, i) => {
+        const id = tree?.pathIds?.[i] ?? i + 1;
+        parent = attachNode(parent, action, id);
+        nodesById.set(id, parent);
+      });
+      const pathNodes = new Set(nodesById.values());
+      
+      // Branches are listed parents first; path nodes keep redo on the path
+      branches.forEach(branch => {
+        const branchParent = nodesById.get(branch.parentId);
+        if (!branchParent) {
+          throw new Error(`History branch ${branch.id} has an unknown parent ${branch.parentId}`);
+        }
+        const previous = branchParent.activeChild;
+        nodesById.set(branch.id, attachNode(branchParent, branch.action, branch.id));
+        if (previous && (pathNodes.has(branchParent) || !branch.active)) {
+          branchParent.activeChild = previous;
+        }
+      });
       
+      // Keep siblings in creation order, as they were before export
+      nodesById.forEach(node => node.children.sort((a, b) => a.id - b.id));
+      rebuildPath();
+    } else {
+      actionHistory.forEach(untrackSize);
+      actionHistory.length = 0;
+      actionHistory.push(...actions);
+    }
+    currentHistoryIndex = Number.isInteger(index) ? index : actions.length - 1;
+    allEntries().forEach(trackSize);
+    enforceLimits();
+    
+    return actionHistory.length;
+  };
+
+  // ==========================================================================
+  // COMMAND QUEUE
+  // ==========================================================================
+  
+  /**
+   * Run queued commands one at a time until the queue is empty
+   */
+  const drainQueue = async () => {
+    if (isProcessing) return;
+    isProcessing = true;
+    
+    while (commandQueue.length > 0) {
+      const task = commandQueue.shift();
       try {
-        // Execute the action (may be async)
-        const result = await action.execute();
-        
-        // If execution was successful (or didn't return false)
-        if (result !== false) {
+        task.resolve(await task.run());
+      } catch (error) {
+        task.reject(error);
+      }
+    }
+    
+    isProcessing = false;
+    idleWaiters.splice(0).forEach(resolve => resolve());
+  };
+  
+  /**
+   * Add a command to the queue
+   * @param {string} kind - 'execute', 'undo', 'redo', 'goto' or 'import'
+   * @param {Function} run - Does the work once the command reaches the front
+   * @param {Object} [action] - Action being executed (for coalescing)
+   * @returns {Promise<*>} Settles with the command's result
+   */
+  const enqueueCommand = (kind, run, action = null) => new Promise((resolve, reject) => {
+    commandQueue.push({ kind, action, run, resolve, reject });
+    drainQueue();
+  });
+  
+  /**
+   * Check whether a pending command already covers the incoming action.
+   * Scans waiting commands from newest to oldest; undo/redo and any command
+   * the coalesce function calls a 'barrier' stop the scan.
+   * @param {Object} action - Incoming action
+   * @returns {boolean} True if the incoming action can be dropped
+   */
+  const isRedundant = (action) => {
+    for (let i = commandQueue.length - 1; i >= 0; i--) {
+      const task = commandQueue[i];
+      if (task.kind !== 'execute') return false;
+      
+      const verdict = coalesce(task.action, action);
+      if (verdict === 'drop-incoming') return true;
+      if (verdict === 'barrier') return false;
+    }
+    return false;
+  };
+
+  // ==========================================================================
+  // COMMAND EXECUTION
+  // ==========================================================================
+  
+  /**
+   * Call an action method with activeCommand set, so code running inside the
+   * action (e.g. optimistic notifications) can tell what is running
+   * @param {string} kind - 'execute', 'undo' or 'redo'
+   * @param {Object} action - History entry
+   * @param {string} method - 'execute' or 'undo'
+   * @returns {Promise<*>} The method's result
+   */
+  const invokeAction = async (kind, action, method) => {
+    activeCommand = { kind, action };
+    try {
+      return await action[method]();
+    } finally {
+      activeCommand = null;
+    }
+  };
+  
+  /**
+   * Tell the onApplied listener that a command changed state
+   * @param {Object} event - { kind, action, ... }
+   */
+  const announce = (event) => {
+    if (!onApplied || (navigationDepth > 0 && event.kind !== 'goto')) return;
+    try {
+      onApplied(event);
+    } catch (error) {
+      console.error('Error in onApplied listener:', error);
+    }
+  };
+  
+  /**
+   * Execute an action and add it to history (runs inside the queue)
+   * @param {Object} action - Command object with execute/undo methods
+   * @returns {Promise<boolean>} True if executed successfully
+   */
+  const runExecute = async (action) => {
+    // Preconditions are checked when the command runs, not when it was queued
+    if (typeof action.canExecute === 'function' && !action.canExecute()) {
+      return false;
+    }
+    
+    try {
+      // Execute the action (may be async)
+      const result = await invokeAction('execute', action, 'execute');
+      
+      // Record only when the action (or its consistency policy) reports success
+      if (shouldRecord(result)) {
+        if (treeMode) {
+          // Start a new branch; the old redo entries stay in the tree
+          attachNode(currentNode(), action);
+          rebuildPath();
+        } else {
           // Remove any "future" history if we're in the middle of history
           if (currentHistoryIndex < actionHistory.length - 1) {
-            actionHistory.splice(currentHistoryIndex + 1);
+            actionHistory.splice(currentHistoryIndex + 1).forEach(untrackSize);
           }
           
           // Add action to history
           actionHistory.push(action);
-          currentHistoryIndex++;
-          
-          return true;
         }
+        currentHistoryIndex++;
+        trackSize(action);
+        enforceLimits();
+        persistHistory();
+        announce({ kind: 'execute', action });
         
-        return false; // Action decided not to execute
-        
-      } catch (error) {
-        console.error('Error executing action:', error);
-        console.error('Action details:', action.getMetadata?.() || action);
-        throw error; // Re-throw for caller to handle
+        return true;
       }
-    },
+      
+      return false; // Action decided not to execute
+      
+    } catch (error) {
+      console.error('Error executing action:', error);
+      console.error('Action details:', action.getMetadata?.() || action);
+      throw error; // Re-throw for caller to handle
+    }
+  };
 
-    /**
-     * Undo the last executed action
-     * @returns {Promise<boolean>} True if an action was undone
-     */
-    async undo() {
-      if (currentHistoryIndex < 0) {
-        return false; // No actions to undo
+  /**
+   * Undo the last executed action (runs inside the queue)
+   * @returns {Promise<boolean>} True if an action was undone
+   */
+  const runUndo = async () => {
+    if (currentHistoryIndex < 0) {
+      return false; // No actions to undo
+    }
+    
+    try {
+      const action = actionHistory[currentHistoryIndex];
+      
+      if (typeof action.undo !== 'function') {
+        throw new Error('Action does not support undo');
       }
       
-      try {
-        const action = actionHistory[currentHistoryIndex];
-        
-        if (typeof action.undo !== 'function') {
-          throw new Error('Action does not support undo');
-        }
-        
-        // Execute the undo (may be async)
-        await action.undo();
-        
-        // Move backward in history
+      // Execute the undo (may be async)
+      const result = await invokeAction('undo', action, 'undo');
+      
+      // A failed policy (e.g. strict mode, backend down) leaves history where it was
+      if (isPolicyReport(result) && !result.success) {
+        return false;
+      }
+      
+      // Move backward in history
+      currentHistoryIndex--;
+      trackSize(action);
+      persistHistory();
+      announce({ kind: 'undo', action });
+      
+      return true;
+      
+    } catch (error) {
+      console.error('Error during undo:', error);
+      return false;
+    }
+  };
+
+  /**
+   * Redo the next action in history (runs inside the queue)
+   * @returns {Promise<boolean>} True if an action was redone
+   */
+  const runRedo = async () => {
+    if (currentHistoryIndex >= actionHistory.length - 1) {
+      return false; // No actions to redo
+    }
+    
+    try {
+      // Move forward in history first
+      currentHistoryIndex++;
+      const action = actionHistory[currentHistoryIndex];
+      
+      // Re-execute the action (may be async)
+      const result = await invokeAction('redo', action, 'execute');
+      
+      // A failed policy leaves the action in the redo stack
+      if (isPolicyReport(result) && !result.success) {
         currentHistoryIndex--;
-        
-        return true;
-        
-      } catch (error) {
-        console.error('Error during undo:', error);
         return false;
       }
+      
+      // Re-executing may capture fresh snapshots
+      trackSize(action);
+      enforceLimits();
+      persistHistory();
+      announce({ kind: 'redo', action });
+      
+      return true;
+      
+    } catch (error) {
+      console.error('Error during redo:', error);
+      // Move back on error
+      currentHistoryIndex--;
+      return false;
+    }
+  };
+
+  /**
+   * Undo or redo along the active path until the position equals targetIndex
+   * Stops early if a step fails; the position then stays where it got to.
+   * @param {number} targetIndex - Position to reach (-1 = before the first action)
+   * @returns {Promise<boolean>} True if the target position was reached
+   */
+  const stepTo = async (targetIndex) => {
+    while (currentHistoryIndex > targetIndex) {
+      if (!(await runUndo())) break;
+    }
+    while (currentHistoryIndex < targetIndex) {
+      if (!(await runRedo())) break;
+    }
+    return currentHistoryIndex === targetIndex;
+  };
+  
+  /**
+   * Run a multi-step navigation, optionally wrapped by the caller
+   * @param {Function} runSteps - async () => boolean, performs the steps
+   * @param {Function} restore - Puts the history position back (navigation cancelled)
+   * @param {Function} [wrap] - async (runSteps) => boolean; lets the caller prepare
+   *   around all steps (e.g. batch persistence). Returning false means the caller
+   *   rolled the state back, so the position is put back where it started.
+   * @returns {Promise<boolean>} True if the navigation reached its target
+   */
+  const runNavigation = async (runSteps, restore, wrap) => {
+    const fromIndex = currentHistoryIndex;
+    let reached = false;
+    const steps = async () => {
+      reached = await runSteps();
+    };
+    
+    navigationDepth++;
+    let kept;
+    try {
+      kept = wrap ? await wrap(steps) : (await steps(), true);
+      if (kept === false) {
+        restore();
+        persistHistory();
+      }
+    } finally {
+      navigationDepth--;
+      // One announcement for the whole jump
+      announce({ kind: 'goto', action: null, fromIndex, toIndex: currentHistoryIndex });
+    }
+    return kept !== false && reached;
+  };
+
+  /**
+   * Undo or redo until the history position equals targetIndex (runs inside the queue)
+   * @param {number} targetIndex - Position to reach (-1 = before the first action)
+   * @param {Function} [wrap] - See runNavigation()
+   * @returns {Promise<boolean>} True if the target position was reached
+   */
+  const runGoTo = async (targetIndex, wrap) => {
+    if (!Number.isInteger(targetIndex) || targetIndex < -1 || targetIndex >= actionHistory.length) {
+      throw new Error(`History index out of range: ${targetIndex}`);
+    }
+    
+    const startIndex = currentHistoryIndex;
+    return runNavigation(() => stepTo(targetIndex), () => {
+      currentHistoryIndex = startIndex;
+    }, wrap);
+  };
+  
+  /**
+   * Move to any node of the undo tree (runs inside the queue): undo up to the
+   * closest common ancestor, make the target's branch the active path, then
+   * redo down to the target.
+   * @param {number} nodeId - Target node id (0 = initial state)
+   * @param {Function} [wrap] - See runNavigation()
+   * @returns {Promise<boolean>} True if the target node was reached
+   */
+  const runSwitchBranch = async (nodeId, wrap) => {
+    if (!treeMode) {
+      throw new Error("switchBranch requires the 'tree' history mode");
+    }
+    const target = findNode(nodeId);
+    if (!target) {
+      throw new Error(`Unknown history node: ${nodeId}`);
+    }
+    
+    // Target's ancestors, root first; lineage[d] sits at history index d - 1
+    const lineage = [];
+    for (let node = target; node; node = node.parent) {
+      lineage.unshift(node);
+    }
+    const executed = new Set([treeRoot, ...actionHistory.slice(0, currentHistoryIndex + 1).map(action => nodeOf.get(action))]);
+    const ancestorDepth = lineage.findLastIndex(node => executed.has(node));
+    
+    const startIndex = currentHistoryIndex;
+    const startPointers = lineage.map(node => node.activeChild);
+    
+    return runNavigation(async () => {
+      if (!(await stepTo(ancestorDepth - 1))) {
+        return false;
+      }
+      for (let depth = 0; depth < lineage.length - 1; depth++) {
+        lineage[depth].activeChild = lineage[depth + 1];
+      }
+      rebuildPath();
+      return stepTo(lineage.length - 2);
+    }, () => {
+      lineage.forEach((node, depth) => {
+        node.activeChild = startPointers[depth];
+      });
+      rebuildPath();
+      currentHistoryIndex = startIndex;
+    }, wrap);
+  };
+
+  return {
+    /**
+     * Execute an action and add it to history
+     * Commands run one at a time in FIFO order, so an undo() issued while an
+     * add is still in flight waits for the add to finish.
+     * @param {Object} action - Command object with execute/undo methods
+     * @returns {Promise<boolean>} True if executed successfully
+     */
+    executeAction(action) {
+      if (!action || typeof action.execute !== 'function') {
+        return Promise.reject(new Error('Action must have an execute method'));
+      }
+      
+      // Skip commands that would repeat one already waiting in the queue
+      if (coalesce && isRedundant(action)) {
+        coalescedCount++;
+        return Promise.resolve(false);
+      }
+      
+      return enqueueCommand('execute', () => runExecute(action), action);
+    },
+
+    /**
+     * Undo the last executed action (queued behind pending commands)
+     * @returns {Promise<boolean>} True if an action was undone
+     */
+    undo() {
+      return enqueueCommand('undo', runUndo);
     },
 
     /**
-     * Redo the next action in history
+     * Redo the next action in history (queued behind pending commands)
      * @returns {Promise<boolean>} True if an action was redone
      */
-    async redo() {
-      if (currentHistoryIndex >= actionHistory.length - 1) {
-        return false; // No actions to redo
+    redo() {
+      return enqueueCommand('redo', runRedo);
+    },
+
+    /**
+     * Jump to any point in the history, undoing or redoing as many steps as needed.
+     * Runs as one queued command, so nothing can interleave with the jump.
+     * @param {number} index - Target position (-1 = before the first action)
+     * @param {Object} [options]
+     * @param {Function} [options.wrap] - async (runSteps) => boolean, runs around all steps
+     *   (return false after rolling state back to cancel the jump)
+     * @returns {Promise<boolean>} True if the target position was reached
+     */
+    goTo(index, options = {}) {
+      return enqueueCommand('goto', () => runGoTo(index, options.wrap));
+    },
+
+    /**
+     * Move to any node of the undo tree, including alternate branches (tree mode).
+     * Redo then follows the chosen branch.
+     * @param {number} nodeId - Node id from getHistoryTree() (0 = initial state)
+     * @param {Object} [options]
+     * @param {Function} [options.wrap] - Same as goTo()
+     * @returns {Promise<boolean>} True if the node was reached
+     */
+    switchBranch(nodeId, options = {}) {
+      return enqueueCommand('goto', () => runSwitchBranch(nodeId, options.wrap));
+    },
+
+    /**
+     * Get the whole history as a tree. In linear mode the tree is a single chain.
+     * @returns {Object} { mode, currentNodeId, root } where every node has
+     *   { id, type, description, isCurrentPosition, isExecuted, isOnActivePath, children }
+     */
+    getHistoryTree() {
+      if (treeMode) {
+        const current = currentNode();
+        const executed = new Set([treeRoot, ...actionHistory.slice(0, currentHistoryIndex + 1).map(action => nodeOf.get(action))]);
+        const activePath = new Set([treeRoot, ...actionHistory.map(action => nodeOf.get(action))]);
+        return {
+          mode,
+          currentNodeId: current.id,
+          root: describeNode(treeRoot, node => ({
+            isCurrentPosition: node === current,
+            isExecuted: executed.has(node),
+            isOnActivePath: activePath.has(node)
+          }))
+        };
       }
       
-      try {
-        // Move forward in history first
-        currentHistoryIndex++;
-        const action = actionHistory[currentHistoryIndex];
-        
-        // Re-execute the action (may be async)
-        await action.execute();
-        
-        return true;
-        
-      } catch (error) {
-        console.error('Error during redo:', error);
-        // Move back on error
-        currentHistoryIndex--;
-        return false;
+      // Linear mode: ids are history positions + 1 (stable until history changes)
+      const chain = [{ id: 0, action: null, children: [] }];
+      actionHistory.forEach((action, index) => {
+        const node = { id: index + 1, action, children: [] };
+        chain[index].children.push(node);
+        chain.push(node);
+      });
+      return {
+        mode,
+        currentNodeId: currentHistoryIndex + 1,
+        root: describeNode(chain[0], node => ({
+          isCurrentPosition: node.id === currentHistoryIndex + 1,
+          isExecuted: node.id <= currentHistoryIndex + 1,
+          isOnActivePath: true
+        }))
+      };
+    },
+
+    /**
+     * Get the command whose action is running right now
+     * @returns {Object|null} { kind: 'execute'|'undo'|'redo', type } or null when idle
+     */
+    getActiveCommand() {
+      return activeCommand ? { kind: activeCommand.kind, type: activeCommand.action.type || 'UNKNOWN' } : null;
+    },
+
+    /**
+     * Wait until every queued command has finished
+     * @returns {Promise<void>} Resolves when the queue is empty and idle
+     */
+    whenIdle() {
+      if (!isProcessing && commandQueue.length === 0) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => idleWaiters.push(resolve));
+    },
+
+    /**
+     * Export the history as plain JSON (every action must implement toJSON)
+     * @returns {Object} { version, currentIndex, entries }
+     */
+    exportHistory() {
+      return serializeHistory();
+    },
+
+    /**
+     * Replace the history with previously exported data.
+     * Runs through the command queue so it cannot interleave with commands.
+     * @param {Object} data - Output of exportHistory()
+     * @returns {Promise<number>} Number of entries imported
+     */
+    importHistory(data) {
+      return enqueueCommand('import', async () => {
+        const count = replaceHistory(data);
+        persistHistory();
+        return count;
+      });
+    },
+
+    /**
+     * Restore history saved by a previous session from the storage backend
+     * @returns {Promise<number>} Number of entries restored (0 if nothing was saved)
+     */
+    loadHistory() {
+      if (!storage) {
+        return Promise.resolve(0);
       }
+      return enqueueCommand('import', async () => {
+        const data = await storage.load();
+        return data && Array.isArray(data.entries) ? replaceHistory(data) : 0;
+      });
     },
 
     /**
@@ -182,14 +1047,36 @@ export const createCommandManager = () => {
      * @param {boolean} keepCurrent - If true, keeps actions up to current position
      */
     clearHistory(keepCurrent = false) {
+      if (treeMode) {
+        // Tree mode: keep only the path up to the current position
+        const kept = keepCurrent ? actionHistory.slice(0, currentHistoryIndex + 1) : [];
+        const keptNodes = new Set(kept.map(action => nodeOf.get(action)));
+        forEachNode(node => {
+          if (!keptNodes.has(node)) untrackSize(node.action);
+        });
+        keptNodes.forEach(node => {
+          node.children = node.children.filter(child => keptNodes.has(child));
+          node.activeChild = node.children[0] || null;
+        });
+        treeRoot.children = kept.length > 0 ? [nodeOf.get(kept[0])] : [];
+        treeRoot.activeChild = treeRoot.children[0] || null;
+        nodeCount = kept.length;
+        rebuildPath();
+        currentHistoryIndex = kept.length - 1;
+        persistHistory();
+        return;
+      }
+      
       if (keepCurrent && currentHistoryIndex >= 0) {
         // Keep only actions up to current position
-        actionHistory.splice(currentHistoryIndex + 1);
+        actionHistory.splice(currentHistoryIndex + 1).forEach(untrackSize);
       } else {
         // Clear everything
+        actionHistory.forEach(untrackSize);
         actionHistory.length = 0;
         currentHistoryIndex = -1;
       }
+      persistHistory();
     },
 
     /**
@@ -202,7 +1089,17 @@ export const createCommandManager = () => {
         currentPosition: currentHistoryIndex,
         actionTypes: {},
         oldestAction: null,
-        newestAction: null
+        newestAction: null,
+        queueDepth: commandQueue.length,
+        isProcessing,
+        coalescedCount,
+        evictedCount,
+        compactedCount,
+        approximateBytes: heldBytes,
+        limits: { maxEntries, maxSnapshotBytes },
+        mode,
+        // Entries held including alternate branches (equals totalActions in linear mode)
+        totalEntries: entryCount()
       };
       
       // Count action types
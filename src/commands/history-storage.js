@@ -0,0 +1,179 @@
+/**
+ * =============================================================================
+ * HISTORY STORAGE - WHERE UNDO/REDO HISTORY IS KEPT BETWEEN SESSIONS
+ * =============================================================================
+ *
+ * A history storage backend implements two methods:
+ *
+ *   load()        -> Promise<Object|null>  data saved by a previous session
+ *   save(data)    -> Promise<void>         replace the saved history
+ *
+ * `data` is the output of commandManager.exportHistory(). Any object with
+ * these two methods works, e.g. createFileOutboxStorage() in Node.
+ */
+
+/**
+ * Creates a non-durable storage (tests, or environments without localStorage)
+ * @returns {Object} History storage ({ load, save })
+ */
+export const createMemoryHistoryStorage = () => {
+  let saved = null;
+
+  return {
+    name: 'memory',
+
+    async load() {
+      return saved ? JSON.parse(saved) : null;
+    },
+
+    async save(data) {
+      saved = JSON.stringify(data);
+    }
+  };
+};
+
+/**
+ * Creates a storage backed by Web Storage (browser)
+ * @param {Object} [options]
+ * @param {string} [options.key] - Storage key
+ * @param {Storage} [options.storage] - Storage implementation (defaults to localStorage)
+ * @returns {Object} History storage ({ load, save })
+ */
+export const createLocalStorageHistoryStorage = (options = {}) => {
+  const { key = 'favorites-store:history', storage = globalThis.localStorage } = options;
+
+  /**
+   * Resolve the storage lazily so a missing localStorage rejects instead of crashing
+   * @returns {Storage} Storage implementation
+   */
+  const getStorage = () => {
+    if (!storage || typeof storage.getItem !== 'function') {
+      throw new Error('localStorage is not available in this environment');
+    }
+    return storage;
+  };
+
+  return {
+    name: 'localStorage',
+
+    async load() {
+      const raw = getStorage().getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async save(data) {
+      getStorage().setItem(key, JSON.stringify(data));
+    }
+  };
+};
+
+/**
+ * Creates a storage that keeps one history per browser tab in localStorage,
+ * so tabs never overwrite each other's undo history:
+ *
+ *   <key>:tab:<tabId>   history saved by that tab
+ *   <key>:tabs          [{ id, savedAt }] of the saved histories, oldest first
+ *
+ * The tab id lives in sessionStorage, so a reloaded tab gets its own history
+ * back. A new tab (or the first tab after the browser restarts) starts from
+ * the most recently saved history and saves its own copy from then on.
+ * @param {Object} [options]
+ * @param {string} [options.key] - Key prefix
+ * @param {Storage} [options.storage] - Durable storage (defaults to localStorage)
+ * @param {Storage} [options.sessionStorage] - Per-tab storage that remembers the tab
+ *   across reloads (defaults to sessionStorage; without it every load is a new tab)
+ * @param {number} [options.maxTabs=5] - Saved histories kept; older ones are removed
+ * @returns {Object} History storage ({ load, save })
+ */
+export const createPerTabHistoryStorage = (options = {}) => {
+  const {
+    key = 'favorites-store:history',
+    storage = globalThis.localStorage,
+    sessionStorage = globalThis.sessionStorage,
+    maxTabs = 5
+  } = options;
+  if (!Number.isInteger(maxTabs) || maxTabs < 1) {
+    throw new Error('maxTabs must be a positive integer');
+  }
+
+  let tabId = null;
+
+  /**
+   * Resolve the storage lazily so a missing localStorage rejects instead of crashing
+   * @returns {Storage} Storage implementation
+   */
+  const getStorage = () => {
+    if (!storage || typeof storage.getItem !== 'function') {
+      throw new Error('localStorage is not available in this environment');
+    }
+    return storage;
+  };
+
+  /**
+   * This tab's id, kept in sessionStorage when there is one
+   * @returns {string} Tab id
+   */
+  const getTabId = () => {
+    if (tabId) return tabId;
+    tabId = sessionStorage?.getItem(`${key}:tab-id`)
+      || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    sessionStorage?.setItem(`${key}:tab-id`, tabId);
+    return tabId;
+  };
+
+  /**
+   * Saved histories, oldest first
+   * @returns {Object[]} [{ id, savedAt }]
+   */
+  const readIndex = () => {
+    const raw = getStorage().getItem(`${key}:tabs`);
+    return raw ? JSON.parse(raw) : [];
+  };
+
+  /**
+   * History saved by a tab
+   * @param {string} id - Tab id
+   * @returns {Object|null} Saved history
+   */
+  const readHistory = (id) => {
+    const raw = getStorage().getItem(`${key}:tab:${id}`);
+    return raw ? JSON.parse(raw) : null;
+  };
+
+  return {
+    name: 'localStorage (per tab)',
+
+    async load() {
+      const own = readHistory(getTabId());
+      if (own) return own;
+      // New tab or new session: continue from the most recently saved history
+      const index = readIndex();
+      return index.length > 0 ? readHistory(index[index.length - 1].id) : null;
+    },
+
+    async save(data) {
+      const id = getTabId();
+      const durable = getStorage();
+      durable.setItem(`${key}:tab:${id}`, JSON.stringify(data));
+
+      const index = [...readIndex().filter(entry => entry.id !== id), { id, savedAt: Date.now() }];
+      const removed = index.splice(0, Math.max(0, index.length - maxTabs));
+      removed.forEach(entry => durable.removeItem(`${key}:tab:${entry.id}`));
+      durable.setItem(`${key}:tabs`, JSON.stringify(index));
+    }
+  };
+};
+
+/**
+ * Pick the most durable storage available in this environment
+ * @param {Object} [options]
+ * @param {boolean} [options.perTab=false] - Keep one history per browser tab
+ *   (see createPerTabHistoryStorage) instead of one shared by all tabs
+ * @returns {Object} localStorage storage in browsers, memory storage elsewhere
+ */
+export const createDefaultHistoryStorage = (options = {}) => {
+  if (!globalThis.localStorage) {
+    return createMemoryHistoryStorage();
+  }
+  return options.perTab ? createPerTabHistoryStorage() : createLocalStorageHistoryStorage();
+};
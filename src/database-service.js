@@ -222,7 +222,8 @@ export const getFrequentlyVisited = async (topCount = 10, useCache = true) => {
 /**
  * Get user's current favorites
  * @param {boolean} useCache - Whether to use cached data
- * @returns {Promise<Array>} Array of favorited URLs
+ * @returns {Promise<Array>} Array of favorite records
+ *   ({ url, displayName, defaultDisplayName, notes, createdAt, sortOrder, accessCount, tags })
  */
 export const getUserFavorites = async (useCache = false) => {
   // Don't cache favorites by default as they change frequently
@@ -245,14 +246,24 @@ export const getUserFavorites = async (useCache = false) => {
     
     const results = await response.json();
     
-    // Return just the URLs for compatibility with existing store
-    const favoriteUrls = results.map(row => row.Url);  // API returns 'Url', transform to 'url'
+    // Keep everything the stored procedure returns per favorite as a store record
+    const favoriteRecords = results.map(row => ({
+      url: row.Url,  // API returns 'Url', transform to 'url'
+      displayName: row.UserDisplayName ?? null,  // Only a name the user set (UPDATE_FAVORITE edits it)
+      defaultDisplayName: row.DefaultDisplayName ?? null,  // The resource's own name
+      notes: row.UserNotes ?? null,
+      createdAt: row.FavoritedDate ?? null,
+      sortOrder: row.SortOrder ?? null,
+      accessCount: row.AccessCount ?? 0,
+      tags: row.Tags ? row.Tags.split(',') : [],  // STRING_AGG of the favorite's tag names
+      collectionId: row.CollectionId ?? null
+    }));
     
     if (useCache) {
-      userFavoritesCache.set(cacheKey, favoriteUrls);
+      userFavoritesCache.set(cacheKey, favoriteRecords);
     }
     
-    return favoriteUrls;
+    return favoriteRecords;
     
   } catch (error) {
     console.error('Failed to get user favorites:', error);
@@ -388,6 +399,266 @@ export const clearAllFavorites = async () => {
   }
 };
 
+/**
+ * =============================================================================
+ * TAGS
+ * =============================================================================
+ */
+
+/**
+ * Send a tag or collection write and read the stored procedure's
+ * { Success, Message } row
+ * @param {string} method - HTTP method
+ * @param {string} path - API path (e.g. '/api/favorites/tags')
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<boolean>} True if the procedure reported success
+ */
+const sendWriteRequest = async (method, path, body = {}) => {
+  const response = await fetch(`http://localhost:3001${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  
+  if (!response.ok) {
+    throw new Error(`API call failed: ${response.status}`);
+  }
+  
+  const results = await response.json();
+  const result = results && results[0];
+  if (!result) {
+    console.log('ℹ️ Unexpected response format from database');
+    return false;
+  }
+  if (result.Success) {
+    // Cached favorites carry what was just written (tags, collection, order, names), so they are stale now
+    userFavoritesCache.clear();
+    console.log(`✅ ${result.Message}`);
+    return true;
+  }
+  console.log(`ℹ️ ${result.Message}`);
+  return false;
+};
+
+/**
+ * Get the user's tags with usage counts
+ * @returns {Promise<Array<{ tag: string, count: number }>>} Tags sorted by name
+ */
+export const getUserTags = async () => {
+  try {
+    const response = await fetch('http://localhost:3001/api/tags');
+    
+    if (!response.ok) {
+      throw new Error(`API call failed: ${response.status}`);
+    }
+    
+    const results = await response.json();
+    return results.map(row => ({ tag: row.Name, count: row.FavoriteCount ?? 0 }));
+    
+  } catch (error) {
+    console.error('Failed to get tags:', error);
+    throw error;
+  }
+};
+
+/**
+ * Tag a favorite (the tag is created if the user does not have it yet)
+ * @param {string} url - Favorite URL
+ * @param {string} tag - Tag name
+ * @returns {Promise<boolean>} True if the favorite was tagged
+ */
+export const addFavoriteTag = async (url, tag) => {
+  try {
+    return await sendWriteRequest('POST', '/api/favorites/tags', { url, tag });
+  } catch (error) {
+    console.error('Failed to tag favorite:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a tag from a favorite
+ * @param {string} url - Favorite URL
+ * @param {string} tag - Tag name
+ * @returns {Promise<boolean>} True if the tag was removed
+ */
+export const removeFavoriteTag = async (url, tag) => {
+  try {
+    return await sendWriteRequest('DELETE', '/api/favorites/tags', { url, tag });
+  } catch (error) {
+    console.error('Failed to untag favorite:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rename a tag on all favorites (merges into `to` if that tag exists)
+ * @param {string} from - Current tag name
+ * @param {string} to - New tag name
+ * @returns {Promise<boolean>} True if any favorite carried the tag
+ */
+export const renameTag = async (from, to) => {
+  try {
+    return await sendWriteRequest('PUT', '/api/tags', { from, to });
+  } catch (error) {
+    console.error('Failed to rename tag:', error);
+    throw error;
+  }
+};
+
+/**
+ * =============================================================================
+ * COLLECTIONS
+ * =============================================================================
+ */
+
+/**
+ * Get the user's collections (flat; parentId links them into a tree)
+ * @returns {Promise<Array<{ id: string, name: string, parentId: string|null, createdAt: string }>>}
+ *   Collections in creation order
+ */
+export const getUserCollections = async () => {
+  try {
+    const response = await fetch('http://localhost:3001/api/collections');
+    
+    if (!response.ok) {
+      throw new Error(`API call failed: ${response.status}`);
+    }
+    
+    const results = await response.json();
+    return results.map(row => ({
+      id: row.CollectionId,
+      name: row.Name,
+      parentId: row.ParentCollectionId ?? null,
+      createdAt: row.CreatedDate ?? null
+    }));
+    
+  } catch (error) {
+    console.error('Failed to get collections:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a collection under the id chosen by the client
+ * @param {{ id: string, name: string, parentId?: string|null }} collection - Collection to create
+ * @returns {Promise<boolean>} True if created
+ */
+export const createCollection = async ({ id, name, parentId = null }) => {
+  try {
+    return await sendWriteRequest('POST', '/api/collections', { id, name, parentId });
+  } catch (error) {
+    console.error('Failed to create collection:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rename a collection
+ * @param {string} id - Collection id
+ * @param {string} name - New name
+ * @returns {Promise<boolean>} True if renamed
+ */
+export const renameCollection = async (id, name) => {
+  try {
+    return await sendWriteRequest('PUT', `/api/collections/${encodeURIComponent(id)}`, { name });
+  } catch (error) {
+    console.error('Failed to rename collection:', error);
+    throw error;
+  }
+};
+
+/**
+ * Move a collection under another one
+ * @param {string} id - Collection id
+ * @param {string|null} parentId - New parent (null = top level)
+ * @returns {Promise<boolean>} True if moved
+ */
+export const moveCollection = async (id, parentId) => {
+  try {
+    return await sendWriteRequest('PUT', `/api/collections/${encodeURIComponent(id)}/parent`, { parentId });
+  } catch (error) {
+    console.error('Failed to move collection:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a collection; favorites and collections still inside move up to its parent
+ * @param {string} id - Collection id
+ * @returns {Promise<boolean>} True if deleted
+ */
+export const deleteCollection = async (id) => {
+  try {
+    return await sendWriteRequest('DELETE', `/api/collections/${encodeURIComponent(id)}`);
+  } catch (error) {
+    console.error('Failed to delete collection:', error);
+    throw error;
+  }
+};
+
+/**
+ * Move a favorite into a collection
+ * @param {string} url - Favorite URL
+ * @param {string|null} collectionId - Target collection (null = top level)
+ * @returns {Promise<boolean>} True if the favorite moved
+ */
+export const moveFavoriteToCollection = async (url, collectionId) => {
+  try {
+    return await sendWriteRequest('PUT', '/api/favorites/collection', { url, collectionId });
+  } catch (error) {
+    console.error('Failed to move favorite:', error);
+    throw error;
+  }
+};
+
+/**
+ * =============================================================================
+ * EDITING
+ * =============================================================================
+ */
+
+/**
+ * Edit a favorite's display name and/or notes. Only the fields present in
+ * `fields` change; null clears one (the name then falls back to the resource's).
+ * @param {string} url - Favorite URL
+ * @param {{ displayName?: string|null, notes?: string|null }} fields - Fields to set
+ * @returns {Promise<boolean>} True if anything changed
+ */
+export const updateFavorite = async (url, fields = {}) => {
+  const body = { url };
+  if ('displayName' in fields) body.displayName = fields.displayName;
+  if ('notes' in fields) body.userNotes = fields.notes;
+  try {
+    return await sendWriteRequest('PATCH', '/api/favorites', body);
+  } catch (error) {
+    console.error('Failed to update favorite:', error);
+    throw error;
+  }
+};
+
+/**
+ * =============================================================================
+ * MANUAL ORDER
+ * =============================================================================
+ */
+
+/**
+ * Set the manual order (SortOrder) of favorites: each URL gets
+ * startIndex + its position in the list; favorites not listed keep theirs
+ * @param {string[]} urls - Favorite URLs in their new order
+ * @param {number} [startIndex=0] - SortOrder of the first URL
+ * @returns {Promise<boolean>} True if any favorite's order changed
+ */
+export const reorderFavorites = async (urls, startIndex = 0) => {
+  try {
+    return await sendWriteRequest('PUT', '/api/favorites/order', { urls, startIndex });
+  } catch (error) {
+    console.error('Failed to reorder favorites:', error);
+    throw error;
+  }
+};
+
 /**
  * =============================================================================
  * CACHE MANAGEMENT
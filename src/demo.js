@@ -28,15 +28,22 @@
 // Import the store from the new modular architecture
 // This demonstrates how clean module separation improves dependency management
 import { favoritesStore } from './favorites-store-modular.js';
+import { hasChanges } from './observers/change-descriptor.js';
+import { selectIsFavorite } from './observers/selectors.js';
+import { createDevtoolsPlugin } from './plugins/devtools-plugin.js';
+import { createCrossTabPlugin } from './plugins/cross-tab-plugin.js';
 import { escapeHTML as escapeHTMLUtil, escapeAttr as escapeAttrUtil, normalizeUrl as normalizeUrlUtil, deriveDisplayName } from './utils/url-display.js';
 
 // Import database service for real data persistence
 import { 
   getAllResources, 
-  getFrequentlyVisited, 
-  getUserFavorites 
+  getFrequentlyVisited 
 } from './database-service.js';
 
+// Share changes with the demo's other open tabs. Installed before anything
+// else, so only the leader tab replays the offline outbox all tabs share.
+favoritesStore.use(createCrossTabPlugin());
+
 // =============================================================================
 // =============================================================================
 // DATABASE-DRIVEN DATA LOADING
@@ -94,29 +101,15 @@ async function syncFavoritesFromDatabase() {
   try {
     console.log('🔄 Syncing favorites from database...');
     
-    // Get favorites from database
-    const dbFavorites = await getUserFavorites();
-    console.log(`✅ Loaded ${dbFavorites.length} favorites from database`);
+    // Load the full records (names, notes, dates) through the store's
+    // persistence adapter; hydration is silent and skips the command history
+    const loadedCount = await favoritesStore.loadFromPersistence({ notify: false });
+    console.log(`✅ Synced ${loadedCount} favorites from database to local state`);
     
-    // Create a set from database favorites and restore to state
-    if (dbFavorites.length > 0) {
-      const favoritesSet = new Set(dbFavorites);
-      
-      // Use public hydrate API for initial sync (silent by default)
-      if (favoritesStore.hydrate) {
-        favoritesStore.hydrate(favoritesSet, { notify: false });
-        console.log(`Synced ${dbFavorites.length} favorites from database to local state`);
-      } else {
-        // Fallback: add them one by one (will trigger database calls but should be idempotent)
-        console.log('Using fallback sync method...');
-        for (const url of dbFavorites) {
-          if (!favoritesStore.isFavorite(url)) {
-            // This will trigger database calls, but since the items are already in DB,
-            // the add operations should return false (already exists) quickly
-            await favoritesStore.addFavorite(url);
-          }
-        }
-      }
+    // Bring back the undo/redo history saved before the last reload
+    const restoredCount = await favoritesStore.restoreHistory();
+    if (restoredCount > 0) {
+      console.log(`↶ Restored ${restoredCount} actions from the previous session`);
     }
     
   } catch (error) {
@@ -129,14 +122,20 @@ async function syncFavoritesFromDatabase() {
  * Trigger initial render of all components
  */
 function triggerInitialRender() {
-  // Get current favorites from store and trigger render
-  const currentFavorites = favoritesStore.getAllFavorites();
-  const favoritesSet = new Set(currentFavorites);
+  // Get current favorite records from store (same shape observers receive)
+  const currentFavorites = new Map(
+    favoritesStore.getFavoriteRecords().map(record => [record.url, record])
+  );
   
   // Manually trigger all observer functions with current state
-  renderResourceList(favoritesSet);
-  renderFavoritesList(favoritesSet);
-  renderFrequentlyVisitedList(favoritesSet);
+  renderResourceList(currentFavorites);
+  renderFavoritesList(currentFavorites);
+  renderCollectionsTree();
+  renderFrequentlyVisitedList(currentFavorites);
+  
+  // History may have been restored from a previous session
+  updateUndoRedoButtons();
+  updateActionHistoryDisplay();
 }
 
 // =============================================================================
@@ -221,6 +220,25 @@ const fetchPageTitle = async (url) => {
   }
 };
 
+/**
+ * UTILITY FUNCTION: Get display name for a favorite record
+ * 
+ * Uses the name already stored on the record when it carries a real one
+ * (the database falls back to the URL itself when nothing better is known),
+ * and only derives or fetches a title otherwise.
+ * 
+ * @param {Object} record - Favorite record from the store
+ * @returns {Promise<Object>} Promise that resolves to resource object with name
+ */
+const createResourceFromRecord = async (record) => {
+  // USER NAMES FIRST: a name the user set (or edited), then the resource's own name, win over fetchPageTitle
+  const name = record.displayName || record.defaultDisplayName;
+  if (name && name !== record.url) {
+    return { url: record.url, name, tags: record.tags, notes: record.notes };
+  }
+  return { ...(await createResourceFromUrl(record.url)), tags: record.tags, notes: record.notes };
+};
+
 /**
  * UTILITY FUNCTION: Get display name for a resource (with title fetching)
  * 
@@ -294,7 +312,38 @@ const setStarState = (btn, isFav) => {
   btn.textContent = isFav ? '★' : '☆';
 };
 
-const createResourceHtml = (resource, isFav) => {
+/**
+ * UTILITY FUNCTION: Give every star button in a list its own store subscription
+ * 
+ * Each button subscribes to "is this URL favorited" with store.select(), so
+ * toggling one favorite updates one button instead of rescanning the list.
+ * Subscriptions from a previous render of the same container are dropped.
+ * @param {HTMLElement} container - List container
+ */
+const bindStarSubscriptions = (container) => {
+  (container.__starSubscriptions || []).forEach(dispose => dispose());
+  container.__starSubscriptions = Array.from(container.querySelectorAll('button.star-toggle'), btn => (
+    favoritesStore.select(selectIsFavorite(btn.getAttribute('data-url')), isFav => setStarState(btn, isFav))
+  ));
+};
+
+/**
+ * UTILITY FUNCTION: Build the list item for a resource
+ * @param {Object} resource - { url, name, tags? }
+ * @param {boolean} isFav - Whether the resource is a favorite
+ * @param {Object} [options]
+ * @param {boolean} [options.reorderable=false] - Make the item draggable and focusable
+ *   for manual ordering (favorites list only)
+ * @param {boolean} [options.editable=false] - Show notes and an edit button (favorites list only)
+ * @returns {string} HTML string
+ */
+const createResourceHtml = (resource, isFav, options = {}) => {
+  const { reorderable = false, editable = false } = options;
+  // INLINE EDITING: The favorite being edited renders as a form instead
+  if (editable && resource.url === editingFavoriteUrl) {
+    return createEditFormHtml(resource);
+  }
+  
   // CONDITIONAL STYLING: Different CSS classes based on favorite status
   const starClass = isFav ? 'favorited' : 'not-favorited';
   
@@ -316,12 +365,113 @@ const createResourceHtml = (resource, isFav) => {
   // SEMANTIC HTML: Proper list item structure with meaningful content
   // All displayed text is escaped to prevent injection.
   const showUrl = safeName !== safeUrl;
-  return `<li class="resource-item">
-    <span>${safeName}${showUrl ? ` (${safeUrl})` : ''}</span>
-    ${starButton}
+  // MANUAL ORDER: Drag the item, or focus it and press Alt+↑ / Alt+↓
+  const orderAttributes = reorderable
+    ? ` draggable="true" tabindex="0" data-order-url="${escapeAttr(resource.url)}" aria-roledescription="sortable item" title="Drag or press Alt+↑/↓ to reorder"`
+    : '';
+  const notesHtml = editable && resource.notes ? `<small class="favorite-notes">${escapeHTML(resource.notes)}</small>` : '';
+  const editButton = editable
+    ? `<button class="favorite-edit" data-url="${escapeAttr(resource.url)}" aria-label="Edit name and notes of ${escapeAttr(resource.name)}">✎</button>`
+    : '';
+  return `<li class="resource-item${reorderable ? ' reorderable' : ''}"${orderAttributes}>
+    <span>${safeName}${showUrl ? ` (${safeUrl})` : ''}${resource.tags ? createTagChipsHtml(resource) : ''}${notesHtml}</span>
+    <span>${editButton}${starButton}</span>
+  </li>`;
+};
+
+/**
+ * INLINE EDITING: URL of the favorite whose name and notes are being edited (null = none)
+ */
+let editingFavoriteUrl = null;
+
+/**
+ * UTILITY FUNCTION: Inline form for a favorite's display name and notes
+ * 
+ * The name field starts with the name the user set (empty when the list shows a
+ * fetched title, which is offered as the placeholder). Enter or Save submits,
+ * Escape or Cancel closes the form; both are handled by document-level listeners.
+ * 
+ * @param {Object} resource - Resource with url and name
+ * @returns {string} HTML string for the list item
+ */
+const createEditFormHtml = (resource) => {
+  const record = favoritesStore.getFavorite(resource.url) || {};
+  const ownName = record.displayName && record.displayName !== record.url ? record.displayName : '';
+  const safeUrl = escapeAttr(resource.url);
+  return `<li class="resource-item editing">
+    <form class="favorite-edit-form" data-url="${safeUrl}">
+      <input name="displayName" value="${escapeAttr(ownName)}" placeholder="${escapeAttr(resource.name)}" maxlength="200" aria-label="Display name">
+      <input name="notes" value="${escapeAttr(record.notes || '')}" placeholder="Notes" maxlength="1000" aria-label="Notes">
+      <button type="submit">Save</button>
+      <button type="button" class="favorite-edit-cancel">Cancel</button>
+    </form>
   </li>`;
 };
 
+/**
+ * UTILITY FUNCTION: Re-render the favorites list from the current state
+ * (for view-only changes such as the tag filter or opening the edit form,
+ * which do not notify observers)
+ * @returns {Promise<void>} Resolves once the list is rendered
+ */
+const rerenderFavoritesList = () => renderFavoritesList(
+  new Map(favoritesStore.getFavoriteRecords().map(record => [record.url, record]))
+);
+
+/**
+ * EVENT HANDLER: Open or close the inline edit form
+ * @param {string|null} url - Favorite to edit (null = close the form)
+ */
+const setEditingFavorite = async (url) => {
+  editingFavoriteUrl = url;
+  await rerenderFavoritesList();
+  const input = document.querySelector('.favorite-edit-form input[name="displayName"]');
+  if (input) input.focus();
+};
+
+/**
+ * EVENT HANDLER: Save the inline edit form (undoable like any action)
+ * @param {HTMLFormElement} form - The submitted form
+ */
+const saveFavoriteEdit = async (form) => {
+  const url = form.getAttribute('data-url');
+  const fields = {
+    displayName: form.elements.displayName.value,
+    notes: form.elements.notes.value
+  };
+  try {
+    editingFavoriteUrl = null;
+    if (await favoritesStore.updateFavorite(url, fields, { awaitObservers: true })) {
+      showStatus('Favorite updated (undo to revert)', true);
+    } else {
+      await rerenderFavoritesList(); // Nothing changed, so no notification closes the form
+    }
+  } catch (error) {
+    editingFavoriteUrl = url;
+    showStatus(`Could not update favorite: ${error.message}`, false);
+  }
+};
+
+/**
+ * UTILITY FUNCTION: Tag chips for a favorite
+ * 
+ * Clicking a chip filters the favorites list by that tag, × removes the tag
+ * from this favorite, and "+ tag" asks for a new one. All three are handled
+ * by the document-level click listener (data attributes, no inline JS).
+ * 
+ * @param {Object} resource - Resource with url and tags
+ * @returns {string} HTML string for the chips
+ */
+const createTagChipsHtml = (resource) => {
+  const url = escapeAttr(resource.url);
+  const chips = resource.tags.map(tag => {
+    const safeTag = escapeHTML(tag);
+    const active = tag === activeTagFilter ? ' active' : '';
+    return `<span class="tag-chip${active}"><button class="tag-filter" data-tag="${escapeAttr(tag)}" title="Show favorites tagged ${safeTag}">#${safeTag}</button><button class="tag-remove" data-url="${url}" data-tag="${escapeAttr(tag)}" aria-label="Remove tag ${safeTag}">×</button></span>`;
+  }).join('');
+  return `<span class="tag-chips">${chips}<button class="tag-add" data-url="${url}" aria-label="Add a tag">+ tag</button></span>`;
+};
+
 /**
  * EVENT HANDLER: Toggle favorite status for a resource
  * 
@@ -368,12 +518,12 @@ const toggleFavorite = async (url) => {
 /**
  * UI COMPONENT: Render the complete list of all available resources
  * 
- * @param {Set} currentFavorites - Current state from the favorites store
+ * @param {Map<string, Object>} currentFavorites - Current state from the favorites store (URL -> record)
  * 
- * Observer Pattern Role: This function is an OBSERVER
- * - It subscribes to the favorites store
- * - Gets called automatically when favorites change
- * - Updates its portion of the UI based on current state
+ * Observer Pattern Role: Each star button is an OBSERVER
+ * - The list itself renders when the resource list changes
+ * - Every star subscribes to its own URL via store.select()
+ * - Only stars whose favorite status changed are updated
  * 
  * Responsibilities:
  * - Show ALL resources (favorited and non-favorited)
@@ -384,25 +534,16 @@ const renderResourceList = (currentFavorites) => {
   // DOM MANIPULATION: Get the container element for this component
   const container = document.getElementById('resource-list');
   const list = container.querySelector('ul');
-  const expectedLength = allResources.length;
-  if (list && list.children.length === expectedLength) {
-    // Fast path: update star states in place
-    const buttons = list.querySelectorAll('button.star-toggle');
-    const byUrl = new Map();
-    buttons.forEach(btn => {
-      const url = btn.getAttribute('data-url');
-      if (url) byUrl.set(url, btn);
-    });
-    allResources.forEach(res => {
-      const btn = byUrl.get(res.url);
-      if (btn) setStarState(btn, currentFavorites.has(res.url));
-    });
-  } else {
-    // Full render path
-    container.innerHTML = `<h2>All Resources</h2><ul>${
-      allResources.map(res => createResourceHtml(res, currentFavorites.has(res.url))).join('')
-    }</ul>`;
+  if (list && list.children.length === allResources.length) {
+    // Already rendered: the per-star subscriptions keep each button current
+    return;
   }
+  
+  // Full render path, then one subscription per star
+  container.innerHTML = `<h2>All Resources</h2><ul>${
+    allResources.map(res => createResourceHtml(res, currentFavorites.has(res.url))).join('')
+  }</ul>`;
+  bindStarSubscriptions(container);
     
   // Note: No return value needed - this function produces side effects (DOM updates)
 };
@@ -410,7 +551,7 @@ const renderResourceList = (currentFavorites) => {
 /**
  * UI COMPONENT: Render only the favorited resources
  * 
- * @param {Set} currentFavorites - Current state from the favorites store
+ * @param {Map<string, Object>} currentFavorites - Current state from the favorites store (URL -> record)
  * 
  * Observer Pattern Role: This function is an OBSERVER
  * - Independent component that reacts to store changes
@@ -424,12 +565,12 @@ const renderResourceList = (currentFavorites) => {
  * - Handle empty state with appropriate message
  * - Provide same interactive controls as main list
  */
-const renderFavoritesList = async (currentFavorites) => {
+const renderFavoritesList = async (currentFavorites, change) => {
   // DOM MANIPULATION: Get the container for favorites display
   const container = document.getElementById('favorites-list');
-  // PERFORMANCE: Skip re-render if favorite set unchanged since last render
-  const signature = `size:${currentFavorites.size}|${Array.from(currentFavorites).sort().join('|')}`;
-  if (container.__lastSignature === signature) {
+  // PERFORMANCE: The change descriptor says whether any record changed since
+  // the last notification; direct calls (no descriptor) always render
+  if (change && !hasChanges(change) && container.__rendered) {
     return;
   }
   
@@ -444,23 +585,24 @@ const renderFavoritesList = async (currentFavorites) => {
     
     // POPULATED STATE: Show ALL favorited resources with page titles
     try {
-      // Convert Set to Array to map over all favorited URLs
-      const favoriteUrlsArray = Array.from(currentFavorites);
+      // QUERY API: The store keeps the manual order and the tag index, so the
+      // list is neither re-sorted nor re-filtered by hand on every render
+      const favoriteRecords = favoritesStore.query({
+        sortBy: 'manual',
+        tags: activeTagFilter ? [activeTagFilter] : []
+      }).records;
       
-      // Fetch resource objects with titles for all favorites
-      const favoriteResourcesPromises = favoriteUrlsArray.map(url => createResourceFromUrl(url));
+      // Build resource objects, fetching titles only for records without a name
+      const favoriteResourcesPromises = favoriteRecords.map(record => createResourceFromRecord(record));
       const favoriteResources = await Promise.all(favoriteResourcesPromises);
-      
-  // Sort favorites deterministically by display name for stable UI
-  favoriteResources.sort((a, b) => a.name.localeCompare(b.name));
 
   // Render all favorited resources with their fetched titles
       // Note: We pass 'true' for isFav since all items in this list are favorites
-  container.innerHTML = `<h2>Favorites (${currentFavorites.size})</h2><ul>${
-        favoriteResources.map(res => createResourceHtml(res, true)).join('')
+  container.innerHTML = `<h2>Favorites (${currentFavorites.size})</h2>${createTagFilterHtml(favoriteResources.length)}<ul>${
+        favoriteResources.map(res => createResourceHtml(res, true, { reorderable: true, editable: true })).join('')
       }</ul>`;
   container.removeAttribute('aria-busy');
-  container.__lastSignature = signature;
+  container.__rendered = true;
       
     } catch (error) {
       // ERROR HANDLING: Show error message if title fetching fails
@@ -471,10 +613,197 @@ const renderFavoritesList = async (currentFavorites) => {
   }
 };
 
+/**
+ * EVENT HANDLER: Move a favorite to the place of another one in the manual order
+ * (undoable). Positions come from the full order, so this also works while a
+ * tag filter hides some favorites.
+ * @param {string} url - Favorite to move
+ * @param {string} targetUrl - Favorite whose place it takes
+ * @returns {Promise<boolean>} True if the favorite moved
+ */
+const moveFavoriteTo = async (url, targetUrl) => {
+  const toIndex = favoritesStore.query({ sortBy: 'manual' }).records.findIndex(record => record.url === targetUrl);
+  if (toIndex < 0 || url === targetUrl) return false;
+  try {
+    // Wait for the list to re-render so keyboard focus can follow the item
+    const moved = await favoritesStore.moveFavorite(url, toIndex, { awaitObservers: true });
+    if (moved) {
+      log(`Moved ${url} to position ${toIndex + 1}`);
+    }
+    return moved;
+  } catch (error) {
+    showStatus(`Could not reorder: ${error.message}`, false);
+    return false;
+  }
+};
+
+/**
+ * UTILITY FUNCTION: Find the reorderable list item an event happened on
+ * @param {EventTarget} target - Event target
+ * @returns {HTMLElement|null} The <li data-order-url> or null
+ */
+const closestOrderItem = (target) => (target && target.closest ? target.closest('[data-order-url]') : null);
+
+/**
+ * TAG FILTER: The tag the favorites list is filtered by (null = show all)
+ * Set by clicking a tag chip; cleared with the filter bar's × button.
+ */
+let activeTagFilter = null;
+
+/**
+ * UTILITY FUNCTION: Filter bar shown above the favorites list while a tag filter is active
+ * @param {number} shownCount - Favorites matching the filter
+ * @returns {string} HTML string ('' when no filter is active)
+ */
+const createTagFilterHtml = (shownCount) => {
+  if (!activeTagFilter) return '';
+  const safeTag = escapeHTML(activeTagFilter);
+  return `<p class="tag-filter-bar">Showing ${shownCount} tagged <strong>#${safeTag}</strong> <button class="tag-filter-clear" aria-label="Show all favorites">×</button></p>`;
+};
+
+/**
+ * EVENT HANDLER: Filter the favorites list by a tag (clicking the active tag clears it)
+ * @param {string|null} tag - Tag to filter by
+ */
+const setTagFilter = (tag) => {
+  activeTagFilter = tag === activeTagFilter ? null : tag;
+  // The state did not change, so render directly instead of waiting for a notification
+  rerenderFavoritesList();
+};
+
+/**
+ * EVENT HANDLER: Ask for a tag and add it to a favorite (undoable like any action)
+ * @param {string} url - Favorite to tag
+ */
+const promptForTag = async (url) => {
+  const tag = window.prompt('Tag this favorite as:');
+  if (!tag) return;
+  try {
+    if (await favoritesStore.addTag(url, tag)) {
+      showStatus(`Tagged with "${tag.trim().toLowerCase()}"`, true);
+    }
+  } catch (error) {
+    showStatus(`Could not add tag: ${error.message}`, false);
+  }
+};
+
+/**
+ * COLLECTIONS TREE: Ids of collections the user has collapsed
+ * Kept across re-renders so a change elsewhere does not reopen them.
+ */
+const collapsedCollections = new Set();
+
+/**
+ * UI COMPONENT: Render collections as a collapsible tree next to the favorites list
+ * 
+ * Observer Pattern Role: This function is an OBSERVER
+ * - Re-renders when favorites or collections change
+ * - Reads the nested view from store.getCollectionTree()
+ * 
+ * Each collection is a <details> element (collapsible without script) with
+ * rename / sub-collection / delete buttons; every favorite and collection
+ * has a "Move to" select. All of these dispatch undoable store actions.
+ * 
+ * @param {Map<string, Object>} [currentFavorites] - Current state (unused; the tree is read from the store)
+ * @param {Object} [change] - Change descriptor (skips the render when nothing changed)
+ */
+const renderCollectionsTree = (currentFavorites, change) => {
+  const container = document.getElementById('collections-tree');
+  if (!container) return;
+  if (change && !hasChanges(change) && container.__rendered) {
+    return;
+  }
+  
+  const { collections, favorites } = favoritesStore.getCollectionTree();
+  const allCollections = favoritesStore.getCollections();
+  
+  // A select listing every collection; the current location is preselected
+  const createMoveSelectHtml = (kind, id, currentId, excludedIds = []) => {
+    const options = allCollections
+      .filter(collection => !excludedIds.includes(collection.id))
+      .map(collection => `<option value="${escapeAttr(collection.id)}"${collection.id === currentId ? ' selected' : ''}>${escapeHTML(collection.name)}</option>`)
+      .join('');
+    return `<select class="collection-move" data-kind="${kind}" data-id="${escapeAttr(id)}" aria-label="Move to collection"><option value=""${currentId === null ? ' selected' : ''}>(top level)</option>${options}</select>`;
+  };
+  
+  const createFavoriteItemHtml = (record) => `<li class="collection-favorite"><span>${escapeHTML(record.displayName || record.defaultDisplayName || deriveDisplayName(record.url))}</span>${createMoveSelectHtml('favorite', record.url, record.collectionId)}</li>`;
+  
+  const subtreeIdsOf = (node) => [node.id, ...node.children.flatMap(subtreeIdsOf)];
+  
+  const createNodeHtml = (node) => {
+    const safeId = escapeAttr(node.id);
+    const open = collapsedCollections.has(node.id) ? '' : ' open';
+    const count = node.favorites.length;
+    return `<li><details data-collection-id="${safeId}"${open}>
+      <summary><span class="collection-name">📁 ${escapeHTML(node.name)}</span> <small>(${count})</small>
+        <button class="collection-add" data-id="${safeId}" aria-label="Add a sub-collection to ${escapeAttr(node.name)}">+</button>
+        <button class="collection-rename" data-id="${safeId}" aria-label="Rename ${escapeAttr(node.name)}">✎</button>
+        <button class="collection-delete" data-id="${safeId}" aria-label="Delete ${escapeAttr(node.name)}">×</button>
+        ${createMoveSelectHtml('collection', node.id, node.parentId, subtreeIdsOf(node))}
+      </summary>
+      <ul>${node.children.map(createNodeHtml).join('')}${node.favorites.map(createFavoriteItemHtml).join('')}</ul>
+    </details></li>`;
+  };
+  
+  container.innerHTML = `<h2>Collections (${allCollections.length})</h2>
+    <button class="collection-add" data-id="">+ New collection</button>
+    <ul class="collection-tree">${collections.map(createNodeHtml).join('')}${favorites.map(createFavoriteItemHtml).join('')}</ul>`;
+  container.__rendered = true;
+};
+
+/**
+ * EVENT HANDLER: Run a collection action and report errors in the status bar
+ * @param {Function} run - Async function calling the store
+ * @param {string} message - Status message on success
+ */
+const runCollectionAction = async (run, message) => {
+  try {
+    if (await run()) {
+      showStatus(message, true);
+    }
+  } catch (error) {
+    showStatus(`Collection action failed: ${error.message}`, false);
+  }
+};
+
+/**
+ * EVENT HANDLER: Ask for a name and create a collection (parentId '' = top level)
+ * @param {string} parentId - Parent collection id
+ */
+const promptForCollection = (parentId) => {
+  const name = window.prompt('Collection name:');
+  if (!name) return;
+  runCollectionAction(
+    () => favoritesStore.createCollection(name, { parentId: parentId || null }),
+    `Created collection "${name.trim()}"`
+  );
+};
+
+/**
+ * EVENT HANDLER: Ask for a new name and rename a collection
+ * @param {string} id - Collection id
+ */
+const promptForCollectionRename = (id) => {
+  const collection = favoritesStore.getCollections().find(item => item.id === id);
+  const name = collection && window.prompt('Rename collection to:', collection.name);
+  if (!name) return;
+  runCollectionAction(() => favoritesStore.renameCollection(id, name), `Renamed to "${name.trim()}"`);
+};
+
+/**
+ * EVENT HANDLER: Delete a collection with everything in it (after confirming; undo brings it back)
+ * @param {string} id - Collection id
+ */
+const confirmCollectionDelete = (id) => {
+  const collection = favoritesStore.getCollections().find(item => item.id === id);
+  if (!collection || !window.confirm(`Delete "${collection.name}" with its sub-collections and favorites?`)) return;
+  runCollectionAction(() => favoritesStore.deleteCollection(id), `Deleted "${collection.name}" (undo to restore)`);
+};
+
 /**
  * UI COMPONENT: Render frequently visited resources with favorite status
  * 
- * @param {Set} currentFavorites - Current state from the favorites store
+ * @param {Map<string, Object>} currentFavorites - Current state from the favorites store (URL -> record)
  * 
  * Observer Pattern Role: This function is an OBSERVER
  * - Shows a different subset of data (frequently visited)
@@ -490,25 +819,17 @@ const renderFrequentlyVisitedList = (currentFavorites) => {
   // DOM MANIPULATION: Get container for frequently visited display
   const container = document.getElementById('frequent-list');
   const list = container.querySelector('ul');
-  const expectedLength = frequentlyVisited.length;
-  if (list && list.children.length === expectedLength) {
-    const buttons = list.querySelectorAll('button.star-toggle');
-    const byUrl = new Map();
-    buttons.forEach(btn => {
-      const url = btn.getAttribute('data-url');
-      if (url) byUrl.set(url, btn);
-    });
-    frequentlyVisited.forEach(res => {
-      const btn = byUrl.get(res.url);
-      if (btn) setStarState(btn, currentFavorites.has(res.url));
-    });
-  } else {
-    // TEMPLATE GENERATION: Similar to other lists but using different data source
-    // This shows how the same rendering pattern can be reused for different data
-    container.innerHTML = `<h2>Frequently Visited</h2><ul>${
-      frequentlyVisited.map(res => createResourceHtml(res, currentFavorites.has(res.url))).join('')
-    }</ul>`;
+  if (list && list.children.length === frequentlyVisited.length) {
+    // Stars update themselves through their own subscriptions
+    return;
   }
+  
+  // TEMPLATE GENERATION: Similar to other lists but using different data source
+  // This shows how the same rendering pattern can be reused for different data
+  container.innerHTML = `<h2>Frequently Visited</h2><ul>${
+    frequentlyVisited.map(res => createResourceHtml(res, currentFavorites.has(res.url))).join('')
+  }</ul>`;
+  bindStarSubscriptions(container);
 };
 
 // =============================================================================
@@ -570,17 +891,21 @@ const log = (message) => {
  * - MAINTAINABLE: Each component has single responsibility
  */
 
-// COMPONENT SUBSCRIPTION: Register the "All Resources" list component
-// This will be called every time favorites change
-favoritesStore.subscribe(renderResourceList);
+// PER-ITEM SUBSCRIPTIONS: The "All Resources" and "Frequently Visited" lists
+// render once their data loads (triggerInitialRender); after that each star
+// button watches its own URL through store.select() (see bindStarSubscriptions)
 
 // COMPONENT SUBSCRIPTION: Register the "Favorites Only" list component
-// This shows how different components can show different views of same data
-favoritesStore.subscribe(renderFavoritesList);
+// This shows how different components can show different views of same data.
+// It fetches page titles, so it is registered as async: renders never overlap,
+// its errors are reported instead of becoming unhandled rejections, and
+// addFavorite(url, { awaitObservers: true }) resolves after it has rendered.
+// High priority: the list updates before the logging observer below.
+favoritesStore.subscribe(renderFavoritesList, { async: true, priority: 10 });
 
-// COMPONENT SUBSCRIPTION: Register the "Frequently Visited" component
-// This demonstrates multiple independent observers
-favoritesStore.subscribe(renderFrequentlyVisitedList);
+// COMPONENT SUBSCRIPTION: The collections tree next to the favorites list.
+// It is synchronous (no titles to fetch) and reacts to collection changes too.
+favoritesStore.subscribe(renderCollectionsTree, { priority: 10 });
 
 /**
  * DEBUGGING OBSERVER: Track all state changes for development/learning
@@ -589,12 +914,15 @@ favoritesStore.subscribe(renderFrequentlyVisitedList);
  * Perfect for understanding when and how often the store changes.
  * In production, you might remove this or make it conditional.
  */
-favoritesStore.subscribe((favorites) => {
+favoritesStore.subscribe((favorites, change) => {
     // INCREMENT COUNTER: Track how many notifications we've received
     logCounter++;
     
     // LOG THE CHANGE: Show what happened and current state size
-    log(`Observer ${logCounter}: Store updated with ${favorites.size} favorites`);
+    const summary = change
+        ? ` (${change.source}${change.cause ? ` ${change.cause}` : ''}: +${change.added.length} -${change.removed.length} ~${change.updated.length})`
+        : '';
+    log(`Observer ${logCounter}: Store updated with ${favorites.size} favorites${summary}`);
     
     // UPDATE COMMAND PATTERN UI: Enable/disable undo/redo buttons
     updateUndoRedoButtons();
@@ -610,6 +938,80 @@ favoritesStore.subscribe((favorites) => {
     // - Command pattern UI updaters (like undo/redo button states)
 });
 
+/**
+ * EVENT CHANNELS: Listeners that only care about specific events
+ * 
+ * Unlike the subscribers above, these receive one named event per thing
+ * that happened (store.on / store.off / store.once).
+ */
+favoritesStore.on('favorite:added', ({ record, source }) => {
+    log(`Event: added ${record.url}${source === 'execute' ? '' : ` (${source})`}`);
+});
+favoritesStore.on('favorite:removed', ({ record, source }) => {
+    log(`Event: removed ${record.url}${source === 'execute' ? '' : ` (${source})`}`);
+});
+favoritesStore.on('favorites:cleared', ({ records }) => {
+    log(`Event: cleared ${records.length} favorites`);
+});
+
+// STATUS TOASTS: Failed writes are shown to the user, not just the console
+favoritesStore.on('persistence:error', ({ error, label, status, rolledBack }) => {
+    if (status === 'queued') return; // The sync status line already covers queued changes
+    showStatus(`${label} was not saved${rolledBack ? ' and was undone' : ''}: ${error.message}`, false);
+});
+favoritesStore.on('action:rejected', ({ reason }) => {
+    showStatus(reason, false);
+});
+favoritesStore.on('subscriber:error', ({ error, subscriber }) => {
+    log(`Event: UI component ${subscriber} failed: ${error.message}`);
+});
+
+/**
+ * SYNC STATUS OBSERVER: Show changes that have not been saved yet
+ * 
+ * The store queues writes in an outbox while the API is unreachable and
+ * replays them when it comes back. This keeps the user informed.
+ */
+favoritesStore.subscribeToSyncStatus((status) => {
+    const syncDiv = document.getElementById('sync-status');
+    if (!syncDiv) return;
+    
+    if (status.pendingCount === 0) {
+        syncDiv.hidden = true;
+        syncDiv.textContent = '';
+        return;
+    }
+    
+    const noun = status.pendingCount === 1 ? 'change' : 'changes';
+    const suffix = status.state === 'syncing' ? ' (saving…)' : '';
+    syncDiv.textContent = `${status.pendingCount} ${noun} not yet saved${suffix}`;
+    syncDiv.className = `sync-status${status.state === 'error' ? ' error' : ''}`;
+    syncDiv.hidden = false;
+});
+
+/**
+ * CROSS-TAB SYNC: Other open tabs of the demo share changes with this one
+ * 
+ * Changes from other tabs arrive as favorite:* events with source 'remote'
+ * (logged above) and never appear in this tab's undo history. One tab is
+ * the leader and saves everyone's changes to the API.
+ */
+favoritesStore.crossTab.subscribe(({ isLeader, leaderId }) => {
+    if (leaderId === null) return; // Election in progress
+    log(isLeader ? 'Cross-tab: this tab saves changes for all tabs' : 'Cross-tab: another tab saves changes');
+});
+
+// Hand leadership to another tab right away instead of after a heartbeat timeout
+window.addEventListener('pagehide', () => favoritesStore.crossTab.stop());
+
+/**
+ * DEVTOOLS PLUGIN: Inspect the store from the browser console
+ * 
+ * __favoritesDevtools.getTimeline() lists actions and notifications in order;
+ * __favoritesDevtools.snapshot() adds the current favorites and history position.
+ */
+favoritesStore.use(createDevtoolsPlugin({ expose: '__favoritesDevtools' }));
+
 // =============================================================================
 // USER INTERACTION HANDLERS - CONNECTING UI TO STORE
 // =============================================================================
@@ -645,7 +1047,8 @@ const addFavorite = async () => {
         }
         
         // STORE UPDATE: Add to favorites (this triggers observer notifications and database save)
-        const success = await favoritesStore.addFavorite(url);
+        // awaitObservers: only report success once the favorites list shows the new entry
+        const success = await favoritesStore.addFavorite(url, { awaitObservers: true });
         
         if (success) {
             // USER FEEDBACK: Show success message
@@ -829,6 +1232,151 @@ document.addEventListener('click', (e) => {
       toggleFavorite(url);
     }
   }
+
+  // TAG CHIPS: filter by a tag, remove a tag, add a tag
+  if (target && target.classList && target.classList.contains('tag-filter')) {
+    setTagFilter(target.getAttribute('data-tag'));
+  } else if (target && target.classList && target.classList.contains('tag-filter-clear')) {
+    setTagFilter(null);
+  } else if (target && target.classList && target.classList.contains('tag-remove')) {
+    favoritesStore.removeTag(target.getAttribute('data-url'), target.getAttribute('data-tag'));
+  } else if (target && target.classList && target.classList.contains('tag-add')) {
+    promptForTag(target.getAttribute('data-url'));
+  }
+
+  // INLINE EDITING: open and cancel the edit form
+  if (target && target.classList && target.classList.contains('favorite-edit')) {
+    setEditingFavorite(target.getAttribute('data-url'));
+  } else if (target && target.classList && target.classList.contains('favorite-edit-cancel')) {
+    setEditingFavorite(null);
+  }
+
+  // COLLECTIONS TREE: create, rename, delete (buttons sit inside <summary>,
+  // so the click must not also toggle the collection)
+  if (target && target.classList && target.classList.contains('collection-add')) {
+    e.preventDefault();
+    promptForCollection(target.getAttribute('data-id'));
+  } else if (target && target.classList && target.classList.contains('collection-rename')) {
+    e.preventDefault();
+    promptForCollectionRename(target.getAttribute('data-id'));
+  } else if (target && target.classList && target.classList.contains('collection-delete')) {
+    e.preventDefault();
+    confirmCollectionDelete(target.getAttribute('data-id'));
+  }
+
+  // TIME TRAVEL: Clicking a history entry jumps to that point
+  const historyItem = target && target.closest ? target.closest('[data-history-index]') : null;
+  if (historyItem) {
+    goToHistoryEntry(Number(historyItem.getAttribute('data-history-index')));
+  }
+
+  // UNDO TREE: Clicking any node (including other branches) switches to it
+  const treeNode = target && target.closest ? target.closest('[data-history-node]') : null;
+  if (treeNode) {
+    switchToHistoryNode(Number(treeNode.getAttribute('data-history-node')));
+  }
+});
+
+// COLLECTIONS TREE: "Move to" selects move a favorite or a collection
+document.addEventListener('change', (e) => {
+  const target = e.target;
+  if (!target || !target.classList || !target.classList.contains('collection-move')) return;
+  const id = target.getAttribute('data-id');
+  const destination = target.value || null;
+  if (target.getAttribute('data-kind') === 'favorite') {
+    runCollectionAction(() => favoritesStore.moveToCollection(id, destination), 'Favorite moved');
+  } else {
+    runCollectionAction(() => favoritesStore.moveCollection(id, destination), 'Collection moved');
+  }
+});
+
+// COLLECTIONS TREE: Remember which collections are collapsed
+// ('toggle' does not bubble, so listen in the capture phase)
+document.addEventListener('toggle', (e) => {
+  const target = e.target;
+  const id = target && target.getAttribute ? target.getAttribute('data-collection-id') : null;
+  if (!id) return;
+  if (target.open) {
+    collapsedCollections.delete(id);
+  } else {
+    collapsedCollections.add(id);
+  }
+}, true);
+
+// INLINE EDITING: Enter submits the edit form, Escape closes it
+document.addEventListener('submit', (e) => {
+  const form = e.target;
+  if (!form || !form.classList || !form.classList.contains('favorite-edit-form')) return;
+  e.preventDefault();
+  saveFavoriteEdit(form);
+});
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && e.target && e.target.closest && e.target.closest('.favorite-edit-form')) {
+    setEditingFavorite(null);
+  }
+});
+
+// MANUAL ORDER: Drag and drop favorites within the favorites list
+let draggedFavoriteUrl = null;
+document.addEventListener('dragstart', (e) => {
+  const item = closestOrderItem(e.target);
+  if (!item) return;
+  draggedFavoriteUrl = item.getAttribute('data-order-url');
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData('text/plain', draggedFavoriteUrl);
+  item.classList.add('dragging');
+});
+document.addEventListener('dragover', (e) => {
+  const item = closestOrderItem(e.target);
+  if (!item || !draggedFavoriteUrl) return;
+  e.preventDefault(); // Allow dropping here
+  e.dataTransfer.dropEffect = 'move';
+  item.classList.add('drop-target');
+});
+document.addEventListener('dragleave', (e) => {
+  const item = closestOrderItem(e.target);
+  if (item && !item.contains(e.relatedTarget)) item.classList.remove('drop-target');
+});
+document.addEventListener('drop', (e) => {
+  const item = closestOrderItem(e.target);
+  if (!item || !draggedFavoriteUrl) return;
+  e.preventDefault();
+  item.classList.remove('drop-target');
+  moveFavoriteTo(draggedFavoriteUrl, item.getAttribute('data-order-url'));
+});
+document.addEventListener('dragend', () => {
+  draggedFavoriteUrl = null;
+  document.querySelectorAll('.dragging, .drop-target').forEach(el => el.classList.remove('dragging', 'drop-target'));
+});
+
+// MANUAL ORDER: Alt+ArrowUp / Alt+ArrowDown move the focused favorite one place
+document.addEventListener('keydown', async (e) => {
+  if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+  const item = closestOrderItem(e.target);
+  if (!item) return;
+  const neighbour = e.key === 'ArrowUp' ? item.previousElementSibling : item.nextElementSibling;
+  if (!neighbour || !neighbour.hasAttribute('data-order-url')) return;
+  e.preventDefault();
+  const url = item.getAttribute('data-order-url');
+  if (await moveFavoriteTo(url, neighbour.getAttribute('data-order-url'))) {
+    // The list re-rendered; keep focus on the moved favorite
+    const moved = Array.from(document.querySelectorAll('#favorites-list [data-order-url]'))
+      .find(el => el.getAttribute('data-order-url') === url);
+    if (moved) moved.focus();
+  }
+});
+
+// KEYBOARD ACCESS: Enter/Space on a focused history entry jumps as well
+document.addEventListener('keydown', (e) => {
+  if (e.key !== 'Enter' && e.key !== ' ') return;
+  const target = e.target;
+  if (target && target.hasAttribute && target.hasAttribute('data-history-index')) {
+    e.preventDefault();
+    goToHistoryEntry(Number(target.getAttribute('data-history-index')));
+  } else if (target && target.hasAttribute && target.hasAttribute('data-history-node')) {
+    e.preventDefault();
+    switchToHistoryNode(Number(target.getAttribute('data-history-node')));
+  }
 });
 
 // =============================================================================
@@ -892,6 +1440,64 @@ const redoAction = async () => {
     }
 };
 
+/**
+ * USER ACTION HANDLER: Jump to any point in the action history (time travel)
+ * 
+ * Demonstrates:
+ * - Multi-step undo/redo as a single user action
+ * - One re-render for the whole jump (single observer notification)
+ * @param {number} index - History position (-1 = initial state)
+ */
+const goToHistoryEntry = async (index) => {
+    const history = favoritesStore.getActionHistory();
+    if (index === history.currentIndex) return;
+    
+    try {
+        const reached = await favoritesStore.goToHistory(index);
+        const label = index < 0 ? 'the initial state' : `step ${index + 1}`;
+        
+        if (reached) {
+            showStatus(`Jumped to ${label}`, true);
+            log(`User jumped to history position ${index}`);
+        } else {
+            showStatus(`Could not jump to ${label}`, false);
+        }
+    } catch (error) {
+        showStatus(`Error during history jump: ${error.message}`, false);
+    }
+    
+    updateUndoRedoButtons();
+    updateActionHistoryDisplay();
+};
+
+/**
+ * USER ACTION HANDLER: Switch to any node of the undo tree
+ * 
+ * Demonstrates:
+ * - Branching history: work undone before a new action is still reachable
+ * - Redo following the chosen branch afterwards
+ * @param {number} nodeId - Node id from getHistoryTree() (0 = initial state)
+ */
+const switchToHistoryNode = async (nodeId) => {
+    if (nodeId === favoritesStore.getHistoryTree().currentNodeId) return;
+    
+    try {
+        const reached = await favoritesStore.switchBranch(nodeId);
+        
+        if (reached) {
+            showStatus(nodeId === 0 ? 'Jumped to the initial state' : 'Switched history branch', true);
+            log(`User switched to history node ${nodeId}`);
+        } else {
+            showStatus('Could not switch history branch', false);
+        }
+    } catch (error) {
+        showStatus(`Error switching history branch: ${error.message}`, false);
+    }
+    
+    updateUndoRedoButtons();
+    updateActionHistoryDisplay();
+};
+
 /**
  * UTILITY FUNCTION: Update undo/redo button states
  * 
@@ -921,6 +1527,47 @@ const updateUndoRedoButtons = () => {
     }
 };
 
+/**
+ * UTILITY FUNCTION: Render one undo tree node as a clickable history item
+ * @param {Object} node - Node from getHistoryTree()
+ * @returns {string} HTML (user data escaped)
+ */
+const renderHistoryTreeItem = (node) => {
+    let itemClass = 'action-history-item';
+    itemClass += node.isExecuted ? ' executed' : ' undone';
+    if (!node.isOnActivePath) itemClass += ' branch';   // Alternate branch
+    if (node.isCurrentPosition) itemClass += ' current';
+    
+    let html = `<div class="${itemClass}" data-history-node="${node.id}" role="button" tabindex="0" title="Switch to this point">
+      ${escapeHTML(node.description)}`;
+    if (Array.isArray(node.steps)) {
+        html += ` [${node.steps.length} steps: ${node.steps.map(step => escapeHTML(step.description)).join('; ')}]`;
+    }
+    if (node.isCurrentPosition) html += ' ← Current';
+    return html + '</div>';
+};
+
+/**
+ * UTILITY FUNCTION: Render the undo tree
+ * Single-child chains stay at one indentation level; the list only nests
+ * where the history actually branches.
+ * @param {Object} node - Node from getHistoryTree()
+ * @returns {string} HTML
+ */
+const renderHistoryTree = (node) => {
+    let html = '';
+    for (let current = node; current; current = current.children[0]) {
+        html += renderHistoryTreeItem(current);
+        if (current.children.length > 1) {
+            html += '<ul class="history-branches">'
+                + current.children.map(child => `<li>${renderHistoryTree(child)}</li>`).join('')
+                + '</ul>';
+            break;
+        }
+    }
+    return html;
+};
+
 /**
  * UTILITY FUNCTION: Update the action history display
  * 
@@ -947,6 +1594,18 @@ const updateActionHistoryDisplay = () => {
         Can Undo: ${history.canUndo} | Can Redo: ${history.canRedo}</strong>
     </div>`;
     
+    // UNDO TREE: Show every branch; clicking a node switches to it
+    const tree = favoritesStore.getHistoryTree();
+    if (tree.mode === 'tree') {
+        historyContainer.innerHTML = historyHtml + `<div class="history-tree">${renderHistoryTree(tree.root)}</div>`;
+        return;
+    }
+    
+    // INITIAL STATE: Entry for jumping back before the first action
+    const initialClass = history.currentIndex === -1 ? 'action-history-item current' : 'action-history-item executed';
+    historyHtml += `<div class="${initialClass}" data-history-index="-1" role="button" tabindex="0" title="Jump to the initial state">
+      0. Initial state${history.currentIndex === -1 ? ' ← Current' : ''}</div>`;
+    
     // GENERATE ACTION LIST: Show each action with appropriate styling
     history.actions.forEach((action, index) => {
         let itemClass = 'action-history-item';
@@ -963,9 +1622,14 @@ const updateActionHistoryDisplay = () => {
         }
         
     // ACTION DISPLAY: Show action description with visual indicators (escaped)
-        historyHtml += `<div class="${itemClass}">
+        historyHtml += `<div class="${itemClass}" data-history-index="${index}" role="button" tabindex="0" title="Jump to this point">
       ${index + 1}. ${escapeHTML(action.description)}`;
         
+        // COMPOSITE COMMANDS: Transactions list their steps as children
+        if (Array.isArray(action.children)) {
+            historyHtml += ` [${action.children.length} steps: ${action.children.map(child => escapeHTML(child.description)).join('; ')}]`;
+        }
+        
         if (index === history.currentIndex) {
             historyHtml += ' ← Current';
         } else if (index > history.currentIndex) {
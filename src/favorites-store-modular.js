@@ -21,63 +21,492 @@
  */
 
 // Import all the modular components
-import { createStateStore } from './store/state-store.js';
+import { createStateStore, createCollectionId } from './store/state-store.js';
+import { createQueryIndex, queryResultsEqual } from './store/query-index.js';
 import { createObserverManager } from './observers/observer-manager.js';
+import { createChangeDescriptor, mergeChanges } from './observers/change-descriptor.js';
+import { createEventEmitter } from './observers/event-emitter.js';
 import { createCommandManager } from './commands/command-manager.js';
+import { assertPersistenceAdapter } from './persistence/persistence-adapter.js';
+import { createRestPersistence } from './persistence/rest-persistence.js';
+import { createOutbox } from './sync/outbox.js';
+import { createDefaultOutboxStorage } from './sync/outbox-storage.js';
+import { createConsistencyPolicy, runWithPolicy } from './actions/consistency-policies.js';
+import { createDefaultHistoryStorage } from './commands/history-storage.js';
+import { composeMiddleware, createMiddlewareContext } from './actions/middleware.js';
 import { 
-  createAddFavoriteAction, 
-  createRemoveFavoriteAction, 
-  createClearAllAction,
-  createBulkAddAction 
+  createAction,
+  simulateTransaction,
+  rehydrateAction,
+  withActionMeta,
+  diffOperations,
+  diffCollectionOperations,
+  coalesceFavoriteActions
 } from './actions/action-definitions.js';
 
+/**
+ * Named events for store.on() / off() / once() and their payloads
+ * - favorite:added / favorite:removed: { record, cause, source }
+ * - favorites:cleared: { records, cause, source } (CLEAR_ALL, instead of one event per record)
+ * - history:undo / history:redo: { type, description } ({ type: 'HISTORY_JUMP', fromIndex, toIndex } for jumps)
+ * - persistence:error: { error, label, status, rolledBack }
+ * - subscriber:error: { error, subscriber, event } (event is null for state subscribers, which
+ *   also get kind, failures and removed from the subscriber fault policy)
+ * - sync:status: outbox status ({ state, pendingCount, ... })
+ * - action:rejected: { type, params, reason, meta } when middleware vetoes an action
+ */
+export const STORE_EVENTS = [
+  'favorite:added',
+  'favorite:removed',
+  'favorites:cleared',
+  'history:undo',
+  'history:redo',
+  'persistence:error',
+  'subscriber:error',
+  'sync:status',
+  'action:rejected'
+];
+
 /**
  * Factory function that creates a complete favorites store
  * by orchestrating all the component modules
  * 
+ * @param {Object} [options]
+ * @param {Object} [options.persistence] - Persistence adapter (add, remove, clear, list, batch).
+ *   Defaults to the REST adapter talking to the API server.
+ * @param {Object|boolean} [options.outbox] - Queue for changes made while the backend is
+ *   unreachable: an outbox instance, `true`, or createOutbox() options (storage, maxRetries, ...).
+ *   Without an outbox, failed writes are kept in local state only.
+ * @param {string|Object} [options.consistency='best-effort'] - How actions combine persistence
+ *   and local state: 'strict' (fail and leave state unchanged when persistence fails),
+ *   'best-effort' (always update local state) or 'optimistic' (update first, roll back and
+ *   notify observers if the server rejects the write). A custom policy ({ name, run }) also works.
+ * @param {boolean|Function} [options.coalesce=false] - Skip queued commands that repeat a
+ *   pending one on the same URL. `true` uses the built-in rule; a function
+ *   (queuedAction, incomingAction) => 'drop-incoming'|'barrier'|null supplies a custom one.
+ * @param {Object} [options.history] - Undo history options ({ maxEntries, maxSnapshotBytes, mode });
+ *   limits default to DEFAULT_HISTORY_LIMITS, mode 'tree' keeps redo branches
+ * @param {Object} [options.historyStorage] - Storage ({ load, save }) that keeps undo/redo
+ *   history across reloads; restore it with restoreHistory()
+ * @param {string|Function} [options.scheduling='sync'] - When observers are notified: 'sync',
+ *   'microtask' or 'frame' (requestAnimationFrame / setImmediate). Changes made before
+ *   delivery are coalesced into one notification with a merged change descriptor.
+ * @param {Function[]} [options.middleware] - async (ctx, next) => result functions that every new
+ *   action passes through before it is queued: they can normalize ctx.params, veto with
+ *   ctx.reject(reason), add ctx.meta, or observe ctx.result (see actions/middleware.js)
+ * @param {Object[]} [options.plugins] - Plugins to install right away (see use())
+ * @param {Object} [options.subscribers] - Fault policy and leak detection for state subscribers:
+ *   { removeAfterNFailures, asyncTimeout, onSubscriberError(error, meta), leakWarningThreshold,
+ *   onLeakWarning } (see createObserverManager)
  * @returns {Object} Complete favorites store with all functionality
  */
-export const createFavoritesStore = () => {
+export const createFavoritesStore = (options = {}) => {
   // ==========================================================================
   // INITIALIZE COMPONENT MODULES
   // ==========================================================================
   
+  const { persistence: backend = createRestPersistence() } = options;
+  assertPersistenceAdapter(backend);
+  const consistency = createConsistencyPolicy(options.consistency);
+  const baseMiddleware = options.middleware || [];
+  composeMiddleware(baseMiddleware); // Validate early
+  
+  /**
+   * Installed plugins: name -> { plugin, middleware, namespace }
+   */
+  const plugins = new Map();
+  
+  // Plugins may route writes elsewhere (see setPersistence())
+  let persistence = backend;
+  
+  // Optional offline outbox (accepts an instance, `true` or createOutbox options)
+  let outbox = null;
+  if (options.outbox && typeof options.outbox.enqueue === 'function') {
+    outbox = options.outbox;
+  } else if (options.outbox) {
+    outbox = createOutbox({ persistence, ...(options.outbox === true ? {} : options.outbox) });
+  }
+  
   // Initialize all component modules
   const stateStore = createStateStore();
-  const observerManager = createObserverManager();
-  const commandManager = createCommandManager();
+  const queryIndex = createQueryIndex();
+  const events = createEventEmitter({
+    events: STORE_EVENTS,
+    onHandlerError: (error, { event, handler }) => reportSubscriberError(error, handler, event)
+  });
+  const observerManager = createObserverManager({
+    scheduling: options.scheduling || 'sync',
+    merge: mergeChanges,
+    removeAfterNFailures: options.subscribers?.removeAfterNFailures ?? null,
+    asyncTimeout: options.subscribers?.asyncTimeout ?? null,
+    // undefined keeps the development default
+    leakWarningThreshold: options.subscribers?.leakWarningThreshold,
+    onLeakWarning: options.subscribers?.onLeakWarning ?? null,
+    onSubscriberError: (error, meta) => {
+      reportSubscriberError(error, meta.subscriber, null, meta);
+      options.subscribers?.onSubscriberError?.(error, meta);
+    }
+  });
+  const commandManager = createCommandManager({
+    ...options.history,
+    coalesce: options.coalesce === true ? coalesceFavoriteActions : (options.coalesce || null),
+    storage: options.historyStorage || null,
+    // Saved history entries become live commands bound to this store
+    rehydrate: (json) => rehydrateAction(json, stateStore, actionContext),
+    // Observers hear about each command inside the queue, in command order
+    onApplied: (event) => handleCommandApplied(event)
+  });
+  
+  // Shared context handed to every action (actions never import a backend)
+  // notifyObservers lets optimistic actions publish (and roll back) changes before they settle
+  const actionContext = {
+    persistence,
+    outbox,
+    consistency,
+    notifyObservers: () => {
+      const active = commandManager.getActiveCommand();
+      notifyChange(active ? { source: active.kind, cause: active.type } : { source: 'execute' });
+    },
+    onPersistenceError: (error, details) => events.emit('persistence:error', { error, ...details })
+  };
+  
+  // Outbox status changes become 'sync:status' events
+  if (outbox) {
+    outbox.subscribe(status => events.emit('sync:status', status));
+  }
   
-  // Action creators
-  const createAddFavoriteActionFn = createAddFavoriteAction;
-  const createRemoveFavoriteActionFn = createRemoveFavoriteAction;
-  const createClearAllActionFn = createClearAllAction;
-  const createBulkAddActionFn = createBulkAddAction;
+  /**
+   * State and collections at the last notification; change descriptors diff against them
+   */
+  let lastNotifiedState = stateStore.getAll();
+  let lastNotifiedCollections = stateStore.getCollections();
+
+  /**
+   * Delivery of the latest notification (settles when async observers finish)
+   */
+  let lastDelivery = Promise.resolve([]);
 
   // ==========================================================================
   // HELPER FUNCTIONS
   // ==========================================================================
   
   /**
-   * Execute an action and notify observers
+   * Notify all observers with the current state and what changed since the
+   * previous notification
+   * @param {Object} origin - { source, cause } (see change-descriptor.js)
+   */
+  const notifyChange = (origin) => {
+    const state = stateStore.getAll();
+    const collections = stateStore.getCollections();
+    const change = createChangeDescriptor(lastNotifiedState, state, origin, {
+      previous: lastNotifiedCollections,
+      next: collections
+    });
+    lastNotifiedState = stateStore.getAll();
+    lastNotifiedCollections = collections;
+    // Indexes first, so observers that query see this change
+    queryIndex.apply(change);
+    lastDelivery = observerManager.notifyAll(state, change);
+    emitChangeEvents(change);
+    callPluginHooks('onNotify', state, change);
+  };
+
+  /**
+   * Apply a change made outside this store (e.g. in another tab). It bypasses
+   * the command manager, so it never becomes an undo entry here.
+   * @param {Object} change - { added, removed, updated, collections, cause } records
+   */
+  const applyRemoteChange = ({ added = [], removed = [], updated = [], collections = null, cause = null }) => {
+    if (collections) {
+      // Collections first, so favorites can move into new ones
+      const next = stateStore.getCollections();
+      collections.removed.forEach(collection => next.delete(collection.id));
+      [...collections.added, ...collections.updated].forEach(collection => next.set(collection.id, collection));
+      stateStore.restoreCollections(next);
+    }
+    removed.forEach(record => stateStore.remove(record.url));
+    added.forEach(record => {
+      if (!stateStore.add(record.url, record)) {
+        stateStore.update(record.url, record);
+      }
+    });
+    updated.forEach(record => stateStore.update(record.url, record));
+    notifyChange({ source: 'remote', cause });
+  };
+
+  /**
+   * Call a hook on every installed plugin. A throwing hook is reported as
+   * 'subscriber:error' (subscriber 'name.hook') and does not stop the others.
+   * @param {string} hook - 'onAction', 'onNotify' or 'onHydrate'
+   * @param {...*} args - Hook arguments
+   */
+  const callPluginHooks = (hook, ...args) => {
+    plugins.forEach(({ plugin }) => {
+      if (typeof plugin[hook] !== 'function') return;
+      try {
+        plugin[hook](...args);
+      } catch (error) {
+        reportSubscriberError(error, { name: `${plugin.name}.${hook}` });
+      }
+    });
+  };
+
+  /**
+   * Wait for the latest notification to reach every observer, async ones
+   * included. Inside batch() notifications are held until the batch ends,
+   * so there is nothing to wait for yet.
+   * @returns {Promise<Array<Object>>} Subscriber failures ({ name, kind, error })
+   */
+  const observersSettled = async () => {
+    if (observerManager.isPaused()) {
+      return [];
+    }
+    const failures = await lastDelivery;
+    await observerManager.whenSettled();
+    return failures;
+  };
+  
+  /**
+   * Turn a change descriptor into favorite:* events. Events fire as changes
+   * happen; they are not held by batch() or notification scheduling.
+   * @param {Object} change - Change descriptor
+   */
+  const emitChangeEvents = ({ added, removed, cause, source }) => {
+    if (cause === 'CLEAR_ALL' && source !== 'undo' && removed.length > 0) {
+      events.emit('favorites:cleared', { records: removed, cause, source });
+    } else {
+      removed.forEach(record => events.emit('favorite:removed', { record, cause, source }));
+    }
+    added.forEach(record => events.emit('favorite:added', { record, cause, source }));
+  };
+  
+  /**
+   * Report a failing subscriber or event handler as 'subscriber:error'
+   * (console.error when nobody listens, or when an error handler itself throws)
+   * @param {Error} error - What the subscriber threw (or its promise rejected with)
+   * @param {Function} subscriber - The subscriber or handler
+   * @param {string|null} [event] - Event name for event handlers
+   * @param {Object} [meta] - Fault policy details for state subscribers ({ kind, failures, removed, ... })
+   */
+  const reportSubscriberError = (error, subscriber, event = null, meta = null) => {
+    const name = subscriber.name || 'anonymous';
+    const details = meta ? { kind: meta.kind, failures: meta.failures, removed: meta.removed } : {};
+    if (event === 'subscriber:error' || events.listenerCount('subscriber:error') === 0) {
+      // A custom onSubscriberError hook counts as someone listening
+      if (meta && options.subscribers?.onSubscriberError) return;
+      console.error('Error in subscriber callback:', error);
+      console.error('Callback that failed:', name);
+      if (details.removed) {
+        console.error(`Removed subscriber ${name} after ${details.failures} failures`);
+      }
+      return;
+    }
+    events.emit('subscriber:error', { error, subscriber: name, event, ...details });
+  };
+  
+  /**
+   * Command manager hook: a command changed state. History jumps report the
+   * net direction as their source.
+   * @param {Object} event - { kind, action, fromIndex?, toIndex? }
+   */
+  const handleCommandApplied = ({ kind, action, fromIndex, toIndex }) => {
+    if (kind === 'goto') {
+      const source = toIndex < fromIndex ? 'undo' : 'redo';
+      notifyChange({ source, cause: 'HISTORY_JUMP' });
+      events.emit(`history:${source}`, { type: 'HISTORY_JUMP', fromIndex, toIndex });
+      callPluginHooks('onAction', { kind, type: 'HISTORY_JUMP', fromIndex, toIndex });
+      return;
+    }
+    notifyChange({ source: kind, cause: action.type || null });
+    if (kind !== 'execute') {
+      events.emit(`history:${kind}`, { type: action.type || 'UNKNOWN', description: action.description || '' });
+    }
+    callPluginHooks('onAction', {
+      kind,
+      type: action.type || 'UNKNOWN',
+      description: action.description || '',
+      meta: action.meta || null
+    });
+  };
+  
+  /**
+   * Execute an action; observers are notified by handleCommandApplied
    * @param {Object} action - The action to execute
+   * @param {Object} [options]
+   * @param {boolean} [options.awaitObservers=false] - Also wait until observers (async ones
+   *   included) have handled the change
    * @returns {Promise<boolean>} True if executed successfully
    */
-  const executeAndNotify = async (action) => {
-    const wasExecuted = await commandManager.executeAction(action);
+  const executeAndNotify = async (action, { awaitObservers = false } = {}) => {
+    const result = await commandManager.executeAction(action);
+    if (awaitObservers) {
+      await observersSettled();
+    }
+    return result;
+  };
+
+  /**
+   * Run a new action through the middleware, then create and execute it
+   * @param {string} type - Action type (see createAction)
+   * @param {Object} params - createAction() parameters
+   * @param {Object} [options] - executeAndNotify options ({ awaitObservers })
+   * @returns {Promise<boolean>} True if executed successfully; false if vetoed
+   */
+  const dispatchAction = async (type, params, options = {}) => {
+    const ctx = createMiddlewareContext(type, params, { getState: () => stateStore.getAll() });
+    let executed = false;
+    // Store middleware first, then plugin middleware in installation order
+    const pluginMiddleware = Array.from(plugins.values(), entry => entry.middleware).flat();
+    const runMiddleware = composeMiddleware([...baseMiddleware, ...pluginMiddleware]);
+    
+    await runMiddleware(ctx, async () => {
+      if (ctx.rejection) {
+        return false;
+      }
+      executed = true;
+      ctx.action = withActionMeta(createAction(ctx.type, ctx.params, stateStore, actionContext), ctx.meta);
+      ctx.result = await executeAndNotify(ctx.action, options);
+      return ctx.result;
+    });
+    
+    if (!executed) {
+      const reason = ctx.rejection?.reason ?? 'Rejected by middleware';
+      events.emit('action:rejected', { type, params: ctx.params, reason, meta: ctx.meta });
+      return false;
+    }
+    return ctx.result;
+  };
+  
+  /**
+   * Persistence adapter that only records operations. History jumps run
+   * every undo/redo step against it, then send the operations as one batch.
+   * @param {Object[]} operations - Array that receives the operations
+   * @returns {Object} Persistence adapter
+   */
+  const createRecordingPersistence = (operations) => ({
+    name: 'recording',
+    async add(url, details) {
+      operations.push({ type: 'add', url, details });
+      return true;
+    },
+    async remove(url) {
+      operations.push({ type: 'remove', url });
+      return true;
+    },
+    async clear() {
+      operations.push({ type: 'clear' });
+      return true;
+    },
+    async list() {
+      return persistence.list();
+    },
+    async batch(batchOperations) {
+      operations.push(...batchOperations);
+      return batchOperations.map(() => true);
+    },
+    async updateFavorite(url, fields) {
+      operations.push({ type: 'update', url, fields });
+      return true;
+    },
+    async addTag(url, tag) {
+      operations.push({ type: 'tag', url, tag });
+      return true;
+    },
+    async removeTag(url, tag) {
+      operations.push({ type: 'untag', url, tag });
+      return true;
+    },
+    async renameTag(from, to) {
+      operations.push({ type: 'renameTag', from, to });
+      return true;
+    },
+    async listCollections() {
+      return persistence.listCollections();
+    },
+    async createCollection(collection) {
+      operations.push({ type: 'createCollection', collection });
+      return true;
+    },
+    async renameCollection(id, name) {
+      operations.push({ type: 'renameCollection', id, name });
+      return true;
+    },
+    async moveCollection(id, parentId) {
+      operations.push({ type: 'moveCollection', id, parentId });
+      return true;
+    },
+    async deleteCollection(id) {
+      operations.push({ type: 'deleteCollection', id });
+      return true;
+    },
+    async moveToCollection(url, collectionId) {
+      operations.push({ type: 'moveToCollection', url, collectionId });
+      return true;
+    },
+    async reorderFavorites(urls, startIndex = 0) {
+      operations.push({ type: 'reorder', urls, startIndex });
+      return true;
+    }
+  });
+  
+  /**
+   * Run all steps of a history jump with persistence deferred, then persist
+   * them in one batch through the consistency policy. If the policy fails
+   * (strict/optimistic), local state is restored and the jump is cancelled.
+   * @param {Function} runSteps - Performs the undo/redo steps
+   * @param {string} target - Jump target for logs (e.g. 'history position 2')
+   * @returns {Promise<boolean>} False if the jump was rolled back
+   */
+  const runBatchedJump = async (runSteps, target) => {
+    const before = stateStore.getAll();
+    const collectionsBefore = stateStore.getCollections();
+    const recorded = [];
     
-    if (wasExecuted) {
-      // Notify all observers of the state change
-      observerManager.notifyAll(stateStore.getAll());
+    // Commands are serialized, so swapping the shared context is safe here
+    const liveContext = { ...actionContext };
+    Object.assign(actionContext, {
+      persistence: createRecordingPersistence(recorded),
+      outbox: null,
+      notifyObservers: null
+    });
+    try {
+      await runSteps();
+    } finally {
+      Object.assign(actionContext, liveContext);
     }
     
-    return wasExecuted;
+    if (recorded.length === 0) {
+      return true;
+    }
+    
+    // Collections are restored before favorites so they can move back in
+    const restoreBefore = () => {
+      stateStore.restoreCollections(collectionsBefore);
+      stateStore.restore(before);
+    };
+    const { setup, teardown } = diffCollectionOperations(stateStore.getCollections(), collectionsBefore);
+    
+    const report = await runWithPolicy({ ...actionContext, notifyObservers: null }, {
+      operations: recorded,
+      compensation: [...setup, ...diffOperations(stateStore.getAll(), before), ...teardown],
+      label: `Jump to ${target}`,
+      apply: () => true, // Steps already updated local state
+      revert: restoreBefore,
+      message: `Jumped to ${target} (${recorded.length} operations in one batch)`
+    });
+    
+    if (!report.success) {
+      restoreBefore();
+      return false;
+    }
+    return true;
   };
 
   // ==========================================================================
   // PUBLIC API
   // ==========================================================================
   
-  return {
+  const store = {
     // ========================================================================
     // CORE CRUD OPERATIONS
     // ========================================================================
@@ -85,31 +514,39 @@ export const createFavoritesStore = () => {
     /**
      * Add a URL to favorites
      * @param {string} url - The URL to add
+     * @param {Object} [details] - Optional record fields (displayName, notes), plus
+     *   awaitObservers: true to resolve only after observers have handled the change
      * @returns {Promise<boolean>} True if added successfully
      */
-    async addFavorite(url) {
-      // Early return if already exists (no action needed)
-      if (stateStore.has(url)) {
-        return false;
-      }
-      
-      const action = createAddFavoriteActionFn(url, stateStore);
-      return await executeAndNotify(action);
+    async addFavorite(url, details = {}) {
+      const { awaitObservers = false, ...fields } = details;
+      // No early has() check: commands are queued, so the action checks
+      // canExecute() when it runs, after anything queued before it
+      return await dispatchAction('ADD_FAVORITE', { url, details: fields }, { awaitObservers });
     },
 
     /**
      * Remove a URL from favorites
      * @param {string} url - The URL to remove
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
      * @returns {Promise<boolean>} True if removed successfully
      */
-    async removeFavorite(url) {
-      // Early return if doesn't exist (no action needed)
-      if (!stateStore.has(url)) {
-        return false;
-      }
-      
-      const action = createRemoveFavoriteActionFn(url, stateStore);
-      return await executeAndNotify(action);
+    async removeFavorite(url, options = {}) {
+      return await dispatchAction('REMOVE_FAVORITE', { url }, options);
+    },
+
+    /**
+     * Edit a favorite's display name and/or notes (undoable).
+     * Fields left out keep their value; null or a blank string clears one.
+     * @example
+     * await store.updateFavorite('https://mochajs.org', { displayName: 'Mocha', notes: 'Test runner' });
+     * @param {string} url - Favorite URL
+     * @param {{ displayName?: string|null, notes?: string|null }} fields - Fields to set
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
+     * @returns {Promise<boolean>} True if anything changed
+     */
+    async updateFavorite(url, fields, options = {}) {
+      return await dispatchAction('UPDATE_FAVORITE', { url, fields }, options);
     },
 
     /**
@@ -123,25 +560,289 @@ export const createFavoritesStore = () => {
 
     /**
      * Clear all favorites
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
      * @returns {Promise<boolean>} True if cleared successfully
      */
-    async clearAll() {
-      if (stateStore.isEmpty()) {
-        return false; // Nothing to clear
-      }
-      
-      const action = createClearAllActionFn(stateStore);
-      return await executeAndNotify(action);
+    async clearAll(options = {}) {
+      return await dispatchAction('CLEAR_ALL', {}, options);
     },
 
     /**
      * Add multiple URLs at once
      * @param {string[]} urls - Array of URLs to add
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
      * @returns {Promise<boolean>} True if any were added
      */
-    async addMultiple(urls) {
-      const action = createBulkAddActionFn(urls, stateStore);
-      return await executeAndNotify(action);
+    async addMultiple(urls, options = {}) {
+      return await dispatchAction('BULK_ADD', { urls }, options);
+    },
+
+    /**
+     * Group several changes into one composite command.
+     * The callback records steps on `tx`; they are then applied atomically,
+     * persisted in one batch, rolled back together on failure, and appear as
+     * a single history entry (with the steps as children).
+     * 
+     * @example
+     * await store.transaction(async tx => {
+     *   tx.remove('https://old.com');
+     *   tx.add('https://new.com', { displayName: 'New' });
+     * });
+     * 
+     * @param {Function} build - async (tx) => void; tx has add(url, details), remove(url), clear(), has(url)
+     * @param {{ description?: string, awaitObservers?: boolean }} [options]
+     * @returns {Promise<boolean>} True if the transaction changed anything
+     */
+    async transaction(build, options = {}) {
+      if (typeof build !== 'function') {
+        throw new Error('Transaction callback must be a function');
+      }
+      
+      const steps = [];
+      const tx = {
+        add(url, details = {}) {
+          steps.push({ type: 'add', url, details });
+          return tx;
+        },
+        remove(url) {
+          steps.push({ type: 'remove', url });
+          return tx;
+        },
+        clear() {
+          steps.push({ type: 'clear' });
+          return tx;
+        },
+        // Reflects the steps recorded so far
+        has(url) {
+          return simulateTransaction(stateStore.getAll(), steps).has(url);
+        }
+      };
+      
+      await build(tx);
+      if (steps.length === 0) {
+        return false;
+      }
+      
+      const { awaitObservers, ...params } = options;
+      return await dispatchAction('TRANSACTION', { ...params, steps }, { awaitObservers });
+    },
+
+    /**
+     * Run several operations with notifications held until fn completes;
+     * subscribers then get one notification with the merged change.
+     * Notifications from anything else that runs meanwhile are held too.
+     * 
+     * @example
+     * await store.batch(async () => {
+     *   await store.addFavorite('https://a.com');
+     *   await store.removeFavorite('https://b.com');
+     * });
+     * 
+     * @param {Function} fn - (async) function doing the work
+     * @returns {Promise<*>} fn's result
+     */
+    async batch(fn) {
+      if (typeof fn !== 'function') {
+        throw new Error('Batch callback must be a function');
+      }
+      
+      observerManager.pause();
+      try {
+        return await fn();
+      } finally {
+        observerManager.resume();
+      }
+    },
+
+    /**
+     * Deliver a scheduled (microtask/frame) notification right away
+     * @returns {boolean} True if subscribers were notified
+     */
+    flushNotifications() {
+      return observerManager.flush();
+    },
+
+    /**
+     * Wait until the latest change has reached every observer and async
+     * observers have finished (e.g. the favorites list is re-rendered)
+     * @returns {Promise<Array<Object>>} Subscriber failures ({ name, kind, error }), empty if none
+     */
+    whenObserversSettled() {
+      return observersSettled();
+    },
+
+    // ========================================================================
+    // TAGS
+    // ========================================================================
+
+    /**
+     * Tag a favorite (undoable). Tags are trimmed and lower-cased.
+     * @param {string} url - Favorite URL
+     * @param {string} tag - Tag to add
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
+     * @returns {Promise<boolean>} True if the favorite was tagged (false if missing or already tagged)
+     */
+    async addTag(url, tag, options = {}) {
+      return await dispatchAction('ADD_TAG', { url, tag }, options);
+    },
+
+    /**
+     * Remove a tag from a favorite (undoable)
+     * @param {string} url - Favorite URL
+     * @param {string} tag - Tag to remove
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
+     * @returns {Promise<boolean>} True if the tag was removed
+     */
+    async removeTag(url, tag, options = {}) {
+      return await dispatchAction('REMOVE_TAG', { url, tag }, options);
+    },
+
+    /**
+     * Rename a tag on every favorite carrying it, as one undoable step.
+     * Renaming to a tag that is already in use merges the two.
+     * @param {string} from - Current tag
+     * @param {string} to - New tag
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
+     * @returns {Promise<boolean>} True if any favorite was renamed
+     */
+    async renameTag(from, to, options = {}) {
+      return await dispatchAction('RENAME_TAG', { from, to }, options);
+    },
+
+    /**
+     * Get every tag in use with its number of favorites
+     * @returns {Array<{ tag: string, count: number }>} Tags sorted by name
+     */
+    getTags() {
+      return stateStore.getTags();
+    },
+
+    /**
+     * Get the favorites carrying a tag (for sorting and paging use
+     * query({ tags: [tag] }))
+     * @param {string} tag - Tag to look up
+     * @returns {Object[]} Record copies, in the order they were tagged
+     */
+    getFavoritesByTag(tag) {
+      return stateStore.getUrlsByTag(tag).map(url => stateStore.get(url));
+    },
+
+    // ========================================================================
+    // MANUAL ORDER
+    // ========================================================================
+
+    /**
+     * Move a favorite to another place in the manual order (undoable).
+     * Read the order with store.query({ sortBy: 'manual' }).
+     * @param {string} url - Favorite URL
+     * @param {number} toIndex - New position (0 = first; past the end = last)
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
+     * @returns {Promise<boolean>} True if the favorite moved
+     */
+    async moveFavorite(url, toIndex, options = {}) {
+      return await dispatchAction('MOVE_FAVORITE', { url, toIndex }, options);
+    },
+
+    // ========================================================================
+    // COLLECTIONS
+    // ========================================================================
+
+    /**
+     * Create a collection (undoable)
+     * @param {string} name - Collection name (trimmed)
+     * @param {Object} [options]
+     * @param {string|null} [options.parentId=null] - Parent collection (null = top level)
+     * @param {string} [options.id] - Id to use (one is generated otherwise)
+     * @param {boolean} [options.awaitObservers] - Wait until observers have handled the change
+     * @returns {Promise<string|null>} The new collection's id, or null if it was not created
+     */
+    async createCollection(name, options = {}) {
+      const { parentId = null, id = createCollectionId(), awaitObservers = false } = options;
+      const created = await dispatchAction('CREATE_COLLECTION', { id, name, parentId }, { awaitObservers });
+      return created ? id : null;
+    },
+
+    /**
+     * Rename a collection (undoable)
+     * @param {string} id - Collection id
+     * @param {string} name - New name
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
+     * @returns {Promise<boolean>} True if renamed
+     */
+    async renameCollection(id, name, options = {}) {
+      return await dispatchAction('RENAME_COLLECTION', { id, name }, options);
+    },
+
+    /**
+     * Move a collection, with everything in it, under another one (undoable).
+     * Moving a collection into itself or its own subtree does nothing.
+     * @param {string} id - Collection id
+     * @param {string|null} parentId - New parent (null = top level)
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
+     * @returns {Promise<boolean>} True if moved
+     */
+    async moveCollection(id, parentId, options = {}) {
+      return await dispatchAction('MOVE_COLLECTION', { id, parentId }, options);
+    },
+
+    /**
+     * Delete a collection with its sub-collections and the favorites in
+     * them, as one undoable step
+     * @param {string} id - Collection id
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
+     * @returns {Promise<boolean>} True if deleted
+     */
+    async deleteCollection(id, options = {}) {
+      return await dispatchAction('DELETE_COLLECTION', { id }, options);
+    },
+
+    /**
+     * Move a favorite into a collection (undoable)
+     * @param {string} url - Favorite URL
+     * @param {string|null} collectionId - Target collection (null = top level)
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
+     * @returns {Promise<boolean>} True if the favorite moved
+     */
+    async moveToCollection(url, collectionId, options = {}) {
+      return await dispatchAction('MOVE_TO_COLLECTION', { url, collectionId }, options);
+    },
+
+    /**
+     * Get all collections as a flat list (parentId links them)
+     * @returns {Object[]} Collection copies ({ id, name, parentId, createdAt }) in creation order
+     */
+    getCollections() {
+      return Array.from(stateStore.getCollections().values());
+    },
+
+    /**
+     * Get the favorites directly inside a collection
+     * @param {string|null} [collectionId=null] - Collection id (null = top level)
+     * @returns {Object[]} Record copies
+     */
+    getFavoritesInCollection(collectionId = null) {
+      return stateStore.getUrlsInCollection(collectionId).map(url => stateStore.get(url));
+    },
+
+    /**
+     * Get the collections as a tree, for rendering folder views
+     * @example
+     * const { collections, favorites } = store.getCollectionTree();
+     * // collections: [{ id, name, parentId, createdAt, children: [...], favorites: [records] }]
+     * // favorites: top-level records
+     * @returns {{ collections: Object[], favorites: Object[] }} Top-level collections (nested)
+     *   and top-level favorites
+     */
+    getCollectionTree() {
+      const buildNode = (id) => ({
+        ...stateStore.getCollection(id),
+        children: stateStore.getChildCollectionIds(id).map(buildNode),
+        favorites: this.getFavoritesInCollection(id)
+      });
+      return {
+        collections: stateStore.getChildCollectionIds(null).map(buildNode),
+        favorites: this.getFavoritesInCollection(null)
+      };
     },
 
     // ========================================================================
@@ -156,6 +857,42 @@ export const createFavoritesStore = () => {
       return stateStore.getAllAsArray();
     },
 
+    /**
+     * Filter, search, sort and paginate favorites. Backed by indexes that
+     * follow every change, so repeated queries do not rescan or re-sort.
+     * @example
+     * const { records, total } = store.query({ text: 'docs', sortBy: 'name', limit: 20 });
+     * @param {Object} [options]
+     * @param {string} [options.text] - Words that must all appear in the URL, name, notes or tags
+     * @param {string} [options.domain] - Domain filter, subdomains included
+     * @param {string[]} [options.tags] - Tags the records must all carry
+     * @param {string} [options.sortBy='manual'] - 'name', 'addedAt', 'visits' or 'manual'
+     * @param {string} [options.order='asc'] - 'asc' or 'desc'
+     * @param {number} [options.offset=0] - Records to skip
+     * @param {number|null} [options.limit=null] - Page size (null = all)
+     * @returns {{ records: Object[], total: number }} Page of records and the number of matches
+     */
+    query(options = {}) {
+      return queryIndex.query(options);
+    },
+
+    /**
+     * Get the full record for a favorite
+     * @param {string} url - The URL to look up
+     * @returns {Object|null} Record (url, displayName, notes, createdAt, sortOrder, accessCount) or null
+     */
+    getFavorite(url) {
+      return stateStore.get(url);
+    },
+
+    /**
+     * Get all favorite records in insertion order
+     * @returns {Object[]} Array of favorite record copies
+     */
+    getFavoriteRecords() {
+      return stateStore.getAllRecords();
+    },
+
     /**
      * Get the count of favorites
      * @returns {number} Number of favorites
@@ -178,20 +915,119 @@ export const createFavoritesStore = () => {
     
     /**
      * Subscribe to state changes
-     * @param {Function} callback - Function to call on changes
-     * @returns {Function} The callback (for easy unsubscription)
+     * @param {Function} callback - Called as (state, change): a Map of URL -> favorite record,
+     *   and { added, removed, updated, cause, source } describing what changed since the
+     *   previous notification. The immediate first call reports every record as added
+     *   (source 'hydrate').
+     * @param {Object} [options]
+     * @param {number} [options.priority=0] - Higher priorities are notified first
+     * @param {boolean} [options.async=false] - The callback returns a promise; awaitObservers and
+     *   whenObserversSettled() wait for it, and it never runs twice at the same time
+     * @param {AbortSignal} [options.signal] - Unsubscribe when the signal aborts
+     * @param {boolean} [options.once=false] - Unsubscribe after the first call
+     * @param {boolean} [options.immediate=true] - Call right away with the current state
+     * @returns {Function} Disposer: call it to unsubscribe (also has unsubscribe() and active).
+     *   Subscribing the same function twice returns the first disposer.
+     */
+    subscribe(callback, options = {}) {
+      const { priority, async, signal, once, immediate } = options;
+      const state = stateStore.getAll();
+      return observerManager.subscribe(
+        callback,
+        state,
+        createChangeDescriptor(new Map(), state, { source: 'hydrate' }),
+        { priority, async, signal, once, immediate }
+      );
+    },
+
+    /**
+     * Subscribe to a value derived from the state. The callback runs right
+     * away, then only when the selector's result changes.
+     * @param {Function} selector - (state) => value, e.g. selectCount or selectIsFavorite(url)
+     * @param {Function} callback - (value, previousValue, change) => void
+     * @param {Object} [options]
+     * @param {Function} [options.equals=Object.is] - Equality check (shallowEqual for arrays)
+     * @param {number} [options.priority=0] - See subscribe()
+     * @param {boolean} [options.async=false] - See subscribe()
+     * @param {AbortSignal} [options.signal] - See subscribe()
+     * @param {boolean} [options.once=false] - Unsubscribe after the callback fired once
+     * @param {boolean} [options.immediate=true] - Report the current value right away
+     * @returns {Function} Disposer (see subscribe())
      */
-    subscribe(callback) {
-      return observerManager.subscribe(callback, stateStore.getAll());
+    select(selector, callback, options = {}) {
+      const { equals, priority, async, signal, once, immediate } = options;
+      const state = stateStore.getAll();
+      return observerManager.select(selector, callback, {
+        equals,
+        priority,
+        async,
+        signal,
+        once,
+        immediate,
+        initialState: state,
+        initialChange: createChangeDescriptor(new Map(), state, { source: 'hydrate' })
+      });
+    },
+
+    /**
+     * Subscribe to the result of query(). The callback runs right away, then
+     * only when the page of records or the total changes.
+     * @param {Object} queryOptions - See query()
+     * @param {Function} callback - (result, previousResult, change) => void
+     * @param {Object} [options] - priority, async, signal, once, immediate (see select())
+     * @returns {Function} Disposer (see subscribe())
+     */
+    subscribeToQuery(queryOptions, callback, options = {}) {
+      const { priority, async, signal, once, immediate } = options;
+      const query = { ...queryOptions };
+      queryIndex.query(query); // Invalid options throw here, not inside a notification
+      return this.select(() => queryIndex.query(query), callback, {
+        equals: queryResultsEqual,
+        priority,
+        async,
+        signal,
+        once,
+        immediate
+      });
     },
 
     /**
      * Unsubscribe from state changes
-     * @param {Function} callback - The callback to remove
+     * @param {Function} subscription - The disposer subscribe()/select() returned, or the callback
      * @returns {boolean} True if successfully unsubscribed
      */
-    unsubscribe(callback) {
-      return observerManager.unsubscribe(callback);
+    unsubscribe(subscription) {
+      return observerManager.unsubscribe(subscription);
+    },
+
+    /**
+     * Listen to a named event (see STORE_EVENTS for names and payloads)
+     * @param {string} eventName - e.g. 'favorite:added'
+     * @param {Function} handler - (payload) => void
+     * @returns {Function} The handler (for off())
+     */
+    on(eventName, handler) {
+      return events.on(eventName, handler);
+    },
+
+    /**
+     * Listen to the next occurrence of a named event only
+     * @param {string} eventName - Event name
+     * @param {Function} handler - (payload) => void
+     * @returns {Function} The handler (for off())
+     */
+    once(eventName, handler) {
+      return events.once(eventName, handler);
+    },
+
+    /**
+     * Stop listening to a named event
+     * @param {string} eventName - Event name
+     * @param {Function} handler - Handler passed to on() or once()
+     * @returns {boolean} True if the handler was removed
+     */
+    off(eventName, handler) {
+      return events.off(eventName, handler);
     },
 
     /**
@@ -202,38 +1038,89 @@ export const createFavoritesStore = () => {
       return observerManager.getSubscriberCount();
     },
 
+    /**
+     * Failure counts per state subscriber, including the ones removed by the
+     * removeAfterNFailures policy
+     * @returns {Array<Object>} [{ name, calls, failures, consecutiveFailures, timeouts,
+     *   pending, lastError, lastFailureAt, removed }]
+     */
+    getSubscriberHealth() {
+      return observerManager.getSubscriberHealth();
+    },
+
     // ========================================================================
     // COMMAND PATTERN METHODS (UNDO/REDO)
     // ========================================================================
     
     /**
      * Undo the last action
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
      * @returns {Promise<boolean>} True if undone successfully
      */
-    async undo() {
-      const wasUndone = await commandManager.undo();
-      
-      if (wasUndone) {
-        // Notify observers of the state change
-        observerManager.notifyAll(stateStore.getAll());
+    async undo(options = {}) {
+      // Observers are notified from inside the queue (handleCommandApplied)
+      const result = await commandManager.undo();
+      if (options.awaitObservers) {
+        await observersSettled();
       }
-      
-      return wasUndone;
+      return result;
     },
 
     /**
      * Redo the next action
+     * @param {{ awaitObservers?: boolean }} [options] - Wait until observers have handled the change
      * @returns {Promise<boolean>} True if redone successfully
      */
-    async redo() {
-      const wasRedone = await commandManager.redo();
-      
-      if (wasRedone) {
-        // Notify observers of the state change
-        observerManager.notifyAll(stateStore.getAll());
+    async redo(options = {}) {
+      const result = await commandManager.redo();
+      if (options.awaitObservers) {
+        await observersSettled();
       }
-      
-      return wasRedone;
+      return result;
+    },
+
+    /**
+     * Wait until every queued add/remove/undo/redo has finished
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+      return commandManager.whenIdle();
+    },
+
+    /**
+     * Jump to any point in the action history (time travel).
+     * Undoes or redoes as many steps as needed, persists them in one batch
+     * and notifies observers once at the end.
+     * @param {number} index - Target position from getActionHistory() (-1 = before the first action)
+     * @returns {Promise<boolean>} True if the target position was reached
+     */
+    async goToHistory(index) {
+      // The command manager announces the whole jump once (handleCommandApplied)
+      return commandManager.goTo(index, {
+        wrap: (runSteps) => runBatchedJump(runSteps, `history position ${index}`)
+      });
+    },
+
+    /**
+     * Move to any node of the undo tree, including branches that a new action
+     * started after undo would otherwise have discarded.
+     * Requires createFavoritesStore({ history: { mode: 'tree' } }).
+     * Like goToHistory(), the steps are persisted in one batch with one notification.
+     * @param {number} nodeId - Node id from getHistoryTree() (0 = initial state)
+     * @returns {Promise<boolean>} True if the node was reached
+     */
+    async switchBranch(nodeId) {
+      return commandManager.switchBranch(nodeId, {
+        wrap: (runSteps) => runBatchedJump(runSteps, `history node ${nodeId}`)
+      });
+    },
+
+    /**
+     * Get the action history as a tree (a single chain in linear mode)
+     * @returns {Object} { mode, currentNodeId, root } with nested children
+     */
+    getHistoryTree() {
+      return commandManager.getHistoryTree();
     },
 
     /**
@@ -268,6 +1155,32 @@ export const createFavoritesStore = () => {
       commandManager.clearHistory(keepCurrent);
     },
 
+    /**
+     * Export undo/redo history as JSON (e.g. to save it elsewhere)
+     * @returns {Object} { version, currentIndex, entries }
+     */
+    exportHistory() {
+      return commandManager.exportHistory();
+    },
+
+    /**
+     * Replace undo/redo history with exported data
+     * @param {Object} data - Output of exportHistory()
+     * @returns {Promise<number>} Number of entries imported
+     */
+    async importHistory(data) {
+      return commandManager.importHistory(data);
+    },
+
+    /**
+     * Restore the history saved by a previous session from historyStorage,
+     * so e.g. yesterday's "Clear all" can still be undone
+     * @returns {Promise<number>} Number of entries restored
+     */
+    async restoreHistory() {
+      return commandManager.loadHistory();
+    },
+
     // ========================================================================
     // INITIALIZATION / HYDRATION API
     // ========================================================================
@@ -275,18 +1188,137 @@ export const createFavoritesStore = () => {
     /**
      * Hydrate the store from a snapshot (e.g., database on startup).
      * By default this is silent (no command history, no notifications),
-     * preserving initialization semantics. Optionally notify observers.
-     * @param {Iterable<string>|Set<string>|string[]} snapshot
-     * @param {{ notify?: boolean }} [options]
+     * preserving initialization semantics: the hydrated state becomes the
+     * baseline later change descriptors diff against. Optionally notify
+     * observers (source 'hydrate').
+     * @param {Map<string, Object>|Iterable<Object|string>} snapshot - Records or URLs
+     * @param {Object} [options]
+     * @param {boolean} [options.notify=false] - Notify observers (source 'hydrate')
+     * @param {Iterable<Object>} [options.collections] - Collections to restore first
+     *   (without them, collections are kept)
      */
     hydrate(snapshot, options = {}) {
-      const { notify = false } = options;
-      // Accept array, set, or any iterable of strings
-      const incoming = snapshot instanceof Set ? snapshot : new Set(snapshot);
-      stateStore.restore(incoming);
+      const { notify = false, collections = null } = options;
+      if (collections) {
+        stateStore.restoreCollections(collections);
+      }
+      // Accept a Map of records, or any iterable of records or URL strings
+      stateStore.restore(snapshot);
       if (notify) {
-        observerManager.notifyAll(stateStore.getAll());
+        notifyChange({ source: 'hydrate' });
+      } else {
+        lastNotifiedState = stateStore.getAll();
+        lastNotifiedCollections = stateStore.getCollections();
+        queryIndex.rebuild(lastNotifiedState);
       }
+      callPluginHooks('onHydrate', stateStore.getAll(), { notify });
+    },
+
+    /**
+     * Load favorites (and collections, when the adapter stores them) from
+     * the persistence adapter and hydrate the store.
+     * Like hydrate(), this does not create history entries.
+     * @param {{ notify?: boolean }} [options]
+     * @returns {Promise<number>} Number of favorites loaded
+     */
+    async loadFromPersistence(options = {}) {
+      const collections = typeof persistence.listCollections === 'function'
+        ? await persistence.listCollections()
+        : null;
+      const records = await persistence.list();
+      this.hydrate(records, { ...options, collections });
+      return records.length;
+    },
+
+    /**
+     * Get the persistence adapter this store writes through
+     * @returns {Object} Persistence adapter
+     */
+    getPersistence() {
+      return persistence;
+    },
+
+    /**
+     * Write through another persistence adapter from now on. Plugins use this
+     * to route writes (e.g. to another tab) and put the previous adapter back
+     * in teardown(). An outbox keeps replaying into the adapter it was created with.
+     * @param {Object} adapter - Persistence adapter
+     * @returns {Object} The previous adapter
+     */
+    setPersistence(adapter) {
+      assertPersistenceAdapter(adapter);
+      const previous = persistence;
+      persistence = adapter;
+      actionContext.persistence = adapter;
+      return previous;
+    },
+
+    /**
+     * Apply a change made outside this store (e.g. in another tab) without
+     * writing it or adding a history entry. Observers hear it as source 'remote'.
+     * @param {Object} change - { added, removed, updated, collections, cause } records
+     *   as in a change descriptor
+     */
+    applyRemoteChange(change) {
+      applyRemoteChange(change);
+    },
+
+    // ========================================================================
+    // OFFLINE SYNC (OUTBOX)
+    // ========================================================================
+    
+    /**
+     * Get operations that have not reached the persistence backend yet
+     * @returns {Object[]} Pending outbox entries in replay order ({ id, operations, label, attempts, ... })
+     */
+    getPendingOperations() {
+      return outbox ? outbox.getPending() : [];
+    },
+
+    /**
+     * Get the outbox this store queues unsaved changes in (for plugins)
+     * @returns {Object|null} Outbox, or null without the outbox option
+     */
+    getOutbox() {
+      return outbox;
+    },
+
+    /**
+     * Get the current sync status
+     * @returns {Object} { state: 'idle'|'pending'|'syncing'|'error', pendingCount, failedCount, ... }
+     */
+    getSyncStatus() {
+      return outbox ? outbox.getStatus() : { state: 'idle', pendingCount: 0, failedCount: 0 };
+    },
+
+    /**
+     * Replay pending operations now instead of waiting for the next retry
+     * @returns {Promise<Object>} Sync status after the replay
+     */
+    async syncNow() {
+      return outbox ? outbox.replay() : this.getSyncStatus();
+    },
+
+    /**
+     * Subscribe to sync status changes (the "sync-status" event)
+     * @param {Function} callback - Called with the sync status on every change
+     * @returns {Function} Disposer (call it, or pass it or the callback to unsubscribeFromSyncStatus)
+     */
+    subscribeToSyncStatus(callback) {
+      if (!outbox) {
+        callback(this.getSyncStatus());
+        return () => false; // Nothing to unsubscribe from: without an outbox the status never changes
+      }
+      return outbox.subscribe(callback);
+    },
+
+    /**
+     * Unsubscribe from sync status changes
+     * @param {Function} callback - The callback or its disposer
+     * @returns {boolean} True if successfully unsubscribed
+     */
+    unsubscribeFromSyncStatus(callback) {
+      return outbox ? outbox.unsubscribe(callback) : false;
     },
 
     /**
@@ -298,10 +1330,111 @@ export const createFavoritesStore = () => {
         ...commandManager.getStatistics(),
         favoritesCount: stateStore.getCount(),
         subscriberCount: observerManager.getSubscriberCount(),
-        isEmpty: stateStore.isEmpty()
+        isEmpty: stateStore.isEmpty(),
+        persistence: persistence.name || 'custom',
+        consistency: consistency.name || 'custom',
+        pendingOperations: outbox ? outbox.getStatus().pendingCount : 0
       };
     },
 
+    // ========================================================================
+    // PLUGINS
+    // ========================================================================
+
+    /**
+     * Install a plugin
+     * 
+     * A plugin is an object with a unique name and optional hooks:
+     * - setup(store): called once; may return an object of functions that
+     *   becomes a namespace on the store (store[name].*)
+     * - middleware: action middleware (function or array, see actions/middleware.js)
+     * - onAction({ kind, type, description, meta, fromIndex?, toIndex? }): after a command
+     *   was executed, undone or redone, or after a history jump (kind 'goto')
+     * - onNotify(state, change): for every change descriptor, as it happens
+     *   (not held by batch() or notification scheduling)
+     * - onHydrate(state, { notify }): after hydrate() / loadFromPersistence()
+     * - teardown(): when the plugin is removed
+     * 
+     * setup() may route the store's writes with setPersistence() (and undo
+     * that in teardown()) and feed in outside changes with applyRemoteChange().
+     * 
+     * @example
+     * store.use({
+     *   name: 'audit',
+     *   setup: () => ({ entries: () => entries }),
+     *   onAction: ({ kind, type }) => entries.push(`${kind} ${type}`)
+     * });
+     * store.audit.entries();
+     * 
+     * @param {Object} plugin - Plugin definition
+     * @returns {Object} The store (for chaining)
+     */
+    use(plugin) {
+      if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || plugin.name === '') {
+        throw new Error('Plugin must be an object with a name');
+      }
+      const { name } = plugin;
+      if (plugins.has(name)) {
+        throw new Error(`Plugin already installed: ${name}`);
+      }
+      if (name in this) {
+        throw new Error(`Plugin name "${name}" conflicts with a store property`);
+      }
+      const middleware = [].concat(plugin.middleware || []);
+      composeMiddleware(middleware); // Validate before anything is installed
+      
+      const entry = { plugin, middleware, namespace: null };
+      plugins.set(name, entry);
+      try {
+        const methods = typeof plugin.setup === 'function' ? plugin.setup(this) : null;
+        if (methods && typeof methods.then === 'function') {
+          throw new Error(`Plugin ${name}: setup() must be synchronous`);
+        }
+        if (methods) {
+          const invalid = Object.keys(methods).filter(key => typeof methods[key] !== 'function');
+          if (invalid.length > 0) {
+            throw new Error(`Plugin ${name}: setup() must return functions (got ${invalid.join(', ')})`);
+          }
+          entry.namespace = Object.freeze({ ...methods });
+          this[name] = entry.namespace;
+        }
+      } catch (error) {
+        plugins.delete(name);
+        throw error;
+      }
+      return this;
+    },
+
+    /**
+     * Remove a plugin: its namespace and middleware go away and teardown() runs
+     * @param {string} name - Plugin name
+     * @returns {boolean} True if the plugin was installed
+     */
+    removePlugin(name) {
+      const entry = plugins.get(name);
+      if (!entry) {
+        return false;
+      }
+      plugins.delete(name);
+      if (entry.namespace && this[name] === entry.namespace) {
+        delete this[name];
+      }
+      try {
+        entry.plugin.teardown?.();
+      } catch (error) {
+        reportSubscriberError(error, { name: `${name}.teardown` });
+      }
+      return true;
+    },
+
+    /**
+     * Names of the installed plugins, in installation order
+     * @returns {string[]} Plugin names
+     */
+    getPlugins() {
+      return Array.from(plugins.keys());
+    },
+
     // ========================================================================
     // DEBUGGING AND INTROSPECTION
     // ========================================================================
@@ -313,14 +1446,21 @@ export const createFavoritesStore = () => {
     getDebugInfo() {
       return {
         stateCount: stateStore.getCount(),
+        collectionCount: stateStore.getCollections().size,
         subscriberCount: observerManager.getSubscriberCount(),
         historyLength: commandManager.getHistory().totalActions,
         canUndo: commandManager.canUndo(),
         canRedo: commandManager.canRedo(),
-        isEmpty: stateStore.isEmpty()
+        isEmpty: stateStore.isEmpty(),
+        plugins: Array.from(plugins.keys())
       };
     }
   };
+  
+  // Plugins passed as options are installed once the API exists
+  (options.plugins || []).forEach(plugin => store.use(plugin));
+  
+  return store;
 };
 
 // =============================================================================
@@ -328,10 +1468,27 @@ export const createFavoritesStore = () => {
 // =============================================================================
 
 /**
- * Create the default store instance
+ * Create the default store instance (REST persistence with an offline outbox
+ * kept in IndexedDB when available, undo history kept per tab in localStorage
+ * as an undo tree, observers notified at most once per animation frame and
+ * repeated clicks on the same star coalesced). Apps that want changes shared
+ * with their other open tabs install createCrossTabPlugin() right after
+ * importing it.
  * In larger applications, you might inject this or create multiple instances
+ * with a different persistence adapter, e.g.
+ * createFavoritesStore({ persistence: createMemoryPersistence() })
  */
-export const favoritesStore = createFavoritesStore();
+export const favoritesStore = createFavoritesStore({
+  outbox: { storage: createDefaultOutboxStorage() },
+  // Each tab undoes its own changes, so each keeps its own history
+  historyStorage: createDefaultHistoryStorage({ perTab: true }),
+  history: { mode: 'tree' },
+  scheduling: 'frame',
+  // A broken widget is dropped after 5 failures in a row instead of logging
+  // forever; every star button in the demo lists has its own select() subscription
+  subscribers: { removeAfterNFailures: 5, asyncTimeout: 5000, leakWarningThreshold: 500 },
+  coalesce: true
+});
 
 // =============================================================================
 // PATTERN DOCUMENTATION
@@ -341,7 +1498,7 @@ export const favoritesStore = createFavoritesStore();
  * MODULAR DESIGN PATTERNS IMPLEMENTED:
  * 
  * 1. STATE STORE MODULE (store/state-store.js):
- *    - Manages core data (Set of favorites)
+ *    - Manages core data (favorite records keyed by URL)
  *    - Provides CRUD operations
  *    - Ensures data integrity and immutability
  * 
@@ -360,7 +1517,17 @@ export const favoritesStore = createFavoritesStore();
  *    - Encapsulates action logic and metadata
  *    - Provides action factory functions
  * 
- * 5. MAIN ORCHESTRATOR (this file):
+ * 5. PERSISTENCE ADAPTERS (persistence/*.js):
+ *    - Implement add/remove/clear/list/batch for one backend
+ *    - REST (default), in-memory, localStorage and JSON file (Node)
+ *    - Injected into actions through createFavoritesStore({ persistence })
+ * 
+ * 6. OFFLINE OUTBOX (sync/outbox.js):
+ *    - Queues operations the backend could not accept
+ *    - Replays them in order with exponential backoff
+ *    - Publishes sync status for "N changes not yet saved" indicators
+ * 
+ * 7. MAIN ORCHESTRATOR (this file):
  *    - Coordinates all modules
  *    - Provides unified public API
  *    - Handles cross-module communication
@@ -8,21 +8,71 @@
  */
 
 // Export the complete orchestrated store (most common use case)
-export { createFavoritesStore, favoritesStore } from './favorites-store-modular.js';
+export { createFavoritesStore, favoritesStore, STORE_EVENTS } from './favorites-store-modular.js';
 
 // Export individual modules for advanced use cases
 export { createStateStore } from './store/state-store.js';
-export { createObserverManager } from './observers/observer-manager.js';
-export { createCommandManager } from './commands/command-manager.js';
+export { createQueryIndex, queryResultsEqual, QUERY_SORT_KEYS, QUERY_ORDERS } from './store/query-index.js';
+export { createObserverManager, SCHEDULING_MODES, DEFAULT_LEAK_WARNING_THRESHOLD } from './observers/observer-manager.js';
+export { CHANGE_SOURCES, createChangeDescriptor, diffStates, hasChanges, mergeChanges } from './observers/change-descriptor.js';
+export { createEventEmitter } from './observers/event-emitter.js';
+export { shallowEqual, selectCount, selectIsFavorite, selectByDomain } from './observers/selectors.js';
+export { createCommandManager, DEFAULT_HISTORY_LIMITS, HISTORY_MODES } from './commands/command-manager.js';
+export {
+  createMemoryHistoryStorage,
+  createLocalStorageHistoryStorage,
+  createPerTabHistoryStorage,
+  createDefaultHistoryStorage
+} from './commands/history-storage.js';
 export { 
   createAddFavoriteAction,
   createRemoveFavoriteAction,
   createClearAllAction,
   createBulkAddAction,
+  createTransactionAction,
   createAction,
+  rehydrateAction,
+  withActionMeta,
   getAvailableActionTypes 
 } from './actions/action-definitions.js';
 
+// Action middleware (createFavoritesStore({ middleware }))
+export { composeMiddleware, createMiddlewareContext } from './actions/middleware.js';
+
+// Store plugins (store.use(plugin))
+export { createDevtoolsPlugin } from './plugins/devtools-plugin.js';
+export { createCrossTabPlugin } from './plugins/cross-tab-plugin.js';
+
+// Consistency policies (strict, best-effort, optimistic)
+export { CONSISTENCY_MODES, createConsistencyPolicy } from './actions/consistency-policies.js';
+
+// Persistence adapters (the JSON file adapter is Node-only; import it from
+// './persistence/file-persistence.js' directly)
+export {
+  PERSISTENCE_METHODS,
+  assertPersistenceAdapter
+} from './persistence/persistence-adapter.js';
+export { createRestPersistence } from './persistence/rest-persistence.js';
+export { createMemoryPersistence } from './persistence/memory-persistence.js';
+export { createLocalStoragePersistence } from './persistence/local-storage-persistence.js';
+
+// Offline outbox (the JSON file storage is Node-only; import it from
+// './sync/file-outbox-storage.js' directly)
+export { createOutbox } from './sync/outbox.js';
+export {
+  CROSS_TAB_WRITE_METHODS,
+  DEFAULT_CROSS_TAB_TIMINGS,
+  createCrossTabSync,
+  createBroadcastChannelTransport,
+  createStorageEventTransport,
+  createDefaultCrossTabTransport
+} from './sync/cross-tab.js';
+export {
+  createMemoryOutboxStorage,
+  createIndexedDbOutboxStorage,
+  createDefaultOutboxStorage
+} from './sync/outbox-storage.js';
+
 /**
  * USAGE EXAMPLES:
  * 
@@ -34,12 +84,23 @@ export {
  * import { createFavoritesStore } from './src/index.js';
  * const myStore = createFavoritesStore();
  * 
+ * // Embedded / offline - choose where favorites are persisted
+ * import { createFavoritesStore, createMemoryPersistence } from './src/index.js';
+ * const embedded = createFavoritesStore({ persistence: createMemoryPersistence() });
+ * 
+ * // Strict - fail the action (and keep state unchanged) when the API rejects it
+ * const strict = createFavoritesStore({ consistency: 'strict' });
+ * 
+ * // Offline-capable - queue writes while the API is unreachable
+ * const offline = createFavoritesStore({ outbox: { maxRetries: 10 } });
+ * offline.subscribeToSyncStatus(status => console.log(status.pendingCount, 'unsaved'));
+ * 
  * // Expert - use individual modules
  * import { createStateStore, createObserverManager } from './src/index.js';
  * const state = createStateStore();
  * const observers = createObserverManager();
  * 
  * // Testing - use specific modules
- * import { createAddFavoriteAction } from './src/index.js';
- * const action = createAddFavoriteAction('test-url', stateStore);
+ * import { createAddFavoriteAction, createMemoryPersistence } from './src/index.js';
+ * const action = createAddFavoriteAction('test-url', stateStore, { persistence: createMemoryPersistence() });
  */
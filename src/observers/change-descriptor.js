@@ -0,0 +1,186 @@
+/**
+ * =============================================================================
+ * CHANGE DESCRIPTORS - WHAT CHANGED BETWEEN TWO NOTIFICATIONS
+ * =============================================================================
+ * 
+ * Subscribers receive the full state plus a change descriptor:
+ * 
+ *   { added, removed, updated, collections, cause, source }
+ * 
+ * - added / updated: records as they are now
+ * - removed: records as they were before removal
+ * - collections: { added, removed, updated } for collections (folders),
+ *   diffed by id the same way
+ * - cause: action type that caused the change (e.g. 'ADD_FAVORITE'), or null
+ * - source: 'execute' | 'undo' | 'redo' | 'hydrate' | 'remote' (another tab)
+ * 
+ * Descriptors are computed by diffing the state against the state at the
+ * previous notification, so a notification that covers several commands
+ * still describes everything that changed since the subscriber last heard.
+ * When notifications are coalesced (scheduling modes, store.batch()),
+ * mergeChanges() folds them into one descriptor that also carries
+ * `coalesced`, the number of notifications merged.
+ * 
+ * Design Principles:
+ * - Backward compatible: callbacks that only take the state keep working
+ * - Plain data: descriptors hold copies, safe to keep or serialize
+ */
+
+/**
+ * Where a change came from
+ */
+export const CHANGE_SOURCES = ['execute', 'undo', 'redo', 'hydrate', 'remote'];
+
+/**
+ * Compare two records field by field (array fields such as tags item by item,
+ * since every state copy holds fresh arrays)
+ * @param {Object} a - Record
+ * @param {Object} b - Record
+ * @returns {boolean} True if every field is equal
+ */
+const sameRecord = (a, b) => {
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const field of fields) {
+    const x = a[field];
+    const y = b[field];
+    if (Array.isArray(x) && Array.isArray(y)) {
+      if (x.length !== y.length || x.some((item, i) => item !== y[i])) return false;
+    } else if (x !== y) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Diff two states (URL -> record, or collection id -> collection)
+ * @param {Map<string, Object>} previous - State at the previous notification
+ * @param {Map<string, Object>} next - Current state
+ * @returns {{ added: Object[], removed: Object[], updated: Object[] }} Changed entries
+ */
+export const diffStates = (previous, next) => {
+  const added = [];
+  const updated = [];
+  const removed = [];
+
+  next.forEach((record, url) => {
+    const before = previous.get(url);
+    if (!before) {
+      added.push(record);
+    } else if (!sameRecord(before, record)) {
+      updated.push(record);
+    }
+  });
+  previous.forEach((record, url) => {
+    if (!next.has(url)) {
+      removed.push(record);
+    }
+  });
+
+  return { added, removed, updated };
+};
+
+/**
+ * Build a change descriptor
+ * @param {Map<string, Object>} previous - State at the previous notification
+ * @param {Map<string, Object>} next - Current state
+ * @param {Object} origin
+ * @param {string} origin.source - One of CHANGE_SOURCES
+ * @param {string|null} [origin.cause] - Action type that caused the change
+ * @param {Object} [collections] - { previous, next } collection Maps (id -> collection);
+ *   without them the descriptor reports no collection changes
+ * @returns {Object} { added, removed, updated, collections, cause, source }
+ */
+export const createChangeDescriptor = (previous, next, { source, cause = null }, collections = null) => {
+  if (!CHANGE_SOURCES.includes(source)) {
+    throw new Error(`Unknown change source: ${source} (expected ${CHANGE_SOURCES.join(', ')})`);
+  }
+  return {
+    ...diffStates(previous, next),
+    collections: collections ? diffStates(collections.previous, collections.next) : { added: [], removed: [], updated: [] },
+    cause,
+    source
+  };
+};
+
+/**
+ * Check whether a diff ({ added, removed, updated }) is empty
+ * @param {Object} [diff] - Diff to check
+ * @returns {boolean} True if something was added, removed or updated
+ */
+const hasDiff = (diff) => Boolean(diff) && (diff.added.length > 0 || diff.removed.length > 0 || diff.updated.length > 0);
+
+/**
+ * Check whether a descriptor reports any change
+ * @param {Object} change - Change descriptor
+ * @returns {boolean} True if a record or collection was added, removed or updated
+ */
+export const hasChanges = (change) => hasDiff(change) || hasDiff(change.collections);
+
+/**
+ * Merge two consecutive diffs ({ added, removed, updated }) into one
+ * @param {Object} earlier - First diff
+ * @param {Object} later - Diff that happened after it
+ * @param {Function} keyOf - Entry key (URL for records, id for collections)
+ * @returns {{ added: Object[], removed: Object[], updated: Object[] }} Net diff
+ */
+const mergeDiffs = (earlier, later, keyOf) => {
+  const byKey = (entries) => new Map(entries.map(entry => [keyOf(entry), entry]));
+  const added = byKey(earlier.added);
+  const removed = byKey(earlier.removed);
+  const updated = byKey(earlier.updated);
+
+  later.added.forEach(entry => {
+    const key = keyOf(entry);
+    const before = removed.get(key);
+    if (!before) {
+      added.set(key, entry);
+      return;
+    }
+    removed.delete(key);
+    if (!sameRecord(before, entry)) {
+      updated.set(key, entry);
+    }
+  });
+  later.updated.forEach(entry => {
+    const key = keyOf(entry);
+    (added.has(key) ? added : updated).set(key, entry);
+  });
+  later.removed.forEach(entry => {
+    const key = keyOf(entry);
+    if (added.delete(key)) return;
+    updated.delete(key);
+    removed.set(key, entry);
+  });
+
+  return {
+    added: Array.from(added.values()),
+    removed: Array.from(removed.values()),
+    updated: Array.from(updated.values())
+  };
+};
+
+/**
+ * Merge two consecutive descriptors into one net change
+ * (added then removed cancels out, removed then re-added unchanged cancels out)
+ * @param {Object} [earlier] - First change
+ * @param {Object} [later] - Change that happened after it
+ * @returns {Object} Merged descriptor; cause and source come from the later change
+ */
+export const mergeChanges = (earlier, later) => {
+  if (!earlier || !later) {
+    return later || earlier;
+  }
+
+  const empty = { added: [], removed: [], updated: [] };
+  const collections = earlier.collections || later.collections
+    ? { collections: mergeDiffs(earlier.collections || empty, later.collections || empty, collection => collection.id) }
+    : {};
+  return {
+    ...mergeDiffs(earlier, later, record => record.url),
+    ...collections,
+    cause: later.cause,
+    source: later.source,
+    coalesced: (earlier.coalesced || 1) + (later.coalesced || 1)
+  };
+};
@@ -0,0 +1,135 @@
+/**
+ * =============================================================================
+ * EVENT EMITTER - NAMED EVENT CHANNELS
+ * =============================================================================
+ * 
+ * The observer manager has one anonymous subscriber list for state changes.
+ * This module adds named channels (e.g. 'favorite:added') so a logger, a
+ * status toast or an analytics hook can listen to exactly what it needs.
+ * 
+ * Design Principles:
+ * - Typed: only declared event names are accepted, typos throw
+ * - Error Isolation: a failing handler does not stop the others
+ */
+
+/**
+ * Creates an emitter for a fixed set of event names
+ * 
+ * @param {Object} options
+ * @param {string[]} options.events - Allowed event names
+ * @param {Function} [options.onHandlerError] - (error, { event, handler }) => void;
+ *   defaults to console.error
+ * @returns {Object} Emitter with on/off/once/emit/listenerCount
+ */
+export const createEventEmitter = (options) => {
+  const { events, onHandlerError = null } = options;
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error('Event emitter needs a list of event names');
+  }
+
+  // ==========================================================================
+  // PRIVATE STATE
+  // ==========================================================================
+
+  /**
+   * Event name -> handlers in registration order
+   * once() handlers are wrappers that remember the original in .original
+   */
+  const handlers = new Map(events.map(event => [event, []]));
+
+  /**
+   * Validate an event name and handler
+   * @param {string} event - Event name
+   * @param {Function} [handler] - Handler to check
+   */
+  const assertEvent = (event, handler) => {
+    if (!handlers.has(event)) {
+      throw new Error(`Unknown event: ${event} (expected ${events.join(', ')})`);
+    }
+    if (handler !== undefined && typeof handler !== 'function') {
+      throw new Error('Event handler must be a function');
+    }
+  };
+
+  return {
+    /**
+     * Listen to an event
+     * @param {string} event - Event name
+     * @param {Function} handler - (payload) => void
+     * @returns {Function} The handler (for off())
+     */
+    on(event, handler) {
+      assertEvent(event, handler);
+      handlers.get(event).push(handler);
+      return handler;
+    },
+
+    /**
+     * Listen to the next occurrence of an event only
+     * @param {string} event - Event name
+     * @param {Function} handler - (payload) => void
+     * @returns {Function} The handler (off() accepts it before the event fires)
+     */
+    once(event, handler) {
+      assertEvent(event, handler);
+      const wrapper = (payload) => {
+        this.off(event, wrapper);
+        return handler(payload);
+      };
+      wrapper.original = handler;
+      handlers.get(event).push(wrapper);
+      return handler;
+    },
+
+    /**
+     * Stop listening
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on() or once()
+     * @returns {boolean} True if the handler was found and removed
+     */
+    off(event, handler) {
+      assertEvent(event);
+      const list = handlers.get(event);
+      const index = list.findIndex(registered => registered === handler || registered.original === handler);
+      if (index === -1) {
+        return false;
+      }
+      list.splice(index, 1);
+      return true;
+    },
+
+    /**
+     * Call every handler of an event
+     * @param {string} event - Event name
+     * @param {*} payload - Event data
+     * @returns {number} Number of handlers called
+     */
+    emit(event, payload) {
+      assertEvent(event);
+      // Copy so handlers can call off() while the event is being delivered
+      const current = [...handlers.get(event)];
+      current.forEach(handler => {
+        try {
+          handler(payload);
+        } catch (error) {
+          if (onHandlerError) {
+            onHandlerError(error, { event, handler: handler.original || handler });
+          } else {
+            console.error(`Error in "${event}" handler:`, error);
+          }
+        }
+      });
+      return current.length;
+    },
+
+    /**
+     * Count the handlers of an event
+     * @param {string} event - Event name
+     * @returns {number} Number of handlers
+     */
+    listenerCount(event) {
+      assertEvent(event);
+      return handlers.get(event).length;
+    }
+  };
+};
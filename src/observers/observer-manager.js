@@ -4,10 +4,14 @@
  * =============================================================================
  * 
  * This module is responsible for:
- * - Managing subscriber callbacks
- * - Notifying observers of state changes
- * - Error handling for subscriber callbacks
- * - Memory management (subscription cleanup)
+ * - Managing subscriber callbacks (ordered by priority, optionally async)
+ * - Notifying observers of state changes (with an optional change descriptor);
+ *   notifyAll returns a promise that settles once async subscribers finish
+ * - Scheduling notifications (sync, microtask, animation frame) and
+ *   coalescing the ones that arrive before delivery
+ * - Error handling for subscriber callbacks (fault policy: reporting hook,
+ *   async timeouts, removal of subscribers that keep failing, health report)
+ * - Memory management (disposer handles, AbortSignal cleanup, leak warnings)
  * 
  * Design Principles:
  * - Single Responsibility: Only manages observers
@@ -16,22 +20,395 @@
  * - Defensive Programming: Validates all inputs
  */
 
+/**
+ * Notification scheduling modes
+ * - sync: deliver inside notifyAll (original behavior)
+ * - microtask: deliver once at the end of the current job
+ * - frame: deliver once before the next repaint (requestAnimationFrame),
+ *   or on the next macrotask outside browsers (setImmediate / setTimeout)
+ */
+export const SCHEDULING_MODES = ['sync', 'microtask', 'frame'];
+
+/**
+ * Turn a scheduling option into a function that runs a callback later
+ * @param {string|Function} scheduling - Mode name or custom (flush) => void scheduler
+ * @returns {Function|null} Scheduler, or null for synchronous delivery
+ */
+const resolveScheduler = (scheduling) => {
+  if (typeof scheduling === 'function') return scheduling;
+  switch (scheduling) {
+    case 'sync':
+      return null;
+    case 'microtask':
+      return (flush) => queueMicrotask(flush);
+    case 'frame':
+      if (typeof globalThis.requestAnimationFrame === 'function') {
+        return (flush) => globalThis.requestAnimationFrame(() => flush());
+      }
+      if (typeof globalThis.setImmediate === 'function') {
+        return (flush) => globalThis.setImmediate(flush);
+      }
+      return (flush) => setTimeout(flush, 0);
+    default:
+      throw new Error(`Unknown scheduling mode: ${scheduling} (expected ${SCHEDULING_MODES.join(', ')} or a function)`);
+  }
+};
+
+/**
+ * Subscriber count above which a possible leak is reported in development
+ * (Node with NODE_ENV=production, or an explicit null, turns it off)
+ */
+export const DEFAULT_LEAK_WARNING_THRESHOLD = 50;
+
+/**
+ * Whether we run in development (anything but NODE_ENV=production)
+ * @returns {boolean} True in development
+ */
+const isDevelopment = () => (
+  typeof process === 'undefined' || !process.env || process.env.NODE_ENV !== 'production'
+);
+
+/**
+ * Fresh health entry for a subscriber
+ * @param {Function} callback - The subscriber
+ * @returns {Object} Health counters
+ */
+const createHealthEntry = (callback) => ({
+  name: callback.name || 'anonymous',
+  calls: 0,
+  failures: 0,
+  consecutiveFailures: 0,
+  timeouts: 0,
+  pending: 0,
+  lastError: null,
+  lastFailureAt: null,
+  removed: false
+});
+
 /**
  * Creates an observer manager for handling state change notifications
  * 
+ * @param {Object} [options]
+ * @param {string|Function} [options.scheduling='sync'] - 'sync', 'microtask', 'frame' or a
+ *   custom scheduler (flush) => void. Notifications that arrive before delivery are coalesced.
+ * @param {Function} [options.merge] - (earlierChange, laterChange) => change; merges change
+ *   descriptors of coalesced notifications (without it the latest change wins)
+ * @param {Function} [options.onSubscriberError] - (error, meta) => void, called when a subscriber
+ *   throws, rejects or times out (defaults to console.error). meta is { subscriber, name, kind
+ *   ('error' | 'rejection' | 'timeout'), failures, consecutiveFailures, removed }.
+ * @param {number} [options.removeAfterNFailures] - Unsubscribe a subscriber after this many
+ *   failures in a row (a successful call resets the count). Default: never.
+ * @param {number} [options.asyncTimeout] - Milliseconds an async subscriber's promise may take
+ *   before it counts as a failure. Default: no timeout.
+ * @param {number|null} [options.leakWarningThreshold] - Warn once when the subscriber count
+ *   passes this number. Defaults to DEFAULT_LEAK_WARNING_THRESHOLD in development, off in production.
+ * @param {Function} [options.onLeakWarning] - ({ count, threshold }) => void (defaults to console.warn)
  * @returns {Object} Observer manager with subscription methods
  */
-export const createObserverManager = () => {
+export const createObserverManager = (options = {}) => {
+  const {
+    scheduling = 'sync',
+    merge = null,
+    onSubscriberError = null,
+    removeAfterNFailures = null,
+    asyncTimeout = null,
+    leakWarningThreshold = isDevelopment() ? DEFAULT_LEAK_WARNING_THRESHOLD : null,
+    onLeakWarning = null
+  } = options;
+  const scheduler = resolveScheduler(scheduling);
+  if (removeAfterNFailures !== null && !(Number.isInteger(removeAfterNFailures) && removeAfterNFailures > 0)) {
+    throw new Error('removeAfterNFailures must be a positive integer');
+  }
+  if (asyncTimeout !== null && !(asyncTimeout > 0)) {
+    throw new Error('asyncTimeout must be a positive number of milliseconds');
+  }
+  
   // ==========================================================================
   // PRIVATE STATE
   // ==========================================================================
   
   /**
    * List of subscriber callback functions
-   * Each function will be called when state changes occur
+   * Each function will be called when state changes occur, highest priority
+   * first (registration order within the same priority)
    */
   const subscribers = [];
 
+  /**
+   * Subscriber -> { priority, async, once, tail, handle, detach }. tail is the
+   * promise of an async subscriber's current call, so its next notification
+   * waits for it; handle is the disposer subscribe() returned; detach removes
+   * the AbortSignal listener.
+   */
+  const settings = new Map();
+
+  /**
+   * Disposer -> subscriber, so unsubscribe() accepts either
+   */
+  const handles = new WeakMap();
+
+  /**
+   * Whether the leak warning was given (reset when the count drops back)
+   */
+  let leakWarned = false;
+  
+  /**
+   * Notification waiting for delivery ({ state, change, waiters }), whether a
+   * flush is scheduled, and how many pause() calls are still open.
+   * waiters resolve the promises notifyAll returned for it.
+   */
+  let pending = null;
+  let flushScheduled = false;
+  let pauseDepth = 0;
+
+  /**
+   * Subscriber -> health entry (see createHealthEntry). Subscribers removed
+   * by the fault policy keep their entry (removed: true) so the health
+   * report shows why they went quiet.
+   */
+  const health = new Map();
+
+  /**
+   * Health entry of a subscriber (a throwaway one for callbacks notified
+   * directly through notifySubscriber without subscribing)
+   * @param {Function} callback - The subscriber
+   * @returns {Object} Health entry
+   */
+  const healthOf = (callback) => health.get(callback) || createHealthEntry(callback);
+
+  /**
+   * A call (or its promise) completed: the failure streak is over
+   * @param {Object} entry - Health entry
+   * @returns {null} No failure
+   */
+  const recordSuccess = (entry) => {
+    entry.consecutiveFailures = 0;
+    return null;
+  };
+
+  /**
+   * Count a failure, apply the removal policy and report it
+   * @param {Function} callback - The subscriber
+   * @param {Object} entry - Its health entry
+   * @param {Error} error - What went wrong
+   * @param {string} kind - 'error', 'rejection' or 'timeout'
+   * @returns {Object} The failure ({ subscriber, name, kind, error })
+   */
+  const recordFailure = (callback, entry, error, kind) => {
+    entry.failures++;
+    entry.consecutiveFailures++;
+    if (kind === 'timeout') entry.timeouts++;
+    entry.lastError = error && error.message ? error.message : String(error);
+    entry.lastFailureAt = new Date().toISOString();
+
+    const failure = { subscriber: callback, name: entry.name, kind, error };
+    let removedNow = false;
+    if (removeAfterNFailures !== null && !entry.removed && entry.consecutiveFailures >= removeAfterNFailures) {
+      const index = subscribers.indexOf(callback);
+      if (index > -1) {
+        subscribers.splice(index, 1);
+        settings.get(callback)?.detach?.();
+        entry.removed = true;
+        removedNow = true;
+      }
+    }
+
+    if (onSubscriberError) {
+      onSubscriberError(error, {
+        subscriber: callback,
+        name: entry.name,
+        kind,
+        failures: entry.failures,
+        consecutiveFailures: entry.consecutiveFailures,
+        removed: removedNow
+      });
+      return failure;
+    }
+    console.error(`Error in subscriber callback (${kind}):`, error);
+    console.error('Callback that failed:', entry.name);
+    if (removedNow) {
+      console.error(`Removed subscriber ${entry.name} after ${entry.consecutiveFailures} failures in a row`);
+    }
+    return failure;
+  };
+
+  /**
+   * Follow the promise returned by an async subscriber: a rejection or
+   * (with asyncTimeout) a slow promise counts as a failure
+   * @param {Function} callback - The subscriber
+   * @param {Object} entry - Its health entry
+   * @param {Promise} promise - What the subscriber returned
+   * @returns {Promise<Object|null>} The failure, or null once the promise resolved in time
+   */
+  const watchAsync = (callback, entry, promise) => {
+    let settled = false;
+    let timer = null;
+    entry.pending++;
+    
+    return new Promise(resolve => {
+      // First outcome wins: resolution, rejection or timeout
+      const settle = (outcome) => {
+        if (settled) return;
+        settled = true;
+        entry.pending--;
+        if (timer) clearTimeout(timer);
+        resolve(outcome());
+      };
+
+      if (asyncTimeout !== null) {
+        timer = setTimeout(() => settle(() => recordFailure(
+          callback, entry, new Error(`Subscriber ${entry.name} timed out after ${asyncTimeout}ms`), 'timeout'
+        )), asyncTimeout);
+        // Don't keep Node processes alive just to time out a subscriber
+        timer.unref?.();
+      }
+
+      Promise.resolve(promise).then(
+        () => settle(() => recordSuccess(entry)),
+        (error) => settle(() => recordFailure(callback, entry, error, 'rejection'))
+      );
+    });
+  };
+
+  /**
+   * Call a subscriber once and classify the outcome
+   * @param {Function} callback - The subscriber
+   * @param {*} state - State to deliver
+   * @param {*} change - Change descriptor
+   * @param {boolean} awaited - Follow a returned promise for the result (async subscribers)
+   * @returns {Object|null|Promise<Object|null>} The failure, null, or (awaited) a promise of either
+   */
+  const invoke = (callback, state, change, awaited) => {
+    const entry = healthOf(callback);
+    entry.calls++;
+    let result;
+    try {
+      result = callback(state, change);
+    } catch (error) {
+      return recordFailure(callback, entry, error, 'error');
+    }
+    if (result && typeof result.then === 'function') {
+      // Promises of non-async subscribers are still watched, so a rejection
+      // is reported instead of becoming an unhandled rejection
+      const outcome = watchAsync(callback, entry, result);
+      return awaited ? outcome : null;
+    }
+    return recordSuccess(entry);
+  };
+
+  /**
+   * Call every subscriber with a state and change
+   * @param {Object} manager - The observer manager (for notifySubscriber)
+   * @param {*} state - State to deliver
+   * @param {*} change - Change descriptor
+   * @returns {Promise<Array<Object>>} Failures ({ subscriber, name, kind, error }) once
+   *   every async subscriber has finished
+   */
+  const deliver = (manager, state, change) => {
+    // Create a copy of subscribers array to avoid issues if
+    // a subscriber modifies the array during notification
+    const currentSubscribers = [...subscribers];
+    
+    const outcomes = currentSubscribers.map(callback => manager.notifySubscriber(callback, state, change));
+    return Promise.all(outcomes).then(failures => failures.filter(Boolean));
+  };
+  
+  /**
+   * Hold a notification until the next flush, merging it into any pending one
+   * @param {*} state - Latest state
+   * @param {*} change - Its change descriptor
+   * @param {Function} waiter - Resolved with the delivery when it happens
+   */
+  const hold = (state, change, waiter) => {
+    if (!pending) {
+      pending = { state, change, waiters: [waiter] };
+      return;
+    }
+    const merged = merge && pending.change !== undefined && change !== undefined
+      ? merge(pending.change, change)
+      : change;
+    pending = { state, change: merged, waiters: [...pending.waiters, waiter] };
+  };
+
+  /**
+   * Remove a subscriber and everything kept for it
+   * @param {Function} callback - The subscriber
+   * @param {Object} [setting] - Only remove this registration (disposers of old registrations are no-ops)
+   * @returns {boolean} True if the subscriber was removed
+   */
+  const removeSubscriber = (callback, setting = null) => {
+    const current = settings.get(callback);
+    if (setting && current !== setting) {
+      return false;
+    }
+    const index = subscribers.indexOf(callback);
+    current?.detach?.();
+    health.delete(callback);
+    settings.delete(callback);
+    if (index === -1) {
+      return false;
+    }
+    subscribers.splice(index, 1);
+    if (leakWarningThreshold !== null && subscribers.length <= leakWarningThreshold) {
+      leakWarned = false;
+    }
+    return true;
+  };
+
+  /**
+   * Warn once when the subscriber count passes the leak threshold
+   * (typically components that subscribe on every render and never dispose)
+   */
+  const checkForLeak = () => {
+    if (leakWarningThreshold === null || leakWarned || subscribers.length <= leakWarningThreshold) {
+      return;
+    }
+    leakWarned = true;
+    if (onLeakWarning) {
+      onLeakWarning({ count: subscribers.length, threshold: leakWarningThreshold });
+      return;
+    }
+    console.warn(
+      `⚠️ Possible subscriber leak: ${subscribers.length} subscribers (threshold ${leakWarningThreshold}). ` +
+      'Call the disposer returned by subscribe() or pass a signal when a component goes away.'
+    );
+  };
+
+  /**
+   * Build the disposer returned by subscribe(): call it (or its
+   * unsubscribe() method) to remove this registration
+   * @param {Function} callback - The subscriber
+   * @param {Object|null} setting - Its registration (null if it was never added)
+   * @returns {Function} Disposer with unsubscribe(), callback and active
+   */
+  const createDisposer = (callback, setting) => {
+    const dispose = () => (setting ? removeSubscriber(callback, setting) : false);
+    dispose.unsubscribe = dispose;
+    dispose.callback = callback;
+    Object.defineProperty(dispose, 'active', {
+      get: () => Boolean(setting) && settings.get(callback) === setting && subscribers.includes(callback)
+    });
+    if (typeof Symbol.dispose === 'symbol') {
+      dispose[Symbol.dispose] = dispose;
+    }
+    handles.set(dispose, callback);
+    return dispose;
+  };
+
+  /**
+   * Insert a subscriber after every subscriber with the same or a higher priority
+   * @param {Function} callback - The subscriber
+   * @param {number} priority - Its priority
+   */
+  const insertByPriority = (callback, priority) => {
+    const index = subscribers.findIndex(existing => (settings.get(existing)?.priority ?? 0) < priority);
+    if (index === -1) {
+      subscribers.push(callback);
+    } else {
+      subscribers.splice(index, 0, callback);
+    }
+  };
+
   // ==========================================================================
   // OBSERVER MANAGEMENT
   // ==========================================================================
@@ -39,70 +416,270 @@ export const createObserverManager = () => {
   return {
     /**
      * Subscribe to state changes
-     * @param {Function} callback - Function to call on state changes
+     * @param {Function} callback - Function to call on state changes: (state, change)
      * @param {*} initialState - Initial state to send to new subscriber
+     * @param {*} [initialChange] - Change descriptor sent with the initial state
+     * @param {Object} [options]
+     * @param {number} [options.priority=0] - Higher priorities are notified first
+     * @param {boolean} [options.async=false] - The callback returns a promise: notifyAll waits
+     *   for it, and the next notification waits until it settles
+     * @param {AbortSignal} [options.signal] - Unsubscribe when the signal aborts (an aborted
+     *   signal subscribes nothing)
+     * @param {boolean} [options.once=false] - Unsubscribe after the first call
+     * @param {boolean} [options.immediate=true] - Call right away with initialState (when given)
+     * @returns {Function} Disposer: call it (or pass it to unsubscribe) to stop listening.
+     *   Subscribing a function that is already subscribed returns its existing disposer.
      */
-    subscribe(callback, initialState = null) {
+    subscribe(callback, initialState = null, initialChange = undefined, options = {}) {
+      const { priority = 0, async = false, signal = null, once = false, immediate = true } = options;
       if (typeof callback !== 'function') {
         throw new Error('Callback must be a function');
       }
+      if (!Number.isFinite(priority)) {
+        throw new Error('Subscriber priority must be a finite number');
+      }
       
-      // Add to subscribers list
-      subscribers.push(callback);
+      // DUPLICATES: the same function is registered (and called) only once
+      const existing = settings.get(callback);
+      if (existing && subscribers.includes(callback)) {
+        return existing.handle;
+      }
+      if (signal && signal.aborted) {
+        return createDisposer(callback, null);
+      }
+      
+      // Add to subscribers list (re-subscribing resets a removed subscriber's health)
+      const setting = { priority, async: Boolean(async), once: Boolean(once), tail: null, handle: null, detach: null };
+      setting.handle = createDisposer(callback, setting);
+      settings.set(callback, setting);
+      insertByPriority(callback, priority);
+      if (!health.has(callback) || health.get(callback).removed) {
+        health.set(callback, createHealthEntry(callback));
+      }
+      if (signal) {
+        const onAbort = () => removeSubscriber(callback, setting);
+        signal.addEventListener('abort', onAbort, { once: true });
+        setting.detach = () => signal.removeEventListener('abort', onAbort);
+      }
+      checkForLeak();
       
       // Immediately notify with current state if provided
-      if (initialState !== null) {
-        this.notifySubscriber(callback, initialState);
+      if (immediate && initialState !== null) {
+        this.notifySubscriber(callback, initialState, initialChange);
       }
       
-      return callback; // Return for easy unsubscription
+      return setting.handle;
     },
 
     /**
-     * Unsubscribe from state changes
-     * @param {Function} callback - The callback to remove
-     * @returns {boolean} True if callback was found and removed
+     * Subscribe to a derived value: the selector runs on every notification,
+     * but the callback only fires when its result changes
+     * @param {Function} selector - (state) => value
+     * @param {Function} callback - (value, previousValue, change) => void
+     * @param {Object} [options]
+     * @param {Function} [options.equals=Object.is] - (previous, next) => boolean
+     * @param {*} [options.initialState] - Memoize (and report) this state right away
+     * @param {*} [options.initialChange] - Change descriptor sent with the initial state
+     * @param {number} [options.priority=0] - See subscribe()
+     * @param {boolean} [options.async=false] - See subscribe()
+     * @param {AbortSignal} [options.signal] - See subscribe()
+     * @param {boolean} [options.once=false] - Unsubscribe after the callback fired once
+     * @param {boolean} [options.immediate=true] - Report the initial value (it is memoized either way)
+     * @returns {Function} Disposer (see subscribe())
      */
-    unsubscribe(callback) {
-      const index = subscribers.indexOf(callback);
-      if (index > -1) {
-        subscribers.splice(index, 1);
-        return true;
+    select(selector, callback, options = {}) {
+      const {
+        equals = Object.is,
+        initialState = null,
+        initialChange = undefined,
+        priority = 0,
+        async = false,
+        signal = null,
+        once = false,
+        immediate = true
+      } = options;
+      if (typeof selector !== 'function' || typeof callback !== 'function') {
+        throw new Error('Selector and callback must be functions');
       }
-      return false;
+      if (typeof equals !== 'function') {
+        throw new Error('equals must be a function');
+      }
+      
+      // Memoized selector result; nothing is memoized until the first run
+      let hasValue = false;
+      let current;
+      const selectorSubscriber = (state, change) => {
+        const next = selector(state);
+        if (hasValue && equals(current, next)) {
+          return;
+        }
+        const previous = current;
+        current = next;
+        hasValue = true;
+        // once: the callback firing counts, not the selector running
+        if (once) {
+          removeSubscriber(selectorSubscriber);
+        }
+        return callback(next, previous, change);
+      };
+      // Name the wrapper after the callback for error reports and getSubscriberHealth()
+      Object.defineProperty(selectorSubscriber, 'name', { value: `select(${callback.name || 'anonymous'})` });
+      
+      // Not reported now, but later changes are compared against it
+      if (!immediate && initialState !== null) {
+        current = selector(initialState);
+        hasValue = true;
+      }
+      
+      return this.subscribe(selectorSubscriber, initialState, initialChange, { priority, async, signal, immediate });
+    },
+
+    /**
+     * Unsubscribe from state changes
+     * @param {Function} subscription - The disposer subscribe() returned, or the callback
+     * @returns {boolean} True if the subscriber was found and removed
+     */
+    unsubscribe(subscription) {
+      return removeSubscriber(handles.get(subscription) || subscription);
     },
 
     /**
-     * Notify all subscribers of a state change
+     * Notify all subscribers of a state change.
+     * In sync mode (and not paused) subscribers run right away; otherwise the
+     * notification is coalesced with others until the scheduled flush.
      * @param {*} newState - The new state to broadcast
+     * @param {*} [change] - What changed (second callback argument)
+     * @returns {Promise<Array<Object>>} Settles once this notification was delivered and every
+     *   async subscriber finished; resolves with the failures ({ subscriber, name, kind, error })
+     *   and never rejects
      */
-    notifyAll(newState) {
-      // Create a copy of subscribers array to avoid issues if
-      // a subscriber modifies the array during notification
-      const currentSubscribers = [...subscribers];
+    notifyAll(newState, change = undefined) {
+      if (!scheduler && pauseDepth === 0 && !pending) {
+        return deliver(this, newState, change);
+      }
       
-      currentSubscribers.forEach(callback => {
-        this.notifySubscriber(callback, newState);
+      const delivered = new Promise(resolve => hold(newState, change, resolve));
+      if (pauseDepth === 0) {
+        this.scheduleFlush();
+      }
+      return delivered;
+    },
+
+    /**
+     * Schedule delivery of the pending notification (once per flush)
+     */
+    scheduleFlush() {
+      if (!scheduler) {
+        this.flush();
+        return;
+      }
+      if (flushScheduled) return;
+      flushScheduled = true;
+      scheduler(() => {
+        flushScheduled = false;
+        this.flush();
       });
     },
 
+    /**
+     * Deliver the pending notification now (no-op while paused or if nothing is pending)
+     * @returns {boolean} True if subscribers were notified
+     */
+    flush() {
+      if (!pending || pauseDepth > 0) {
+        return false;
+      }
+      const { state, change, waiters } = pending;
+      pending = null;
+      const delivery = deliver(this, state, change);
+      waiters.forEach(resolve => resolve(delivery));
+      return true;
+    },
+
+    /**
+     * Hold all notifications until the matching resume() (calls nest)
+     */
+    pause() {
+      pauseDepth++;
+    },
+
+    /**
+     * Undo one pause(); the last one delivers (or schedules) what was held
+     */
+    resume() {
+      if (pauseDepth === 0) return;
+      pauseDepth--;
+      if (pauseDepth === 0 && pending) {
+        this.scheduleFlush();
+      }
+    },
+
+    /**
+     * Wait for the calls async subscribers are still running (including
+     * the initial call made by subscribe())
+     * @returns {Promise<void>}
+     */
+    async whenSettled() {
+      const tails = Array.from(settings.values(), setting => setting.tail).filter(Boolean);
+      await Promise.all(tails);
+    },
+
+    /**
+     * Check whether notifications are being held by pause()
+     * @returns {boolean} True while paused
+     */
+    isPaused() {
+      return pauseDepth > 0;
+    },
+
+    /**
+     * Check whether a notification is waiting for delivery
+     * @returns {boolean} True if a notification is pending
+     */
+    hasPending() {
+      return pending !== null;
+    },
+
     /**
      * Notify a single subscriber safely
+     * Failures (throws, rejected promises, timeouts) go through the fault
+     * policy: counted in the health report, reported via onSubscriberError
+     * and, after removeAfterNFailures in a row, the subscriber is removed.
+     * Async subscribers get their notifications one at a time, in order.
      * @param {Function} callback - The subscriber to notify
      * @param {*} state - The state to send
+     * @param {*} [change] - What changed
+     * @returns {Object|null|Promise<Object|null>} The failure or null (a promise of it for
+     *   async subscribers)
      */
-    notifySubscriber(callback, state) {
-      try {
-        callback(state);
-      } catch (error) {
-        console.error('Error in subscriber callback:', error);
-        console.error('Callback that failed:', callback.name || 'anonymous');
-        
-        // In production, you might want to:
-        // - Remove the failing subscriber
-        // - Send error reports to monitoring service
-        // - Implement retry logic
+    notifySubscriber(callback, state, change = undefined) {
+      const setting = settings.get(callback);
+      if (setting && setting.once) {
+        removeSubscriber(callback, setting);
       }
+      if (!setting || !setting.async) {
+        return invoke(callback, state, change, false);
+      }
+      
+      // Wait for the previous call; skip it if the subscriber left meanwhile
+      const run = setting.tail
+        ? setting.tail.then(() => (settings.get(callback) === setting && subscribers.includes(callback) ? invoke(callback, state, change, true) : null))
+        : Promise.resolve(invoke(callback, state, change, true));
+      setting.tail = run;
+      run.then(() => {
+        if (setting.tail === run) setting.tail = null;
+      });
+      return run;
+    },
+
+    /**
+     * Failure counts per subscriber, including subscribers the fault policy
+     * removed (removed: true)
+     * @returns {Array<Object>} [{ name, calls, failures, consecutiveFailures, timeouts,
+     *   pending, lastError, lastFailureAt, removed }] in subscription order
+     */
+    getSubscriberHealth() {
+      return Array.from(health.values(), entry => ({ ...entry }));
     },
 
     /**
@@ -117,16 +694,20 @@ export const createObserverManager = () => {
      * Clear all subscribers (useful for cleanup)
      */
     clearAll() {
+      settings.forEach(setting => setting.detach?.());
       subscribers.length = 0;
+      health.clear();
+      settings.clear();
+      leakWarned = false;
     },
 
     /**
      * Check if a callback is subscribed
-     * @param {Function} callback - The callback to check
+     * @param {Function} subscription - The callback or its disposer
      * @returns {boolean} True if subscribed
      */
-    isSubscribed(callback) {
-      return subscribers.includes(callback);
+    isSubscribed(subscription) {
+      return subscribers.includes(handles.get(subscription) || subscription);
     }
   };
 };
@@ -0,0 +1,70 @@
+/**
+ * =============================================================================
+ * SELECTORS - DERIVED VALUES FOR store.select()
+ * =============================================================================
+ * 
+ * A selector turns the store state (URL -> record) into a smaller value.
+ * store.select(selector, callback, { equals }) only calls back when that
+ * value changes, so a star button or a counter is not re-rendered for
+ * every unrelated change.
+ * 
+ * Selectors should return primitives or arrays of primitives: records are
+ * fresh copies on every notification, so comparing them by reference
+ * would always report a change.
+ */
+
+import { getDomain } from '../utils/url-display.js';
+
+/**
+ * Equality for arrays, Sets, Maps and plain objects, one level deep
+ * (Object.is for everything else)
+ * @param {*} a - Previous value
+ * @param {*} b - Next value
+ * @returns {boolean} True if both hold the same items
+ */
+export const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => Object.is(item, b[i]));
+  }
+  if (a instanceof Set || a instanceof Map) {
+    if (a.constructor !== b.constructor || a.size !== b.size) return false;
+    for (const [key, value] of a.entries()) {
+      if (!b.has(key) || (a instanceof Map && !Object.is(value, b.get(key)))) return false;
+    }
+    return true;
+  }
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]));
+};
+
+/**
+ * Number of favorites
+ * @param {Map<string, Object>} state - URL -> record
+ * @returns {number} Count
+ */
+export const selectCount = (state) => state.size;
+
+/**
+ * Build a selector for "is this URL favorited"
+ * @param {string} url - URL to watch
+ * @returns {Function} (state) => boolean
+ */
+export const selectIsFavorite = (url) => (state) => state.has(url);
+
+/**
+ * Build a selector for the favorites in a domain (subdomains included)
+ * Use with { equals: shallowEqual }.
+ * @param {string} domain - e.g. 'github.com'
+ * @returns {Function} (state) => string[] URLs in insertion order
+ */
+export const selectByDomain = (domain) => {
+  const wanted = getDomain(domain);
+  return (state) => Array.from(state.keys()).filter(url => {
+    const host = getDomain(url);
+    return host === wanted || host.endsWith(`.${wanted}`);
+  });
+};
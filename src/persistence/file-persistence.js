@@ -0,0 +1,246 @@
+/**
+ * =============================================================================
+ * FILE PERSISTENCE ADAPTER - NODE.JS ONLY
+ * =============================================================================
+ * 
+ * Stores all favorite records in a JSON file, and collections in a second
+ * file next to it (favorites.json -> favorites.collections.json), so files
+ * written before collections existed still load. Imports node:fs, so it is not
+ * re-exported from src/index.js; import it directly from Node code:
+ * 
+ *   import { createFilePersistence } from './src/persistence/file-persistence.js';
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { createFavoriteRecord } from '../store/state-store.js';
+import { applyUpdateOperation, applyTagOperation, applyCollectionOperation, applyReorderOperation } from './persistence-adapter.js';
+
+/**
+ * Creates a persistence adapter backed by a JSON file
+ * @param {Object} options
+ * @param {string} options.filePath - Path of the JSON file (created on first write)
+ * @param {string} [options.collectionsPath] - Path of the collections file (defaults to
+ *   filePath with '.collections' before the extension)
+ * @returns {Object} Persistence adapter (add, remove, clear, list, batch, update, tag, collection and order methods)
+ */
+export const createFilePersistence = (options = {}) => {
+  const { filePath } = options;
+  if (!filePath || typeof filePath !== 'string') {
+    throw new Error('filePath must be a non-empty string');
+  }
+  const { dir, name, ext } = path.parse(filePath);
+  const collectionsPath = options.collectionsPath || path.join(dir, `${name}.collections${ext || '.json'}`);
+  
+  /**
+   * Tail of the operation chain - every call runs after the previous one
+   * so concurrent writes cannot overwrite each other
+   */
+  let pending = Promise.resolve();
+  
+  /**
+   * Queue a task on the operation chain
+   * @param {Function} task - Async task to run exclusively
+   * @returns {Promise<*>} Task result
+   */
+  const exclusive = (task) => {
+    const run = pending.then(task);
+    pending = run.catch(() => {});
+    return run;
+  };
+  
+  /**
+   * Read a JSON array into a Map
+   * @param {string} file - File to read (missing = empty)
+   * @param {Function} keyOf - Entry key
+   * @returns {Promise<Map<string, Object>>} Stored entries
+   */
+  const readMap = async (file, keyOf) => {
+    try {
+      const list = JSON.parse(await readFile(file, 'utf8'));
+      return new Map(list.map(entry => [keyOf(entry), entry]));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return new Map();
+      }
+      throw error;
+    }
+  };
+  
+  /**
+   * Write a Map's values as a JSON array atomically (temp file + rename)
+   * @param {string} file - File to write
+   * @param {Map<string, Object>} entries - Entries to store
+   */
+  const writeMap = async (file, entries) => {
+    await mkdir(path.dirname(file), { recursive: true });
+    const tempPath = `${file}.tmp`;
+    await writeFile(tempPath, JSON.stringify(Array.from(entries.values()), null, 2));
+    await rename(tempPath, file);
+  };
+  
+  /**
+   * Read all records into a Map (URL -> record)
+   * @returns {Promise<Map<string, Object>>} Stored records
+   */
+  const read = () => readMap(filePath, record => record.url);
+  
+  /**
+   * Read all collections into a Map (id -> collection)
+   * @returns {Promise<Map<string, Object>>} Stored collections
+   */
+  const readCollections = () => readMap(collectionsPath, collection => collection.id);
+  
+  /**
+   * Apply one operation to an in-memory copy of the records and collections
+   * @param {Map<string, Object>} records - Records being edited
+   * @param {Map<string, Object>} collections - Collections being edited
+   * @param {Object} operation - { type, url?, details? }
+   * @returns {boolean} Operation result
+   */
+  const applyToRecords = (records, collections, operation) => {
+    switch (operation.type) {
+      case 'add':
+        if (records.has(operation.url)) return false;
+        records.set(operation.url, createFavoriteRecord(operation.url, operation.details || {}));
+        return true;
+        
+      case 'remove':
+        return records.delete(operation.url);
+        
+      case 'clear': {
+        const hadRecords = records.size > 0;
+        records.clear();
+        return hadRecords;
+      }
+      
+      case 'update':
+        return applyUpdateOperation(records, operation);
+      
+      case 'tag':
+      case 'untag':
+      case 'renameTag':
+        return applyTagOperation(records, operation);
+      
+      case 'createCollection':
+      case 'renameCollection':
+      case 'moveCollection':
+      case 'deleteCollection':
+      case 'moveToCollection':
+        return applyCollectionOperation(records, collections, operation);
+      
+      case 'reorder':
+        return applyReorderOperation(records, operation);
+      
+      default:
+        throw new Error(`Unknown persistence operation: ${operation.type}`);
+    }
+  };
+  
+  /**
+   * Read, apply operations and write once
+   * @param {Object[]} operations - Operations to apply
+   * @returns {Promise<boolean[]>} Results in operation order
+   */
+  const applyAll = (operations) => exclusive(async () => {
+    const records = await read();
+    const collections = await readCollections();
+    const collectionsBefore = JSON.stringify(Array.from(collections.values()));
+    const results = operations.map(operation => applyToRecords(records, collections, operation));
+    if (results.some(Boolean)) {
+      await writeMap(filePath, records);
+      if (JSON.stringify(Array.from(collections.values())) !== collectionsBefore) {
+        await writeMap(collectionsPath, collections);
+      }
+    }
+    return results;
+  });
+  
+  const adapter = {
+    name: 'file',
+    
+    async add(url, details = {}) {
+      const [result] = await applyAll([{ type: 'add', url, details }]);
+      return result;
+    },
+    
+    async remove(url) {
+      const [result] = await applyAll([{ type: 'remove', url }]);
+      return result;
+    },
+    
+    async clear() {
+      const [result] = await applyAll([{ type: 'clear' }]);
+      return result;
+    },
+    
+    async list() {
+      return exclusive(async () => Array.from((await read()).values()));
+    },
+    
+    async updateFavorite(url, fields) {
+      const [result] = await applyAll([{ type: 'update', url, fields }]);
+      return result;
+    },
+    
+    async addTag(url, tag) {
+      const [result] = await applyAll([{ type: 'tag', url, tag }]);
+      return result;
+    },
+    
+    async removeTag(url, tag) {
+      const [result] = await applyAll([{ type: 'untag', url, tag }]);
+      return result;
+    },
+    
+    async renameTag(from, to) {
+      const [result] = await applyAll([{ type: 'renameTag', from, to }]);
+      return result;
+    },
+    
+    async listCollections() {
+      return exclusive(async () => Array.from((await readCollections()).values()));
+    },
+    
+    async createCollection(collection) {
+      const [result] = await applyAll([{ type: 'createCollection', collection }]);
+      return result;
+    },
+    
+    async renameCollection(id, name) {
+      const [result] = await applyAll([{ type: 'renameCollection', id, name }]);
+      return result;
+    },
+    
+    async moveCollection(id, parentId) {
+      const [result] = await applyAll([{ type: 'moveCollection', id, parentId }]);
+      return result;
+    },
+    
+    async deleteCollection(id) {
+      const [result] = await applyAll([{ type: 'deleteCollection', id }]);
+      return result;
+    },
+    
+    async moveToCollection(url, collectionId) {
+      const [result] = await applyAll([{ type: 'moveToCollection', url, collectionId }]);
+      return result;
+    },
+    
+    async reorderFavorites(urls, startIndex = 0) {
+      const [result] = await applyAll([{ type: 'reorder', urls, startIndex }]);
+      return result;
+    },
+    
+    async batch(operations) {
+      if (!Array.isArray(operations)) {
+        throw new Error('Batch operations must be an array');
+      }
+      // One read and one write for the whole batch; an unknown operation
+      // throws before anything is written
+      return applyAll(operations);
+    }
+  };
+  
+  return adapter;
+};
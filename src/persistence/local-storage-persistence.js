@@ -0,0 +1,185 @@
+/**
+ * =============================================================================
+ * LOCALSTORAGE PERSISTENCE ADAPTER - BROWSER-ONLY STORAGE
+ * =============================================================================
+ * 
+ * Stores all favorite records as one JSON array under a single key, and
+ * collections as a second array under `${key}:collections`.
+ * Works with any object implementing getItem/setItem (Web Storage API).
+ */
+
+import { createFavoriteRecord } from '../store/state-store.js';
+import {
+  applyUpdateOperation,
+  applyTagOperation,
+  applyCollectionOperation,
+  applyReorderOperation,
+  runOperationsSequentially
+} from './persistence-adapter.js';
+
+/**
+ * Creates a persistence adapter backed by Web Storage
+ * @param {Object} [options]
+ * @param {string} [options.key] - Storage key for the records array
+ * @param {string} [options.collectionsKey] - Storage key for the collections array
+ *   (defaults to `${key}:collections`)
+ * @param {Storage} [options.storage] - Storage implementation (defaults to localStorage)
+ * @returns {Object} Persistence adapter (add, remove, clear, list, batch, update, tag, collection and order methods)
+ */
+export const createLocalStoragePersistence = (options = {}) => {
+  const { key = 'favorites-store:favorites', storage = globalThis.localStorage } = options;
+  const collectionsKey = options.collectionsKey || `${key}:collections`;
+  
+  /**
+   * Resolve the storage lazily so a missing localStorage rejects like an outage
+   * @returns {Storage} Storage implementation
+   */
+  const getStorage = () => {
+    if (!storage || typeof storage.getItem !== 'function') {
+      throw new Error('localStorage is not available in this environment');
+    }
+    return storage;
+  };
+  
+  /**
+   * Read all records into a Map (URL -> record)
+   * @returns {Map<string, Object>} Stored records
+   */
+  const read = () => {
+    const raw = getStorage().getItem(key);
+    const list = raw ? JSON.parse(raw) : [];
+    return new Map(list.map(record => [record.url, record]));
+  };
+  
+  /**
+   * Write all records back as a JSON array
+   * @param {Map<string, Object>} records - Records to store
+   */
+  const write = (records) => {
+    getStorage().setItem(key, JSON.stringify(Array.from(records.values())));
+  };
+  
+  /**
+   * Read all collections into a Map (id -> collection)
+   * @returns {Map<string, Object>} Stored collections
+   */
+  const readCollections = () => {
+    const raw = getStorage().getItem(collectionsKey);
+    const list = raw ? JSON.parse(raw) : [];
+    return new Map(list.map(collection => [collection.id, collection]));
+  };
+  
+  /**
+   * Apply a record operation and write only if something changed
+   * @param {Object} operation - Update, tag or reorder operation
+   * @param {Function} [apply=applyTagOperation] - (records, operation) => boolean
+   * @returns {boolean} Operation result
+   */
+  const applyAndWrite = (operation, apply = applyTagOperation) => {
+    const records = read();
+    const changed = apply(records, operation);
+    if (changed) {
+      write(records);
+    }
+    return changed;
+  };
+  
+  /**
+   * Apply a collection operation and write only if something changed
+   * @param {Object} operation - Collection operation (see applyCollectionOperation)
+   * @returns {boolean} Operation result
+   */
+  const applyCollectionAndWrite = (operation) => {
+    const records = read();
+    const collections = readCollections();
+    const changed = applyCollectionOperation(records, collections, operation);
+    if (changed) {
+      write(records);
+      getStorage().setItem(collectionsKey, JSON.stringify(Array.from(collections.values())));
+    }
+    return changed;
+  };
+  
+  const adapter = {
+    name: 'localStorage',
+    
+    async add(url, details = {}) {
+      const records = read();
+      if (records.has(url)) {
+        return false;
+      }
+      records.set(url, createFavoriteRecord(url, details));
+      write(records);
+      return true;
+    },
+    
+    async remove(url) {
+      const records = read();
+      const wasRemoved = records.delete(url);
+      if (wasRemoved) {
+        write(records);
+      }
+      return wasRemoved;
+    },
+    
+    async clear() {
+      const records = read();
+      write(new Map());
+      return records.size > 0;
+    },
+    
+    async list() {
+      return Array.from(read().values());
+    },
+    
+    async updateFavorite(url, fields) {
+      return applyAndWrite({ type: 'update', url, fields }, applyUpdateOperation);
+    },
+    
+    async addTag(url, tag) {
+      return applyAndWrite({ type: 'tag', url, tag });
+    },
+    
+    async removeTag(url, tag) {
+      return applyAndWrite({ type: 'untag', url, tag });
+    },
+    
+    async renameTag(from, to) {
+      return applyAndWrite({ type: 'renameTag', from, to });
+    },
+    
+    async listCollections() {
+      return Array.from(readCollections().values());
+    },
+    
+    async createCollection(collection) {
+      return applyCollectionAndWrite({ type: 'createCollection', collection });
+    },
+    
+    async renameCollection(id, name) {
+      return applyCollectionAndWrite({ type: 'renameCollection', id, name });
+    },
+    
+    async moveCollection(id, parentId) {
+      return applyCollectionAndWrite({ type: 'moveCollection', id, parentId });
+    },
+    
+    async deleteCollection(id) {
+      return applyCollectionAndWrite({ type: 'deleteCollection', id });
+    },
+    
+    async moveToCollection(url, collectionId) {
+      return applyCollectionAndWrite({ type: 'moveToCollection', url, collectionId });
+    },
+    
+    async reorderFavorites(urls, startIndex = 0) {
+      return applyAndWrite({ type: 'reorder', urls, startIndex }, applyReorderOperation);
+    },
+    
+    async batch(operations) {
+      return runOperationsSequentially(adapter, operations);
+    }
+  };
+  
+  return adapter;
+};
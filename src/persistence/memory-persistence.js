@@ -0,0 +1,160 @@
+/**
+ * =============================================================================
+ * MEMORY PERSISTENCE ADAPTER - IN-PROCESS FAKE
+ * =============================================================================
+ * 
+ * Keeps records in a private Map. Useful for tests, embedding the store
+ * without a server, and simulating outages via setOnline(false).
+ */
+
+import { createFavoriteRecord } from '../store/state-store.js';
+import {
+  applyUpdateOperation,
+  applyTagOperation,
+  applyCollectionOperation,
+  applyReorderOperation,
+  runOperationsSequentially
+} from './persistence-adapter.js';
+
+/**
+ * Creates an in-memory persistence adapter
+ * @param {Object} [options]
+ * @param {Array<Object|string>} [options.initial] - Records or URLs to start with
+ * @param {Object[]} [options.collections] - Collections to start with ({ id, name, parentId })
+ * @returns {Object} Persistence adapter with extra test helpers
+ */
+export const createMemoryPersistence = (options = {}) => {
+  const { initial = [], collections: initialCollections = [] } = options;
+  
+  // Private storage: URL -> record
+  const records = new Map();
+  initial.forEach(entry => {
+    const record = typeof entry === 'string' ? createFavoriteRecord(entry) : createFavoriteRecord(entry.url, entry);
+    records.set(record.url, record);
+  });
+  
+  // Private storage: collection id -> collection
+  const collections = new Map();
+  initialCollections.forEach(collection => {
+    applyCollectionOperation(records, collections, { type: 'createCollection', collection });
+  });
+  
+  let isOnline = true;
+  
+  /**
+   * Reject like a real backend would when it is unreachable
+   */
+  const ensureOnline = () => {
+    if (!isOnline) {
+      throw new Error('Persistence backend unavailable');
+    }
+  };
+  
+  const adapter = {
+    name: 'memory',
+    
+    async add(url, details = {}) {
+      ensureOnline();
+      if (records.has(url)) {
+        return false;
+      }
+      records.set(url, createFavoriteRecord(url, details));
+      return true;
+    },
+    
+    async remove(url) {
+      ensureOnline();
+      return records.delete(url);
+    },
+    
+    async clear() {
+      ensureOnline();
+      const hadRecords = records.size > 0;
+      records.clear();
+      return hadRecords;
+    },
+    
+    async list() {
+      ensureOnline();
+      return Array.from(records.values(), record => ({ ...record, tags: [...record.tags] }));
+    },
+    
+    async updateFavorite(url, fields) {
+      ensureOnline();
+      return applyUpdateOperation(records, { type: 'update', url, fields });
+    },
+    
+    async addTag(url, tag) {
+      ensureOnline();
+      return applyTagOperation(records, { type: 'tag', url, tag });
+    },
+    
+    async removeTag(url, tag) {
+      ensureOnline();
+      return applyTagOperation(records, { type: 'untag', url, tag });
+    },
+    
+    async renameTag(from, to) {
+      ensureOnline();
+      return applyTagOperation(records, { type: 'renameTag', from, to });
+    },
+    
+    async listCollections() {
+      ensureOnline();
+      return Array.from(collections.values(), collection => ({ ...collection }));
+    },
+    
+    async createCollection(collection) {
+      ensureOnline();
+      return applyCollectionOperation(records, collections, { type: 'createCollection', collection });
+    },
+    
+    async renameCollection(id, name) {
+      ensureOnline();
+      return applyCollectionOperation(records, collections, { type: 'renameCollection', id, name });
+    },
+    
+    async moveCollection(id, parentId) {
+      ensureOnline();
+      return applyCollectionOperation(records, collections, { type: 'moveCollection', id, parentId });
+    },
+    
+    async deleteCollection(id) {
+      ensureOnline();
+      return applyCollectionOperation(records, collections, { type: 'deleteCollection', id });
+    },
+    
+    async moveToCollection(url, collectionId) {
+      ensureOnline();
+      return applyCollectionOperation(records, collections, { type: 'moveToCollection', url, collectionId });
+    },
+    
+    async reorderFavorites(urls, startIndex = 0) {
+      ensureOnline();
+      return applyReorderOperation(records, { type: 'reorder', urls, startIndex });
+    },
+    
+    async batch(operations) {
+      ensureOnline();
+      return runOperationsSequentially(adapter, operations);
+    },
+    
+    /**
+     * Simulate the backend going offline or coming back
+     * @param {boolean} online - Whether calls should succeed
+     */
+    setOnline(online) {
+      isOnline = Boolean(online);
+    },
+    
+    /**
+     * Synchronous peek at stored URLs (test helper)
+     * @returns {string[]} Stored URLs
+     */
+    getUrls() {
+      return Array.from(records.keys());
+    }
+  };
+  
+  return adapter;
+};
@@ -0,0 +1,360 @@
+/**
+ * =============================================================================
+ * PERSISTENCE ADAPTER - STORAGE CONTRACT FOR THE FAVORITES STORE
+ * =============================================================================
+ * 
+ * The favorites store never talks to a storage backend directly. Instead it
+ * is handed an adapter that implements this small, promise-based interface:
+ * 
+ *   add(url, details)    -> Promise<boolean>  true if added, false if present
+ *   remove(url)          -> Promise<boolean>  true if removed, false if absent
+ *   clear()              -> Promise<boolean>  true if anything was cleared
+ *   list()               -> Promise<Object[]> all stored favorite records
+ *   batch(operations)    -> Promise<boolean[]> results in operation order
+ * 
+ * Adapters that let favorites be edited after they were added also implement:
+ * 
+ *   updateFavorite(url, fields) -> Promise<boolean>  true if any field changed; fields is
+ *                                  { displayName?, notes? } (absent = keep, null = clear)
+ * 
+ * Adapters that store tags also implement:
+ * 
+ *   addTag(url, tag)     -> Promise<boolean>  true if the favorite was tagged
+ *   removeTag(url, tag)  -> Promise<boolean>  true if the tag was removed
+ *   renameTag(from, to)  -> Promise<boolean>  true if any favorite carried `from`
+ * 
+ * Adapters that store collections (nested folders) also implement:
+ * 
+ *   listCollections()                   -> Promise<Object[]> { id, name, parentId, createdAt }
+ *   createCollection(collection)        -> Promise<boolean>  false if the id exists
+ *   renameCollection(id, name)          -> Promise<boolean>  true if renamed
+ *   moveCollection(id, parentId)        -> Promise<boolean>  true if moved (parentId null = top level)
+ *   deleteCollection(id)                -> Promise<boolean>  true if deleted; favorites and
+ *                                          collections still inside move up to its parent
+ *   moveToCollection(url, collectionId) -> Promise<boolean>  true if the favorite moved
+ * 
+ * A favorite's collection is its record's collectionId (also accepted by add).
+ * clear() removes favorites only; collections stay.
+ * 
+ * Adapters that store the manual order also implement:
+ * 
+ *   reorderFavorites(urls, startIndex = 0) -> Promise<boolean>  true if any order changed;
+ *                                             each URL's sortOrder becomes startIndex + its
+ *                                             position, favorites not listed keep theirs
+ * 
+ * Batch operations are plain objects:
+ *   { type: 'add', url, details } | { type: 'remove', url } | { type: 'clear' }
+ *   { type: 'update', url, fields }
+ *   { type: 'tag', url, tag } | { type: 'untag', url, tag } | { type: 'renameTag', from, to }
+ *   { type: 'createCollection', collection } | { type: 'renameCollection', id, name }
+ *   { type: 'moveCollection', id, parentId } | { type: 'deleteCollection', id }
+ *   { type: 'moveToCollection', url, collectionId }
+ *   { type: 'reorder', urls, startIndex? }
+ * 
+ * Adapters reject (throw) when the backend is unreachable; a resolved
+ * `false` means the backend answered but nothing changed.
+ * 
+ * Design Principles:
+ * - Dependency Inversion: Actions depend on this contract, not on fetch/SQL
+ * - Substitutability: REST, memory, localStorage and file adapters are interchangeable
+ * - Testability: An in-memory adapter lets the store run without a server
+ */
+
+/**
+ * Methods every persistence adapter must implement
+ */
+export const PERSISTENCE_METHODS = ['add', 'remove', 'clear', 'list', 'batch'];
+
+/**
+ * Operation types understood by batch()
+ */
+export const OPERATION_TYPES = [
+  'add', 'remove', 'clear', 'update',
+  'tag', 'untag', 'renameTag',
+  'createCollection', 'renameCollection', 'moveCollection', 'deleteCollection', 'moveToCollection',
+  'reorder'
+];
+
+/**
+ * Fields updateFavorite() may change
+ */
+export const UPDATABLE_FAVORITE_FIELDS = ['displayName', 'notes'];
+
+/**
+ * Optional method for editing favorites (all built-in adapters have it)
+ */
+export const EDIT_PERSISTENCE_METHODS = ['updateFavorite'];
+
+/**
+ * Optional methods for tag operations (all built-in adapters have them)
+ */
+export const TAG_PERSISTENCE_METHODS = ['addTag', 'removeTag', 'renameTag'];
+
+/**
+ * Optional methods for collections (all built-in adapters have them)
+ */
+export const COLLECTION_PERSISTENCE_METHODS = [
+  'listCollections',
+  'createCollection',
+  'renameCollection',
+  'moveCollection',
+  'deleteCollection',
+  'moveToCollection'
+];
+
+/**
+ * Optional method for the manual order (all built-in adapters have it)
+ */
+export const ORDER_PERSISTENCE_METHODS = ['reorderFavorites'];
+
+/**
+ * Validate that an object implements the persistence adapter interface
+ * @param {Object} adapter - Candidate adapter
+ * @returns {Object} The same adapter (for chaining)
+ */
+export const assertPersistenceAdapter = (adapter) => {
+  if (!adapter || typeof adapter !== 'object') {
+    throw new Error('Persistence adapter must be an object');
+  }
+  
+  const missing = PERSISTENCE_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Persistence adapter is missing methods: ${missing.join(', ')}`);
+  }
+  
+  return adapter;
+};
+
+/**
+ * Call an optional method, rejecting clearly when the adapter has none
+ * @param {Object} adapter - Adapter to call
+ * @param {string} feature - What the method belongs to ('editing', 'tags', 'collections', 'ordering')
+ * @param {string} method - One of the optional method lists above
+ * @param {...*} args - Method arguments
+ * @returns {Promise<boolean>} Result of the call
+ */
+const callOptionalMethod = async (adapter, feature, method, ...args) => {
+  if (typeof adapter[method] !== 'function') {
+    throw new Error(`Persistence adapter "${adapter.name || 'unnamed'}" does not support ${feature} (missing ${method})`);
+  }
+  return adapter[method](...args);
+};
+
+/**
+ * Apply an update operation to records held in a Map (URL -> record).
+ * Shared by the adapters that keep whole records (memory, localStorage, file).
+ * @param {Map<string, Object>} records - Records being edited (changed in place)
+ * @param {Object} operation - { type: 'update', url, fields }
+ * @returns {boolean} True if any field changed
+ */
+export const applyUpdateOperation = (records, operation) => {
+  if (operation.type !== 'update') {
+    throw new Error(`Unknown persistence operation: ${operation.type}`);
+  }
+  const record = records.get(operation.url);
+  if (!record) return false;
+  const fields = operation.fields || {};
+  const changed = UPDATABLE_FAVORITE_FIELDS.filter(field => field in fields && (record[field] ?? null) !== (fields[field] ?? null));
+  if (changed.length === 0) return false;
+  const next = { ...record };
+  changed.forEach(field => { next[field] = fields[field] ?? null; });
+  records.set(operation.url, next);
+  return true;
+};
+
+/**
+ * Apply a tag operation to records held in a Map (URL -> record). Shared by
+ * the adapters that keep whole records (memory, localStorage, file).
+ * @param {Map<string, Object>} records - Records being edited (changed in place)
+ * @param {Object} operation - { type: 'tag'|'untag', url, tag } or { type: 'renameTag', from, to }
+ * @returns {boolean} Operation result
+ */
+export const applyTagOperation = (records, operation) => {
+  switch (operation.type) {
+    case 'tag': {
+      const record = records.get(operation.url);
+      if (!record || (record.tags || []).includes(operation.tag)) return false;
+      records.set(operation.url, { ...record, tags: [...(record.tags || []), operation.tag] });
+      return true;
+    }
+      
+    case 'untag': {
+      const record = records.get(operation.url);
+      if (!record || !(record.tags || []).includes(operation.tag)) return false;
+      records.set(operation.url, { ...record, tags: record.tags.filter(tag => tag !== operation.tag) });
+      return true;
+    }
+      
+    case 'renameTag': {
+      let renamed = false;
+      records.forEach((record, url) => {
+        const tags = record.tags || [];
+        if (!tags.includes(operation.from)) return;
+        renamed = true;
+        const next = tags.map(tag => (tag === operation.from ? operation.to : tag));
+        records.set(url, { ...record, tags: Array.from(new Set(next)) });
+      });
+      return renamed;
+    }
+      
+    default:
+      throw new Error(`Unknown persistence operation: ${operation.type}`);
+  }
+};
+
+/**
+ * Apply a collection operation to records and collections held in Maps.
+ * Shared by the adapters that keep whole records (memory, localStorage, file).
+ * @param {Map<string, Object>} records - Records (URL -> record, changed in place)
+ * @param {Map<string, Object>} collections - Collections (id -> collection, changed in place)
+ * @param {Object} operation - One of the collection operations (see the header)
+ * @returns {boolean} Operation result
+ */
+export const applyCollectionOperation = (records, collections, operation) => {
+  switch (operation.type) {
+    case 'createCollection': {
+      const { id, name, parentId = null, createdAt = new Date().toISOString() } = operation.collection || {};
+      if (!id || collections.has(id)) return false;
+      collections.set(id, { id, name, parentId, createdAt });
+      return true;
+    }
+      
+    case 'renameCollection': {
+      const collection = collections.get(operation.id);
+      if (!collection || collection.name === operation.name) return false;
+      collections.set(operation.id, { ...collection, name: operation.name });
+      return true;
+    }
+      
+    case 'moveCollection': {
+      const collection = collections.get(operation.id);
+      const parentId = operation.parentId ?? null;
+      if (!collection || collection.parentId === parentId) return false;
+      collections.set(operation.id, { ...collection, parentId });
+      return true;
+    }
+      
+    case 'deleteCollection': {
+      const collection = collections.get(operation.id);
+      if (!collection) return false;
+      // Whatever is still inside moves up a level
+      records.forEach((record, url) => {
+        if (record.collectionId === operation.id) {
+          records.set(url, { ...record, collectionId: collection.parentId });
+        }
+      });
+      collections.forEach((child, id) => {
+        if (child.parentId === operation.id) {
+          collections.set(id, { ...child, parentId: collection.parentId });
+        }
+      });
+      return collections.delete(operation.id);
+    }
+      
+    case 'moveToCollection': {
+      const record = records.get(operation.url);
+      const collectionId = operation.collectionId ?? null;
+      if (!record || (record.collectionId ?? null) === collectionId) return false;
+      records.set(operation.url, { ...record, collectionId });
+      return true;
+    }
+      
+    default:
+      throw new Error(`Unknown persistence operation: ${operation.type}`);
+  }
+};
+
+/**
+ * Apply a reorder operation to records held in a Map (URL -> record).
+ * Shared by the adapters that keep whole records (memory, localStorage, file).
+ * @param {Map<string, Object>} records - Records being edited (changed in place)
+ * @param {Object} operation - { type: 'reorder', urls, startIndex? }
+ * @returns {boolean} True if any record's sortOrder changed
+ */
+export const applyReorderOperation = (records, operation) => {
+  if (operation.type !== 'reorder') {
+    throw new Error(`Unknown persistence operation: ${operation.type}`);
+  }
+  const { urls, startIndex = 0 } = operation;
+  let changed = false;
+  urls.forEach((url, position) => {
+    const record = records.get(url);
+    const sortOrder = startIndex + position;
+    if (!record || record.sortOrder === sortOrder) return;
+    records.set(url, { ...record, sortOrder });
+    changed = true;
+  });
+  return changed;
+};
+
+/**
+ * Apply a single batch operation through an adapter's own methods
+ * @param {Object} adapter - Adapter to call
+ * @param {Object} operation - { type, url?, details? }
+ * @returns {Promise<boolean>} Result of the underlying call
+ */
+export const applyOperation = (adapter, operation) => {
+  switch (operation?.type) {
+    case 'add':
+      return adapter.add(operation.url, operation.details || {});
+      
+    case 'remove':
+      return adapter.remove(operation.url);
+      
+    case 'clear':
+      return adapter.clear();
+      
+    case 'update':
+      return callOptionalMethod(adapter, 'editing', 'updateFavorite', operation.url, operation.fields || {});
+      
+    case 'tag':
+      return callOptionalMethod(adapter, 'tags', 'addTag', operation.url, operation.tag);
+      
+    case 'untag':
+      return callOptionalMethod(adapter, 'tags', 'removeTag', operation.url, operation.tag);
+      
+    case 'renameTag':
+      return callOptionalMethod(adapter, 'tags', 'renameTag', operation.from, operation.to);
+      
+    case 'createCollection':
+      return callOptionalMethod(adapter, 'collections', 'createCollection', operation.collection);
+      
+    case 'renameCollection':
+      return callOptionalMethod(adapter, 'collections', 'renameCollection', operation.id, operation.name);
+      
+    case 'moveCollection':
+      return callOptionalMethod(adapter, 'collections', 'moveCollection', operation.id, operation.parentId ?? null);
+      
+    case 'deleteCollection':
+      return callOptionalMethod(adapter, 'collections', 'deleteCollection', operation.id);
+      
+    case 'moveToCollection':
+      return callOptionalMethod(adapter, 'collections', 'moveToCollection', operation.url, operation.collectionId ?? null);
+      
+    case 'reorder':
+      return callOptionalMethod(adapter, 'ordering', 'reorderFavorites', operation.urls, operation.startIndex ?? 0);
+      
+    default:
+      throw new Error(`Unknown persistence operation: ${operation?.type}`);
+  }
+};
+
+/**
+ * Run batch operations one after another, in order.
+ * Adapters without a native batch endpoint use this as their batch().
+ * Stops at the first rejection so callers can roll back.
+ * @param {Object} adapter - Adapter to call
+ * @param {Object[]} operations - Operations to apply
+ * @returns {Promise<boolean[]>} Results in operation order
+ */
+export const runOperationsSequentially = async (adapter, operations) => {
+  if (!Array.isArray(operations)) {
+    throw new Error('Batch operations must be an array');
+  }
+  
+  const results = [];
+  for (const operation of operations) {
+    results.push(await applyOperation(adapter, operation));
+  }
+  return results;
+};
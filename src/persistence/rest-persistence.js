@@ -0,0 +1,132 @@
+/**
+ * =============================================================================
+ * REST PERSISTENCE ADAPTER - API SERVER / SQL SERVER
+ * =============================================================================
+ * 
+ * Default adapter used by the demo. Delegates to the database service, which
+ * calls the API server endpoints backed by the FavoritesDemo stored procedures.
+ */
+
+import {
+  addFavorite as dbAddFavorite,
+  removeFavorite as dbRemoveFavorite,
+  clearAllFavorites as dbClearAllFavorites,
+  getUserFavorites as dbGetUserFavorites,
+  updateFavorite as dbUpdateFavorite,
+  addFavoriteTag as dbAddFavoriteTag,
+  removeFavoriteTag as dbRemoveFavoriteTag,
+  renameTag as dbRenameTag,
+  getUserCollections as dbGetUserCollections,
+  createCollection as dbCreateCollection,
+  renameCollection as dbRenameCollection,
+  moveCollection as dbMoveCollection,
+  deleteCollection as dbDeleteCollection,
+  moveFavoriteToCollection as dbMoveFavoriteToCollection,
+  reorderFavorites as dbReorderFavorites,
+  dbService
+} from '../database-service.js';
+import { runOperationsSequentially } from './persistence-adapter.js';
+
+/**
+ * Creates a persistence adapter backed by the REST API
+ * @returns {Object} Persistence adapter (add, remove, clear, list, batch, update, tag, collection and order methods)
+ */
+export const createRestPersistence = () => {
+  const adapter = {
+    name: 'rest',
+    
+    async add(url, details = {}) {
+      const added = await dbAddFavorite(url, details.displayName ?? null, details.notes ?? null);
+      // sp_AddFavorite has no tag, collection or order parameter; restored records
+      // (undo) bring their tags, collection and place in the manual order along
+      if (added) {
+        for (const tag of details.tags || []) {
+          await dbAddFavoriteTag(url, tag);
+        }
+        if (details.collectionId) {
+          await dbMoveFavoriteToCollection(url, details.collectionId);
+        }
+        if (details.sortOrder != null) {
+          await dbReorderFavorites([url], details.sortOrder);
+        }
+      }
+      return added;
+    },
+    
+    async remove(url) {
+      return dbRemoveFavorite(url);
+    },
+    
+    async clear() {
+      return dbClearAllFavorites();
+    },
+    
+    async list() {
+      return dbGetUserFavorites(false);
+    },
+    
+    async updateFavorite(url, fields) {
+      return dbUpdateFavorite(url, fields);
+    },
+    
+    async addTag(url, tag) {
+      return dbAddFavoriteTag(url, tag);
+    },
+    
+    async removeTag(url, tag) {
+      return dbRemoveFavoriteTag(url, tag);
+    },
+    
+    async renameTag(from, to) {
+      return dbRenameTag(from, to);
+    },
+    
+    async listCollections() {
+      return dbGetUserCollections();
+    },
+    
+    async createCollection(collection) {
+      return dbCreateCollection(collection);
+    },
+    
+    async renameCollection(id, name) {
+      return dbRenameCollection(id, name);
+    },
+    
+    async moveCollection(id, parentId) {
+      return dbMoveCollection(id, parentId);
+    },
+    
+    async deleteCollection(id) {
+      return dbDeleteCollection(id);
+    },
+    
+    async moveToCollection(url, collectionId) {
+      return dbMoveFavoriteToCollection(url, collectionId);
+    },
+    
+    async reorderFavorites(urls, startIndex = 0) {
+      return dbReorderFavorites(urls, startIndex);
+    },
+    
+    async batch(operations) {
+      // The API has no batch endpoint yet, so apply operations in order
+      return runOperationsSequentially(adapter, operations);
+    },
+    
+    /**
+     * Check whether the API server and database are reachable
+     * (used by the outbox before replaying queued operations)
+     * @returns {Promise<boolean>} True if connected
+     */
+    async ping() {
+      try {
+        return await dbService.connect();
+      } catch {
+        return false;
+      }
+    }
+  };
+  
+  return adapter;
+};
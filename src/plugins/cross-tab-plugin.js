@@ -0,0 +1,174 @@
+/**
+ * =============================================================================
+ * CROSS-TAB PLUGIN - SHARE CHANGES WITH THE STORES IN OTHER TABS
+ * =============================================================================
+ *
+ * An optional store plugin (store.use(createCrossTabPlugin())) built on
+ * sync/cross-tab.js. Once installed:
+ *
+ * - Local changes are broadcast to the other tabs (onNotify); changes from
+ *   other tabs are applied with store.applyRemoteChange(), as source
+ *   'remote' and outside the undo history
+ * - The store writes through the cross-tab adapter (store.setPersistence()),
+ *   so only the leader tab calls the persistence backend
+ * - The store's outbox keeps its storage only while this tab leads: the
+ *   storage is shared by all tabs, so the leader alone loads, saves and
+ *   replays it, and hands it over when leadership moves. Other tabs send
+ *   the entries they cannot save to the leader's outbox, so those survive
+ *   their tab closing (they stay in this tab only if no leader answers).
+ *
+ * Install it right after creating the store, before the outbox starts
+ * replaying entries it loaded from the shared storage.
+ *
+ * Namespace (store[name]):
+ *   getStatus()          { tabId, leaderId, isLeader, transport }
+ *   isLeader()           true in the leader tab
+ *   subscribe(callback)  leadership changes -> disposer
+ *   unsubscribe(callback)
+ *   stop()               leave (e.g. on pagehide): same as removePlugin(name)
+ *
+ * Design Principles:
+ * - Opt-in: stores only sync when the app installs the plugin
+ * - Reversible: removing the plugin puts the store's adapter and outbox back
+ */
+
+import { hasChanges } from '../observers/change-descriptor.js';
+import { createObserverManager } from '../observers/observer-manager.js';
+import { createCrossTabSync } from '../sync/cross-tab.js';
+
+/**
+ * Creates the cross-tab plugin
+ *
+ * @param {Object} [options] - createCrossTabSync() options ({ channel, transport, tabId,
+ *   heartbeatMs, leaderTimeoutMs, rpcTimeoutMs }) and:
+ * @param {string} [options.name='crossTab'] - Plugin name (store[name] namespace)
+ * @returns {Object} Plugin for store.use()
+ */
+export const createCrossTabPlugin = (options = {}) => {
+  const { name = 'crossTab', ...syncOptions } = options;
+
+  // ==========================================================================
+  // PRIVATE STATE
+  // ==========================================================================
+
+  let store = null;
+  let sync = null;
+  let previousPersistence = null;
+  const leadershipObservers = createObserverManager();
+
+  /**
+   * The outbox storage this tab released, kept until it leads
+   */
+  let sharedStorage = null;
+
+  /**
+   * Outbox hand-overs run one after another, in leadership order
+   */
+  let handOver = Promise.resolve();
+
+  /**
+   * Attach the shared outbox storage while this tab leads, release it otherwise
+   * @param {boolean} isLeader - Whether this tab is the leader now
+   */
+  const shareOutboxStorage = (isLeader) => {
+    const outbox = store?.getOutbox();
+    if (!outbox) return;
+    handOver = handOver.then(async () => {
+      if (isLeader && sharedStorage) {
+        const storage = sharedStorage;
+        sharedStorage = null;
+        await outbox.attachStorage(storage);
+      } else if (!isLeader && !sharedStorage) {
+        sharedStorage = await outbox.releaseStorage();
+      }
+    }).catch(error => console.error('Failed to hand over the outbox:', error));
+  };
+
+  return {
+    name,
+
+    /**
+     * Join the other tabs and return the namespace methods
+     * @param {Object} storeApi - The store
+     * @returns {Object} Namespace methods
+     */
+    setup(storeApi) {
+      store = storeApi;
+      previousPersistence = store.getPersistence();
+      const outbox = store.getOutbox();
+      sync = createCrossTabSync({
+        ...syncOptions,
+        persistence: previousPersistence,
+        outbox,
+        onRemoteChange: (change) => store.applyRemoteChange(change),
+        onLeadershipChange: (status) => {
+          shareOutboxStorage(status.isLeader);
+          leadershipObservers.notifyAll(status);
+        }
+      });
+      store.setPersistence(sync.persistence);
+
+      // Stop using the shared outbox storage right away; the leader takes it
+      if (outbox) {
+        outbox.forwardTo(sync.enqueueInLeader);
+        handOver = outbox.releaseStorage()
+          .then(storage => { sharedStorage = storage; })
+          .catch(error => console.error('Failed to hand over the outbox:', error));
+      }
+
+      // Messages arrive asynchronously, after setup finishes
+      sync.start();
+
+      return {
+        /**
+         * Get the leadership status
+         * @returns {Object} { tabId, leaderId, isLeader, transport }
+         */
+        getStatus: () => sync.getStatus(),
+
+        /**
+         * Check whether this tab writes to the backend
+         * @returns {boolean} True for the leader tab
+         */
+        isLeader: () => sync.isLeader(),
+
+        /**
+         * Subscribe to leadership changes
+         * @param {Function} callback - Called with { tabId, leaderId, isLeader, transport }
+         * @returns {Function} Disposer
+         */
+        subscribe: (callback) => leadershipObservers.subscribe(callback, sync.getStatus()),
+
+        /**
+         * Unsubscribe from leadership changes
+         * @param {Function} callback - The callback or its disposer
+         * @returns {boolean} True if removed
+         */
+        unsubscribe: (callback) => leadershipObservers.unsubscribe(callback),
+
+        /**
+         * Leave cross-tab sync (e.g. on pagehide): leadership passes to
+         * another tab right away and the channel is closed
+         */
+        stop: () => {
+          store?.removePlugin(name);
+        }
+      };
+    },
+
+    onNotify(state, change) {
+      if (change.source !== 'remote' && hasChanges(change)) {
+        sync.broadcastChange(change);
+      }
+    },
+
+    teardown() {
+      store.getOutbox()?.forwardTo(null);
+      sync.close();
+      // This tab is on its own again; the next leader owns the outbox storage
+      shareOutboxStorage(false);
+      store.setPersistence(previousPersistence);
+      store = null;
+    }
+  };
+};
@@ -0,0 +1,123 @@
+/**
+ * =============================================================================
+ * DEVTOOLS PLUGIN - ACTION AND NOTIFICATION TIMELINE
+ * =============================================================================
+ * 
+ * An optional store plugin (store.use(createDevtoolsPlugin())) that records
+ * what the store does, in order:
+ * 
+ *   { event: 'action', detail: { kind, type, description, meta }, at }
+ *   { event: 'notify', detail: { cause, source, added, removed, updated, size }, at }
+ *   { event: 'hydrate', detail: { size, notify }, at }
+ * 
+ * Notification details keep URLs only, so the timeline stays small.
+ * 
+ * Design Principles:
+ * - Opt-in: nothing is recorded unless the plugin is installed
+ * - Bounded: the timeline keeps the newest maxEntries entries
+ */
+
+/**
+ * Creates the devtools plugin
+ * 
+ * @param {Object} [options]
+ * @param {string} [options.name='devtools'] - Plugin name (store[name] namespace)
+ * @param {number} [options.maxEntries=200] - Timeline size
+ * @param {string|null} [options.expose=null] - globalThis property to publish the
+ *   namespace on (e.g. '__favoritesDevtools' for the browser console)
+ * @returns {Object} Plugin for store.use()
+ */
+export const createDevtoolsPlugin = (options = {}) => {
+  const { name = 'devtools', maxEntries = 200, expose = null } = options;
+  if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+    throw new Error('maxEntries must be a positive integer');
+  }
+
+  // ==========================================================================
+  // PRIVATE STATE
+  // ==========================================================================
+
+  let timeline = [];
+  let store = null;
+
+  /**
+   * Append an entry, dropping the oldest past maxEntries
+   * @param {string} event - 'action', 'notify' or 'hydrate'
+   * @param {Object} detail - Event detail
+   */
+  const record = (event, detail) => {
+    timeline.push({ event, detail, at: Date.now() });
+    if (timeline.length > maxEntries) {
+      timeline = timeline.slice(-maxEntries);
+    }
+  };
+
+  const urlsOf = (records = []) => records.map(entry => entry.url);
+
+  return {
+    name,
+
+    /**
+     * Keep the store and return the namespace methods
+     * @param {Object} storeApi - The store
+     * @returns {Object} Namespace methods
+     */
+    setup(storeApi) {
+      store = storeApi;
+      const methods = {
+        /**
+         * Recorded entries, oldest first
+         * @returns {Object[]} Timeline entries (copies)
+         */
+        getTimeline: () => timeline.map(entry => ({ ...entry })),
+
+        /**
+         * Forget the recorded entries
+         */
+        clear: () => {
+          timeline = [];
+        },
+
+        /**
+         * Current state and history position, next to the timeline
+         * @returns {Object} { favorites, debug, timeline }
+         */
+        snapshot: () => ({
+          favorites: store.getFavoriteRecords(),
+          debug: store.getDebugInfo(),
+          timeline: methods.getTimeline()
+        })
+      };
+      if (expose) {
+        globalThis[expose] = methods;
+      }
+      return methods;
+    },
+
+    onAction(detail) {
+      record('action', { ...detail });
+    },
+
+    onNotify(state, change) {
+      record('notify', {
+        cause: change.cause,
+        source: change.source,
+        added: urlsOf(change.added),
+        removed: urlsOf(change.removed),
+        updated: urlsOf(change.updated),
+        size: state.size
+      });
+    },
+
+    onHydrate(state, { notify }) {
+      record('hydrate', { size: state.size, notify });
+    },
+
+    teardown() {
+      if (expose) {
+        delete globalThis[expose];
+      }
+      store = null;
+    }
+  };
+};
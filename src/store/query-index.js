@@ -0,0 +1,284 @@
+/**
+ * =============================================================================
+ * QUERY INDEX - FILTER, SEARCH, SORT AND PAGINATE FAVORITES
+ * =============================================================================
+ * 
+ * This module is responsible for:
+ * - Keeping secondary indexes next to the state store: domain -> URLs,
+ *   tag -> URLs, a lower-cased search text per record and insertion order
+ * - Updating them from change descriptors instead of rescanning the state
+ * - Answering store.query({ text, domain, tags, sortBy, order, offset, limit })
+ * 
+ * Sorted orders are computed on first use per sort key and cached until the
+ * next change, so repeated queries (pages, re-renders) do not sort again.
+ * 
+ * Design Principles:
+ * - Incremental: apply(change) only touches the records in the change
+ * - Read-only: queries return record copies, never indexed objects
+ * - Validated: unknown sort keys, orders or bad paging throw
+ */
+
+import { deriveDisplayName, getDomain } from '../utils/url-display.js';
+
+/**
+ * Sort keys accepted by query()
+ * - name: display name (derived from the URL when unnamed)
+ * - addedAt: createdAt
+ * - visits: accessCount
+ * - manual: sortOrder, unordered records last in insertion order
+ */
+export const QUERY_SORT_KEYS = ['name', 'addedAt', 'visits', 'manual'];
+
+/**
+ * Sort orders accepted by query(); 'desc' reverses the ascending order
+ */
+export const QUERY_ORDERS = ['asc', 'desc'];
+
+/**
+ * Compare two query results field by field (records are fresh copies, so
+ * reference equality would always report a change)
+ * @param {{ records: Object[], total: number }} a - Previous result
+ * @param {{ records: Object[], total: number }} b - Next result
+ * @returns {boolean} True if both list the same records with the same fields
+ */
+export const queryResultsEqual = (a, b) => {
+  if (a === b) return true;
+  if (!a || !b || a.total !== b.total || a.records.length !== b.records.length) return false;
+  const sameValue = (x, y) => (Array.isArray(x) && Array.isArray(y)
+    ? x.length === y.length && x.every((item, i) => Object.is(item, y[i]))
+    : Object.is(x, y));
+  return a.records.every((record, i) => {
+    const other = b.records[i];
+    const keys = Object.keys(record);
+    return keys.length === Object.keys(other).length && keys.every(key => sameValue(record[key], other[key]));
+  });
+};
+
+/**
+ * Tags of a record, lower-cased (records without tags have none)
+ * @param {Object} record - Favorite record
+ * @returns {string[]} Tag keys
+ */
+const tagKeysOf = (record) => (Array.isArray(record.tags) ? record.tags.map(tag => String(tag).toLowerCase()) : []);
+
+/**
+ * Creates an empty query index; call rebuild(state) to fill it
+ * 
+ * @returns {Object} Query index with rebuild/apply/query/getStats
+ */
+export const createQueryIndex = () => {
+  // ==========================================================================
+  // PRIVATE STATE
+  // ==========================================================================
+
+  /**
+   * URL -> { record, seq, domain, tags, text, name }
+   * seq is the insertion sequence used for 'manual' order and as tie-breaker
+   */
+  const entries = new Map();
+
+  /**
+   * Domain -> Set of URLs
+   */
+  const byDomain = new Map();
+
+  /**
+   * Lower-cased tag -> Set of URLs
+   */
+  const byTag = new Map();
+
+  /**
+   * Sort key -> URLs in ascending order (dropped on every change)
+   */
+  const sortedCache = new Map();
+
+  let nextSeq = 0;
+
+  const addToSet = (index, key, url) => {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(url);
+  };
+
+  const removeFromSet = (index, key, url) => {
+    const urls = index.get(key);
+    if (!urls) return;
+    urls.delete(url);
+    if (urls.size === 0) index.delete(key);
+  };
+
+  /**
+   * Index a record, keeping its insertion sequence if it is already indexed
+   * @param {Object} record - Favorite record
+   */
+  const indexRecord = (record) => {
+    const previous = entries.get(record.url);
+    if (previous) {
+      unindexRecord(record.url);
+    }
+    const name = record.displayName || record.defaultDisplayName || deriveDisplayName(record.url);
+    const entry = {
+      record: { ...record },
+      seq: previous ? previous.seq : nextSeq++,
+      domain: getDomain(record.url),
+      tags: tagKeysOf(record),
+      name,
+      text: [record.url, name, record.notes || '', ...(record.tags || [])].join('\n').toLowerCase()
+    };
+    entries.set(record.url, entry);
+    addToSet(byDomain, entry.domain, record.url);
+    entry.tags.forEach(tag => addToSet(byTag, tag, record.url));
+  };
+
+  /**
+   * Remove a URL from every index
+   * @param {string} url - URL to drop
+   */
+  const unindexRecord = (url) => {
+    const entry = entries.get(url);
+    if (!entry) return;
+    entries.delete(url);
+    removeFromSet(byDomain, entry.domain, url);
+    entry.tags.forEach(tag => removeFromSet(byTag, tag, url));
+  };
+
+  const comparators = {
+    name: (a, b) => a.name.localeCompare(b.name) || a.seq - b.seq,
+    addedAt: (a, b) => String(a.record.createdAt).localeCompare(String(b.record.createdAt)) || a.seq - b.seq,
+    visits: (a, b) => (a.record.accessCount || 0) - (b.record.accessCount || 0) || a.seq - b.seq,
+    manual: (a, b) => {
+      const x = a.record.sortOrder;
+      const y = b.record.sortOrder;
+      if (x == null || y == null) {
+        return (x == null) - (y == null) || a.seq - b.seq;
+      }
+      return x - y || a.seq - b.seq;
+    }
+  };
+
+  /**
+   * URLs in ascending order for a sort key (cached until the next change)
+   * @param {string} sortBy - One of QUERY_SORT_KEYS
+   * @returns {string[]} Sorted URLs
+   */
+  const sortedUrls = (sortBy) => {
+    if (!sortedCache.has(sortBy)) {
+      const sorted = Array.from(entries.values()).sort(comparators[sortBy]);
+      sortedCache.set(sortBy, sorted.map(entry => entry.record.url));
+    }
+    return sortedCache.get(sortBy);
+  };
+
+  /**
+   * URLs in a domain, subdomains included
+   * @param {string} domain - e.g. 'github.com'
+   * @returns {Set<string>} Matching URLs
+   */
+  const urlsInDomain = (domain) => {
+    const wanted = getDomain(domain);
+    const urls = new Set();
+    byDomain.forEach((domainUrls, host) => {
+      if (host === wanted || host.endsWith(`.${wanted}`)) {
+        domainUrls.forEach(url => urls.add(url));
+      }
+    });
+    return urls;
+  };
+
+  /**
+   * Validate query options
+   * @param {Object} options - query() options
+   */
+  const assertQuery = ({ sortBy, order, offset, limit, tags }) => {
+    if (!QUERY_SORT_KEYS.includes(sortBy)) {
+      throw new Error(`Unknown sortBy: ${sortBy} (expected ${QUERY_SORT_KEYS.join(', ')})`);
+    }
+    if (!QUERY_ORDERS.includes(order)) {
+      throw new Error(`Unknown order: ${order} (expected ${QUERY_ORDERS.join(', ')})`);
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error('offset must be a non-negative integer');
+    }
+    if (limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+      throw new Error('limit must be a non-negative integer or null');
+    }
+    if (!Array.isArray(tags)) {
+      throw new Error('tags must be an array');
+    }
+  };
+
+  return {
+    /**
+     * Index a whole state from scratch (insertion order = Map order)
+     * @param {Map<string, Object>} state - URL -> record
+     */
+    rebuild(state) {
+      entries.clear();
+      byDomain.clear();
+      byTag.clear();
+      sortedCache.clear();
+      nextSeq = 0;
+      state.forEach(record => indexRecord(record));
+    },
+
+    /**
+     * Apply a change descriptor ({ added, removed, updated })
+     * @param {Object} change - See change-descriptor.js
+     */
+    apply(change) {
+      const { added = [], removed = [], updated = [] } = change;
+      if (added.length + removed.length + updated.length === 0) {
+        return;
+      }
+      removed.forEach(record => unindexRecord(record.url));
+      added.forEach(record => indexRecord(record));
+      updated.forEach(record => indexRecord(record));
+      sortedCache.clear();
+    },
+
+    /**
+     * Filter, sort and paginate the indexed records
+     * 
+     * @param {Object} [options]
+     * @param {string} [options.text] - Case-insensitive; every word must appear in the
+     *   URL, display name, notes or tags
+     * @param {string} [options.domain] - Domain filter, subdomains included
+     * @param {string[]} [options.tags=[]] - Records must carry all of these tags
+     * @param {string} [options.sortBy='manual'] - One of QUERY_SORT_KEYS
+     * @param {string} [options.order='asc'] - 'asc' or 'desc'
+     * @param {number} [options.offset=0] - Records to skip
+     * @param {number|null} [options.limit=null] - Page size (null = all)
+     * @returns {{ records: Object[], total: number }} Page of record copies and the
+     *   number of matches before pagination
+     */
+    query(options = {}) {
+      const { text = '', domain = null, tags = [], sortBy = 'manual', order = 'asc', offset = 0, limit = null } = options;
+      assertQuery({ sortBy, order, offset, limit, tags });
+
+      // Domain and tag filters are index lookups; text matches the cached search text
+      const sets = [];
+      if (domain) sets.push(urlsInDomain(domain));
+      tags.forEach(tag => sets.push(byTag.get(String(tag).toLowerCase()) || new Set()));
+      const terms = String(text).toLowerCase().split(/\s+/).filter(Boolean);
+
+      const matches = (url) => sets.every(set => set.has(url)) &&
+        terms.every(term => entries.get(url).text.includes(term));
+
+      const ordered = order === 'desc' ? [...sortedUrls(sortBy)].reverse() : sortedUrls(sortBy);
+      const matched = sets.length === 0 && terms.length === 0 ? ordered : ordered.filter(matches);
+      const page = matched.slice(offset, limit === null ? undefined : offset + limit);
+
+      return {
+        records: page.map(url => ({ ...entries.get(url).record })),
+        total: matched.length
+      };
+    },
+
+    /**
+     * Index sizes (for debugging)
+     * @returns {{ records: number, domains: number, tags: number }} Counts
+     */
+    getStats() {
+      return { records: entries.size, domains: byDomain.size, tags: byTag.size };
+    }
+  };
+};
@@ -0,0 +1,140 @@
+/**
+ * =============================================================================
+ * SNAPSHOTS - MEMORY-AWARE COPIES OF FAVORITE RECORDS
+ * =============================================================================
+ * 
+ * Actions such as CLEAR_ALL and transactions keep copies of records so they
+ * can be undone. In a long session those copies add up, so they are kept in
+ * a holder that can report its approximate size and compact itself into a
+ * single packed string (dropping default field values) while still being
+ * able to hand the records back for undo.
+ * 
+ * Design Principles:
+ * - Approximate, not exact: sizes are estimates for budgeting, not profiling
+ * - Lossless: compacting never loses data needed for undo
+ */
+
+import { createFavoriteRecord } from './state-store.js';
+
+/**
+ * Rough per-object overhead (object header, Map entry, hidden class) in bytes
+ */
+const RECORD_OVERHEAD_BYTES = 96;
+
+/**
+ * Estimate the memory held by one record
+ * Strings are counted as UTF-16 (2 bytes per character).
+ * @param {Object} record - Favorite record
+ * @returns {number} Approximate bytes
+ */
+export const estimateRecordBytes = (record) => {
+  if (!record) return 0;
+  const text = [record.url, record.displayName, record.defaultDisplayName, record.notes, record.createdAt, record.collectionId, ...(record.tags || [])]
+    .reduce((length, value) => length + (typeof value === 'string' ? value.length : 0), 0);
+  return RECORD_OVERHEAD_BYTES + text * 2;
+};
+
+/**
+ * Drop fields that equal their defaults so packed snapshots stay small
+ * (url and createdAt are always kept)
+ * @param {Object} record - Favorite record
+ * @returns {Object} Minimal record
+ */
+const minimizeRecord = (record) => {
+  const defaults = createFavoriteRecord(record.url);
+  return Object.fromEntries(
+    Object.entries(record).filter(([field, value]) => (
+      field === 'url' || field === 'createdAt' || (Array.isArray(value) ? value.length > 0 : value !== defaults[field])
+    ))
+  );
+};
+
+/**
+ * Creates a holder for a snapshot of records (URL -> record)
+ * @param {Map<string, Object>} snapshot - Records to hold (not copied)
+ * @returns {Object} Holder with get(), compact(), estimateSize(), isCompacted()
+ */
+export const createSnapshotHolder = (snapshot) => {
+  let records = snapshot;
+  let packed = null;
+
+  return {
+    /**
+     * Get the records, unpacking them if the holder was compacted
+     * @returns {Map<string, Object>} URL -> record
+     */
+    get() {
+      if (records) {
+        return records;
+      }
+      return new Map(JSON.parse(packed).map(record => [record.url, createFavoriteRecord(record.url, record)]));
+    },
+
+    /**
+     * Get the number of records held
+     * @returns {number} Record count
+     */
+    get size() {
+      return records ? records.size : JSON.parse(packed).length;
+    },
+
+    /**
+     * Replace the held records with a single packed string
+     * @returns {boolean} True if the holder was compacted by this call
+     */
+    compact() {
+      if (!records) {
+        return false;
+      }
+      packed = JSON.stringify(Array.from(records.values(), minimizeRecord));
+      records = null;
+      return true;
+    },
+
+    /**
+     * Check whether the holder is compacted
+     * @returns {boolean} True if records are packed
+     */
+    isCompacted() {
+      return records === null;
+    },
+
+    /**
+     * Serialize for persisted history (minimal records, compacted or not)
+     * @returns {Object[]} Array of records with default fields omitted
+     */
+    toJSON() {
+      return records ? Array.from(records.values(), minimizeRecord) : JSON.parse(packed);
+    },
+
+    /**
+     * Approximate memory held by the snapshot
+     * @returns {number} Bytes
+     */
+    estimateSize() {
+      if (!records) {
+        return packed.length * 2;
+      }
+      let bytes = 0;
+      records.forEach(record => {
+        bytes += estimateRecordBytes(record);
+      });
+      return bytes;
+    }
+  };
+};
+
+/**
+ * Recreate a holder from toJSON() output. It starts compacted, since
+ * restored history is usually old history.
+ * @param {Object[]} records - Serialized records
+ * @returns {Object} Snapshot holder
+ */
+export const restoreSnapshotHolder = (records) => {
+  if (!Array.isArray(records)) {
+    throw new Error('Snapshot data must be an array of records');
+  }
+  const holder = createSnapshotHolder(new Map(records.map(record => [record.url, record])));
+  holder.compact();
+  return holder;
+};
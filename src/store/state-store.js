@@ -4,7 +4,10 @@
  * =============================================================================
  * 
  * This module is responsible for:
- * - Managing the core data structure (favorites Set)
+ * - Managing the core data structure (favorite records keyed by URL)
+ * - Keeping a tag index (tag -> URLs) in step with the records
+ * - Keeping nested collections (folders) and which favorites each one holds
+ * - Answering the manual order (sortOrder, unordered favorites last)
  * - Providing basic CRUD operations
  * - Maintaining data integrity and immutability
  * - No business logic, just pure state management
@@ -12,10 +15,147 @@
  * Design Principles:
  * - Single Responsibility: Only manages state
  * - Immutable State: Always returns copies
- * - Performance: Uses Set for O(1) operations
+ * - Performance: Uses Map for O(1) keyed operations
  * - Type Safety: Input validation on all operations
  */
 
+/**
+ * Fields of a favorite record that callers may set or update.
+ * The URL is the record key and can never be changed through update().
+ */
+const EDITABLE_FIELDS = ['displayName', 'notes', 'createdAt', 'sortOrder', 'accessCount', 'tags', 'collectionId'];
+
+/**
+ * Maximum lengths of the user-editable text fields (the database column sizes)
+ */
+export const FAVORITE_TEXT_LIMITS = Object.freeze({ displayName: 200, notes: 1000 });
+
+/**
+ * Normalize an editable text field: trimmed; blank or null clears it
+ * @param {string} field - 'displayName' or 'notes'
+ * @param {*} value - New value
+ * @returns {string|null} Normalized value
+ */
+export const normalizeFavoriteText = (field, value) => {
+  if (!(field in FAVORITE_TEXT_LIMITS)) {
+    throw new Error(`Cannot edit field: ${field}`);
+  }
+  if (value == null) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`${field} must be a string or null`);
+  }
+  const normalized = value.trim();
+  if (normalized.length > FAVORITE_TEXT_LIMITS[field]) {
+    throw new Error(`${field} must be at most ${FAVORITE_TEXT_LIMITS[field]} characters`);
+  }
+  return normalized || null;
+};
+
+/**
+ * Normalize a tag: trimmed and lower-cased, so 'Docs' and ' docs' are one tag.
+ * Commas are rejected because the API returns a favorite's tags comma-joined.
+ * @param {*} tag - Tag to normalize
+ * @returns {string} Normalized tag
+ */
+export const normalizeTag = (tag) => {
+  const normalized = typeof tag === 'string' ? tag.trim().toLowerCase() : '';
+  if (!normalized) {
+    throw new Error('Tag must be a non-empty string');
+  }
+  if (normalized.includes(',')) {
+    throw new Error('Tag cannot contain commas');
+  }
+  return normalized;
+};
+
+/**
+ * Normalize a list of tags, dropping duplicates (first occurrence wins)
+ * @param {string[]} [tags] - Tags to normalize
+ * @returns {string[]} Normalized tags
+ */
+const normalizeTagList = (tags = []) => {
+  if (!Array.isArray(tags)) {
+    throw new Error('Tags must be an array of strings');
+  }
+  return Array.from(new Set(tags.map(normalizeTag)));
+};
+
+/**
+ * Build a normalized favorite record
+ * @param {string} url - The URL (record key)
+ * @param {Object} [details] - Optional record fields
+ * @returns {Object} Record with url, displayName (set by the user), defaultDisplayName
+ *   (the resource's own name, read-only), notes, createdAt, sortOrder, accessCount, tags,
+ *   collectionId (null = top level)
+ */
+export const createFavoriteRecord = (url, details = {}) => ({
+  url,
+  displayName: details.displayName ?? null,
+  defaultDisplayName: details.defaultDisplayName ?? null,
+  notes: details.notes ?? null,
+  createdAt: details.createdAt ?? new Date().toISOString(),
+  sortOrder: details.sortOrder ?? null,
+  accessCount: details.accessCount ?? 0,
+  tags: normalizeTagList(details.tags ?? []),
+  collectionId: details.collectionId ?? null
+});
+
+/**
+ * URLs in manual order: by sortOrder, favorites without one last, ties in
+ * the order given (insertion order for a state Map)
+ * @param {Iterable<Object>} records - Favorite records
+ * @returns {string[]} URLs
+ */
+export const getManualOrder = (records) => Array.from(records)
+  .map((record, position) => ({ url: record.url, sortOrder: record.sortOrder ?? null, position }))
+  .sort((a, b) => {
+    if (a.sortOrder === null || b.sortOrder === null) {
+      return (a.sortOrder === null) - (b.sortOrder === null) || a.position - b.position;
+    }
+    return a.sortOrder - b.sortOrder || a.position - b.position;
+  })
+  .map(entry => entry.url);
+
+/**
+ * Generate an id for a new collection. Ids are made on the client so that
+ * undo/redo and saved history can recreate a collection under the same id.
+ * @returns {string} e.g. 'col-lx2k9a1-4f8c2e'
+ */
+export const createCollectionId = () => `col-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Normalize a collection name (trimmed)
+ * @param {*} name - Name to normalize
+ * @returns {string} Normalized name
+ */
+export const normalizeCollectionName = (name) => {
+  const normalized = typeof name === 'string' ? name.trim() : '';
+  if (!normalized) {
+    throw new Error('Collection name must be a non-empty string');
+  }
+  return normalized;
+};
+
+/**
+ * Build a normalized collection
+ * @param {string} id - Collection id (see createCollectionId)
+ * @param {Object} [details] - { name, parentId, createdAt }
+ * @returns {Object} Collection with id, name, parentId (null = top level), createdAt
+ */
+export const createCollectionRecord = (id, details = {}) => {
+  if (!id?.length || typeof id !== 'string') {
+    throw new Error('Collection id must be a non-empty string');
+  }
+  return {
+    id,
+    name: normalizeCollectionName(details.name),
+    parentId: details.parentId ?? null,
+    createdAt: details.createdAt ?? new Date().toISOString()
+  };
+};
+
 /**
  * Creates a core state store for managing favorites
  * 
@@ -25,31 +165,135 @@ export const createStateStore = () => {
   // ==========================================================================
   // PRIVATE STATE
   // ==========================================================================
-  
+
   /**
    * Core data structure - private to this module
-   * Using Set for optimal performance and automatic deduplication
+   * Map of URL -> favorite record, preserving insertion order
    */
-  const favorites = new Set();
+  const favorites = new Map();
+
+  /**
+   * Tag index: tag -> Set of URLs carrying it (empty sets are dropped)
+   */
+  const tagIndex = new Map();
+
+  /**
+   * Collections: id -> { id, name, parentId, createdAt }, in creation order
+   */
+  const collections = new Map();
+
+  /**
+   * Collection index: collection id -> Set of URLs directly inside it
+   * (top-level favorites are not indexed; empty sets are dropped)
+   */
+  const collectionIndex = new Map();
+
+  const addToIndex = (index, key, url) => {
+    if (!index.has(key)) index.set(key, new Set());
+    index.get(key).add(url);
+  };
+
+  const removeFromIndex = (index, key, url) => {
+    const urls = index.get(key);
+    if (!urls) return;
+    urls.delete(url);
+    if (urls.size === 0) index.delete(key);
+  };
+
+  /**
+   * Add a record to the tag and collection indexes
+   * @param {Object} record - Internal record
+   */
+  const indexRecord = (record) => {
+    record.tags.forEach(tag => addToIndex(tagIndex, tag, record.url));
+    if (record.collectionId !== null) addToIndex(collectionIndex, record.collectionId, record.url);
+  };
+
+  /**
+   * Remove a record from the tag and collection indexes
+   * @param {Object} record - Internal record
+   */
+  const unindexRecord = (record) => {
+    record.tags.forEach(tag => removeFromIndex(tagIndex, tag, record.url));
+    if (record.collectionId !== null) removeFromIndex(collectionIndex, record.collectionId, record.url);
+  };
+
+  /**
+   * Validate a collection reference (null = top level)
+   * @param {*} collectionId - Value to validate
+   */
+  const assertCollectionRef = (collectionId) => {
+    if (collectionId !== null && !collections.has(collectionId)) {
+      throw new Error(`Unknown collection: ${collectionId}`);
+    }
+  };
+
+  /**
+   * Ids of the direct child collections
+   * @param {string|null} parentId - Parent collection (null = top level)
+   * @returns {string[]} Child ids in creation order
+   */
+  const childIdsOf = (parentId) => Array.from(collections.values())
+    .filter(collection => collection.parentId === parentId)
+    .map(collection => collection.id);
+
+  /**
+   * A collection and all collections below it, parents before children
+   * @param {string} id - Collection id
+   * @returns {string[]} Ids
+   */
+  const subtreeIdsOf = (id) => [id, ...childIdsOf(id).flatMap(subtreeIdsOf)];
+
+  /**
+   * Validate a URL key
+   * @param {*} url - Value to validate
+   */
+  const assertUrl = (url) => {
+    if (!url?.length || typeof url !== 'string') {
+      throw new Error('URL must be a non-empty string');
+    }
+  };
+
+  /**
+   * Copy a record so callers never hold a reference to internal state
+   * @param {Object} record - Internal record
+   * @returns {Object} Shallow copy of the record
+   */
+  const copyRecord = (record) => ({ ...record, tags: [...record.tags] });
+
+  /**
+   * Turn a snapshot entry (URL string or record) into a record
+   * @param {string|Object} entry - Snapshot entry
+   * @returns {Object} Normalized record
+   */
+  const toRecord = (entry) => {
+    if (typeof entry === 'string') {
+      return createFavoriteRecord(entry);
+    }
+    assertUrl(entry?.url);
+    return createFavoriteRecord(entry.url, entry);
+  };
 
   // ==========================================================================
   // CORE STATE OPERATIONS
   // ==========================================================================
-  
+
   return {
     /**
      * Add an item to the state
      * @param {string} url - The URL to add
+     * @param {Object} [details] - Optional record fields (displayName, notes, ...)
      * @returns {boolean} True if added, false if already exists
      */
-    add(url) {
-      if (!url?.length || typeof url !== 'string') {
-        throw new Error('URL must be a non-empty string');
-      }
-      
+    add(url, details = {}) {
+      assertUrl(url);
+
       const wasAdded = !favorites.has(url);
       if (wasAdded) {
-        favorites.add(url);
+        const record = createFavoriteRecord(url, details);
+        assertCollectionRef(record.collectionId);
+        favorites.set(url, record);
+        indexRecord(record);
       }
       return wasAdded;
     },
@@ -60,13 +304,50 @@ export const createStateStore = () => {
      * @returns {boolean} True if removed, false if didn't exist
      */
     remove(url) {
-      if (!url?.length || typeof url !== 'string') {
-        throw new Error('URL must be a non-empty string');
+      assertUrl(url);
+
+      const record = favorites.get(url);
+      if (!record) {
+        return false;
       }
-      
+      unindexRecord(record);
       return favorites.delete(url);
     },
 
+    /**
+     * Update fields of an existing record
+     * @param {string} url - The URL of the record to update
+     * @param {Object} patch - Fields to change (url cannot be changed)
+     * @returns {boolean} True if the record exists and was updated
+     */
+    update(url, patch = {}) {
+      assertUrl(url);
+
+      const record = favorites.get(url);
+      if (!record) {
+        return false;
+      }
+
+      // Validate before touching the record or the indexes
+      const hasField = (field) => Object.prototype.hasOwnProperty.call(patch, field);
+      const fields = { ...patch };
+      if (hasField('tags')) {
+        fields.tags = normalizeTagList(patch.tags);
+      }
+      if (hasField('collectionId')) {
+        fields.collectionId = patch.collectionId ?? null;
+        assertCollectionRef(fields.collectionId);
+      }
+      unindexRecord(record);
+      EDITABLE_FIELDS.forEach(field => {
+        if (hasField(field)) {
+          record[field] = fields[field];
+        }
+      });
+      indexRecord(record);
+      return true;
+    },
+
     /**
      * Check if an item exists in the state
      * @param {string} url - The URL to check
@@ -76,12 +357,22 @@ export const createStateStore = () => {
       return favorites.has(url);
     },
 
+    /**
+     * Get a single record
+     * @param {string} url - The URL to look up
+     * @returns {Object|null} Copy of the record, or null if not present
+     */
+    get(url) {
+      const record = favorites.get(url);
+      return record ? copyRecord(record) : null;
+    },
+
     /**
      * Get all items as an immutable copy
-     * @returns {Set} Copy of the current state
+     * @returns {Map<string, Object>} Copy of the current state (URL -> record)
      */
     getAll() {
-      return new Set(favorites);
+      return new Map(Array.from(favorites, ([url, record]) => [url, copyRecord(record)]));
     },
 
     /**
@@ -89,7 +380,15 @@ export const createStateStore = () => {
      * @returns {string[]} Array of all URLs
      */
     getAllAsArray() {
-      return Array.from(favorites);
+      return Array.from(favorites.keys());
+    },
+
+    /**
+     * Get all records as an array
+     * @returns {Object[]} Array of record copies in insertion order
+     */
+    getAllRecords() {
+      return Array.from(favorites.values(), copyRecord);
     },
 
     /**
@@ -101,26 +400,232 @@ export const createStateStore = () => {
     },
 
     /**
-     * Clear all items
-     * @returns {Set} Copy of the previous state (for undo purposes)
+     * Clear all items (collections are kept, empty)
+     * @returns {Map<string, Object>} Copy of the previous state (for undo purposes)
      */
     clear() {
-      const previousState = new Set(favorites);
+      const previousState = this.getAll();
       favorites.clear();
+      tagIndex.clear();
+      collectionIndex.clear();
       return previousState;
     },
 
     /**
      * Restore state from a previous snapshot
-     * @param {Set} snapshot - Previous state to restore
+     * Accepts a Map of records (as returned by getAll/clear) or any
+     * iterable of records or URL strings. Records that point at a
+     * collection that does not exist are restored at the top level.
+     * @param {Map<string, Object>|Iterable<Object|string>} snapshot - Previous state to restore
      */
     restore(snapshot) {
-      if (!(snapshot instanceof Set)) {
-        throw new Error('Snapshot must be a Set');
+      if (snapshot == null || typeof snapshot[Symbol.iterator] !== 'function' || typeof snapshot === 'string') {
+        throw new Error('Snapshot must be a Map or an iterable of records');
       }
-      
+
+      const entries = snapshot instanceof Map ? snapshot.values() : snapshot;
+      const records = Array.from(entries, toRecord);
+
       favorites.clear();
-      snapshot.forEach(url => favorites.add(url));
+      tagIndex.clear();
+      collectionIndex.clear();
+      records.forEach(record => {
+        if (!collections.has(record.collectionId)) {
+          record.collectionId = null;
+        }
+        favorites.set(record.url, record);
+        indexRecord(record);
+      });
+    },
+
+    /**
+     * Get every tag in use with the number of favorites carrying it
+     * @returns {Array<{ tag: string, count: number }>} Tags sorted by name
+     */
+    getTags() {
+      return Array.from(tagIndex, ([tag, urls]) => ({ tag, count: urls.size }))
+        .sort((a, b) => a.tag.localeCompare(b.tag));
+    },
+
+    /**
+     * Get the URLs carrying a tag (tag index lookup)
+     * @param {string} tag - Tag (normalized before the lookup)
+     * @returns {string[]} URLs in the order they were tagged
+     */
+    getUrlsByTag(tag) {
+      return Array.from(tagIndex.get(normalizeTag(tag)) || []);
+    },
+
+    // ========================================================================
+    // COLLECTIONS
+    // ========================================================================
+
+    /**
+     * Add a collection
+     * @param {string} id - Collection id (see createCollectionId)
+     * @param {Object} details - { name, parentId?, createdAt? }
+     * @returns {boolean} True if added, false if the id already exists
+     */
+    addCollection(id, details = {}) {
+      const collection = createCollectionRecord(id, details);
+      if (collections.has(id)) {
+        return false;
+      }
+      assertCollectionRef(collection.parentId);
+      collections.set(id, collection);
+      return true;
+    },
+
+    /**
+     * Rename or move a collection
+     * @param {string} id - Collection id
+     * @param {Object} patch - { name?, parentId? } (parentId null = top level)
+     * @returns {boolean} True if the collection exists and was updated
+     */
+    updateCollection(id, patch = {}) {
+      const collection = collections.get(id);
+      if (!collection) {
+        return false;
+      }
+
+      // Validate everything before changing anything
+      const name = Object.prototype.hasOwnProperty.call(patch, 'name') ? normalizeCollectionName(patch.name) : collection.name;
+      const parentId = Object.prototype.hasOwnProperty.call(patch, 'parentId') ? patch.parentId ?? null : collection.parentId;
+      assertCollectionRef(parentId);
+      if (parentId !== null && subtreeIdsOf(id).includes(parentId)) {
+        throw new Error('Cannot move a collection into itself or one of its descendants');
+      }
+      collection.name = name;
+      collection.parentId = parentId;
+      return true;
+    },
+
+    /**
+     * Remove an empty collection (callers move or remove its favorites and
+     * child collections first)
+     * @param {string} id - Collection id
+     * @returns {boolean} True if removed, false if it didn't exist
+     */
+    removeCollection(id) {
+      if (!collections.has(id)) {
+        return false;
+      }
+      if (collectionIndex.has(id) || childIdsOf(id).length > 0) {
+        throw new Error(`Collection is not empty: ${id}`);
+      }
+      return collections.delete(id);
+    },
+
+    /**
+     * Check if a collection exists
+     * @param {string} id - Collection id
+     * @returns {boolean} True if exists
+     */
+    hasCollection(id) {
+      return collections.has(id);
+    },
+
+    /**
+     * Get a single collection
+     * @param {string} id - Collection id
+     * @returns {Object|null} Copy of the collection, or null if not present
+     */
+    getCollection(id) {
+      const collection = collections.get(id);
+      return collection ? { ...collection } : null;
+    },
+
+    /**
+     * Get all collections
+     * @returns {Map<string, Object>} Copies (id -> collection) in creation order
+     */
+    getCollections() {
+      return new Map(Array.from(collections, ([id, collection]) => [id, { ...collection }]));
+    },
+
+    /**
+     * Get a collection and every collection below it
+     * @param {string} id - Collection id
+     * @returns {string[]} Ids, parents before children (empty if unknown)
+     */
+    getCollectionSubtree(id) {
+      return collections.has(id) ? subtreeIdsOf(id) : [];
+    },
+
+    /**
+     * Get the ids of the collections directly inside another
+     * @param {string|null} parentId - Parent collection (null = top level)
+     * @returns {string[]} Ids in creation order
+     */
+    getChildCollectionIds(parentId = null) {
+      return childIdsOf(parentId);
+    },
+
+    /**
+     * Get the URLs directly inside a collection (collection index lookup;
+     * the top level is a scan)
+     * @param {string|null} collectionId - Collection id (null = top level)
+     * @returns {string[]} URLs in the order they were added or moved there
+     */
+    getUrlsInCollection(collectionId = null) {
+      if (collectionId === null) {
+        return Array.from(favorites.values())
+          .filter(record => record.collectionId === null)
+          .map(record => record.url);
+      }
+      return Array.from(collectionIndex.get(collectionId) || []);
+    },
+
+    /**
+     * Get all URLs in manual order (see getManualOrder)
+     * @returns {string[]} URLs
+     */
+    getOrderedUrls() {
+      return getManualOrder(favorites.values());
+    },
+
+    /**
+     * Replace all collections (e.g. loaded from persistence). Parents may
+     * come after their children; missing parents and parent cycles are
+     * broken by moving the collection to the top level. Favorites in
+     * collections that are gone move to the top level as well.
+     * @param {Map<string, Object>|Iterable<Object>} snapshot - Collections to restore
+     */
+    restoreCollections(snapshot) {
+      if (snapshot == null || typeof snapshot[Symbol.iterator] !== 'function' || typeof snapshot === 'string') {
+        throw new Error('Collections snapshot must be a Map or an iterable of collections');
+      }
+
+      const entries = snapshot instanceof Map ? snapshot.values() : snapshot;
+      const restored = Array.from(entries, entry => createCollectionRecord(entry?.id, entry));
+      const ids = new Set(restored.map(collection => collection.id));
+
+      collections.clear();
+      restored.forEach(collection => {
+        if (!ids.has(collection.parentId)) {
+          collection.parentId = null;
+        }
+        collections.set(collection.id, collection);
+      });
+      restored.forEach(collection => {
+        const seen = new Set([collection.id]);
+        for (let parentId = collection.parentId; parentId !== null; parentId = collections.get(parentId).parentId) {
+          if (parentId === collection.id) {
+            collection.parentId = null;
+            break;
+          }
+          if (seen.has(parentId)) break; // A cycle further up; its own members break it
+          seen.add(parentId);
+        }
+      });
+      Array.from(collectionIndex.keys())
+        .filter(id => !collections.has(id))
+        .forEach(id => {
+          collectionIndex.get(id).forEach(url => {
+            favorites.get(url).collectionId = null;
+          });
+          collectionIndex.delete(id);
+        });
     },
 
     /**
@@ -132,5 +637,3 @@ export const createStateStore = () => {
     }
   };
 };
-
-
@@ -0,0 +1,557 @@
+/**
+ * =============================================================================
+ * CROSS-TAB SYNC - KEEP STORES IN SEVERAL TABS IN STEP
+ * =============================================================================
+ * 
+ * Every tab has its own favorites store. Without help, a change made in one
+ * tab only shows up in another after a reload. This module connects the
+ * stores of all tabs of the same origin:
+ * 
+ * - Change broadcast: each local change (added / removed / updated records
+ *   and collections) is posted to the other tabs, which apply it as source 'remote' — outside
+ *   their command history, so undo never reverts another tab's work
+ * - Leader election: one tab is the leader; it sends heartbeats and the
+ *   others take over when they stop (or when the leader resigns on close)
+ * - Single writer: the persistence adapter handed to the store is routed.
+ *   Writes (add, remove, clear, batch, the tag and the collection methods)
+ *   run in the leader tab; other tabs forward them and wait for the leader's
+ *   answer. Reads (list, listCollections) stay local.
+ * - Single outbox: changes other tabs cannot save are queued in the leader's
+ *   outbox, so they survive their tab closing. While it holds unsaved
+ *   changes, the leader turns forwarded writes away so they queue behind them.
+ * 
+ * A transport carries plain messages to the other tabs:
+ * 
+ *   post(message)          send to every other tab (never echoed back)
+ *   subscribe(handler)     -> unsubscribe function
+ *   close()                release the channel
+ * 
+ * BroadcastChannel is used where available; the storage-event transport
+ * is the fallback for browsers without it.
+ * 
+ * Design Principles:
+ * - Opt-in: stores only sync with createCrossTabPlugin() installed
+ * - Plain messages: records are copied, so any structured-clone or JSON
+ *   transport works
+ * - Failure-tolerant: a forwarded write that gets no answer rejects like an
+ *   unreachable backend, so consistency policies and the outbox handle it
+ */
+
+/**
+ * Persistence methods that change data (routed to the leader tab)
+ */
+export const CROSS_TAB_WRITE_METHODS = [
+  'add', 'remove', 'clear', 'batch', 'updateFavorite',
+  'addTag', 'removeTag', 'renameTag',
+  'createCollection', 'renameCollection', 'moveCollection', 'deleteCollection', 'moveToCollection',
+  'reorderFavorites'
+];
+
+/**
+ * Default timings (milliseconds)
+ * - heartbeatMs: how often the leader says it is alive (and the election tick)
+ * - leaderTimeoutMs: silence after which the leader is considered gone
+ * - rpcTimeoutMs: how long a forwarded write waits for the leader
+ */
+export const DEFAULT_CROSS_TAB_TIMINGS = Object.freeze({
+  heartbeatMs: 1000,
+  leaderTimeoutMs: 3000,
+  rpcTimeoutMs: 5000
+});
+
+/**
+ * Creates a transport on top of BroadcastChannel
+ * @param {Object} [options]
+ * @param {string} [options.channel='favorites-store'] - Channel name (tabs with the same name sync)
+ * @param {Function} [options.BroadcastChannel] - Implementation (defaults to the global one)
+ * @returns {Object} Transport ({ name, post, subscribe, close })
+ */
+export const createBroadcastChannelTransport = (options = {}) => {
+  const { channel = 'favorites-store', BroadcastChannel = globalThis.BroadcastChannel } = options;
+  if (typeof BroadcastChannel !== 'function') {
+    throw new Error('BroadcastChannel is not available in this environment');
+  }
+
+  const port = new BroadcastChannel(channel);
+  const handlers = new Set();
+  port.onmessage = (event) => handlers.forEach(handler => handler(event.data));
+
+  return {
+    name: 'broadcast-channel',
+
+    post(message) {
+      port.postMessage(message);
+    },
+
+    subscribe(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+
+    close() {
+      handlers.clear();
+      port.close();
+    }
+  };
+};
+
+/**
+ * Creates a transport on top of localStorage 'storage' events (fallback).
+ * Each message is written to one key; other tabs of the origin receive a
+ * storage event for it (the writing tab does not).
+ * @param {Object} [options]
+ * @param {string} [options.channel='favorites-store'] - Key prefix (tabs with the same name sync)
+ * @param {Storage} [options.storage] - Storage to write to (defaults to localStorage)
+ * @param {EventTarget} [options.target] - Where storage events arrive (defaults to window)
+ * @returns {Object} Transport ({ name, post, subscribe, close })
+ */
+export const createStorageEventTransport = (options = {}) => {
+  const {
+    channel = 'favorites-store',
+    storage = globalThis.localStorage,
+    target = globalThis
+  } = options;
+  if (!storage || typeof target?.addEventListener !== 'function') {
+    throw new Error('localStorage events are not available in this environment');
+  }
+
+  const key = `${channel}:cross-tab`;
+  const handlers = new Set();
+  const onStorage = (event) => {
+    if (event.key !== key || !event.newValue) return;
+    try {
+      const { message } = JSON.parse(event.newValue);
+      handlers.forEach(handler => handler(message));
+    } catch (error) {
+      console.warn('⚠️ Ignoring malformed cross-tab message:', error.message);
+    }
+  };
+  target.addEventListener('storage', onStorage);
+
+  return {
+    name: 'storage-event',
+
+    post(message) {
+      // The nonce makes every write a change, so repeated messages still fire events
+      storage.setItem(key, JSON.stringify({ message, nonce: `${Date.now()}-${Math.random()}` }));
+    },
+
+    subscribe(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+
+    close() {
+      handlers.clear();
+      target.removeEventListener('storage', onStorage);
+    }
+  };
+};
+
+/**
+ * Pick the best transport available in this environment
+ * @param {Object} [options] - Passed to the transport factory ({ channel, ... })
+ * @returns {Object} BroadcastChannel transport, or the storage-event fallback
+ */
+export const createDefaultCrossTabTransport = (options = {}) => (
+  typeof globalThis.BroadcastChannel === 'function'
+    ? createBroadcastChannelTransport(options)
+    : createStorageEventTransport(options)
+);
+
+/**
+ * Generate a tab id. Ids start with the creation time, so when two tabs
+ * claim leadership at once the older tab wins.
+ * @returns {string} Tab id
+ */
+const createTabId = () => `${Date.now().toString(36).padStart(9, '0')}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Creates the cross-tab sync for one store
+ * 
+ * @param {Object} options
+ * @param {Object} options.persistence - The real persistence adapter (used by the leader)
+ * @param {Object} [options.outbox] - This tab's outbox (queues other tabs' entries while leading)
+ * @param {Object} [options.transport] - Transport; defaults to createDefaultCrossTabTransport({ channel })
+ * @param {string} [options.channel='favorites-store'] - Channel name for the default transport
+ * @param {string} [options.tabId] - This tab's id (generated by default)
+ * @param {number} [options.heartbeatMs] - See DEFAULT_CROSS_TAB_TIMINGS
+ * @param {number} [options.leaderTimeoutMs] - See DEFAULT_CROSS_TAB_TIMINGS
+ * @param {number} [options.rpcTimeoutMs] - See DEFAULT_CROSS_TAB_TIMINGS
+ * @param {Function} [options.onRemoteChange] - (change) => void for changes made in another tab
+ * @param {Function} [options.onLeadershipChange] - (status) => void when the leader changes
+ * @returns {Object} Cross-tab sync ({ persistence, enqueueInLeader, start, broadcastChange, isLeader,
+ *   getStatus, close })
+ */
+export const createCrossTabSync = (options = {}) => {
+  const {
+    persistence,
+    outbox = null,
+    channel = 'favorites-store',
+    tabId = createTabId(),
+    heartbeatMs = DEFAULT_CROSS_TAB_TIMINGS.heartbeatMs,
+    leaderTimeoutMs = DEFAULT_CROSS_TAB_TIMINGS.leaderTimeoutMs,
+    rpcTimeoutMs = DEFAULT_CROSS_TAB_TIMINGS.rpcTimeoutMs,
+    onRemoteChange = null,
+    onLeadershipChange = null
+  } = options;
+
+  if (!persistence) {
+    throw new Error('Cross-tab sync requires a persistence adapter');
+  }
+  if (!(leaderTimeoutMs > heartbeatMs)) {
+    throw new Error('leaderTimeoutMs must be longer than heartbeatMs');
+  }
+  const transport = options.transport || createDefaultCrossTabTransport({ channel });
+
+  // ==========================================================================
+  // PRIVATE STATE
+  // ==========================================================================
+
+  let leaderId = null;
+  let lastHeartbeatAt = 0;
+  let claimedAt = null;          // When this tab asked to become leader
+  let discoveringUntil = 0;      // Give an existing leader one heartbeat to answer
+  let ticker = null;
+  let unsubscribe = null;
+  let closed = false;
+
+  /**
+   * Forwarded writes waiting for the leader: id -> { resolve, reject, timer }
+   */
+  const pendingCalls = new Map();
+  let nextCallId = 1;
+
+  /**
+   * Writes waiting for a leader to be known: [{ resolve, reject, timer }]
+   */
+  let leaderWaiters = [];
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  const isLeader = () => leaderId === tabId;
+
+  /**
+   * Post a message stamped with this tab's id
+   * @param {Object} message - { type, ... }
+   */
+  const post = (message) => {
+    if (closed) return;
+    transport.post({ ...message, from: tabId });
+  };
+
+  /**
+   * Current leadership status
+   * @returns {Object} { tabId, leaderId, isLeader, transport }
+   */
+  const buildStatus = () => ({ tabId, leaderId, isLeader: isLeader(), transport: transport.name || 'custom' });
+
+  /**
+   * Record the leader, wake writes waiting for one and report changes
+   * @param {string|null} id - New leader id (null while electing)
+   */
+  const setLeader = (id) => {
+    if (id === leaderId) return;
+    leaderId = id;
+    claimedAt = null;
+    if (id !== null) {
+      const waiters = leaderWaiters;
+      leaderWaiters = [];
+      waiters.forEach(({ resolve, timer }) => {
+        clearTimeout(timer);
+        resolve(id);
+      });
+    }
+    onLeadershipChange?.(buildStatus());
+  };
+
+  /**
+   * Timer that does not keep Node processes alive
+   * @param {Function} fn - Callback
+   * @param {number} ms - Delay
+   * @returns {*} Timer handle
+   */
+  const unrefTimeout = (fn, ms) => {
+    const timer = setTimeout(fn, ms);
+    timer.unref?.();
+    return timer;
+  };
+
+  /**
+   * Resolve with the leader's id, waiting (up to rpcTimeoutMs) during an election
+   * @returns {Promise<string>} Leader tab id
+   */
+  const waitForLeader = () => {
+    if (leaderId !== null) {
+      return Promise.resolve(leaderId);
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = unrefTimeout(() => {
+        leaderWaiters = leaderWaiters.filter(other => other !== waiter);
+        reject(new Error('No leader tab available to save the change'));
+      }, rpcTimeoutMs);
+      leaderWaiters.push(waiter);
+    });
+  };
+
+  /**
+   * Forward a write to the leader tab
+   * @param {string} leader - Leader tab id
+   * @param {string} method - Persistence method
+   * @param {Array} args - Its arguments
+   * @returns {Promise<*>} The leader's result
+   */
+  const callLeader = (leader, method, args) => new Promise((resolve, reject) => {
+    const id = nextCallId++;
+    const timer = unrefTimeout(() => {
+      pendingCalls.delete(id);
+      reject(new Error(`Leader tab did not answer ${method} within ${rpcTimeoutMs}ms`));
+    }, rpcTimeoutMs);
+    pendingCalls.set(id, { resolve, reject, timer });
+    post({ type: 'rpc', to: leader, id, method, args });
+  });
+
+  /**
+   * Build a persistence method that runs in the leader tab
+   * @param {string} method - Write method name
+   * @returns {Function} async (...args) => result
+   */
+  const routeWrite = (method) => async (...args) => {
+    // After close() this tab is on its own again
+    if (closed) {
+      return persistence[method](...args);
+    }
+    const leader = await waitForLeader();
+    if (leader === tabId) {
+      return persistence[method](...args);
+    }
+    return callLeader(leader, method, args);
+  };
+
+  /**
+   * Run a write forwarded by another tab (leader only) and answer it
+   * @param {Object} message - { from, id, method, args }
+   */
+  const answerCall = async ({ from, id, method, args }) => {
+    if (method === 'enqueue' && outbox) {
+      try {
+        post({ type: 'rpc-result', to: from, id, result: await outbox.enqueue(...args) });
+      } catch (error) {
+        post({ type: 'rpc-result', to: from, id, error: error.message || String(error) });
+      }
+      return;
+    }
+    if (!CROSS_TAB_WRITE_METHODS.includes(method)) {
+      post({ type: 'rpc-result', to: from, id, error: `Unknown persistence method: ${method}` });
+      return;
+    }
+    // A write must not overtake the changes still queued here
+    if (outbox?.hasPending()) {
+      post({ type: 'rpc-result', to: from, id, error: 'Earlier changes are still waiting to be saved' });
+      return;
+    }
+    try {
+      const result = await persistence[method](...args);
+      post({ type: 'rpc-result', to: from, id, result });
+    } catch (error) {
+      post({ type: 'rpc-result', to: from, id, error: error.message || String(error) });
+    }
+  };
+
+  // ==========================================================================
+  // LEADER ELECTION
+  // ==========================================================================
+
+  /**
+   * Runs every heartbeatMs: the leader announces itself; other tabs claim
+   * leadership when the leader went quiet, and take it one tick later if
+   * nobody older objected
+   */
+  const tick = () => {
+    const now = Date.now();
+    if (isLeader()) {
+      post({ type: 'heartbeat' });
+      return;
+    }
+
+    const leaderMissing = leaderId === null
+      ? now >= discoveringUntil
+      : now - lastHeartbeatAt > leaderTimeoutMs;
+    if (!leaderMissing) {
+      return;
+    }
+    if (claimedAt === null) {
+      if (leaderId !== null) setLeader(null);
+      claimedAt = now;
+      post({ type: 'claim' });
+      return;
+    }
+    if (now - claimedAt >= heartbeatMs) {
+      setLeader(tabId);
+      post({ type: 'heartbeat' });
+    }
+  };
+
+  /**
+   * Handle a message from another tab
+   * @param {Object} message - { type, from, ... }
+   */
+  const receive = (message) => {
+    if (closed || !message || message.from === tabId) return;
+
+    switch (message.type) {
+      case 'heartbeat':
+        // Two leaders (both claimed while messages were in flight): the older tab wins
+        if (isLeader() && message.from > tabId) {
+          post({ type: 'heartbeat' });
+          return;
+        }
+        lastHeartbeatAt = Date.now();
+        setLeader(message.from);
+        return;
+
+      case 'claim':
+        if (isLeader()) {
+          post({ type: 'heartbeat' });
+        } else if (claimedAt !== null && message.from < tabId) {
+          // Yield to the older candidate and give it time to take over
+          claimedAt = null;
+          discoveringUntil = Date.now() + heartbeatMs * 2;
+        }
+        return;
+
+      case 'discover':
+        if (isLeader()) post({ type: 'heartbeat' });
+        return;
+
+      case 'resign':
+        if (leaderId === message.from) {
+          setLeader(null);
+          discoveringUntil = 0;
+          tick();
+        }
+        return;
+
+      case 'change':
+        onRemoteChange?.(message.change);
+        return;
+
+      case 'rpc':
+        if (message.to === tabId && isLeader()) answerCall(message);
+        return;
+
+      case 'rpc-result': {
+        const call = message.to === tabId ? pendingCalls.get(message.id) : null;
+        if (!call) return;
+        pendingCalls.delete(message.id);
+        clearTimeout(call.timer);
+        if (message.error !== undefined) {
+          call.reject(new Error(message.error));
+        } else {
+          call.resolve(message.result);
+        }
+        return;
+      }
+
+      default:
+        // Messages from newer versions of this module are ignored
+    }
+  };
+
+  // ==========================================================================
+  // PUBLIC API
+  // ==========================================================================
+
+  return {
+    tabId,
+
+    /**
+     * Persistence adapter for the store: writes run in the leader tab
+     */
+    persistence: {
+      ...persistence,
+      // Only the methods the backend has (tag and collection methods are optional)
+      ...Object.fromEntries(CROSS_TAB_WRITE_METHODS
+        .filter(method => typeof persistence[method] === 'function')
+        .map(method => [method, routeWrite(method)]))
+    },
+
+    /**
+     * Outbox forwarder (see outbox.forwardTo()): queues an entry in the
+     * leader tab's outbox. Resolves null in the leader, which queues locally.
+     * @param {Object[]} operations - Normalized operations
+     * @param {Object} [meta] - { label }
+     * @returns {Promise<Object|null>} The entry queued in the leader, or null
+     */
+    async enqueueInLeader(operations, meta) {
+      if (closed) return null;
+      const leader = await waitForLeader();
+      return leader === tabId ? null : callLeader(leader, 'enqueue', [operations, meta]);
+    },
+
+    /**
+     * Start listening and take part in leader election
+     */
+    start() {
+      if (ticker || closed) return;
+      unsubscribe = transport.subscribe(receive);
+      discoveringUntil = Date.now() + heartbeatMs;
+      post({ type: 'discover' });
+      ticker = setInterval(tick, heartbeatMs);
+      ticker.unref?.();
+    },
+
+    /**
+     * Send a local change to the other tabs
+     * @param {Object} change - Change descriptor ({ added, removed, updated, collections, cause, source })
+     */
+    broadcastChange(change) {
+      const { added, removed, updated, collections, cause, source } = change;
+      // JSON round trip: plain copies for every transport
+      post({ type: 'change', change: JSON.parse(JSON.stringify({ added, removed, updated, collections, cause, source })) });
+    },
+
+    /**
+     * Check whether this tab writes to the backend
+     * @returns {boolean} True for the leader tab
+     */
+    isLeader,
+
+    /**
+     * Get the leadership status
+     * @returns {Object} { tabId, leaderId, isLeader, transport }
+     */
+    getStatus() {
+      return buildStatus();
+    },
+
+    /**
+     * Leave: hand leadership over right away, fail waiting writes and
+     * release the transport
+     */
+    close() {
+      if (closed) return;
+      if (isLeader()) post({ type: 'resign' });
+      closed = true;
+      clearInterval(ticker);
+      ticker = null;
+      unsubscribe?.();
+      transport.close();
+
+      const error = new Error('Cross-tab sync was closed');
+      pendingCalls.forEach(({ reject, timer }) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      pendingCalls.clear();
+      leaderWaiters.forEach(({ reject, timer }) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      leaderWaiters = [];
+    }
+  };
+};
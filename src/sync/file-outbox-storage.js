@@ -0,0 +1,54 @@
+/**
+ * =============================================================================
+ * FILE OUTBOX STORAGE - NODE.JS ONLY
+ * =============================================================================
+ * 
+ * Keeps pending outbox entries in a JSON file so they survive process
+ * restarts. Imports node:fs; import it directly from Node code.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Creates an outbox storage backed by a JSON file
+ * @param {Object} options
+ * @param {string} options.filePath - Path of the JSON file
+ * @returns {Object} Outbox storage ({ load, save })
+ */
+export const createFileOutboxStorage = (options = {}) => {
+  const { filePath } = options;
+  if (!filePath || typeof filePath !== 'string') {
+    throw new Error('filePath must be a non-empty string');
+  }
+  
+  // Serialize writes so a slow save cannot overwrite a newer one
+  let pending = Promise.resolve();
+  
+  return {
+    name: 'file',
+    
+    async load() {
+      try {
+        return JSON.parse(await readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+    },
+    
+    save(entries) {
+      const snapshot = JSON.stringify(entries, null, 2);
+      const run = pending.then(async () => {
+        await mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        await writeFile(tempPath, snapshot);
+        await rename(tempPath, filePath);
+      });
+      pending = run.catch(() => {});
+      return run;
+    }
+  };
+};
@@ -0,0 +1,108 @@
+/**
+ * =============================================================================
+ * OUTBOX STORAGE - DURABLE BACKENDS FOR PENDING OPERATIONS
+ * =============================================================================
+ * 
+ * An outbox storage backend implements two methods:
+ * 
+ *   load()          -> Promise<Object[]>  entries saved by a previous session
+ *   save(entries)   -> Promise<void>      replace the saved entries
+ * 
+ * The JSON file backend is Node-only and lives in file-outbox-storage.js.
+ */
+
+/**
+ * Creates a non-durable storage (tests, or environments without IndexedDB)
+ * @returns {Object} Outbox storage ({ load, save })
+ */
+export const createMemoryOutboxStorage = () => {
+  let saved = [];
+  
+  return {
+    name: 'memory',
+    
+    async load() {
+      return saved.map(entry => ({ ...entry }));
+    },
+    
+    async save(entries) {
+      saved = entries.map(entry => ({ ...entry }));
+    }
+  };
+};
+
+/**
+ * Creates a storage backed by IndexedDB (browser)
+ * @param {Object} [options]
+ * @param {string} [options.dbName] - Database name
+ * @param {string} [options.storeName] - Object store name
+ * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation
+ * @returns {Object} Outbox storage ({ load, save })
+ */
+export const createIndexedDbOutboxStorage = (options = {}) => {
+  const {
+    dbName = 'favorites-store',
+    storeName = 'outbox',
+    indexedDB = globalThis.indexedDB
+  } = options;
+  
+  let dbPromise = null;
+  
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request - Request to await
+   * @returns {Promise<*>} Request result
+   */
+  const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  
+  /**
+   * Open (and create on first use) the outbox database
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  const openDb = () => {
+    if (!indexedDB) {
+      return Promise.reject(new Error('IndexedDB is not available in this environment'));
+    }
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName, { keyPath: 'id' });
+      };
+      dbPromise = promisify(request);
+    }
+    return dbPromise;
+  };
+  
+  return {
+    name: 'indexedDB',
+    
+    async load() {
+      const db = await openDb();
+      const entries = await promisify(db.transaction(storeName, 'readonly').objectStore(storeName).getAll());
+      return entries.sort((a, b) => a.id - b.id);
+    },
+    
+    async save(entries) {
+      const db = await openDb();
+      const transaction = db.transaction(storeName, 'readwrite');
+      const store = transaction.objectStore(storeName);
+      store.clear();
+      entries.forEach(entry => store.put(entry));
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    }
+  };
+};
+
+/**
+ * Pick the most durable storage available in this environment
+ * @returns {Object} IndexedDB storage in browsers, memory storage elsewhere
+ */
+export const createDefaultOutboxStorage = () => (
+  globalThis.indexedDB ? createIndexedDbOutboxStorage() : createMemoryOutboxStorage()
+);
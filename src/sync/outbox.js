@@ -0,0 +1,499 @@
+/**
+ * =============================================================================
+ * OUTBOX - DURABLE QUEUE OF UNSAVED CHANGES
+ * =============================================================================
+ * 
+ * When the persistence backend cannot be reached, actions still update local
+ * state and hand their persistence operations to the outbox. The outbox keeps
+ * them in a durable storage backend and replays them, in order, once the
+ * backend is reachable again.
+ * 
+ * Responsibilities:
+ * - Persist pending operations so they survive reloads/restarts
+ * - Replay operations strictly in FIFO order
+ * - Retry failed operations with exponential backoff
+ * - Resolve conflicts (backend already in the desired state)
+ * - Broadcast sync status so a UI can show "3 changes not yet saved"
+ * 
+ * Design Principles:
+ * - Local-first: the UI never waits for the network to show a change
+ * - Ordering: a later operation never overtakes an earlier one
+ * - Durability: storage is pluggable (memory, IndexedDB, JSON file)
+ */
+
+import { createObserverManager } from '../observers/observer-manager.js';
+import { applyOperation, OPERATION_TYPES } from '../persistence/persistence-adapter.js';
+import { createMemoryOutboxStorage } from './outbox-storage.js';
+
+/**
+ * Operations a queued clear makes redundant. A clear removes every favorite,
+ * and with them their tags, collection membership and order; collections stay.
+ */
+const CLEARED_OPERATION_TYPES = new Set([
+  'add', 'remove', 'clear', 'update',
+  'tag', 'untag', 'renameTag',
+  'moveToCollection', 'reorder'
+]);
+
+/**
+ * Creates an outbox that replays queued operations into a persistence adapter
+ * 
+ * @param {Object} options
+ * @param {Object} options.persistence - Adapter to replay operations into
+ * @param {Object} [options.storage] - Outbox storage backend ({ load, save })
+ * @param {number} [options.maxRetries=5] - Attempts per entry before it is moved to failed
+ * @param {number} [options.baseDelayMs=1000] - First retry delay (doubles per attempt)
+ * @param {number} [options.maxDelayMs=30000] - Upper bound for retry delays
+ * @param {Function} [options.checkConnectivity] - async () => boolean, checked before replaying
+ * @param {Function} [options.onConflict] - (entry, results) => void, called when the backend
+ *   reports nothing changed (e.g. favorite already present)
+ * @param {boolean} [options.autoReplay=true] - Schedule replays automatically
+ * @returns {Object} Outbox API
+ */
+export const createOutbox = (options = {}) => {
+  const {
+    persistence,
+    storage: initialStorage = createMemoryOutboxStorage(),
+    maxRetries = 5,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    checkConnectivity = typeof persistence?.ping === 'function' ? () => persistence.ping() : null,
+    onConflict = null,
+    autoReplay = true
+  } = options;
+  
+  if (!persistence) {
+    throw new Error('Outbox requires a persistence adapter');
+  }
+
+  // ==========================================================================
+  // PRIVATE STATE
+  // ==========================================================================
+  
+  /**
+   * Pending entries in FIFO order
+   * Entry: { id, operations, label, enqueuedAt, attempts, nextAttemptAt, lastError }
+   */
+  let entries = [];
+  
+  /**
+   * Where entries are saved. releaseStorage() hands it over to another
+   * outbox and queues in memory until attachStorage().
+   */
+  let storage = initialStorage;
+  let isReleased = false;
+  
+  /**
+   * Sends new entries to another outbox (see forwardTo())
+   */
+  let forwardEntry = null;
+  
+  /**
+   * Entries that exhausted their retries (kept for inspection)
+   */
+  const failedEntries = [];
+  
+  const statusObservers = createObserverManager();
+  const counters = { replayed: 0, conflicts: 0, failed: 0 };
+  
+  let nextId = 1;
+  let isReplaying = false;
+  let replayPromise = null;
+  let retryTimer = null;
+  let retryAt = 0;
+  let lastError = null;
+  let lastSyncedAt = null;
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+  
+  /**
+   * Validate and copy operations so callers cannot mutate queued data
+   * @param {Object|Object[]} operations - One operation or a bulk list
+   * @returns {Object[]} Copied operations
+   */
+  const normalizeOperations = (operations) => {
+    const list = Array.isArray(operations) ? operations : [operations];
+    if (list.length === 0) {
+      throw new Error('Outbox entries need at least one operation');
+    }
+    return list.map(operation => {
+      if (!OPERATION_TYPES.includes(operation?.type)) {
+        throw new Error(`Unknown persistence operation: ${operation?.type}`);
+      }
+      return JSON.parse(JSON.stringify(operation));
+    });
+  };
+  
+  /**
+   * Copy an entry for callers
+   * @param {Object} entry - Internal entry
+   * @returns {Object} Deep copy
+   */
+  const copyEntry = (entry) => JSON.parse(JSON.stringify(entry));
+  
+  /**
+   * Compute the current sync status
+   * @returns {Object} Status snapshot
+   */
+  const buildStatus = () => {
+    let state = 'idle';
+    if (isReplaying) state = 'syncing';
+    else if (lastError && entries.length > 0) state = 'error';
+    else if (entries.length > 0) state = 'pending';
+    
+    return {
+      state,
+      pendingCount: entries.length,
+      failedCount: failedEntries.length,
+      replayedCount: counters.replayed,
+      conflictCount: counters.conflicts,
+      lastError: lastError ? lastError.message : null,
+      lastSyncedAt
+    };
+  };
+  
+  const notifyStatus = () => statusObservers.notifyAll(buildStatus());
+  
+  const save = () => storage.save(entries.map(copyEntry));
+  
+  /**
+   * Delay before the next attempt of an entry
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  const backoffDelay = (attempts) => Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+  
+  /**
+   * Schedule a replay at the given time (keeps the earliest pending timer)
+   * @param {number} delayMs - Delay before replaying
+   */
+  const scheduleReplay = (delayMs) => {
+    if (!autoReplay || entries.length === 0) return;
+    const runAt = Date.now() + Math.max(0, delayMs);
+    if (retryTimer && retryAt <= runAt) return;
+    if (retryTimer) clearTimeout(retryTimer);
+    retryAt = runAt;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      outbox.replay().catch(error => console.error('Outbox replay failed:', error));
+    }, Math.max(0, delayMs));
+    // Never keep a Node process alive just to retry
+    retryTimer.unref?.();
+  };
+  
+  /**
+   * Load entries persisted by a previous session
+   */
+  const ready = (async () => {
+    try {
+      const source = storage;
+      const stored = await source.load();
+      // Released while loading: the entries stay saved for the new owner
+      if (source !== storage) return;
+      entries = Array.isArray(stored) ? stored.concat(entries) : entries;
+      nextId = entries.reduce((max, entry) => Math.max(max, entry.id + 1), nextId);
+      if (entries.length > 0) {
+        notifyStatus();
+        scheduleReplay(0);
+      }
+    } catch (error) {
+      console.error('Failed to load outbox entries:', error);
+    }
+  })();
+  
+  /**
+   * Remove an entry by id; a clear enqueued mid-write may have dropped it already
+   * @param {Object} entry - The entry that was being replayed
+   */
+  const dequeue = (entry) => {
+    entries = entries.filter(queued => queued.id !== entry.id);
+  };
+  
+  /**
+   * Replay the entries in order until one fails or the queue is empty
+   */
+  const runReplay = async () => {
+    await ready;
+    
+    if (checkConnectivity) {
+      let isReachable = false;
+      try {
+        isReachable = await checkConnectivity();
+      } catch {
+        isReachable = false;
+      }
+      if (!isReachable) {
+        lastError = new Error('Persistence backend unreachable');
+        notifyStatus();
+        scheduleReplay(backoffDelay((entries[0]?.attempts || 0) + 1));
+        return;
+      }
+    }
+    
+    isReplaying = true;
+    notifyStatus();
+    
+    try {
+      while (entries.length > 0) {
+        const entry = entries[0];
+        
+        // Respect the entry's backoff; later entries must wait for it
+        if (entry.nextAttemptAt && entry.nextAttemptAt > Date.now()) {
+          scheduleReplay(entry.nextAttemptAt - Date.now());
+          break;
+        }
+        
+        try {
+          const results = entry.operations.length === 1
+            ? [await applyOperation(persistence, entry.operations[0])]
+            : await persistence.batch(entry.operations);
+          
+          // Backend answered but nothing changed: it already reflects the change
+          if (results.every(result => result === false)) {
+            counters.conflicts++;
+            onConflict?.(copyEntry(entry), results);
+          }
+          
+          dequeue(entry);
+          counters.replayed++;
+          lastError = null;
+          lastSyncedAt = new Date().toISOString();
+          await save();
+          notifyStatus();
+          
+        } catch (error) {
+          // Dropped or trimmed by a clear while the write was in flight
+          if (!entries.includes(entry)) continue;
+          
+          entry.attempts++;
+          entry.lastError = error.message;
+          lastError = error;
+          
+          if (entry.attempts >= maxRetries) {
+            // Give up on this entry so it cannot block the queue forever
+            dequeue(entry);
+            failedEntries.push(entry);
+            counters.failed++;
+            console.error(`Outbox entry ${entry.id} failed after ${entry.attempts} attempts:`, error.message);
+            await save();
+            notifyStatus();
+            continue;
+          }
+          
+          entry.nextAttemptAt = Date.now() + backoffDelay(entry.attempts);
+          await save();
+          scheduleReplay(backoffDelay(entry.attempts));
+          break;
+        }
+      }
+    } finally {
+      isReplaying = false;
+      notifyStatus();
+    }
+  };
+
+  // ==========================================================================
+  // PUBLIC API
+  // ==========================================================================
+  
+  const outbox = {
+    /**
+     * Queue operations that could not be persisted yet
+     * @param {Object|Object[]} operations - One operation or a bulk list
+     * @param {{ label?: string }} [meta] - Human-readable description
+     * @returns {Promise<Object>} The queued entry
+     */
+    async enqueue(operations, meta = {}) {
+      const normalized = normalizeOperations(operations);
+      if (forwardEntry) {
+        try {
+          const forwarded = await forwardEntry(normalized, meta);
+          if (forwarded) return forwarded;
+        } catch (error) {
+          console.error('Could not forward outbox entry, queuing it here:', error.message);
+        }
+      }
+      await ready;
+      
+      // A clear supersedes every favorite change queued before it; collection
+      // changes keep their place (entries left empty are dropped)
+      if (normalized.length === 1 && normalized[0].type === 'clear') {
+        entries = entries.flatMap(queued => {
+          const kept = queued.operations.filter(op => !CLEARED_OPERATION_TYPES.has(op.type));
+          if (kept.length === queued.operations.length) return [queued];
+          return kept.length > 0 ? [{ ...queued, operations: kept }] : [];
+        });
+      }
+      
+      const entry = {
+        id: nextId++,
+        operations: normalized,
+        label: meta.label || normalized.map(op => `${op.type}${op.url ? ` ${op.url}` : ''}`).join(', '),
+        enqueuedAt: new Date().toISOString(),
+        attempts: 0,
+        nextAttemptAt: null,
+        lastError: null
+      };
+      entries.push(entry);
+      
+      await save();
+      notifyStatus();
+      scheduleReplay(backoffDelay(1));
+      
+      return copyEntry(entry);
+    },
+
+    /**
+     * Replay pending entries now (shared if a replay is already running)
+     * @returns {Promise<Object>} Sync status after the replay
+     */
+    replay() {
+      if (!replayPromise) {
+        replayPromise = runReplay().finally(() => {
+          replayPromise = null;
+        });
+      }
+      return replayPromise.then(buildStatus);
+    },
+
+    /**
+     * Check whether anything is waiting to be saved
+     * @returns {boolean} True if entries are pending
+     */
+    hasPending() {
+      return entries.length > 0;
+    },
+
+    /**
+     * Get pending entries in replay order
+     * @returns {Object[]} Copies of pending entries
+     */
+    getPending() {
+      return entries.map(copyEntry);
+    },
+
+    /**
+     * Get entries that exhausted their retries
+     * @returns {Object[]} Copies of failed entries
+     */
+    getFailed() {
+      return failedEntries.map(copyEntry);
+    },
+
+    /**
+     * Get the current sync status
+     * @returns {Object} { state, pendingCount, failedCount, replayedCount, conflictCount, lastError, lastSyncedAt }
+     */
+    getStatus() {
+      return buildStatus();
+    },
+
+    /**
+     * Subscribe to sync status changes
+     * @param {Function} callback - Called with the status snapshot
+     * @returns {Function} Disposer (call it, or pass it or the callback to unsubscribe)
+     */
+    subscribe(callback) {
+      return statusObservers.subscribe(callback, buildStatus());
+    },
+
+    /**
+     * Unsubscribe from sync status changes
+     * @param {Function} callback - The callback or its disposer
+     * @returns {boolean} True if removed
+     */
+    unsubscribe(callback) {
+      return statusObservers.unsubscribe(callback);
+    },
+
+    /**
+     * Resolves once entries from previous sessions are loaded
+     * @returns {Promise<void>}
+     */
+    whenReady() {
+      return ready;
+    },
+
+    /**
+     * Take over a storage shared with other outboxes (e.g. the one released
+     * by the previous cross-tab leader): entries saved there are queued ahead
+     * of this outbox's own, and every change is saved there from now on
+     * @param {Object} shared - Outbox storage ({ load, save })
+     * @returns {Promise<void>}
+     */
+    async attachStorage(shared) {
+      await ready;
+      const stored = await shared.load();
+      // Entries are renumbered below, so no replay may be using their ids
+      while (replayPromise) await replayPromise;
+      
+      const adopted = Array.isArray(stored) ? stored : [];
+      nextId = adopted.reduce((max, entry) => Math.max(max, entry.id + 1), 1);
+      entries.forEach(entry => { entry.id = nextId++; });
+      entries = adopted.concat(entries);
+      storage = shared;
+      isReleased = false;
+      
+      await save();
+      notifyStatus();
+      scheduleReplay(0);
+    },
+
+    /**
+     * Hand the storage over to another outbox (e.g. when this tab stops being
+     * the cross-tab leader): pending entries stay saved there for the next
+     * owner, and this outbox continues with an empty in-memory queue.
+     * Stops using the storage right away, even before it finished loading.
+     * @returns {Promise<Object|null>} The released storage (null if already released)
+     */
+    async releaseStorage() {
+      if (isReleased) return null;
+      const released = storage;
+      storage = createMemoryOutboxStorage();
+      isReleased = true;
+      
+      await ready;
+      while (replayPromise) await replayPromise;
+      const handedOver = entries.map(copyEntry);
+      entries = [];
+      notifyStatus();
+      if (handedOver.length > 0) {
+        await released.save(handedOver);
+      }
+      return released;
+    },
+
+    /**
+     * Send new entries to another outbox instead of queuing them here (e.g.
+     * to the cross-tab leader's). Entries are queued here when the forwarder
+     * resolves null or rejects.
+     * @param {Function|null} forward - async (operations, meta) => entry|null; null stops forwarding
+     */
+    forwardTo(forward) {
+      forwardEntry = forward;
+    },
+
+    /**
+     * Stop automatic retries (e.g. on teardown)
+     */
+    stop() {
+      if (retryTimer) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+      }
+      globalThis.removeEventListener?.('online', handleOnline);
+    }
+  };
+  
+  // Browsers tell us when connectivity returns; replay right away
+  const handleOnline = () => {
+    outbox.replay().catch(error => console.error('Outbox replay failed:', error));
+  };
+  if (autoReplay) {
+    globalThis.addEventListener?.('online', handleOnline);
+  }
+  
+  return outbox;
+};
@@ -22,6 +22,15 @@ export const normalizeUrl = (url) => {
   return `https://${trimmed}`;
 };
 
+// Lower-case host without a leading "www." ('' for unparseable input)
+export const getDomain = (url) => {
+  try {
+    return new URL(normalizeUrl(url)).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+};
+
 // No static domain map: prefer real titles via proxy; this is a heuristic fallback
 
 export const deriveDisplayName = (fullUrl) => {
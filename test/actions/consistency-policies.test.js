@@ -0,0 +1,76 @@
+// Consistency policy unit tests
+// Purpose: Verify strict, best-effort and optimistic behaviour when persistence fails, and that history only records successes.
+import { expect } from 'chai';
+import { createConsistencyPolicy } from '../../src/actions/consistency-policies.js';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+// Store over an in-memory backend that can be taken offline
+function makeStore(consistency) {
+  const persistence = createMemoryPersistence();
+  const store = createFavoritesStore({ persistence, consistency });
+  const notifications = [];
+  store.subscribe(favorites => notifications.push(Array.from(favorites.keys())));
+  notifications.length = 0; // drop the initial-state call
+  return { store, persistence, notifications };
+}
+
+describe('Consistency policies', () => {
+  it('rejects unknown modes', () => {
+    expect(() => createConsistencyPolicy('eventual')).to.throw('Unknown consistency mode: eventual');
+    expect(createConsistencyPolicy().name).to.equal('best-effort');
+  });
+
+  it('strict fails the action and leaves state and history unchanged', async () => {
+    const { store, persistence, notifications } = makeStore('strict');
+    persistence.setOnline(false);
+
+    expect(await store.addFavorite('https://a.com')).to.equal(false);
+    expect(store.isFavorite('https://a.com')).to.equal(false);
+    expect(store.canUndo()).to.equal(false);
+    expect(notifications).to.deep.equal([]);
+
+    persistence.setOnline(true);
+    expect(await store.addFavorite('https://a.com')).to.equal(true);
+    expect(persistence.getUrls()).to.deep.equal(['https://a.com']);
+  });
+
+  it('strict keeps an action in history when its undo cannot be persisted', async () => {
+    const { store, persistence } = makeStore('strict');
+    await store.addFavorite('https://a.com');
+
+    persistence.setOnline(false);
+    expect(await store.undo()).to.equal(false);
+    expect(store.isFavorite('https://a.com')).to.equal(true);
+    expect(store.canUndo()).to.equal(true);
+  });
+
+  it('best-effort keeps the local change when persistence fails', async () => {
+    const { store, persistence } = makeStore('best-effort');
+    persistence.setOnline(false);
+
+    expect(await store.addFavorite('https://a.com')).to.equal(true);
+    expect(store.isFavorite('https://a.com')).to.equal(true);
+    expect(store.canUndo()).to.equal(true);
+    expect(persistence.getUrls()).to.deep.equal([]);
+  });
+
+  it('optimistic shows the change first and rolls back with a notification on rejection', async () => {
+    const { store, persistence, notifications } = makeStore('optimistic');
+    persistence.setOnline(false);
+
+    expect(await store.addFavorite('https://a.com')).to.equal(false);
+    expect(store.isFavorite('https://a.com')).to.equal(false);
+    expect(store.canUndo()).to.equal(false);
+    expect(notifications).to.deep.equal([['https://a.com'], []]);
+  });
+
+  it('optimistic records the action once the server accepts it', async () => {
+    const { store, persistence } = makeStore('optimistic');
+
+    expect(await store.addFavorite('https://a.com')).to.equal(true);
+    expect(persistence.getUrls()).to.deep.equal(['https://a.com']);
+    expect(store.canUndo()).to.equal(true);
+    expect(store.getStatistics().consistency).to.equal('optimistic');
+  });
+});
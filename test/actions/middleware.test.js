@@ -0,0 +1,74 @@
+// Action middleware unit tests
+// Purpose: Verify middleware can normalize params, veto with a reason, enrich history metadata and observe results in onion order.
+import { expect } from 'chai';
+import { composeMiddleware } from '../../src/actions/middleware.js';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+describe('Action middleware', () => {
+  it('normalizes params, vetoes with a reason and enriches metadata', async () => {
+    const canonicalize = async (ctx, next) => {
+      if (ctx.params.url) ctx.params.url = ctx.params.url.trim().replace(/\/+$/, '');
+      return next();
+    };
+    const blockHttp = async (ctx, next) => {
+      if (ctx.params.url?.startsWith('http:')) return ctx.reject('Only https URLs are allowed');
+      return next();
+    };
+    const quota = async (ctx, next) => {
+      if (ctx.type === 'ADD_FAVORITE' && ctx.getState().size >= 2) return ctx.reject('Quota of 2 favorites reached');
+      return next();
+    };
+    const audit = async (ctx, next) => {
+      ctx.meta.user = 'alice';
+      return next();
+    };
+    const store = createFavoritesStore({ persistence: createMemoryPersistence(), middleware: [canonicalize, blockHttp, quota, audit] });
+    const rejected = [];
+    store.on('action:rejected', ({ type, reason }) => rejected.push([type, reason]));
+
+    expect(await store.addFavorite('  https://a.com/  ', { displayName: 'A' })).to.equal(true);
+    expect(store.getFavorite('https://a.com').displayName).to.equal('A');
+    expect(await store.addFavorite('http://insecure.com')).to.equal(false);
+    expect(await store.addFavorite('https://b.com')).to.equal(true);
+    expect(await store.addFavorite('https://c.com')).to.equal(false);
+
+    expect(store.getAllFavorites()).to.deep.equal(['https://a.com', 'https://b.com']);
+    expect(rejected).to.deep.equal([
+      ['ADD_FAVORITE', 'Only https URLs are allowed'],
+      ['ADD_FAVORITE', 'Quota of 2 favorites reached']
+    ]);
+    const { actions } = store.getActionHistory();
+    expect(actions[0].meta).to.deep.equal({ user: 'alice' });
+
+    // Metadata survives a history export/import
+    const copy = createFavoritesStore({ persistence: createMemoryPersistence() });
+    await copy.importHistory(store.exportHistory());
+    expect(copy.getActionHistory().actions[1].meta).to.deep.equal({ user: 'alice' });
+  });
+
+  it('lets outer middleware observe results after next()', async () => {
+    const log = [];
+    const observe = (name) => async (ctx, next) => {
+      log.push(`${name} before ${ctx.type}`);
+      const result = await next();
+      log.push(`${name} after ${ctx.rejection ? `rejected: ${ctx.rejection.reason}` : `${ctx.action.type} -> ${ctx.result}`}`);
+      return result;
+    };
+    const vetoClear = async (ctx, next) => (ctx.type === 'CLEAR_ALL' ? ctx.reject('Clearing is disabled') : next());
+    const store = createFavoritesStore({ persistence: createMemoryPersistence(), middleware: [observe('outer'), observe('inner'), vetoClear] });
+
+    await store.addFavorite('https://a.com');
+    await store.clearAll();
+
+    expect(log).to.deep.equal([
+      'outer before ADD_FAVORITE', 'inner before ADD_FAVORITE', 'inner after ADD_FAVORITE -> true', 'outer after ADD_FAVORITE -> true',
+      'outer before CLEAR_ALL', 'inner before CLEAR_ALL', 'inner after rejected: Clearing is disabled', 'outer after rejected: Clearing is disabled'
+    ]);
+    const twice = composeMiddleware([async (ctx, next) => { await next(); return next(); }]);
+    await twice({}, async () => true).then(() => { throw new Error('should reject'); }, error => {
+      expect(error.message).to.equal('next() called more than once');
+    });
+    expect(() => composeMiddleware(['nope'])).to.throw('Middleware at index 0 must be a function');
+  });
+});
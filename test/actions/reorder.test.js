@@ -0,0 +1,92 @@
+// Manual order unit tests
+// Purpose: Verify MOVE_FAVORITE renumbers the manual order, undoes to the previous order with the same sortOrder values locally and in the backend, persists through the reorder operation, and survives history jumps.
+import { expect } from 'chai';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+import { getManualOrder } from '../../src/store/state-store.js';
+
+const seeded = async () => {
+  const persistence = createMemoryPersistence({ initial: ['https://a.com', 'https://b.com', 'https://c.com'] });
+  const store = createFavoritesStore({ persistence });
+  await store.loadFromPersistence();
+  return { persistence, store };
+};
+
+const orderOf = (store) => store.query({ sortBy: 'manual' }).records.map(record => record.url);
+const persistedOrder = async (persistence) => getManualOrder(await persistence.list());
+
+describe('Manual order', () => {
+  it('moves favorites, clamps the index and undoes to the previous order', async () => {
+    const { persistence, store } = await seeded();
+
+    expect(await store.moveFavorite('https://c.com', 0)).to.equal(true);
+    expect(orderOf(store)).to.deep.equal(['https://c.com', 'https://a.com', 'https://b.com']);
+    expect(store.getFavorite('https://b.com').sortOrder).to.equal(2);
+    expect(await persistedOrder(persistence)).to.deep.equal(orderOf(store));
+
+    expect(await store.moveFavorite('https://a.com', 10)).to.equal(true);
+    expect(orderOf(store)).to.deep.equal(['https://c.com', 'https://b.com', 'https://a.com']);
+    expect(await store.moveFavorite('https://a.com', 2)).to.equal(false);
+    expect(await store.moveFavorite('https://missing.com', 0)).to.equal(false);
+
+    await store.undo();
+    await store.undo();
+    expect(orderOf(store)).to.deep.equal(['https://a.com', 'https://b.com', 'https://c.com']);
+    expect(store.getFavorite('https://a.com').sortOrder).to.equal(0);
+    expect(await persistedOrder(persistence)).to.deep.equal(orderOf(store));
+
+    await store.redo();
+    expect(orderOf(store)).to.deep.equal(['https://c.com', 'https://a.com', 'https://b.com']);
+
+    let error = null;
+    try { await store.moveFavorite('https://a.com', -1); } catch (caught) { error = caught; }
+    expect(error?.message).to.equal('toIndex must be a non-negative integer');
+  });
+
+  it('undoes a move to the same sortOrder values locally as it sends to the backend', async () => {
+    const persistence = createMemoryPersistence({
+      initial: [{ url: 'https://a.com', sortOrder: 0 }, { url: 'https://b.com', sortOrder: 1 }, 'https://c.com', 'https://d.com']
+    });
+    const store = createFavoritesStore({ persistence });
+    await store.loadFromPersistence();
+    const sent = [];
+    const reorderFavorites = persistence.reorderFavorites;
+    persistence.reorderFavorites = (urls, startIndex) => { sent.push(urls); return reorderFavorites(urls, startIndex); };
+    const sortOrders = (records) => Object.fromEntries(records.map(record => [record.url, record.sortOrder]));
+
+    await store.moveFavorite('https://d.com', 0);
+    await store.undo();
+    const local = sortOrders(store.getFavoriteRecords());
+    expect(sortOrders(await persistence.list())).to.deep.equal(local);
+    expect(sent[sent.length - 1]).to.deep.equal(['https://a.com', 'https://b.com', 'https://c.com', 'https://d.com']);
+    expect(local).to.deep.equal({ 'https://a.com': 0, 'https://b.com': 1, 'https://c.com': 2, 'https://d.com': 3 });
+  });
+
+  it('keeps new favorites last and restores a removed favorite at its place', async () => {
+    const { persistence, store } = await seeded();
+    await store.moveFavorite('https://a.com', 2);
+    await store.addFavorite('https://d.com');
+    expect(orderOf(store)).to.deep.equal(['https://b.com', 'https://c.com', 'https://a.com', 'https://d.com']);
+
+    await store.removeFavorite('https://c.com');
+    await store.undo();
+    expect(orderOf(store)).to.deep.equal(['https://b.com', 'https://c.com', 'https://a.com', 'https://d.com']);
+    expect(await persistedOrder(persistence)).to.deep.equal(orderOf(store));
+  });
+
+  it('persists the order when jumping through history in one batch', async () => {
+    const { persistence, store } = await seeded();
+    await store.moveFavorite('https://c.com', 0);
+    await store.moveFavorite('https://b.com', 0);
+    expect(orderOf(store)).to.deep.equal(['https://b.com', 'https://c.com', 'https://a.com']);
+
+    const batches = [];
+    const batch = persistence.batch;
+    persistence.batch = (operations) => { batches.push(operations.map(op => op.type)); return batch(operations); };
+
+    expect(await store.goToHistory(-1)).to.equal(true);
+    expect(orderOf(store)).to.deep.equal(['https://a.com', 'https://b.com', 'https://c.com']);
+    expect(await persistedOrder(persistence)).to.deep.equal(orderOf(store));
+    expect(batches).to.deep.equal([['reorder', 'reorder']]);
+  });
+});
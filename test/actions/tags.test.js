@@ -0,0 +1,84 @@
+// Tag actions unit tests
+// Purpose: Verify addTag/removeTag/renameTag are undoable, keep the tag index and persistence in step, and merge tags on rename.
+import { expect } from 'chai';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+const tagsOf = async (persistence, url) => (await persistence.list()).find(record => record.url === url).tags;
+
+describe('Tag actions', () => {
+  it('adds and removes tags with undo/redo, in the store and in persistence', async () => {
+    const persistence = createMemoryPersistence({ initial: ['https://a.com'] });
+    const store = createFavoritesStore({ persistence });
+    await store.loadFromPersistence();
+
+    expect(await store.addTag('https://a.com', ' Docs ')).to.equal(true);
+    expect(await store.addTag('https://a.com', 'docs')).to.equal(false);
+    expect(await store.addTag('https://missing.com', 'docs')).to.equal(false);
+    await store.addTag('https://a.com', 'api');
+    expect(store.getTags()).to.deep.equal([{ tag: 'api', count: 1 }, { tag: 'docs', count: 1 }]);
+    expect(await tagsOf(persistence, 'https://a.com')).to.deep.equal(['docs', 'api']);
+
+    expect(await store.removeTag('https://a.com', 'docs')).to.equal(true);
+    expect(store.getFavoritesByTag('docs')).to.deep.equal([]);
+
+    // Undo restores the tag at its original position (adapters keep tags as a set)
+    await store.undo();
+    expect(store.getFavoritesByTag('docs').map(record => record.tags)).to.deep.equal([['docs', 'api']]);
+    expect(await tagsOf(persistence, 'https://a.com')).to.have.members(['docs', 'api']);
+
+    await store.redo();
+    expect(await tagsOf(persistence, 'https://a.com')).to.deep.equal(['api']);
+
+    let error;
+    try {
+      await store.addTag('https://a.com', 'a,b');
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.equal('Tag cannot contain commas');
+  });
+
+  it('renames a tag on every favorite and undoes a merging rename', async () => {
+    const persistence = createMemoryPersistence();
+    const store = createFavoritesStore({ persistence });
+    await store.addFavorite('https://a.com', { tags: ['js'] });
+    await store.addFavorite('https://b.com', { tags: ['javascript', 'js'] });
+    await store.addFavorite('https://c.com', { tags: ['css'] });
+
+    expect(await store.renameTag('js', 'javascript')).to.equal(true);
+    expect(store.getTags()).to.deep.equal([{ tag: 'css', count: 1 }, { tag: 'javascript', count: 2 }]);
+    expect(await tagsOf(persistence, 'https://b.com')).to.deep.equal(['javascript']);
+    expect(store.query({ tags: ['javascript'] }).total).to.equal(2);
+
+    await store.undo();
+    expect(store.getTags()).to.deep.equal([
+      { tag: 'css', count: 1 }, { tag: 'javascript', count: 1 }, { tag: 'js', count: 2 }
+    ]);
+    expect(await tagsOf(persistence, 'https://b.com')).to.deep.equal(['javascript', 'js']);
+    expect(await tagsOf(persistence, 'https://a.com')).to.deep.equal(['js']);
+
+    expect(await store.renameTag('unused', 'other')).to.equal(false);
+  });
+
+  it('keeps tag actions as separate history entries that survive export/import', async () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence({ initial: ['https://a.com'] }) });
+    await store.loadFromPersistence();
+    await store.addTag('https://a.com', 'one');
+    await store.addTag('https://a.com', 'two');
+    expect(store.getActionHistory().totalActions).to.equal(2);
+    await store.undo();
+
+    const copy = createFavoritesStore({
+      persistence: createMemoryPersistence({ initial: [{ url: 'https://a.com', tags: ['one'] }] })
+    });
+    await copy.loadFromPersistence();
+    expect(await copy.importHistory(store.exportHistory())).to.equal(2);
+
+    expect(await copy.redo()).to.equal(true);
+    expect(copy.getFavorite('https://a.com').tags).to.deep.equal(['one', 'two']);
+    await copy.undo();
+    await copy.undo();
+    expect(copy.getTags()).to.deep.equal([]);
+  });
+});
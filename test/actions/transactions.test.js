@@ -0,0 +1,127 @@
+// Transaction (composite command) unit tests
+// Purpose: Verify store.transaction applies steps atomically, persists in one batch, rolls back on failure and forms one history entry.
+import { expect } from 'chai';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+// Memory adapter that counts batch calls
+function makePersistence(initial = []) {
+  const persistence = createMemoryPersistence({ initial });
+  const batch = persistence.batch;
+  persistence.batchCalls = 0;
+  persistence.batch = async (operations) => {
+    persistence.batchCalls++;
+    return batch(operations);
+  };
+  return persistence;
+}
+
+describe('Transactions', () => {
+  it('applies all steps as one history entry with child details', async () => {
+    const persistence = makePersistence();
+    const store = createFavoritesStore({ persistence });
+    await store.addFavorite('https://old.com');
+    let notifications = 0;
+    store.subscribe(() => { notifications++; });
+    notifications = 0;
+
+    const result = await store.transaction(async tx => {
+      tx.remove('https://old.com');
+      tx.add('https://a.com', { displayName: 'A' });
+      tx.add('https://b.com');
+    });
+
+    expect(result).to.equal(true);
+    expect(store.getAllFavorites()).to.deep.equal(['https://a.com', 'https://b.com']);
+    expect(store.getFavorite('https://a.com').displayName).to.equal('A');
+    expect(persistence.getUrls()).to.deep.equal(['https://a.com', 'https://b.com']);
+    expect(persistence.batchCalls).to.equal(1);
+    expect(notifications).to.equal(1);
+
+    const history = store.getActionHistory();
+    expect(history.totalActions).to.equal(2);
+    const entry = history.actions[1];
+    expect(entry.type).to.equal('TRANSACTION');
+    expect(entry.children.map(c => c.type)).to.deep.equal(['REMOVE_FAVORITE', 'ADD_FAVORITE', 'ADD_FAVORITE']);
+  });
+
+  it('undoes and redoes the whole group at once', async () => {
+    const persistence = makePersistence();
+    const store = createFavoritesStore({ persistence });
+    await store.addFavorite('https://keep.com');
+
+    await store.transaction(tx => {
+      tx.clear();
+      tx.add('https://new.com');
+    });
+    expect(store.getAllFavorites()).to.deep.equal(['https://new.com']);
+
+    expect(await store.undo()).to.equal(true);
+    expect(store.getAllFavorites()).to.deep.equal(['https://keep.com']);
+    expect(persistence.getUrls()).to.deep.equal(['https://keep.com']);
+
+    expect(await store.redo()).to.equal(true);
+    expect(store.getAllFavorites()).to.deep.equal(['https://new.com']);
+    expect(persistence.getUrls()).to.deep.equal(['https://new.com']);
+  });
+
+  it('leaves state untouched when a step is invalid', async () => {
+    const store = createFavoritesStore({ persistence: makePersistence() });
+    await store.addFavorite('https://a.com');
+
+    let error;
+    try {
+      await store.transaction(tx => {
+        tx.remove('https://a.com');
+        tx.add('');
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error?.message).to.equal('URL must be a non-empty string');
+    expect(store.getAllFavorites()).to.deep.equal(['https://a.com']);
+    expect(store.getActionHistory().totalActions).to.equal(1);
+  });
+
+  it('rolls back every step and compensates a partial batch in strict mode', async () => {
+    const persistence = makePersistence();
+    const store = createFavoritesStore({ persistence, consistency: 'strict' });
+    await store.addFavorite('https://a.com');
+
+    // Sequential batch that fails on its second operation
+    const add = persistence.add;
+    persistence.batch = async (operations) => {
+      const results = [];
+      for (const op of operations) {
+        if (op.url === 'https://bad.com') throw new Error('rejected');
+        results.push(op.type === 'add' ? await add(op.url, op.details) : await persistence.remove(op.url));
+      }
+      return results;
+    };
+
+    const result = await store.transaction(tx => {
+      tx.add('https://b.com');
+      tx.add('https://bad.com');
+    });
+
+    expect(result).to.equal(false);
+    expect(store.getAllFavorites()).to.deep.equal(['https://a.com']);
+    expect(persistence.getUrls()).to.deep.equal(['https://a.com']);
+    expect(store.getActionHistory().totalActions).to.equal(1);
+  });
+
+  it('tx.has reflects the steps recorded so far', async () => {
+    const store = createFavoritesStore({ persistence: makePersistence() });
+    await store.addFavorite('https://a.com');
+
+    const seen = [];
+    await store.transaction(tx => {
+      seen.push(tx.has('https://a.com'));
+      tx.remove('https://a.com');
+      seen.push(tx.has('https://a.com'));
+    });
+
+    expect(seen).to.deep.equal([true, false]);
+  });
+});
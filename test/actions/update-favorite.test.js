@@ -0,0 +1,78 @@
+// Update favorite unit tests
+// Purpose: Verify UPDATE_FAVORITE edits display names and notes with undo and redo, leaves the resource's default name alone, validates its fields, keeps edits of one favorite in order, and persists through the update operation.
+import { expect } from 'chai';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+describe('Update favorite', () => {
+  it('edits the display name and notes with undo and redo', async () => {
+    const persistence = createMemoryPersistence({ initial: [{ url: 'https://mochajs.org', displayName: 'mochajs.org', notes: 'old' }] });
+    const store = createFavoritesStore({ persistence });
+    await store.loadFromPersistence();
+    const persisted = async () => (await persistence.list())[0];
+
+    expect(await store.updateFavorite('https://mochajs.org', { displayName: '  Mocha  ' })).to.equal(true);
+    expect(store.getFavorite('https://mochajs.org')).to.include({ displayName: 'Mocha', notes: 'old' });
+    expect(await store.updateFavorite('https://mochajs.org', { notes: '', displayName: 'Mocha' })).to.equal(true);
+    expect(await persisted()).to.include({ displayName: 'Mocha', notes: null });
+    expect(await store.updateFavorite('https://mochajs.org', { displayName: 'Mocha' })).to.equal(false);
+
+    await store.undo();
+    expect(store.getFavorite('https://mochajs.org')).to.include({ displayName: 'Mocha', notes: 'old' });
+    await store.undo();
+    expect(store.getFavorite('https://mochajs.org').displayName).to.equal('mochajs.org');
+    expect(await persisted()).to.include({ displayName: 'mochajs.org', notes: 'old' });
+
+    await store.redo();
+    expect(await persisted()).to.include({ displayName: 'Mocha', notes: 'old' });
+    expect(store.getActionHistory().actions.map(entry => entry.type)).to.deep.equal(['UPDATE_FAVORITE', 'UPDATE_FAVORITE']);
+  });
+
+  it('undoes a name edit on a favorite without a custom name back to no name, not the default', async () => {
+    const persistence = createMemoryPersistence({ initial: [{ url: 'https://mochajs.org', defaultDisplayName: 'Mocha docs' }] });
+    const updates = [];
+    const updateFavorite = persistence.updateFavorite;
+    persistence.updateFavorite = (url, fields) => {
+      updates.push(fields);
+      return updateFavorite(url, fields);
+    };
+    const store = createFavoritesStore({ persistence });
+    await store.loadFromPersistence();
+
+    await store.updateFavorite('https://mochajs.org', { displayName: 'Mocha' });
+    await store.undo();
+    expect(updates).to.deep.equal([{ displayName: 'Mocha' }, { displayName: null }]);
+    expect(store.getFavorite('https://mochajs.org')).to.include({ displayName: null, defaultDisplayName: 'Mocha docs' });
+    expect((await persistence.list())[0]).to.include({ displayName: null, defaultDisplayName: 'Mocha docs' });
+    expect(store.query({ sortBy: 'name' }).records[0].defaultDisplayName).to.equal('Mocha docs');
+  });
+
+  it('rejects unknown fields, wrong types and overlong text', async () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence({ initial: ['https://a.com'] }) });
+    await store.loadFromPersistence();
+    const failure = async (fields) => {
+      try { await store.updateFavorite('https://a.com', fields); } catch (error) { return error.message; }
+      return null;
+    };
+
+    expect(await failure({})).to.equal('No fields to update (expected displayName and/or notes)');
+    expect(await failure({ tags: ['x'] })).to.equal('Cannot edit field: tags');
+    expect(await failure({ notes: 42 })).to.equal('notes must be a string or null');
+    expect(await failure({ displayName: 'x'.repeat(201) })).to.equal('displayName must be at most 200 characters');
+    expect(await store.updateFavorite('https://missing.com', { notes: 'n' })).to.equal(false);
+  });
+
+  it('does not coalesce queued edits of the same favorite', async () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence({ initial: ['https://a.com'] }) });
+    await store.loadFromPersistence();
+
+    const results = await Promise.all([
+      store.updateFavorite('https://a.com', { displayName: 'First' }),
+      store.updateFavorite('https://a.com', { displayName: 'Second' })
+    ]);
+    expect(results).to.deep.equal([true, true]);
+    expect(store.getFavorite('https://a.com').displayName).to.equal('Second');
+    await store.undo();
+    expect(store.getFavorite('https://a.com').displayName).to.equal('First');
+  });
+});
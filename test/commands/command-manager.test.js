@@ -98,4 +98,192 @@ describe('CommandManager', () => {
     expect(h.totalActions).to.equal(0);
     expect(mgr.canUndo()).to.equal(false);
   });
+
+  it('records actions only when their policy report says success', async () => {
+    // Consistency policies return { success, changed }; failures must stay out of history
+    const mgr = createCommandManager();
+    const failed = { type: 'X', async execute() { return { success: false, changed: false }; } };
+    const unchanged = { type: 'X', async execute() { return { success: true, changed: false }; } };
+    const ok = { type: 'X', async execute() { return { success: true, changed: true }; }, async undo() { return { success: false }; } };
+
+    expect(await mgr.executeAction(failed)).to.equal(false);
+    expect(await mgr.executeAction(unchanged)).to.equal(false);
+    expect(await mgr.executeAction(ok)).to.equal(true);
+    expect(mgr.getHistory().totalActions).to.equal(1);
+
+    // A failed undo leaves the history position untouched
+    expect(await mgr.undo()).to.equal(false);
+    expect(mgr.canUndo()).to.equal(true);
+  });
+
+  it('runs execute, undo and redo one at a time in FIFO order', async () => {
+    // An undo issued while an execute is in flight must wait for it
+    const mgr = createCommandManager();
+    const events = [];
+    const slow = {
+      type: 'SLOW',
+      async execute() {
+        events.push('execute:start');
+        await new Promise(resolve => setTimeout(resolve, 10));
+        events.push('execute:end');
+        return true;
+      },
+      async undo() {
+        events.push('undo');
+        return true;
+      }
+    };
+
+    const executed = mgr.executeAction(slow);
+    const undone = mgr.undo();
+    expect(mgr.getStatistics().queueDepth).to.equal(1);
+
+    expect(await executed).to.equal(true);
+    expect(await undone).to.equal(true);
+    await mgr.whenIdle();
+    expect(events).to.deep.equal(['execute:start', 'execute:end', 'undo']);
+    expect(mgr.canRedo()).to.equal(true);
+    expect(mgr.getStatistics().queueDepth).to.equal(0);
+  });
+
+  it('coalesces redundant pending commands when configured', async () => {
+    const mgr = createCommandManager({
+      coalesce: (queued, incoming) => (queued.url === incoming.url ? 'drop-incoming' : null)
+    });
+    const counter = { value: 0 };
+    const make = (url) => ({ ...makeAction(counter), url });
+
+    const results = await Promise.all([
+      mgr.executeAction(make('a')), // starts immediately
+      mgr.executeAction(make('b')), // waits
+      mgr.executeAction(make('b'))  // redundant with the waiting 'b'
+    ]);
+
+    expect(results).to.deep.equal([true, true, false]);
+    expect(counter.value).to.equal(2);
+    expect(mgr.getStatistics().coalescedCount).to.equal(1);
+  });
+
+  it('evicts the oldest entries beyond maxEntries', async () => {
+    const mgr = createCommandManager({ maxEntries: 2 });
+    const counter = { value: 0 };
+    await mgr.executeAction(makeAction(counter, 1));
+    await mgr.executeAction(makeAction(counter, 2));
+    await mgr.executeAction(makeAction(counter, 3));
+
+    const h = mgr.getHistory();
+    expect(h.actions.map(a => a.delta)).to.deep.equal([2, 3]);
+    expect(h.currentIndex).to.equal(1);
+    expect(mgr.getStatistics().evictedCount).to.equal(1);
+  });
+
+  it('compacts old snapshots before evicting under maxSnapshotBytes', async () => {
+    const mgr = createCommandManager({ maxSnapshotBytes: 150 });
+    // Snapshot-like actions: 100 bytes until compacted to 10
+    const makeHeavy = () => {
+      let size = 100;
+      return {
+        type: 'HEAVY',
+        async execute() { return true; },
+        async undo() { return true; },
+        estimateSize: () => size,
+        compact() {
+          const changed = size !== 10;
+          size = 10;
+          return changed;
+        }
+      };
+    };
+
+    await mgr.executeAction(makeHeavy());
+    await mgr.executeAction(makeHeavy());
+    let stats = mgr.getStatistics();
+    expect(stats.compactedCount).to.equal(1);
+    expect(stats.evictedCount).to.equal(0);
+    expect(stats.approximateBytes).to.equal(110);
+
+    // A plain entry that can never fit forces eviction of the oldest
+    await mgr.executeAction({ type: 'HUGE', async execute() { return true; }, estimateSize: () => 200 });
+    stats = mgr.getStatistics();
+    expect(stats.evictedCount).to.equal(3);
+    expect(stats.approximateBytes).to.equal(0);
+    expect(mgr.getHistory().totalActions).to.equal(0);
+  });
+
+  it('goTo jumps backward and forward across several entries', async () => {
+    const counter = { value: 0 };
+    const mgr = createCommandManager();
+    await mgr.executeAction(makeAction(counter, 1));
+    await mgr.executeAction(makeAction(counter, 2));
+    await mgr.executeAction(makeAction(counter, 4));
+
+    expect(await mgr.goTo(-1)).to.equal(true);
+    expect(counter.value).to.equal(0);
+    expect(mgr.getHistory().currentIndex).to.equal(-1);
+
+    expect(await mgr.goTo(1)).to.equal(true);
+    expect(counter.value).to.equal(3);
+    expect(mgr.canRedo()).to.equal(true);
+
+    let error;
+    try {
+      await mgr.goTo(3);
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.equal('History index out of range: 3');
+  });
+
+  it('tree mode keeps the redo branch and switchBranch moves between branches', async () => {
+    const counter = { value: 0 };
+    const mgr = createCommandManager({ mode: 'tree' });
+    await mgr.executeAction(makeAction(counter, 1));
+    await mgr.executeAction(makeAction(counter, 2));
+    await mgr.undo();
+    await mgr.executeAction(makeAction(counter, 4)); // would discard "+2" in linear mode
+
+    const tree = mgr.getHistoryTree();
+    const first = tree.root.children[0];
+    expect(first.children.map(n => n.delta)).to.deep.equal([2, 4]);
+    expect(first.children.map(n => n.isOnActivePath)).to.deep.equal([false, true]);
+    expect(mgr.getStatistics()).to.include({ totalActions: 2, totalEntries: 3 });
+
+    // Back to the "+2" branch: undo +4, then redo +2
+    expect(await mgr.switchBranch(first.children[0].id)).to.equal(true);
+    expect(counter.value).to.equal(3);
+    expect(mgr.getHistory().actions.map(a => a.delta)).to.deep.equal([1, 2]);
+
+    // Undo/redo follow the active branch
+    await mgr.undo();
+    await mgr.redo();
+    expect(counter.value).to.equal(3);
+    expect(await mgr.switchBranch(0)).to.equal(true);
+    expect(counter.value).to.equal(0);
+  });
+
+  it('tree mode exports branches and restores them on import', async () => {
+    const counter = { value: 0 };
+    const makeSerializable = (delta) => ({ ...makeAction(counter, delta), toJSON: () => ({ delta }) });
+    const mgr = createCommandManager({ mode: 'tree' });
+    await mgr.executeAction(makeSerializable(1));
+    await mgr.undo();
+    await mgr.executeAction(makeSerializable(2));
+
+    const exported = mgr.exportHistory();
+    expect(exported.entries).to.deep.equal([{ delta: 2 }]);
+    expect(exported.tree.branches).to.have.length(1);
+
+    const copy = createCommandManager({ mode: 'tree', rehydrate: json => makeSerializable(json.delta) });
+    expect(await copy.importHistory(exported)).to.equal(1);
+    expect(copy.getHistoryTree().root.children.map(n => n.delta)).to.deep.equal([1, 2]);
+    expect(copy.exportHistory()).to.deep.equal(exported);
+
+    let error;
+    try {
+      await copy.switchBranch(99);
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.equal('Unknown history node: 99');
+  });
 });
@@ -0,0 +1,148 @@
+// Persistent history unit tests
+// Purpose: Verify actions serialize to JSON, history export/import round-trips, and history survives a "reload" via storage.
+import { expect } from 'chai';
+import { createCommandManager } from '../../src/commands/command-manager.js';
+import { createMemoryHistoryStorage, createLocalStorageHistoryStorage, createPerTabHistoryStorage } from '../../src/commands/history-storage.js';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+// Minimal Web Storage stand-in for Node
+function makeStorage() {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => { data.set(k, String(v)); },
+    removeItem: (k) => { data.delete(k); }
+  };
+}
+
+describe('Persistent history', () => {
+  it('serializes every action type to plain JSON', async () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence() });
+    await store.addFavorite('https://a.com', { displayName: 'A' });
+    await store.addMultiple(['https://b.com', 'https://c.com']);
+    await store.removeFavorite('https://b.com');
+    await store.transaction(tx => tx.add('https://d.com'));
+    await store.clearAll();
+
+    const exported = store.exportHistory();
+    expect(exported.version).to.equal(1);
+    expect(exported.currentIndex).to.equal(4);
+    expect(exported.entries.map(e => e.type)).to.deep.equal(
+      ['ADD_FAVORITE', 'BULK_ADD', 'REMOVE_FAVORITE', 'TRANSACTION', 'CLEAR_ALL']
+    );
+    expect(exported.entries[1].params).to.deep.equal({ urls: ['https://b.com', 'https://c.com'] });
+    expect(exported.entries[4].undoData.previousState.map(r => r.url)).to.deep.equal(['https://a.com', 'https://c.com', 'https://d.com']);
+    // Plain data only: survives a JSON round trip unchanged
+    expect(JSON.parse(JSON.stringify(exported))).to.deep.equal(exported);
+  });
+
+  it('undoes yesterday\'s "Clear all" after a reload', async () => {
+    const persistence = createMemoryPersistence();
+    const historyStorage = createLocalStorageHistoryStorage({ storage: makeStorage() });
+
+    const before = createFavoritesStore({ persistence, historyStorage });
+    await before.addFavorite('https://a.com', { displayName: 'A', notes: 'keep me' });
+    await before.addFavorite('https://b.com');
+    await before.clearAll();
+    await before.whenIdle();
+
+    // "Reopen the app": new store, same backend and history storage
+    const after = createFavoritesStore({ persistence, historyStorage });
+    await after.loadFromPersistence();
+    expect(await after.restoreHistory()).to.equal(3);
+    expect(after.canUndo()).to.equal(true);
+
+    expect(await after.undo()).to.equal(true);
+    expect(after.getAllFavorites()).to.deep.equal(['https://a.com', 'https://b.com']);
+    expect(after.getFavorite('https://a.com')).to.include({ displayName: 'A', notes: 'keep me' });
+    expect(persistence.getUrls()).to.deep.equal(['https://a.com', 'https://b.com']);
+
+    // Redo and earlier undos keep working on rehydrated actions
+    expect(await after.undo()).to.equal(true);
+    expect(after.getAllFavorites()).to.deep.equal(['https://a.com']);
+    expect(await after.redo()).to.equal(true);
+    expect(after.getAllFavorites()).to.deep.equal(['https://a.com', 'https://b.com']);
+  });
+
+  it('rejects import without a rehydrator or with malformed data', async () => {
+    const mgr = createCommandManager();
+    let error;
+    try {
+      await mgr.importHistory({ version: 1, currentIndex: -1, entries: [] });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.equal('Importing history requires a rehydrate option');
+
+    const withRehydrate = createCommandManager({ rehydrate: json => json });
+    error = null;
+    try {
+      await withRehydrate.importHistory({ entries: 'nope' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.match(/exportHistory\(\)/);
+  });
+
+  it('saves history to storage after each change', async () => {
+    const storage = createMemoryHistoryStorage();
+    const mgr = createCommandManager({ storage });
+    const action = {
+      type: 'NOOP',
+      async execute() { return true; },
+      async undo() { return true; },
+      toJSON() { return { type: 'NOOP', params: {} }; }
+    };
+
+    await mgr.executeAction(action);
+    await mgr.undo();
+    await mgr.whenIdle();
+    // Saves are chained after the command; give them a tick
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(await storage.load()).to.deep.equal({ version: 1, currentIndex: -1, entries: [{ type: 'NOOP', params: {} }] });
+  });
+
+  it('keeps one history per tab and restores the latest one in a new session', async () => {
+    const persistence = createMemoryPersistence();
+    const localStorage = makeStorage();
+    const openTab = (sessionStorage) => createFavoritesStore({
+      persistence,
+      historyStorage: createPerTabHistoryStorage({ storage: localStorage, sessionStorage })
+    });
+    const otherTab = makeStorage();
+
+    const other = openTab(otherTab);
+    await other.addFavorite('https://b.com');
+    await other.whenIdle();
+    // A second tab saving its own history leaves the first one alone
+    const first = openTab(makeStorage());
+    await first.addFavorite('https://a.com');
+    await first.clearAll();
+    await first.whenIdle();
+
+    // Reloading a tab brings back its own history
+    const reloaded = openTab(otherTab);
+    expect(await reloaded.restoreHistory()).to.equal(1);
+    expect(reloaded.getActionHistory().actions.map(action => action.type)).to.deep.equal(['ADD_FAVORITE']);
+
+    // "Reopen the app" the next day: a new session starts from the latest history
+    const nextDay = openTab(makeStorage());
+    await nextDay.loadFromPersistence();
+    expect(await nextDay.restoreHistory()).to.equal(2);
+    expect(await nextDay.undo()).to.equal(true);
+    expect(nextDay.getAllFavorites()).to.deep.equal(['https://a.com']);
+    expect(persistence.getUrls()).to.deep.equal(['https://a.com']);
+  });
+
+  it('removes the oldest tab histories beyond maxTabs', async () => {
+    const localStorage = makeStorage();
+    const data = { version: 1, currentIndex: -1, entries: [] };
+    for (let tab = 0; tab < 3; tab++) {
+      await createPerTabHistoryStorage({ storage: localStorage, sessionStorage: makeStorage(), maxTabs: 2 }).save(data);
+    }
+
+    expect(JSON.parse(localStorage.getItem('favorites-store:history:tabs'))).to.have.length(2);
+  });
+});
@@ -81,6 +81,25 @@ describe('Database Service', () => {
     expect(c).to.deep.equal(a);
   });
 
+  it('keeps the user display name apart from the resource default in getUserFavorites', async () => {
+  // A favorite without a custom name must not come back with the resource name as its own
+    globalThis.fetch = async (url, init) => {
+      const u = String(url);
+      if (u.endsWith('/api/test-connection')) return makeResponse({ ok: true, status: 200, json: () => ({ success: true }) });
+      if (u.endsWith('/api/favorites')) {
+        return makeResponse({ ok: true, status: 200, json: () => ([
+          { Url: 'https://a.com', name: 'A docs', UserDisplayName: null, DefaultDisplayName: 'A docs' },
+          { Url: 'https://b.com', name: 'Mine', UserDisplayName: 'Mine', DefaultDisplayName: 'B docs' }
+        ]) });
+      }
+      return makeResponse({ ok: true, status: 200, json: () => ([]) });
+    };
+    const { getUserFavorites } = await import('../src/database-service.js');
+    const favorites = await getUserFavorites(false);
+    expect(favorites[0]).to.include({ url: 'https://a.com', displayName: null, defaultDisplayName: 'A docs' });
+    expect(favorites[1]).to.include({ url: 'https://b.com', displayName: 'Mine', defaultDisplayName: 'B docs' });
+  });
+
   it('throws on non-200 for getUserFavorites', async () => {
   // Error path: non-200 should result in a thrown error from database-service
     globalThis.fetch = async (url, init) => {
@@ -55,7 +55,7 @@ describe('Modular Favorites Store', () => {
 
   // Try to mutate snapshot (should not affect real store)
     const sizeBefore = lastState.size;
-    lastState.add('https://hacker.com');
+    lastState.set('https://hacker.com', { url: 'https://hacker.com' });
     expect(store.getCount()).to.equal(sizeBefore);
     expect(store.isFavorite('https://hacker.com')).to.equal(false);
   });
@@ -79,6 +79,21 @@ describe('Modular Favorites Store', () => {
     expect(store.getAllFavorites()).to.have.length(0);
   });
 
+  it('keeps full favorite records and passes them to subscribers', async () => {
+    // Records carry display name and notes; subscribers receive a Map keyed by URL
+    const store = createFavoritesStore();
+    let lastState = null;
+    store.subscribe((favorites) => { lastState = favorites; });
+
+    await store.addFavorite('https://records.com', { displayName: 'Records', notes: 'keep me' });
+
+    const record = store.getFavorite('https://records.com');
+    expect(record).to.include({ url: 'https://records.com', displayName: 'Records', notes: 'keep me' });
+    expect(lastState).to.be.instanceOf(Map);
+    expect(lastState.get('https://records.com').displayName).to.equal('Records');
+    expect(store.getFavoriteRecords()).to.have.length(1);
+  });
+
   it('supports unsubscribe', async () => {
     // After unsubscribe, further notifications should not invoke callback
     const store = createFavoritesStore();
@@ -91,4 +106,22 @@ describe('Modular Favorites Store', () => {
     await store.addFavorite('https://test2.com');
     expect(calls).to.equal(afterAdd);
   });
+
+  it('returns disposers that remove anonymous subscribers and honour signal/once/immediate', async () => {
+    const store = createFavoritesStore();
+    const seen = [];
+    const dispose = store.subscribe((state) => seen.push(`anon ${state.size}`));
+    const controller = new AbortController();
+    store.subscribe((state) => seen.push(`signal ${state.size}`), { signal: controller.signal, immediate: false });
+    store.subscribe((state) => seen.push(`once ${state.size}`), { once: true, immediate: false });
+
+    await store.addFavorite('https://one.com');
+    dispose();
+    controller.abort();
+    await store.addFavorite('https://two.com');
+
+    expect(seen).to.deep.equal(['anon 0', 'anon 1', 'signal 1', 'once 1']);
+    expect(dispose.active).to.equal(false);
+    expect(store.getSubscriberCount()).to.equal(0);
+  });
 });
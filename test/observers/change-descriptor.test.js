@@ -0,0 +1,76 @@
+// Change descriptor unit tests
+// Purpose: Verify diffs between states and that store subscribers receive { added, removed, updated, cause, source } next to the state.
+import { expect } from 'chai';
+import { diffStates, createChangeDescriptor, hasChanges } from '../../src/observers/change-descriptor.js';
+import { createFavoriteRecord } from '../../src/store/state-store.js';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+const toState = (...records) => new Map(records.map(record => [record.url, record]));
+const urls = (records) => records.map(record => record.url);
+
+describe('Change descriptors', () => {
+  it('diffs added, removed and updated records', () => {
+    const a = createFavoriteRecord('https://a.com', { createdAt: 't' });
+    const b = createFavoriteRecord('https://b.com', { createdAt: 't' });
+    const c = createFavoriteRecord('https://c.com', { createdAt: 't' });
+    const renamedA = { ...a, displayName: 'A' };
+
+    const diff = diffStates(toState(a, b), toState(renamedA, c));
+    expect(urls(diff.added)).to.deep.equal(['https://c.com']);
+    expect(urls(diff.removed)).to.deep.equal(['https://b.com']);
+    expect(diff.updated).to.deep.equal([renamedA]);
+
+    const none = createChangeDescriptor(toState(a), toState({ ...a }), { source: 'hydrate' });
+    expect(hasChanges(none)).to.equal(false);
+    expect(() => createChangeDescriptor(toState(), toState(), { source: 'nope' })).to.throw('Unknown change source: nope');
+  });
+
+  it('passes a descriptor for execute, undo and redo as the second argument', async () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence() });
+    const changes = [];
+    const legacy = [];
+    store.subscribe((state, change) => changes.push(change));
+    store.subscribe((state) => legacy.push(state.size)); // old one-argument callbacks keep working
+
+    await store.addFavorite('https://a.com');
+    await store.addFavorite('https://b.com');
+    await store.removeFavorite('https://a.com');
+    await store.undo();
+    await store.redo();
+
+    expect(changes[0]).to.deep.include({ source: 'hydrate', cause: null, added: [] });
+    expect(changes.slice(1).map(c => [c.source, c.cause, urls(c.added), urls(c.removed)])).to.deep.equal([
+      ['execute', 'ADD_FAVORITE', ['https://a.com'], []],
+      ['execute', 'ADD_FAVORITE', ['https://b.com'], []],
+      ['execute', 'REMOVE_FAVORITE', [], ['https://a.com']],
+      ['undo', 'REMOVE_FAVORITE', ['https://a.com'], []],
+      ['redo', 'REMOVE_FAVORITE', [], ['https://a.com']]
+    ]);
+    expect(legacy).to.deep.equal([0, 1, 2, 1, 2, 1]);
+  });
+
+  it('describes a history jump as one change and silent hydration as the new baseline', async () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence() });
+    store.hydrate(['https://seed.com']);
+    const changes = [];
+    store.subscribe((state, change) => changes.push(change));
+    changes.length = 0;
+
+    await store.addFavorite('https://a.com');
+    await store.clearAll();
+    expect(urls(changes[0].added)).to.deep.equal(['https://a.com']); // seed.com is not reported again
+    expect(urls(changes[1].removed)).to.deep.equal(['https://seed.com', 'https://a.com']);
+
+    await store.goToHistory(-1);
+    const jump = changes[2];
+    expect(changes).to.have.length(3);
+    expect(jump).to.deep.include({ source: 'undo', cause: 'HISTORY_JUMP', removed: [] });
+    expect(urls(jump.added)).to.deep.equal(['https://seed.com']);
+
+    store.hydrate(['https://x.com'], { notify: true });
+    expect(changes[3].source).to.equal('hydrate');
+    expect(urls(changes[3].added)).to.deep.equal(['https://x.com']);
+    expect(urls(changes[3].removed)).to.deep.equal(['https://seed.com']);
+  });
+});
@@ -2,6 +2,7 @@
 // Purpose: Ensure subscribe/unsubscribe mechanics work and that one failing subscriber doesn't break others.
 import { expect } from 'chai';
 import { createObserverManager } from '../../src/observers/observer-manager.js';
+import { mergeChanges } from '../../src/observers/change-descriptor.js';
 
 describe('ObserverManager', () => {
   it('subscribes, notifies, and unsubscribes', () => {
@@ -34,4 +35,130 @@ describe('ObserverManager', () => {
     om.notifyAll({});
     expect(okCalls).to.equal(1);
   });
+
+  it('coalesces notifications in microtask and frame modes', async () => {
+    // Several notifications in one tick become one delivery of the latest state
+    for (const scheduling of ['microtask', 'frame']) {
+      const om = createObserverManager({ scheduling });
+      const seen = [];
+      om.subscribe(state => seen.push(state));
+
+      om.notifyAll(1);
+      om.notifyAll(2);
+      om.notifyAll(3);
+      expect(seen).to.deep.equal([]);
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+      expect(seen).to.deep.equal([3]);
+    }
+    expect(() => createObserverManager({ scheduling: 'later' })).to.throw('Unknown scheduling mode: later');
+  });
+
+  it('holds notifications while paused and merges their changes', () => {
+    const om = createObserverManager({ merge: mergeChanges });
+    const seen = [];
+    om.subscribe((state, change) => seen.push(change));
+    const record = (url) => ({ url });
+
+    om.pause();
+    om.notifyAll('s1', { added: [record('a')], removed: [], updated: [], cause: 'ADD_FAVORITE', source: 'execute' });
+    om.notifyAll('s2', { added: [record('b')], removed: [], updated: [], cause: 'ADD_FAVORITE', source: 'execute' });
+    om.notifyAll('s3', { added: [], removed: [record('a')], updated: [], cause: 'REMOVE_FAVORITE', source: 'execute' });
+    expect(seen).to.have.length(0);
+    om.resume();
+
+    expect(seen).to.deep.equal([{
+      added: [record('b')], removed: [], updated: [], cause: 'REMOVE_FAVORITE', source: 'execute', coalesced: 3
+    }]);
+  });
+
+  it('removes a subscriber after N failures in a row and reports each failure', () => {
+    const reports = [];
+    const om = createObserverManager({
+      removeAfterNFailures: 2,
+      onSubscriberError: (error, meta) => reports.push([error.message, meta.name, meta.consecutiveFailures, meta.removed])
+    });
+    let fail = true;
+    const flaky = function flaky(state) { if (fail || state === 'bad') throw new Error(`boom ${state}`); };
+    om.subscribe(flaky);
+
+    om.notifyAll(1);
+    fail = false;
+    om.notifyAll(2); // success resets the streak
+    om.notifyAll('bad');
+    om.notifyAll('bad');
+    om.notifyAll('bad'); // already removed
+
+    expect(reports).to.deep.equal([
+      ['boom 1', 'flaky', 1, false],
+      ['boom bad', 'flaky', 1, false],
+      ['boom bad', 'flaky', 2, true]
+    ]);
+    expect(om.isSubscribed(flaky)).to.equal(false);
+    expect(om.getSubscriberHealth()[0]).to.include({
+      name: 'flaky', calls: 4, failures: 3, consecutiveFailures: 2, lastError: 'boom bad', removed: true
+    });
+    expect(() => createObserverManager({ removeAfterNFailures: 0 })).to.throw('removeAfterNFailures must be a positive integer');
+  });
+
+  it('counts rejected and timed out async subscribers as failures', async () => {
+    const kinds = [];
+    const om = createObserverManager({ asyncTimeout: 10, onSubscriberError: (error, meta) => kinds.push(meta.kind) });
+    om.subscribe(async function rejects() { throw new Error('nope'); });
+    om.subscribe(function hangs() { return new Promise(resolve => setTimeout(resolve, 50)); });
+    om.subscribe(async function fine() {});
+
+    om.notifyAll({});
+    expect(om.getSubscriberHealth().map(entry => entry.pending)).to.deep.equal([1, 1, 1]);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(kinds).to.deep.equal(['rejection', 'timeout']);
+    const [rejects, hangs, fine] = om.getSubscriberHealth();
+    expect(rejects).to.include({ failures: 1, lastError: 'nope', pending: 0 });
+    expect(hangs).to.include({ failures: 1, timeouts: 1, lastError: 'Subscriber hangs timed out after 10ms' });
+    expect(fine).to.include({ failures: 0, calls: 1, pending: 0 });
+  });
+
+  it('notifies by priority and resolves notifyAll once async subscribers finish', async () => {
+    const om = createObserverManager({ onSubscriberError: () => {} });
+    const order = [];
+    const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+    om.subscribe(() => order.push('default'));
+    om.subscribe(function slowList(state) {
+      order.push(`list start ${state}`);
+      return tick().then(() => order.push(`list done ${state}`));
+    }, null, undefined, { async: true, priority: 10 });
+    om.subscribe(async function broken() { throw new Error('async boom'); }, null, undefined, { async: true, priority: 5 });
+
+    const first = om.notifyAll(1);
+    const second = om.notifyAll(2); // waits for slowList to finish state 1
+    expect(order).to.deep.equal(['list start 1', 'default', 'default']);
+
+    const failures = await first;
+    expect(failures.map(f => [f.name, f.kind, f.error.message])).to.deep.equal([['broken', 'rejection', 'async boom']]);
+    await second;
+    expect(order).to.deep.equal(['list start 1', 'default', 'default', 'list done 1', 'list start 2', 'list done 2']);
+  });
+
+  it('registers a function once and warns when the subscriber count passes the leak threshold', () => {
+    const warnings = [];
+    const om = createObserverManager({ leakWarningThreshold: 2, onLeakWarning: warning => warnings.push(warning) });
+    let calls = 0;
+    const cb = () => { calls += 1; };
+
+    const first = om.subscribe(cb);
+    expect(om.subscribe(cb)).to.equal(first); // duplicate: same disposer, one registration
+    om.notifyAll({});
+    expect(calls).to.equal(1);
+    expect(om.unsubscribe(first)).to.equal(true);
+    expect(first()).to.equal(false);
+
+    const disposers = [1, 2, 3, 4].map(() => om.subscribe(() => {}));
+    expect(warnings).to.deep.equal([{ count: 3, threshold: 2 }]); // warned once
+    disposers.forEach(dispose => dispose());
+    om.subscribe(() => {});
+    om.subscribe(() => {});
+    om.subscribe(() => {});
+    expect(warnings).to.have.length(2); // dropping below the threshold re-arms the warning
+  });
 });
@@ -0,0 +1,50 @@
+// Selector subscription unit tests
+// Purpose: Verify store.select only fires when the derived value changes, honours custom equality, and that the built-in selectors work.
+import { expect } from 'chai';
+import { createObserverManager } from '../../src/observers/observer-manager.js';
+import { shallowEqual, selectCount, selectIsFavorite, selectByDomain } from '../../src/observers/selectors.js';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+describe('Selectors', () => {
+  it('only calls back when the selected value changes', () => {
+    const om = createObserverManager();
+    const seen = [];
+    om.select(state => state.n % 2, (value, previous) => seen.push([value, previous]), { initialState: { n: 1 } });
+
+    om.notifyAll({ n: 3 }); // still odd
+    om.notifyAll({ n: 4 });
+    om.notifyAll({ n: 6 });
+    om.notifyAll({ n: 7 });
+
+    expect(seen).to.deep.equal([[1, undefined], [0, 1], [1, 0]]);
+  });
+
+  it('watches one star, the count and a domain through the store', async () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence() });
+    const star = [];
+    const counts = [];
+    const github = [];
+    store.select(selectIsFavorite('https://github.com/a'), value => star.push(value));
+    store.select(selectCount, value => counts.push(value));
+    store.select(selectByDomain('github.com'), value => github.push(value), { equals: shallowEqual });
+
+    await store.addFavorite('https://example.com');
+    await store.addFavorite('https://github.com/a');
+    await store.addFavorite('https://gist.github.com/b');
+    await store.removeFavorite('https://example.com');
+
+    expect(star).to.deep.equal([false, true]);
+    expect(counts).to.deep.equal([0, 1, 2, 3, 2]);
+    expect(github).to.deep.equal([[], ['https://github.com/a'], ['https://github.com/a', 'https://gist.github.com/b']]);
+  });
+
+  it('compares arrays, sets and objects one level deep', () => {
+    expect(shallowEqual(['a', 'b'], ['a', 'b'])).to.equal(true);
+    expect(shallowEqual(['a'], ['a', 'b'])).to.equal(false);
+    expect(shallowEqual(new Set([1, 2]), new Set([2, 1]))).to.equal(true);
+    expect(shallowEqual({ a: 1 }, { a: 1 })).to.equal(true);
+    expect(shallowEqual({ a: {} }, { a: {} })).to.equal(false);
+    expect(shallowEqual([], {})).to.equal(false);
+  });
+});
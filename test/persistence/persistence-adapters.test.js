@@ -0,0 +1,131 @@
+// Persistence adapter unit tests
+// Purpose: Verify the adapter contract for memory, localStorage and file adapters, and that the store writes through an injected adapter.
+import { expect } from 'chai';
+import { mkdtemp, rm, readFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { assertPersistenceAdapter } from '../../src/persistence/persistence-adapter.js';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createLocalStoragePersistence } from '../../src/persistence/local-storage-persistence.js';
+import { createFilePersistence } from '../../src/persistence/file-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+// Minimal Web Storage stand-in for Node
+function makeStorage() {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => { data.set(k, String(v)); }
+  };
+}
+
+// Shared contract checks run against every adapter
+async function exerciseContract(adapter) {
+  expect(() => assertPersistenceAdapter(adapter)).to.not.throw();
+  expect(await adapter.add('https://a.com', { displayName: 'A' })).to.equal(true);
+  expect(await adapter.add('https://a.com')).to.equal(false);
+  expect(await adapter.remove('https://missing.com')).to.equal(false);
+
+  // Editing: absent fields are kept, null clears
+  expect(await adapter.updateFavorite('https://a.com', { notes: 'note' })).to.equal(true);
+  expect(await adapter.batch([{ type: 'update', url: 'https://a.com', fields: { notes: 'note' } }])).to.deep.equal([false]);
+  expect(await adapter.updateFavorite('https://a.com', { displayName: null })).to.equal(true);
+  expect((await adapter.list())[0]).to.include({ displayName: null, notes: 'note' });
+
+  // Tags: methods and batch operations
+  expect(await adapter.addTag('https://a.com', 'docs')).to.equal(true);
+  expect(await adapter.addTag('https://a.com', 'docs')).to.equal(false);
+  expect(await adapter.removeTag('https://missing.com', 'docs')).to.equal(false);
+  expect(await adapter.renameTag('docs', 'reference')).to.equal(true);
+  expect(await adapter.batch([
+    { type: 'tag', url: 'https://a.com', tag: 'api' },
+    { type: 'untag', url: 'https://a.com', tag: 'reference' }
+  ])).to.deep.equal([true, true]);
+  expect((await adapter.list())[0].tags).to.deep.equal(['api']);
+
+  // Collections: deleting one moves its contents up a level
+  expect(await adapter.createCollection({ id: 'c1', name: 'Work', parentId: null })).to.equal(true);
+  expect(await adapter.createCollection({ id: 'c1', name: 'Again', parentId: null })).to.equal(false);
+  expect(await adapter.batch([
+    { type: 'createCollection', collection: { id: 'c2', name: 'Docs', parentId: 'c1' } },
+    { type: 'moveToCollection', url: 'https://a.com', collectionId: 'c2' },
+    { type: 'renameCollection', id: 'c2', name: 'Reference' }
+  ])).to.deep.equal([true, true, true]);
+  expect(await adapter.moveCollection('c2', null)).to.equal(true);
+  expect(await adapter.deleteCollection('c2')).to.equal(true);
+  expect((await adapter.list())[0].collectionId).to.equal(null);
+  expect((await adapter.listCollections()).map(c => `${c.id}:${c.name}`)).to.deep.equal(['c1:Work']);
+
+  // Manual order: sortOrder = startIndex + position
+  expect(await adapter.reorderFavorites(['https://a.com', 'https://missing.com'], 3)).to.equal(true);
+  expect(await adapter.batch([{ type: 'reorder', urls: ['https://a.com'], startIndex: 3 }])).to.deep.equal([false]);
+  expect((await adapter.list())[0].sortOrder).to.equal(3);
+
+  const results = await adapter.batch([
+    { type: 'add', url: 'https://b.com' },
+    { type: 'remove', url: 'https://a.com' }
+  ]);
+  expect(results).to.deep.equal([true, true]);
+
+  const listed = await adapter.list();
+  expect(listed.map(r => r.url)).to.deep.equal(['https://b.com']);
+
+  expect(await adapter.clear()).to.equal(true);
+  expect(await adapter.list()).to.deep.equal([]);
+}
+
+describe('Persistence adapters', () => {
+  it('rejects objects that do not implement the interface', () => {
+    expect(() => assertPersistenceAdapter({ add() {} })).to.throw('missing methods: remove, clear, list, batch');
+  });
+
+  it('memory adapter implements the contract and can simulate outages', async () => {
+    const adapter = createMemoryPersistence();
+    await exerciseContract(adapter);
+
+    adapter.setOnline(false);
+    let threw = false;
+    try { await adapter.add('https://c.com'); } catch { threw = true; }
+    expect(threw).to.equal(true);
+  });
+
+  it('localStorage adapter implements the contract and keeps record fields', async () => {
+    const storage = makeStorage();
+    const adapter = createLocalStoragePersistence({ storage, key: 'test-favorites' });
+    await exerciseContract(adapter);
+
+    await adapter.add('https://n.com', { displayName: 'N', notes: 'note' });
+    const stored = JSON.parse(storage.getItem('test-favorites'));
+    expect(stored[0]).to.include({ url: 'https://n.com', displayName: 'N', notes: 'note' });
+  });
+
+  it('file adapter implements the contract and writes JSON to disk', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'favorites-'));
+    const filePath = path.join(dir, 'nested', 'favorites.json');
+    try {
+      const adapter = createFilePersistence({ filePath });
+      await exerciseContract(adapter);
+
+      await Promise.all([adapter.add('https://x.com'), adapter.add('https://y.com')]);
+      const onDisk = JSON.parse(await readFile(filePath, 'utf8'));
+      expect(onDisk.map(r => r.url).sort()).to.deep.equal(['https://x.com', 'https://y.com']);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('store writes through an injected adapter and loads from it', async () => {
+    const persistence = createMemoryPersistence({ initial: [{ url: 'https://seed.com', displayName: 'Seed' }] });
+    const store = createFavoritesStore({ persistence });
+
+    expect(await store.loadFromPersistence()).to.equal(1);
+    expect(store.getFavorite('https://seed.com').displayName).to.equal('Seed');
+
+    await store.addFavorite('https://new.com');
+    expect(persistence.getUrls()).to.deep.equal(['https://seed.com', 'https://new.com']);
+
+    await store.undo();
+    expect(persistence.getUrls()).to.deep.equal(['https://seed.com']);
+    expect(() => createFavoritesStore({ persistence: {} })).to.throw('missing methods');
+  });
+});
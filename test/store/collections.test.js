@@ -0,0 +1,91 @@
+// Collections unit tests
+// Purpose: Verify nested collections in the state store (moves, cycles, non-empty deletes), and that the store's collection actions undo and redo through the persistence adapter.
+import { expect } from 'chai';
+import { createStateStore } from '../../src/store/state-store.js';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+describe('Collections', () => {
+  it('keeps a tree in the state store and refuses cycles and dangling references', () => {
+    const state = createStateStore();
+    state.addCollection('work', { name: ' Work ' });
+    state.addCollection('docs', { name: 'Docs', parentId: 'work' });
+    state.addCollection('api', { name: 'API', parentId: 'docs' });
+    state.add('https://a.com', { collectionId: 'docs' });
+
+    expect(state.getCollection('work').name).to.equal('Work');
+    expect(state.getCollectionSubtree('work')).to.deep.equal(['work', 'docs', 'api']);
+    expect(state.getChildCollectionIds()).to.deep.equal(['work']);
+    expect(state.getUrlsInCollection('docs')).to.deep.equal(['https://a.com']);
+
+    expect(() => state.updateCollection('work', { parentId: 'api' })).to.throw('Cannot move a collection into itself or one of its descendants');
+    expect(() => state.removeCollection('docs')).to.throw('Collection is not empty: docs');
+    expect(() => state.add('https://b.com', { collectionId: 'missing' })).to.throw('Unknown collection: missing');
+    expect(() => state.addCollection('blank', { name: '  ' })).to.throw('Collection name must be a non-empty string');
+
+    state.update('https://a.com', { collectionId: null });
+    expect(state.getUrlsInCollection(null)).to.deep.equal(['https://a.com']);
+
+    // Restoring drops references to collections that are gone
+    state.update('https://a.com', { collectionId: 'api' });
+    state.restoreCollections([{ id: 'docs', name: 'Docs', parentId: 'work' }]);
+    expect(state.getCollection('docs').parentId).to.equal(null);
+    expect(state.get('https://a.com').collectionId).to.equal(null);
+  });
+
+  it('creates, renames, moves and moves favorites with undo and redo', async () => {
+    const persistence = createMemoryPersistence();
+    const store = createFavoritesStore({ persistence });
+    const work = await store.createCollection('Work');
+    const docs = await store.createCollection('Docs', { parentId: work });
+    await store.addFavorite('https://a.com');
+
+    expect(await store.moveToCollection('https://a.com', docs)).to.equal(true);
+    expect(await store.renameCollection(docs, 'Reference')).to.equal(true);
+    expect(await store.moveCollection(work, docs)).to.equal(false);
+    expect(await store.moveCollection(docs, null)).to.equal(true);
+
+    const tree = store.getCollectionTree();
+    expect(tree.collections.map(node => node.name)).to.deep.equal(['Work', 'Reference']);
+    expect(tree.collections[1].favorites.map(record => record.url)).to.deep.equal(['https://a.com']);
+    expect((await persistence.list())[0].collectionId).to.equal(docs);
+
+    await store.undo();
+    await store.undo();
+    expect(store.getCollectionTree().collections[0].children.map(node => node.name)).to.deep.equal(['Docs']);
+    await store.undo();
+    expect(store.getFavoritesInCollection(null).map(record => record.url)).to.deep.equal(['https://a.com']);
+    expect((await persistence.list())[0].collectionId).to.equal(null);
+
+    await store.redo();
+    expect(store.getFavorite('https://a.com').collectionId).to.equal(docs);
+    expect((await persistence.listCollections()).map(c => c.name)).to.deep.equal(['Work', 'Docs']);
+  });
+
+  it('deletes a collection with its children and favorites as one undoable step', async () => {
+    const persistence = createMemoryPersistence();
+    const store = createFavoritesStore({ persistence });
+    const changes = [];
+    store.subscribe((state, change) => changes.push(change.collections.removed.length));
+    const work = await store.createCollection('Work');
+    const docs = await store.createCollection('Docs', { parentId: work });
+    await store.addFavorite('https://a.com', { collectionId: docs });
+    await store.addFavorite('https://b.com');
+
+    expect(await store.deleteCollection(work)).to.equal(true);
+    expect(store.getCollections()).to.deep.equal([]);
+    expect(store.getFavoriteRecords().map(record => record.url)).to.deep.equal(['https://b.com']);
+    expect(await persistence.listCollections()).to.deep.equal([]);
+    expect(changes[changes.length - 1]).to.equal(2);
+
+    await store.undo();
+    expect(store.getCollections().map(collection => collection.name)).to.deep.equal(['Work', 'Docs']);
+    expect(store.getFavorite('https://a.com').collectionId).to.equal(docs);
+    expect((await persistence.list()).find(record => record.url === 'https://a.com').collectionId).to.equal(docs);
+
+    // Loading from persistence brings the collections back as well
+    const copy = createFavoritesStore({ persistence });
+    await copy.loadFromPersistence();
+    expect(copy.getFavoritesInCollection(docs).map(record => record.url)).to.deep.equal(['https://a.com']);
+  });
+});
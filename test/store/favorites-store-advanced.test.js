@@ -2,6 +2,7 @@
 // Purpose: Validate batch operations, hydration semantics, and multi-step undo/redo consistency.
 import { expect } from 'chai';
 import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
 
 describe('Favorites Store - advanced', function () {
   this.timeout(10000);
@@ -64,4 +65,118 @@ describe('Favorites Store - advanced', function () {
     expect(store.getCount()).to.equal(3);
     expect(notes).to.be.greaterThan(0);
   });
+
+  it('serializes rapid calls so undo and toggles cannot interleave', async () => {
+    // Calls are not awaited individually; the queue must keep history and state consistent
+    const store = createFavoritesStore({ persistence: createMemoryPersistence(), coalesce: true });
+
+    const calls = [
+      store.addFavorite('https://q1.com'),
+      store.removeFavorite('https://q1.com'), // sees the add, because it runs after it
+      store.addFavorite('https://q2.com'),
+      store.addFavorite('https://q2.com'),    // redundant while the first is pending
+      store.undo()
+    ];
+    const results = await Promise.all(calls);
+    await store.whenIdle();
+
+    expect(results).to.deep.equal([true, true, true, false, true]);
+    expect(store.getAllFavorites()).to.deep.equal([]);
+    expect(store.getActionHistory().currentIndex).to.equal(1);
+    expect(store.getStatistics()).to.include({ queueDepth: 0, coalescedCount: 1 });
+  });
+
+  it('goToHistory jumps several steps with one batch write and one notification', async () => {
+    const persistence = createMemoryPersistence();
+    const batch = persistence.batch;
+    let batchCalls = 0;
+    persistence.batch = async (operations) => {
+      batchCalls++;
+      return batch(operations);
+    };
+    const store = createFavoritesStore({ persistence });
+    await store.addFavorite('https://t1.com');
+    await store.addFavorite('https://t2.com');
+    await store.removeFavorite('https://t1.com');
+    await store.addFavorite('https://t3.com');
+
+    let notifications = 0;
+    store.subscribe(() => { notifications++; });
+    notifications = 0;
+
+    expect(await store.goToHistory(0)).to.equal(true);
+    expect(store.getAllFavorites()).to.deep.equal(['https://t1.com']);
+    expect(persistence.getUrls()).to.deep.equal(['https://t1.com']);
+    expect(store.getActionHistory().currentIndex).to.equal(0);
+    expect(batchCalls).to.equal(1);
+    expect(notifications).to.equal(1);
+
+    expect(await store.goToHistory(3)).to.equal(true);
+    expect(store.getAllFavorites().sort()).to.deep.equal(['https://t2.com', 'https://t3.com']);
+    expect(persistence.getUrls().sort()).to.deep.equal(['https://t2.com', 'https://t3.com']);
+    expect(batchCalls).to.equal(2);
+    expect(notifications).to.equal(2);
+  });
+
+  it('switchBranch restores work that a new action after undo branched away from', async () => {
+    const persistence = createMemoryPersistence();
+    const store = createFavoritesStore({ persistence, history: { mode: 'tree' } });
+    await store.addFavorite('https://b1.com');
+    await store.addFavorite('https://b2.com');
+    await store.addFavorite('https://b3.com');
+    await store.undo();
+    await store.undo();
+    await store.addFavorite('https://oops.com'); // accidental new action
+
+    const tree = store.getHistoryTree();
+    const branches = tree.root.children[0].children;
+    expect(branches.map(n => n.url)).to.deep.equal(['https://b2.com', 'https://oops.com']);
+
+    let notifications = 0;
+    store.subscribe(() => { notifications++; });
+    notifications = 0;
+
+    const lostWork = branches[0].children[0]; // b3, two levels down the old branch
+    expect(await store.switchBranch(lostWork.id)).to.equal(true);
+    expect(store.getAllFavorites()).to.deep.equal(['https://b1.com', 'https://b2.com', 'https://b3.com']);
+    expect(persistence.getUrls()).to.deep.equal(['https://b1.com', 'https://b2.com', 'https://b3.com']);
+    expect(notifications).to.equal(1);
+    expect(store.getHistoryTree().currentNodeId).to.equal(lostWork.id);
+  });
+
+  it('batch() delivers one notification with the merged change', async () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence() });
+    await store.addFavorite('https://keep.com');
+    const changes = [];
+    store.subscribe((state, change) => changes.push(change));
+    changes.length = 0;
+
+    const result = await store.batch(async () => {
+      await store.addFavorite('https://n1.com');
+      await store.addFavorite('https://n2.com');
+      await store.removeFavorite('https://n1.com');
+      await store.removeFavorite('https://keep.com');
+      return 'done';
+    });
+
+    expect(result).to.equal('done');
+    expect(changes).to.have.length(1);
+    expect(changes[0].added.map(r => r.url)).to.deep.equal(['https://n2.com']);
+    expect(changes[0].removed.map(r => r.url)).to.deep.equal(['https://keep.com']);
+    expect(changes[0].coalesced).to.equal(4);
+  });
+
+  it('frame scheduling coalesces commands issued together', async () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence(), scheduling: 'frame' });
+    const sizes = [];
+    store.subscribe(state => sizes.push(state.size));
+
+    await Promise.all([
+      store.addFavorite('https://f1.com'),
+      store.addFavorite('https://f2.com'),
+      store.addFavorite('https://f3.com')
+    ]);
+    expect(store.flushNotifications()).to.equal(true);
+    expect(sizes).to.deep.equal([0, 3]);
+  });
 });
@@ -0,0 +1,73 @@
+// Query index unit tests
+// Purpose: Verify filtering, text search, sorting and pagination stay correct as the index follows changes, and that store.subscribeToQuery only fires when its result changes.
+import { expect } from 'chai';
+import { createQueryIndex } from '../../src/store/query-index.js';
+import { createFavoriteRecord } from '../../src/store/state-store.js';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+const state = (records) => new Map(records.map(([url, details]) => [url, createFavoriteRecord(url, details)]));
+
+describe('Query index', () => {
+  it('filters by text, domain and tags, sorts and paginates', () => {
+    const index = createQueryIndex();
+    index.rebuild(state([
+      ['https://github.com/mocha', { displayName: 'Mocha', createdAt: '2024-03-01', accessCount: 5, tags: ['Testing'] }],
+      ['https://docs.github.com/actions', { displayName: 'Actions docs', createdAt: '2024-01-01', accessCount: 9, sortOrder: 2 }],
+      ['https://chaijs.com', { displayName: 'Chai', notes: 'assertion library', createdAt: '2024-02-01', accessCount: 1, sortOrder: 1, tags: ['testing'] }]
+    ]));
+    const urls = (result) => result.records.map(record => record.url);
+
+    expect(urls(index.query())).to.deep.equal(['https://chaijs.com', 'https://docs.github.com/actions', 'https://github.com/mocha']);
+    expect(urls(index.query({ sortBy: 'name' }))).to.deep.equal(['https://docs.github.com/actions', 'https://chaijs.com', 'https://github.com/mocha']);
+    expect(urls(index.query({ sortBy: 'addedAt', order: 'desc' }))).to.deep.equal(['https://github.com/mocha', 'https://chaijs.com', 'https://docs.github.com/actions']);
+    expect(urls(index.query({ sortBy: 'visits', order: 'desc', limit: 1 }))).to.deep.equal(['https://docs.github.com/actions']);
+
+    expect(urls(index.query({ domain: 'github.com', sortBy: 'name' }))).to.deep.equal(['https://docs.github.com/actions', 'https://github.com/mocha']);
+    expect(urls(index.query({ tags: ['TESTING'], text: 'assertion' }))).to.deep.equal(['https://chaijs.com']);
+    expect(index.query({ text: 'docs ACTIONS' }).total).to.equal(1);
+
+    const page = index.query({ sortBy: 'name', offset: 1, limit: 1 });
+    expect(page.total).to.equal(3);
+    expect(urls(page)).to.deep.equal(['https://chaijs.com']);
+
+    expect(() => index.query({ sortBy: 'title' })).to.throw('Unknown sortBy: title');
+    expect(() => index.query({ limit: -1 })).to.throw('limit must be a non-negative integer or null');
+  });
+
+  it('follows added, removed and updated records', () => {
+    const index = createQueryIndex();
+    index.rebuild(state([['https://a.com', { displayName: 'B site' }]]));
+    expect(index.query({ sortBy: 'name' }).records[0].displayName).to.equal('B site');
+
+    index.apply({ added: [createFavoriteRecord('https://z.com', { displayName: 'A site' })], removed: [], updated: [] });
+    expect(index.query({ sortBy: 'name' }).records.map(record => record.url)).to.deep.equal(['https://z.com', 'https://a.com']);
+
+    index.apply({ added: [], removed: [], updated: [createFavoriteRecord('https://a.com', { displayName: 'Another site' })] });
+    expect(index.query({ text: 'another' }).total).to.equal(1);
+    expect(index.query({ sortBy: 'name' }).records.map(record => record.url)).to.deep.equal(['https://z.com', 'https://a.com']);
+
+    index.apply({ added: [], removed: [{ url: 'https://z.com' }], updated: [] });
+    expect(index.getStats()).to.deep.equal({ records: 1, domains: 1, tags: 0 });
+  });
+
+  it('notifies query subscribers only when the result changes', async () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence() });
+    const seen = [];
+    store.subscribeToQuery({ domain: 'github.com', sortBy: 'name' }, ({ records, total }) => {
+      seen.push(`${total}: ${records.map(record => record.displayName).join(', ')}`);
+    });
+
+    await store.addFavorite('https://github.com/b', { displayName: 'B' });
+    await store.addFavorite('https://example.com');
+    await store.addFavorite('https://gist.github.com/a', { displayName: 'A' });
+    await store.undo();
+
+    expect(seen).to.deep.equal(['0: ', '1: B', '2: A, B', '1: B']);
+    expect(store.query({ text: 'example' }).total).to.equal(1);
+    expect(() => store.subscribeToQuery({ order: 'up' }, () => {})).to.throw('Unknown order: up');
+
+    store.hydrate(['https://github.com/c']);
+    expect(store.query({ domain: 'github.com' }).records.map(record => record.url)).to.deep.equal(['https://github.com/c']);
+  });
+});
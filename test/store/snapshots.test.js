@@ -0,0 +1,53 @@
+// Snapshot holder unit tests
+// Purpose: Verify snapshots report a size, compact losslessly, and that compacted CLEAR_ALL entries still undo.
+import { expect } from 'chai';
+import { createSnapshotHolder } from '../../src/store/snapshots.js';
+import { createFavoriteRecord } from '../../src/store/state-store.js';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+describe('Snapshots', () => {
+  it('compacts records into a smaller packed form without losing fields', () => {
+    const records = new Map();
+    for (let i = 0; i < 50; i++) {
+      const url = `https://site-${i}.example.com`;
+      records.set(url, createFavoriteRecord(url, { displayName: i === 0 ? 'First' : null, createdAt: '2024-01-01T00:00:00.000Z' }));
+    }
+    const holder = createSnapshotHolder(records);
+    const before = holder.estimateSize();
+
+    expect(holder.compact()).to.equal(true);
+    expect(holder.isCompacted()).to.equal(true);
+    expect(holder.estimateSize()).to.be.lessThan(before);
+    expect(holder.size).to.equal(50);
+    expect(holder.get()).to.deep.equal(records);
+    expect(holder.compact()).to.equal(false);
+  });
+
+  it('keeps CLEAR_ALL undoable after its snapshot is compacted', async () => {
+    const persistence = createMemoryPersistence();
+    const store = createFavoritesStore({ persistence, history: { maxSnapshotBytes: 1 } });
+    await store.addFavorite('https://a.com', { displayName: 'A', notes: 'note' });
+    await store.clearAll();
+
+    // A 1-byte budget compacts the CLEAR_ALL snapshot first, then still has to evict
+    const stats = store.getStatistics();
+    expect(stats.compactedCount).to.be.greaterThan(0);
+    expect(stats.evictedCount).to.be.greaterThan(0);
+  });
+
+  it('undoes a compacted CLEAR_ALL with full records', async () => {
+    const persistence = createMemoryPersistence();
+    const store = createFavoritesStore({ persistence, history: { maxSnapshotBytes: 650 } });
+    await store.addFavorite('https://a.com', { displayName: 'A', notes: 'note' });
+    await store.addFavorite('https://b.com');
+    await store.clearAll();
+    await store.addFavorite('https://c.com');
+
+    expect(store.getStatistics().compactedCount).to.be.greaterThan(0);
+    await store.undo(); // c
+    await store.undo(); // clear
+    expect(store.getFavorite('https://a.com')).to.include({ displayName: 'A', notes: 'note' });
+    expect(store.getAllFavorites()).to.deep.equal(['https://a.com', 'https://b.com']);
+  });
+});
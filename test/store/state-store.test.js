@@ -1,5 +1,5 @@
 // StateStore unit tests
-// Purpose: Verify basic Set-like semantics, immutability of snapshots, and restore/clear behaviors.
+// Purpose: Verify keyed record semantics, immutability of snapshots, and restore/clear behaviors.
 import { expect } from 'chai';
 import { createStateStore } from '../../src/store/state-store.js';
 
@@ -22,9 +22,11 @@ describe('StateStore', () => {
     const s = createStateStore();
     s.add('x');
     const snapshot = s.getAll();
-    expect(snapshot).to.be.instanceOf(Set);
-    snapshot.add('y'); // mutation should not affect store
+    expect(snapshot).to.be.instanceOf(Map);
+    snapshot.set('y', { url: 'y' }); // mutation should not affect store
+    snapshot.get('x').displayName = 'changed'; // nor should mutating a record copy
     expect(s.getCount()).to.equal(1);
+    expect(s.get('x').displayName).to.equal(null);
 
     const newSnap = new Set(['p', 'q']);
     s.restore(newSnap);
@@ -32,13 +34,41 @@ describe('StateStore', () => {
   });
 
   it('clear returns previous state snapshot', () => {
-    // clear() should return the previous Set for potential undo logic
+    // clear() should return the previous records Map for potential undo logic
     const s = createStateStore();
     s.add('a');
     s.add('b');
     const prev = s.clear();
-    expect(prev).to.be.instanceOf(Set);
-    expect(Array.from(prev).sort()).to.deep.equal(['a', 'b']);
+    expect(prev).to.be.instanceOf(Map);
+    expect(Array.from(prev.keys()).sort()).to.deep.equal(['a', 'b']);
     expect(s.getCount()).to.equal(0);
   });
+
+  it('get/update work on full records', () => {
+    // Records carry display name, notes and metadata; update patches fields but never the URL
+    const s = createStateStore();
+    s.add('a', { displayName: 'A', notes: 'first', sortOrder: 2 });
+    expect(s.get('a')).to.include({ url: 'a', displayName: 'A', notes: 'first', sortOrder: 2, accessCount: 0 });
+    expect(s.get('a').createdAt).to.be.a('string');
+    expect(s.get('missing')).to.equal(null);
+
+    expect(s.update('a', { notes: 'second', url: 'b' })).to.equal(true);
+    expect(s.get('a').notes).to.equal('second');
+    expect(s.has('b')).to.equal(false);
+    expect(s.update('missing', { notes: 'x' })).to.equal(false);
+  });
+
+  it('snapshot and restore round-trip full records', () => {
+    // clear() + restore() must bring back every field, not just the URLs
+    const s = createStateStore();
+    s.add('a', { displayName: 'A', notes: 'n', createdAt: '2024-01-01T00:00:00.000Z', accessCount: 5 });
+    s.add('b');
+    const snapshot = s.clear();
+
+    s.restore(snapshot);
+    expect(s.getAllRecords()).to.deep.equal(Array.from(snapshot.values()));
+    expect(s.get('a')).to.include({ displayName: 'A', notes: 'n', accessCount: 5 });
+
+    expect(() => s.restore(null)).to.throw('Snapshot must be a Map or an iterable of records');
+  });
 });
@@ -0,0 +1,111 @@
+// Store event channel unit tests
+// Purpose: Verify store.on/off/once deliver typed events for favorites, history, persistence failures and subscriber errors.
+import { expect } from 'chai';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+describe('Store events', () => {
+  it('emits favorite, cleared and history events', async () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence() });
+    const seen = [];
+    store.on('favorite:added', ({ record, source }) => seen.push(`added ${record.url} (${source})`));
+    store.on('favorite:removed', ({ record }) => seen.push(`removed ${record.url}`));
+    store.on('favorites:cleared', ({ records }) => seen.push(`cleared ${records.length}`));
+    store.on('history:undo', ({ type }) => seen.push(`undo ${type}`));
+    store.on('history:redo', ({ type }) => seen.push(`redo ${type}`));
+
+    await store.addFavorite('https://a.com');
+    await store.addFavorite('https://b.com');
+    await store.removeFavorite('https://a.com');
+    await store.clearAll();
+    await store.undo();
+    await store.redo();
+
+    expect(seen).to.deep.equal([
+      'added https://a.com (execute)',
+      'added https://b.com (execute)',
+      'removed https://a.com',
+      'cleared 1',
+      'added https://b.com (undo)',
+      'undo CLEAR_ALL',
+      'cleared 1',
+      'redo CLEAR_ALL'
+    ]);
+  });
+
+  it('emits persistence:error when a write fails', async () => {
+    const persistence = createMemoryPersistence();
+    persistence.add = async () => { throw new Error('offline'); };
+    const store = createFavoritesStore({ persistence, consistency: 'strict' });
+    const errors = [];
+    store.on('persistence:error', event => errors.push(event));
+
+    expect(await store.addFavorite('https://a.com')).to.equal(false);
+    expect(errors).to.have.length(1);
+    expect(errors[0].error.message).to.equal('offline');
+    expect(errors[0]).to.include({ status: 'failed', rolledBack: false });
+  });
+
+  it('reports throwing subscribers, supports once/off and rejects unknown events', async () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence() });
+    const errors = [];
+    store.on('subscriber:error', ({ error, subscriber, event }) => errors.push([error.message, subscriber, event]));
+    store.subscribe(function brokenRenderer(state) {
+      if (state.size > 0) throw new Error('render failed');
+    });
+    store.on('favorite:added', function brokenHandler() { throw new Error('handler failed'); });
+
+    let onceCalls = 0;
+    store.once('favorite:added', () => { onceCalls++; });
+    const removed = store.on('favorite:added', () => { throw new Error('should not run'); });
+    expect(store.off('favorite:added', removed)).to.equal(true);
+
+    await store.addFavorite('https://a.com');
+    await store.addFavorite('https://b.com');
+
+    expect(onceCalls).to.equal(1);
+    expect(errors.slice(0, 2)).to.deep.equal([
+      ['render failed', 'brokenRenderer', null],
+      ['handler failed', 'brokenHandler', 'favorite:added']
+    ]);
+    expect(() => store.on('favorite:starred', () => {})).to.throw('Unknown event: favorite:starred');
+  });
+
+  it('applies the subscriber fault policy and exposes subscriber health', async () => {
+    const store = createFavoritesStore({
+      persistence: createMemoryPersistence(),
+      subscribers: { removeAfterNFailures: 1 }
+    });
+    const errors = [];
+    store.on('subscriber:error', ({ subscriber, kind, failures, removed }) => errors.push({ subscriber, kind, failures, removed }));
+    store.subscribe(function brokenWidget(state) {
+      if (state.size > 0) throw new Error('render failed');
+    });
+
+    await store.addFavorite('https://a.com');
+    await store.addFavorite('https://b.com');
+
+    expect(errors).to.deep.equal([{ subscriber: 'brokenWidget', kind: 'error', failures: 1, removed: true }]);
+    expect(store.getSubscriberCount()).to.equal(0);
+    expect(store.getSubscriberHealth()[0]).to.include({ name: 'brokenWidget', calls: 2, removed: true });
+  });
+
+  it('resolves addFavorite after async observers with awaitObservers', async () => {
+    for (const scheduling of ['sync', 'frame']) {
+      const store = createFavoritesStore({ persistence: createMemoryPersistence(), scheduling });
+      const rendered = [];
+      store.subscribe(async (state) => {
+        await new Promise(resolve => setTimeout(resolve, 2));
+        rendered.push(state.size);
+      }, { async: true });
+      await store.whenObserversSettled();
+      rendered.length = 0;
+
+      await store.addFavorite('https://a.com', { awaitObservers: true, displayName: 'A' });
+      expect(rendered).to.deep.equal([1]);
+      expect(store.getFavorite('https://a.com').displayName).to.equal('A');
+      await store.undo({ awaitObservers: true });
+      expect(rendered).to.deep.equal([1, 0]);
+    }
+  });
+});
@@ -0,0 +1,132 @@
+// Store plugin unit tests
+// Purpose: Verify store.use() wires lifecycle hooks, namespaced methods and plugin middleware, and that removePlugin() and the devtools plugin clean up after themselves.
+import { expect } from 'chai';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+import { createDevtoolsPlugin } from '../../src/plugins/devtools-plugin.js';
+
+describe('Store plugins', () => {
+  it('calls lifecycle hooks and exposes namespaced methods', async () => {
+    const calls = [];
+    const counter = {
+      name: 'counter',
+      setup(store) {
+        calls.push(`setup ${typeof store.addFavorite}`);
+        let added = 0;
+        counter.onNotify = (state, change) => { added += change.added.length; };
+        return { added: () => added };
+      },
+      onAction: ({ kind, type }) => calls.push(`${kind} ${type}`),
+      onHydrate: (state, { notify }) => calls.push(`hydrate ${state.size} ${notify}`),
+      teardown: () => calls.push('teardown')
+    };
+    const store = createFavoritesStore({ persistence: createMemoryPersistence(), plugins: [counter] });
+
+    store.hydrate(['https://seed.com']);
+    await store.addFavorite('https://a.com');
+    await store.addFavorite('https://b.com');
+    await store.undo();
+
+    expect(store.counter.added()).to.equal(2);
+    expect(Object.isFrozen(store.counter)).to.equal(true);
+    expect(store.getPlugins()).to.deep.equal(['counter']);
+    expect(store.removePlugin('counter')).to.equal(true);
+    expect(store.removePlugin('counter')).to.equal(false);
+    expect(store).to.not.have.property('counter');
+    await store.addFavorite('https://c.com');
+
+    expect(calls).to.deep.equal([
+      'setup function',
+      'hydrate 1 false',
+      'execute ADD_FAVORITE',
+      'execute ADD_FAVORITE',
+      'undo ADD_FAVORITE',
+      'teardown'
+    ]);
+  });
+
+  it('runs plugin middleware after store middleware and isolates failing hooks', async () => {
+    const order = [];
+    const store = createFavoritesStore({
+      persistence: createMemoryPersistence(),
+      middleware: [async (ctx, next) => { order.push('store'); return next(); }]
+    });
+    const errors = [];
+    store.on('subscriber:error', ({ subscriber, error }) => errors.push([subscriber, error.message]));
+    store.use({
+      name: 'blocklist',
+      middleware: async (ctx, next) => {
+        order.push('plugin');
+        return ctx.params.url?.includes('blocked') ? ctx.reject('Blocked domain') : next();
+      },
+      onAction: () => { throw new Error('hook failed'); }
+    });
+
+    expect(await store.addFavorite('https://blocked.com')).to.equal(false);
+    expect(await store.addFavorite('https://a.com')).to.equal(true);
+    expect(order).to.deep.equal(['store', 'plugin', 'store', 'plugin']);
+    expect(errors).to.deep.equal([['blocklist.onAction', 'hook failed']]);
+  });
+
+  it('rejects invalid plugins and name conflicts without installing them', () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence() });
+    store.use({ name: 'audit' });
+
+    expect(() => store.use({})).to.throw('Plugin must be an object with a name');
+    expect(() => store.use({ name: 'audit' })).to.throw('Plugin already installed: audit');
+    expect(() => store.use({ name: 'undo' })).to.throw('Plugin name "undo" conflicts with a store property');
+    expect(() => store.use({ name: 'bad', middleware: ['nope'] })).to.throw('Middleware at index 0 must be a function');
+    expect(() => store.use({ name: 'broken', setup: () => { throw new Error('setup failed'); } })).to.throw('setup failed');
+    expect(() => store.use({ name: 'lazy', setup: async () => ({}) })).to.throw('Plugin lazy: setup() must be synchronous');
+    expect(store.getPlugins()).to.deep.equal(['audit']);
+  });
+
+  it('lets a plugin route writes and apply remote changes outside history', async () => {
+    const backend = createMemoryPersistence();
+    const routed = createMemoryPersistence();
+    const store = createFavoritesStore({ persistence: backend });
+    let previous = null;
+    store.use({
+      name: 'router',
+      setup: (api) => { previous = api.setPersistence(routed); },
+      teardown: () => store.setPersistence(previous)
+    });
+    const sources = [];
+    store.subscribe((state, change) => sources.push(change.source));
+
+    await store.addFavorite('https://a.com');
+    store.applyRemoteChange({ added: [{ url: 'https://remote.com', displayName: 'R' }], cause: 'ADD_FAVORITE' });
+    expect(routed.getUrls()).to.deep.equal(['https://a.com']);
+    expect(store.getFavorite('https://remote.com').displayName).to.equal('R');
+    expect(store.getActionHistory().actions).to.have.length(1);
+    expect(sources).to.deep.equal(['hydrate', 'execute', 'remote']);
+
+    store.removePlugin('router');
+    expect(store.getPersistence()).to.equal(backend);
+    await store.addFavorite('https://b.com');
+    expect(backend.getUrls()).to.deep.equal(['https://b.com']);
+    expect(() => store.setPersistence({})).to.throw();
+  });
+
+  it('records a timeline with the devtools plugin', async () => {
+    const store = createFavoritesStore({ persistence: createMemoryPersistence() });
+    store.use(createDevtoolsPlugin({ maxEntries: 3, expose: '__testDevtools' }));
+    expect(globalThis.__testDevtools.getTimeline).to.equal(store.devtools.getTimeline);
+
+    await store.addFavorite('https://a.com');
+    await store.removeFavorite('https://a.com');
+
+    const timeline = store.devtools.getTimeline();
+    expect(timeline.map(entry => entry.event)).to.deep.equal(['action', 'notify', 'action']);
+    expect(timeline[1].detail).to.deep.equal({
+      cause: 'REMOVE_FAVORITE', source: 'execute', added: [], removed: ['https://a.com'], updated: [], size: 0
+    });
+    expect(timeline[2].detail).to.include({ kind: 'execute', type: 'REMOVE_FAVORITE' });
+    expect(store.devtools.snapshot()).to.include.keys('favorites', 'debug', 'timeline');
+
+    store.devtools.clear();
+    expect(store.devtools.getTimeline()).to.deep.equal([]);
+    store.removePlugin('devtools');
+    expect(globalThis).to.not.have.property('__testDevtools');
+  });
+});
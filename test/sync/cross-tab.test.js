@@ -0,0 +1,162 @@
+// Cross-tab sync unit tests
+// Purpose: Verify leader election, change broadcast between stores (outside undo history), single-writer persistence and the storage-event fallback.
+import { expect } from 'chai';
+import { createCrossTabSync, createStorageEventTransport } from '../../src/sync/cross-tab.js';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+import { createCrossTabPlugin } from '../../src/plugins/cross-tab-plugin.js';
+import { createOutbox } from '../../src/sync/outbox.js';
+import { createMemoryOutboxStorage } from '../../src/sync/outbox-storage.js';
+
+const timings = { heartbeatMs: 10, leaderTimeoutMs: 40, rpcTimeoutMs: 500 };
+
+const waitFor = async (condition, timeoutMs = 1000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+/**
+ * Two "tabs": stores on one BroadcastChannel name, each with its own backend
+ * so the test can see which tab wrote
+ */
+const openTabs = (channel, storeOptions = {}) => ['a', 'b'].map(name => {
+  const backend = createMemoryPersistence();
+  const store = createFavoritesStore({
+    ...storeOptions,
+    persistence: backend,
+    plugins: [createCrossTabPlugin({ channel, tabId: name, ...timings })]
+  });
+  return { name, backend, store };
+});
+
+describe('Cross-tab sync', () => {
+  let tabs = [];
+  afterEach(() => tabs.forEach(tab => tab.store.crossTab?.stop()));
+
+  it('elects one leader and applies remote changes without history entries', async () => {
+    tabs = openTabs(`test-sync-${Date.now()}`);
+    const leaderOf = (tab) => tab.store.crossTab.getStatus().leaderId;
+    await waitFor(() => leaderOf(tabs[0]) && leaderOf(tabs[0]) === leaderOf(tabs[1]));
+    // Both tabs start together, so either may win; b is the follower from here on
+    const [a, b] = leaderOf(tabs[0]) === 'a' ? tabs : [...tabs].reverse();
+    expect(a.store.crossTab.getStatus()).to.include({ isLeader: true, transport: 'broadcast-channel' });
+    expect(b.store.crossTab.getStatus()).to.include({ leaderId: a.name, isLeader: false });
+
+    const remote = [];
+    a.store.on('favorite:added', ({ record, source }) => remote.push([record.url, source]));
+    await b.store.addFavorite('https://b.com', { displayName: 'B' });
+    await waitFor(() => a.store.isFavorite('https://b.com'));
+
+    expect(remote).to.deep.equal([['https://b.com', 'remote']]);
+    expect(a.store.getFavorite('https://b.com').displayName).to.equal('B');
+    expect(a.store.canUndo()).to.equal(false);
+    expect(b.store.canUndo()).to.equal(true);
+    // Only the leader tab wrote to the backend
+    expect(a.backend.getUrls()).to.deep.equal(['https://b.com']);
+    expect(b.backend.getUrls()).to.deep.equal([]);
+
+    await b.store.undo();
+    await waitFor(() => !a.store.isFavorite('https://b.com'));
+    expect(a.backend.getUrls()).to.deep.equal([]);
+  });
+
+  it('hands leadership over when the leader tab closes', async () => {
+    tabs = openTabs(`test-failover-${Date.now()}`);
+    const leaderOf = (tab) => tab.store.crossTab.getStatus().leaderId;
+    await waitFor(() => leaderOf(tabs[0]) && leaderOf(tabs[0]) === leaderOf(tabs[1]));
+    const [a, b] = leaderOf(tabs[0]) === 'a' ? tabs : [...tabs].reverse();
+    const leadership = [];
+    b.store.crossTab.subscribe(({ leaderId }) => leadership.push(leaderId));
+
+    a.store.crossTab.stop();
+    await waitFor(() => b.store.crossTab.getStatus().isLeader);
+    expect(leadership).to.deep.equal([a.name, null, b.name]);
+    expect(a.store.getPlugins()).to.deep.equal([]);
+    expect(a.store.getPersistence()).to.equal(a.backend);
+
+    await b.store.addFavorite('https://solo.com');
+    expect(b.backend.getUrls()).to.deep.equal(['https://solo.com']);
+  });
+
+  /**
+   * Tabs sharing one outbox storage that holds an entry left by a previous session;
+   * resolves once the leader took that entry over
+   */
+  const openTabsWithOutbox = async (channel) => {
+    const storage = createMemoryOutboxStorage();
+    await createOutbox({ persistence: createMemoryPersistence(), storage, autoReplay: false })
+      .enqueue({ type: 'add', url: 'https://old.com' });
+
+    tabs = openTabs(channel, { outbox: { storage, autoReplay: false } });
+    const leaderOf = (tab) => tab.store.crossTab.getStatus().leaderId;
+    await waitFor(() => leaderOf(tabs[0]) && leaderOf(tabs[0]) === leaderOf(tabs[1]));
+    const [a, b] = leaderOf(tabs[0]) === 'a' ? tabs : [...tabs].reverse();
+    await waitFor(() => a.store.getPendingOperations().length === 1);
+    return { storage, a, b };
+  };
+  const pendingUrls = (tab) => tab.store.getPendingOperations().map(entry => entry.operations[0].url);
+  const savedUrls = async (storage) => (await storage.load()).map(entry => entry.operations[0].url);
+
+  it('queues a follower\'s unsaved changes in the leader so they survive the follower closing', async () => {
+    const { storage, a, b } = await openTabsWithOutbox(`test-outbox-${Date.now()}`);
+    expect(pendingUrls(b)).to.deep.equal([]);
+
+    // The leader has unsaved changes, so the follower's write queues behind them
+    await b.store.addFavorite('https://b.com');
+    a.backend.setOnline(false);
+    await a.store.addFavorite('https://a.com');
+    expect(b.store.isFavorite('https://b.com')).to.equal(true);
+    expect(pendingUrls(b)).to.deep.equal([]);
+    expect(pendingUrls(a)).to.deep.equal(['https://old.com', 'https://b.com', 'https://a.com']);
+    expect(await savedUrls(storage)).to.deep.equal(['https://old.com', 'https://b.com', 'https://a.com']);
+
+    b.store.crossTab.stop();
+    a.backend.setOnline(true);
+    await a.store.syncNow();
+    expect(a.backend.getUrls()).to.deep.equal(['https://old.com', 'https://b.com', 'https://a.com']);
+    expect(b.backend.getUrls()).to.deep.equal([]);
+    expect(await storage.load()).to.deep.equal([]);
+  });
+
+  it('hands the shared outbox storage to the next leader', async () => {
+    const { storage, a, b } = await openTabsWithOutbox(`test-outbox-handover-${Date.now()}`);
+    a.backend.setOnline(false);
+    await a.store.addFavorite('https://a.com');
+
+    a.store.crossTab.stop();
+    await waitFor(() => b.store.getPendingOperations().length === 2);
+    expect(pendingUrls(a)).to.deep.equal([]);
+    expect(pendingUrls(b)).to.deep.equal(['https://old.com', 'https://a.com']);
+
+    await b.store.syncNow();
+    expect(b.backend.getUrls()).to.deep.equal(['https://old.com', 'https://a.com']);
+    expect(await storage.load()).to.deep.equal([]);
+  });
+
+  it('carries messages through storage events when BroadcastChannel is missing', async () => {
+    // Two windows sharing one localStorage: a write fires 'storage' in the other window only
+    const windows = [new EventTarget(), new EventTarget()];
+    const sharedStorage = (self) => ({
+      setItem(key, newValue) {
+        windows.filter(target => target !== self).forEach(target => {
+          target.dispatchEvent(Object.assign(new Event('storage'), { key, newValue }));
+        });
+      }
+    });
+    const [left, right] = windows.map(target => createStorageEventTransport({ storage: sharedStorage(target), target }));
+    const received = [];
+    right.subscribe(message => received.push(message));
+
+    const sync = createCrossTabSync({ persistence: createMemoryPersistence(), transport: left, tabId: 'left', ...timings });
+    sync.start();
+    sync.broadcastChange({ added: [{ url: 'https://a.com' }], removed: [], updated: [], cause: 'ADD_FAVORITE', source: 'execute' });
+    sync.close();
+    right.close();
+
+    expect(received.map(message => message.type)).to.deep.equal(['discover', 'change']);
+    expect(received[1]).to.deep.include({ from: 'left', change: { added: [{ url: 'https://a.com' }], removed: [], updated: [], cause: 'ADD_FAVORITE', source: 'execute' } });
+  });
+});
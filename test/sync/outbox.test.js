@@ -0,0 +1,200 @@
+// Outbox unit tests
+// Purpose: Verify offline queuing, ordered replay, retries, conflicts and the store's sync API.
+import { expect } from 'chai';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createOutbox } from '../../src/sync/outbox.js';
+import { createMemoryOutboxStorage } from '../../src/sync/outbox-storage.js';
+import { createFileOutboxStorage } from '../../src/sync/file-outbox-storage.js';
+import { createMemoryPersistence } from '../../src/persistence/memory-persistence.js';
+import { createFavoritesStore } from '../../src/favorites-store-modular.js';
+
+describe('Outbox', () => {
+  it('replays queued operations in FIFO order once the backend is back', async () => {
+    const persistence = createMemoryPersistence();
+    const outbox = createOutbox({ persistence, autoReplay: false });
+
+    await outbox.enqueue({ type: 'add', url: 'https://a.com' });
+    await outbox.enqueue({ type: 'add', url: 'https://b.com' });
+    await outbox.enqueue({ type: 'remove', url: 'https://a.com' });
+    expect(outbox.getStatus()).to.include({ state: 'pending', pendingCount: 3 });
+
+    const status = await outbox.replay();
+    expect(status).to.include({ state: 'idle', pendingCount: 0, replayedCount: 3 });
+    expect(persistence.getUrls()).to.deep.equal(['https://b.com']);
+  });
+
+  it('keeps entries queued and backs off while the backend fails', async () => {
+    const persistence = createMemoryPersistence();
+    persistence.setOnline(false);
+    const outbox = createOutbox({ persistence, autoReplay: false, maxRetries: 3 });
+
+    await outbox.enqueue({ type: 'add', url: 'https://a.com' });
+    await outbox.replay();
+
+    const [entry] = outbox.getPending();
+    expect(entry.attempts).to.equal(1);
+    expect(entry.lastError).to.equal('Persistence backend unavailable');
+    expect(outbox.getStatus().state).to.equal('error');
+  });
+
+  it('moves an entry to failed after maxRetries so later entries can proceed', async () => {
+    const persistence = createMemoryPersistence();
+    const outbox = createOutbox({ persistence, autoReplay: false, maxRetries: 1 });
+    const original = persistence.add;
+    persistence.add = async (url, details) => {
+      if (url === 'https://bad.com') throw new Error('rejected');
+      return original(url, details);
+    };
+
+    await outbox.enqueue({ type: 'add', url: 'https://bad.com' });
+    await outbox.enqueue({ type: 'add', url: 'https://good.com' });
+    await outbox.replay();
+
+    expect(outbox.getPending()).to.deep.equal([]);
+    expect(outbox.getFailed().map(e => e.operations[0].url)).to.deep.equal(['https://bad.com']);
+    expect(persistence.getUrls()).to.deep.equal(['https://good.com']);
+  });
+
+  it('keeps a clear enqueued while a replayed write is still in flight', async () => {
+    const persistence = createMemoryPersistence();
+    const outbox = createOutbox({ persistence, autoReplay: false });
+    const original = persistence.add;
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    persistence.add = async (url, details) => {
+      await gate;
+      return original(url, details);
+    };
+
+    await outbox.enqueue({ type: 'add', url: 'https://a.com' });
+    const replaying = outbox.replay();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await outbox.enqueue({ type: 'clear' });
+    expect(outbox.getPending().map(e => e.operations[0].type)).to.deep.equal(['clear']);
+    release();
+    const status = await replaying;
+
+    // The clear is replayed after the write it superseded, not dropped in its place
+    expect(status).to.include({ pendingCount: 0, replayedCount: 2 });
+    expect(persistence.getUrls()).to.deep.equal([]);
+  });
+
+  it('drops only favorite changes queued before a clear and keeps collection changes', async () => {
+    const persistence = createMemoryPersistence();
+    const outbox = createOutbox({ persistence, autoReplay: false });
+
+    await outbox.enqueue({ type: 'createCollection', collection: { id: 'c1', name: 'Work' } });
+    await outbox.enqueue({ type: 'add', url: 'https://a.com', details: { collectionId: 'c1' } });
+    await outbox.enqueue([
+      { type: 'moveToCollection', url: 'https://a.com', collectionId: null },
+      { type: 'renameCollection', id: 'c1', name: 'Projects' }
+    ]);
+    await outbox.enqueue({ type: 'tag', url: 'https://a.com', tag: 'read' });
+    await outbox.enqueue({ type: 'clear' });
+
+    expect(outbox.getPending().map(e => e.operations.map(op => op.type))).to.deep.equal([
+      ['createCollection'],
+      ['renameCollection'],
+      ['clear']
+    ]);
+
+    await outbox.replay();
+    expect(persistence.getUrls()).to.deep.equal([]);
+    expect((await persistence.listCollections()).map(c => c.name)).to.deep.equal(['Projects']);
+  });
+
+  it('forwards entries and queues them itself when forwarding fails', async () => {
+    const outbox = createOutbox({ persistence: createMemoryPersistence(), autoReplay: false });
+    const forwarded = [];
+    outbox.forwardTo(async (operations) => {
+      if (operations[0].url === 'https://down.com') throw new Error('No leader');
+      forwarded.push(operations[0].url);
+      return { id: 1, operations };
+    });
+
+    await outbox.enqueue({ type: 'add', url: 'https://a.com' });
+    await outbox.enqueue({ type: 'add', url: 'https://down.com' });
+    outbox.forwardTo(null);
+    await outbox.enqueue({ type: 'add', url: 'https://b.com' });
+
+    expect(forwarded).to.deep.equal(['https://a.com']);
+    expect(outbox.getPending().map(e => e.operations[0].url)).to.deep.equal(['https://down.com', 'https://b.com']);
+  });
+
+  it('reports conflicts when the backend already reflects a change', async () => {
+    const persistence = createMemoryPersistence({ initial: ['https://a.com'] });
+    const conflicts = [];
+    const outbox = createOutbox({
+      persistence,
+      autoReplay: false,
+      onConflict: (entry) => conflicts.push(entry.operations[0].url)
+    });
+
+    await outbox.enqueue({ type: 'add', url: 'https://a.com' });
+    const status = await outbox.replay();
+
+    expect(conflicts).to.deep.equal(['https://a.com']);
+    expect(status.conflictCount).to.equal(1);
+    expect(status.pendingCount).to.equal(0);
+  });
+
+  it('waits for connectivity before replaying', async () => {
+    const persistence = createMemoryPersistence();
+    let reachable = false;
+    const outbox = createOutbox({ persistence, autoReplay: false, checkConnectivity: async () => reachable });
+
+    await outbox.enqueue({ type: 'add', url: 'https://a.com' });
+    await outbox.replay();
+    expect(outbox.getPending()).to.have.length(1);
+    expect(outbox.getPending()[0].attempts).to.equal(0);
+
+    reachable = true;
+    await outbox.replay();
+    expect(outbox.getPending()).to.have.length(0);
+  });
+
+  it('restores pending entries from durable storage', async () => {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    try {
+      const filePath = path.join(dir, 'outbox.json');
+      const persistence = createMemoryPersistence();
+      const first = createOutbox({ persistence, autoReplay: false, storage: createFileOutboxStorage({ filePath }) });
+      await first.enqueue({ type: 'add', url: 'https://a.com', details: { displayName: 'A' } });
+
+      const second = createOutbox({ persistence, autoReplay: false, storage: createFileOutboxStorage({ filePath }) });
+      await second.whenReady();
+      expect(second.getPending()[0].operations[0]).to.deep.include({ url: 'https://a.com' });
+
+      await second.replay();
+      expect((await persistence.list())[0].displayName).to.equal('A');
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('store queues writes while offline and exposes pending operations', async () => {
+    const persistence = createMemoryPersistence();
+    const outbox = createOutbox({ persistence, autoReplay: false, storage: createMemoryOutboxStorage() });
+    const store = createFavoritesStore({ persistence, outbox });
+    const statuses = [];
+    store.subscribeToSyncStatus(status => statuses.push(status.pendingCount));
+
+    persistence.setOnline(false);
+    await store.addFavorite('https://a.com');
+    persistence.setOnline(true);
+    // Queued behind the pending entry, even though the backend is back
+    await store.addFavorite('https://b.com');
+
+    expect(store.isFavorite('https://a.com')).to.equal(true);
+    expect(store.getPendingOperations().map(e => e.operations[0].url)).to.deep.equal(['https://a.com', 'https://b.com']);
+    expect(store.getStatistics().pendingOperations).to.equal(2);
+
+    await store.syncNow();
+    expect(persistence.getUrls()).to.deep.equal(['https://a.com', 'https://b.com']);
+    expect(store.getSyncStatus().pendingCount).to.equal(0);
+    expect(statuses).to.include(2);
+    expect(statuses[statuses.length - 1]).to.equal(0);
+  });
+});
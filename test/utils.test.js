@@ -1,7 +1,7 @@
 // URL utilities unit tests
 // Purpose: Verify normalization, human-friendly display derivation, and escaping helpers for HTML and attributes.
 import { expect } from 'chai';
-import { normalizeUrl, deriveDisplayName, escapeHTML, escapeAttr } from '../src/utils/url-display.js';
+import { normalizeUrl, deriveDisplayName, escapeHTML, escapeAttr, getDomain } from '../src/utils/url-display.js';
 
 describe('URL utils', () => {
   it('normalizes URLs', () => {
@@ -13,6 +13,13 @@ describe('URL utils', () => {
     expect(normalizeUrl(' //example.org ')).to.equal('https://example.org');
   });
 
+  it('extracts the domain', () => {
+    // Lower-cased host without "www."; empty for input that is not a URL
+    expect(getDomain('https://WWW.GitHub.com/user')).to.equal('github.com');
+    expect(getDomain('gist.github.com')).to.equal('gist.github.com');
+    expect(getDomain('http://[bad')).to.equal('');
+  });
+
   it('derives display name', () => {
     // Produces a readable label from URL/host and path; avoids noisy defaults like "index"
     const d1 = deriveDisplayName('https://www.github.com/user/repo');